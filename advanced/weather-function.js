@@ -1,56 +1,29 @@
 // Advanced Concepts: Function Calling & Weather API Integration using WeatherAPI.com
-import { OpenAI } from 'openai';
-import axios from 'axios';
-import 'dotenv/config';
+import { requireOpenAIClient } from '../lib/openai-client.js';
+import { requireModuleSettings, parseConfigArgs, completionOptions } from '../lib/project-config.js';
+import { getToolRegistry, getWeather } from '../lib/tools.js';
+import { createLogger } from '../lib/logger.js';
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const log = createLogger('weather-function');
 
-// Example function schema for weather
-const functions = [
-  {
-    name: 'get_weather',
-    description: 'Get the current weather for a city',
-    parameters: {
-      type: 'object',
-      properties: {
-        city: { type: 'string', description: 'City name' }
-      },
-      required: ['city']
-    }
-  }
-];
+// The get_weather schema from the shared tool registry (lib/tools.js), in the
+// legacy `functions` format this demo shows
+export const functions = getToolRegistry().definitions(['get_weather']).map(({ function: { strict, ...definition } }) => definition);
 
-async function getWeather(city) {
-  // Using WeatherAPI.com
-  const apiKey = process.env.WEATHER_API_KEY;
-  
-  if (!apiKey) {
-    // Return mock data when no API key is provided
-    return {
-      location: { name: city },
-      current: {
-        condition: { text: 'partly cloudy' },
-        temp_c: 15
-      }
-    };
-  }
-  
-  const url = `http://api.weatherapi.com/v1/current.json?key=${apiKey}&q=${encodeURIComponent(city)}`;
-  console.log('WeatherAPI URL:', url);
-  const response = await axios.get(url);
-  return response.data;
-}
+export { getWeather };
 
-async function main() {
-  // Get city from command line argument or use default
-  const city = process.argv[2] || 'London';
-  
+/**
+ * Ask the model about a city's weather and call get_weather when it requests it.
+ * Returns the weather data, or the model's reply when no function was called.
+ * Model settings default to the 'weather' module of the active profile.
+ */
+export async function askWeather(city, client = requireOpenAIClient({ module: 'weather' }), settings = requireModuleSettings('weather')) {
   const messages = [
-    { role: 'system', content: 'You are a weather assistant.' },
+    { role: 'system', content: settings.systemPrompt },
     { role: 'user', content: `What is the weather in ${city}?` }
   ];
-  const completion = await openai.chat.completions.create({
-    model: 'gpt-4o',
+  const completion = await client.chat.completions.create({
+    ...completionOptions(settings),
     messages,
     functions,
     function_call: 'auto'
@@ -58,11 +31,25 @@ async function main() {
   const choice = completion.choices[0];
   if (choice.finish_reason === 'function_call' && choice.message.function_call) {
     const args = JSON.parse(choice.message.function_call.arguments);
-    const weather = await getWeather(args.city);
-    console.log(`Weather in ${weather.location.name}:`, weather.current.condition.text, `${weather.current.temp_c}°C`);
+    return { completion, functionCall: { name: choice.message.function_call.name, args }, weather: await getWeather(args.city) };
+  }
+  return { completion, reply: choice.message.content };
+}
+
+async function main() {
+  // Get city from command line argument or use default (config flags such as --profile are skipped)
+  const city = parseConfigArgs().args[0] || 'London';
+  
+  const result = await askWeather(city);
+  if (result.weather) {
+    const { weather } = result;
+    log.info(`Weather in ${weather.location.name}:`, weather.current.condition.text, `${weather.current.temp_c}°C`);
   } else {
-    console.log('AI:', choice.message.content);
+    log.info('AI:', result.reply);
   }
 }
 
-main();
+// Run the demo when executed directly (importing only exposes the functions)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
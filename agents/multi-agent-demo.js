@@ -1,51 +1,23 @@
 // OpenAI Agents SDK: Multi-Agent Demo with Handoffs
 import { Agent, run, tool } from '@openai/agents';
 import { z } from 'zod';
-import axios from 'axios';
-import 'dotenv/config';
+import { agentTool, configureAgentsClient, tagAgentUsage } from '../lib/agents-client.js';
+import { requireOpenAIClient } from '../lib/openai-client.js';
+import { requireModuleSettings, agentModelOptions } from '../lib/project-config.js';
+import { getPromptLibrary } from '../lib/prompt-library.js';
+import { createLogger } from '../lib/logger.js';
 
-// Weather tool for the Weather Agent
-const getWeatherTool = tool({
-  name: 'get_weather',
-  description: 'Get the current weather for a city',
-  parameters: z.object({ 
-    city: z.string().describe('The city name to get weather for') 
-  }),
-  execute: async (input) => {
-    const apiKey = process.env.WEATHER_API_KEY;
-    
-    if (!apiKey) {
-      return `Mock weather data: ${input.city} is currently 22°C with partly cloudy skies.`;
-    }
-    
-    try {
-      const url = `http://api.weatherapi.com/v1/current.json?key=${apiKey}&q=${encodeURIComponent(input.city)}`;
-      const response = await axios.get(url);
-      const data = response.data;
-      return `Weather in ${data.location.name}: ${data.current.condition.text}, ${data.current.temp_c}°C`;
-    } catch (error) {
-      return `Unable to get weather for ${input.city}. Please try another city.`;
-    }
-  },
-});
+const log = createLogger('multi-agent-demo');
 
-// Math tool for the Math Agent
-const calculateTool = tool({
-  name: 'calculate',
-  description: 'Perform mathematical calculations',
-  parameters: z.object({ 
-    expression: z.string().describe('Mathematical expression to evaluate') 
-  }),
-  execute: async (input) => {
-    try {
-      // Simple safe evaluation (in production, use a proper math parser)
-      const result = Function(`"use strict"; return (${input.expression})`)();
-      return `The result of ${input.expression} is ${result}`;
-    } catch (error) {
-      return `Error calculating ${input.expression}: Invalid expression`;
-    }
-  },
-});
+// Every agent shares the profile's model; the coordinator's instructions are the module's system prompt
+const settings = requireModuleSettings('multiAgent');
+
+// The specialists' instructions are personas from data/prompts
+const prompts = getPromptLibrary();
+
+// The weather and math tools come from the shared tool registry (lib/tools.js)
+const getWeatherTool = agentTool('get_weather');
+const calculateTool = agentTool('calculate');
 
 // Creative tool for the Creative Agent
 const createStoryTool = tool({
@@ -69,94 +41,97 @@ const createStoryTool = tool({
 });
 
 // Create specialized agents
-const weatherAgent = new Agent({
+export const weatherAgent = new Agent({
   name: 'Weather Specialist',
-  instructions: 'You are a weather expert. Provide detailed weather information and forecasts using your weather tools. Always be specific about locations and conditions.',
+  instructions: prompts.render('weather-expert'),
   handoffDescription: 'Expert in weather, climate, and atmospheric conditions',
   tools: [getWeatherTool],
+  ...agentModelOptions(settings),
 });
 
-const mathAgent = new Agent({
+export const mathAgent = new Agent({
   name: 'Math Expert',
-  instructions: 'You are a mathematics specialist. Solve complex problems, explain mathematical concepts, and perform calculations using your tools.',
+  instructions: prompts.render('math-expert'),
   handoffDescription: 'Expert in mathematics, calculations, and problem solving',
   tools: [calculateTool],
+  ...agentModelOptions(settings),
 });
 
-const creativeAgent = new Agent({
+export const creativeAgent = new Agent({
   name: 'Creative Writer',
-  instructions: 'You are a creative writing specialist. Generate stories, poems, and creative content using your tools. Be imaginative and engaging.',
+  instructions: prompts.render('creative-writer'),
   handoffDescription: 'Expert in creative writing, storytelling, and imaginative content',
   tools: [createStoryTool],
+  ...agentModelOptions(settings),
 });
 
 // Create the main coordinator agent with handoffs to specialists
-const coordinatorAgent = Agent.create({
+export const coordinatorAgent = Agent.create({
   name: 'AI Coordinator',
-  instructions: `You are an intelligent coordinator that helps users by routing their requests to the right specialists.
-
-- For weather-related questions, hand off to the Weather Specialist
-- For math problems, calculations, or technical analysis, hand off to the Math Expert  
-- For creative writing, stories, or imaginative content, hand off to the Creative Writer
-- For general questions, you can answer directly
-
-Always explain briefly why you're making a handoff and what the specialist will help with.`,
+  instructions: settings.systemPrompt,
+  ...agentModelOptions(settings),
   handoffs: [weatherAgent, mathAgent, creativeAgent],
 });
 
 async function testMultiAgentWorkflow() {
+  configureAgentsClient(requireOpenAIClient({ module: settings.module }));
+  tagAgentUsage(coordinatorAgent);
+
   try {
-    console.log('🤖 Starting OpenAI Agents SDK Multi-Agent Demo...\n');
-    console.log('Main Agent:', coordinatorAgent.name);
-    console.log('Available Specialists:');
-    console.log('  📊', weatherAgent.name, '- Weather and climate');
-    console.log('  🔢', mathAgent.name, '- Mathematics and calculations');
-    console.log('  ✍️', creativeAgent.name, '- Creative writing and stories');
-    console.log('\n' + '═'.repeat(80) + '\n');
+    log.info('🤖 Starting OpenAI Agents SDK Multi-Agent Demo...\n');
+    log.info('Main Agent:', coordinatorAgent.name);
+    log.info('Available Specialists:');
+    log.info('  📊', weatherAgent.name, '- Weather and climate');
+    log.info('  🔢', mathAgent.name, '- Mathematics and calculations');
+    log.info('  ✍️', creativeAgent.name, '- Creative writing and stories');
+    log.info('\n' + '═'.repeat(80) + '\n');
 
     // Test 1: Weather query (should handoff to weather agent)
-    console.log('🧪 Test 1: Weather Request');
+    log.info('🧪 Test 1: Weather Request');
     const result1 = await run(coordinatorAgent, 'What\'s the weather like in London today?');
-    console.log('User: What\'s the weather like in London today?');
-    console.log('Response:', result1.finalOutput);
-    console.log('\n' + '─'.repeat(80) + '\n');
+    log.info('User: What\'s the weather like in London today?');
+    log.info('Response:', result1.finalOutput);
+    log.info('\n' + '─'.repeat(80) + '\n');
 
     // Test 2: Math problem (should handoff to math agent)
-    console.log('🧪 Test 2: Math Problem');
+    log.info('🧪 Test 2: Math Problem');
     const result2 = await run(coordinatorAgent, 'Can you calculate 15 * 24 + 128?');
-    console.log('User: Can you calculate 15 * 24 + 128?');
-    console.log('Response:', result2.finalOutput);
-    console.log('\n' + '─'.repeat(80) + '\n');
+    log.info('User: Can you calculate 15 * 24 + 128?');
+    log.info('Response:', result2.finalOutput);
+    log.info('\n' + '─'.repeat(80) + '\n');
 
     // Test 3: Creative request (should handoff to creative agent)
-    console.log('🧪 Test 3: Creative Writing');
+    log.info('🧪 Test 3: Creative Writing');
     const result3 = await run(coordinatorAgent, 'Write me a short story about space exploration');
-    console.log('User: Write me a short story about space exploration');
-    console.log('Response:', result3.finalOutput);
-    console.log('\n' + '─'.repeat(80) + '\n');
+    log.info('User: Write me a short story about space exploration');
+    log.info('Response:', result3.finalOutput);
+    log.info('\n' + '─'.repeat(80) + '\n');
 
     // Test 4: General question (coordinator handles directly)
-    console.log('🧪 Test 4: General Question');
+    log.info('🧪 Test 4: General Question');
     const result4 = await run(coordinatorAgent, 'What time is it?');
-    console.log('User: What time is it?');
-    console.log('Response:', result4.finalOutput);
-    console.log('\n' + '─'.repeat(80) + '\n');
+    log.info('User: What time is it?');
+    log.info('Response:', result4.finalOutput);
+    log.info('\n' + '─'.repeat(80) + '\n');
 
-    console.log('✅ Multi-agent workflow completed successfully!');
-    console.log('\n💡 Key Features Demonstrated:');
-    console.log('  • Agent specialization with custom tools');
-    console.log('  • Intelligent handoffs between agents');
-    console.log('  • Coordinator pattern for request routing');
-    console.log('  • Real API integration (weather) with fallbacks');
+    log.info('✅ Multi-agent workflow completed successfully!');
+    log.info('\n💡 Key Features Demonstrated:');
+    log.info('  • Agent specialization with custom tools');
+    log.info('  • Intelligent handoffs between agents');
+    log.info('  • Coordinator pattern for request routing');
+    log.info('  • Real API integration (weather) with fallbacks');
 
   } catch (error) {
-    console.error('❌ Error in multi-agent workflow:', error.message);
+    log.error('❌ Error in multi-agent workflow:', error.message);
     
     if (error.message.includes('quota') || error.message.includes('billing')) {
-      console.log('\n💡 Note: This demo requires an active OpenAI account with available credits.');
-      console.log('Please check your OpenAI billing and usage limits.');
+      log.info('\n💡 Note: This demo requires an active OpenAI account with available credits.');
+      log.info('Please check your OpenAI billing and usage limits.');
     }
   }
 }
 
-testMultiAgentWorkflow();
+// Run the demo when executed directly (importing only exposes the agents)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testMultiAgentWorkflow();
+}
@@ -1,12 +1,13 @@
 // OpenAI Assistants API: Data Analysis Demo
 // Demonstrates code interpreter and data analysis capabilities
-import { OpenAI } from 'openai';
-import 'dotenv/config';
+import { requireOpenAIClient } from '../lib/openai-client.js';
+import { requireModuleSettings } from '../lib/project-config.js';
+import { createLogger } from '../lib/logger.js';
 
-const openai = new OpenAI({ 
-  apiKey: process.env.OPENAI_API_KEY,
-  organization: process.env.OPENAI_ORG_ID // Optional: Set organization header
-});
+const log = createLogger('file-analysis-demo');
+
+const settings = requireModuleSettings('fileAnalysis');
+const openai = requireOpenAIClient({ module: settings.module });
 
 class DataAnalysisAssistant {
   constructor() {
@@ -15,19 +16,13 @@ class DataAnalysisAssistant {
   }
 
   async initialize() {
-    console.log('� Creating Data Analysis Assistant...\n');
+    log.info('� Creating Data Analysis Assistant...\n');
     
     this.assistant = await openai.beta.assistants.create({
       name: "Data Analyst",
-      instructions: `You are a data analysis expert with access to file processing and code interpretation tools. You can:
-      - Analyze CSV, JSON, and text files
-      - Generate visualizations and charts
-      - Perform statistical analysis
-      - Write and execute Python code for data processing
-      - Provide insights and recommendations based on data
-      
-      Always provide clear explanations of your analysis and suggest actionable insights.`,
-      model: "gpt-4o-mini",
+      instructions: settings.systemPrompt,
+      model: settings.model,
+      temperature: settings.temperature,
       tools: [
         { type: "code_interpreter" },
         { type: "file_search" }
@@ -36,12 +31,12 @@ class DataAnalysisAssistant {
 
     this.thread = await openai.beta.threads.create();
     
-    console.log(`✅ Data Analysis Assistant created: ${this.assistant.id}`);
-    console.log(`✅ Thread created: ${this.thread.id}`);
+    log.info(`✅ Data Analysis Assistant created: ${this.assistant.id}`);
+    log.info(`✅ Thread created: ${this.thread.id}`);
   }
 
   async createSampleDataFile() {
-    console.log('\n📊 Creating sample sales data file...');
+    log.info('\n📊 Creating sample sales data file...');
     
     const salesData = {
       sales: [
@@ -68,13 +63,13 @@ class DataAnalysisAssistant {
     const filePath = join(process.cwd(), 'sample-sales-data.csv');
     writeFileSync(filePath, csvData);
     
-    console.log(`✅ Sample file created: ${filePath}`);
+    log.info(`✅ Sample file created: ${filePath}`);
     return filePath;
   }
 
   async uploadFile(filePath) {
     try {
-      console.log(`\n📤 Uploading file: ${filePath}`);
+      log.info(`\n📤 Uploading file: ${filePath}`);
       
       const file = await openai.files.create({
         file: createReadStream(filePath),
@@ -82,18 +77,18 @@ class DataAnalysisAssistant {
       });
       
       this.uploadedFiles.push(file.id);
-      console.log(`✅ File uploaded: ${file.id}`);
+      log.info(`✅ File uploaded: ${file.id}`);
       
       return file.id;
     } catch (error) {
-      console.error('❌ Error uploading file:', error.message);
+      log.error('❌ Error uploading file:', error.message);
       return null;
     }
   }
 
   async analyzeFile(fileId, analysisRequest) {
     try {
-      console.log('\n🔍 Starting file analysis...');
+      log.info('\n🔍 Starting file analysis...');
       
       // Add the file to the thread and send analysis request
       await openai.beta.threads.messages.create(this.thread.id, {
@@ -109,34 +104,35 @@ class DataAnalysisAssistant {
 
       // Run the assistant
       const run = await openai.beta.threads.runs.createAndPoll(this.thread.id, {
-        assistant_id: this.assistant.id
+        assistant_id: this.assistant.id,
+        max_completion_tokens: settings.maxTokens
       });
 
       if (run.status === 'completed') {
         const messages = await openai.beta.threads.messages.list(this.thread.id);
         const response = messages.data[0].content[0].text.value;
         
-        console.log('\n📊 Analysis Results:');
-        console.log('─'.repeat(60));
-        console.log(response);
+        log.info('\n📊 Analysis Results:');
+        log.info('─'.repeat(60));
+        log.info(response);
         
         return response;
       } else {
-        console.log(`❌ Analysis failed: ${run.status}`);
+        log.info(`❌ Analysis failed: ${run.status}`);
         return null;
       }
     } catch (error) {
-      console.error('❌ Error during analysis:', error.message);
+      log.error('❌ Error during analysis:', error.message);
       return null;
     }
   }
 
   async demonstrateFileCapabilities() {
-    console.log('\n🎯 Demonstrating Assistants API File Capabilities');
-    console.log('═'.repeat(60));
+    log.info('\n🎯 Demonstrating Assistants API File Capabilities');
+    log.info('═'.repeat(60));
 
     // Create sample data but demonstrate with direct text input instead of file upload
-    console.log('\n📊 Creating sample sales data...');
+    log.info('\n📊 Creating sample sales data...');
     const salesData = `Month,Revenue,Customers,Product
 January,45000,120,Widget A
 February,52000,135,Widget A
@@ -151,10 +147,10 @@ October,78000,195,Widget C
 November,82000,205,Widget C
 December,89000,220,Widget C`;
 
-    console.log('✅ Sample data created (simulating file input)');
+    log.info('✅ Sample data created (simulating file input)');
 
     // Demo 1: Data analysis with code interpreter
-    console.log('\n📈 Demo 1: Data Analysis with Code Interpreter');
+    log.info('\n📈 Demo 1: Data Analysis with Code Interpreter');
     await this.analyzeData(salesData, 
       `Here's sales data in CSV format:
 ${salesData}
@@ -167,7 +163,7 @@ Please analyze this data using the code interpreter:
     );
 
     // Demo 2: Visualization and advanced analysis
-    console.log('\n💻 Demo 2: Code Generation and Visualization');
+    log.info('\n💻 Demo 2: Code Generation and Visualization');
     await this.analyzeData(salesData,
       `Using the same sales data, please:
 1. Create Python code to process this CSV data
@@ -180,7 +176,7 @@ Please analyze this data using the code interpreter:
 
   async analyzeData(data, analysisRequest) {
     try {
-      console.log('\n� Starting data analysis...');
+      log.info('\n� Starting data analysis...');
       
       // Send the data and analysis request
       await openai.beta.threads.messages.create(this.thread.id, {
@@ -190,7 +186,8 @@ Please analyze this data using the code interpreter:
 
       // Run the assistant with code interpreter
       const run = await openai.beta.threads.runs.createAndPoll(this.thread.id, {
-        assistant_id: this.assistant.id
+        assistant_id: this.assistant.id,
+        max_completion_tokens: settings.maxTokens
       });
 
       if (run.status === 'completed') {
@@ -206,36 +203,36 @@ Please analyze this data using the code interpreter:
           }
         }
         
-        console.log('\n📊 Analysis Results:');
-        console.log('─'.repeat(60));
-        console.log(response);
+        log.info('\n📊 Analysis Results:');
+        log.info('─'.repeat(60));
+        log.info(response);
         
         return response;
       } else {
-        console.log(`❌ Analysis failed: ${run.status}`);
+        log.info(`❌ Analysis failed: ${run.status}`);
         if (run.last_error) {
-          console.log('Error details:', run.last_error.message);
+          log.info('Error details:', run.last_error.message);
         }
         return null;
       }
     } catch (error) {
-      console.error('❌ Error during analysis:', error.message);
+      log.error('❌ Error during analysis:', error.message);
       return null;
     }
   }
 
   async cleanup() {
     try {
-      console.log('\n🧹 Cleaning up resources...');
+      log.info('\n🧹 Cleaning up resources...');
       
       // Delete assistant
       if (this.assistant) {
         await openai.beta.assistants.delete(this.assistant.id);
-        console.log('✅ Assistant deleted');
+        log.info('✅ Assistant deleted');
       }
       
     } catch (error) {
-      console.error('❌ Error during cleanup:', error.message);
+      log.error('❌ Error during cleanup:', error.message);
     }
   }
 }
@@ -244,36 +241,36 @@ async function runDataAnalysisDemo() {
   const assistant = new DataAnalysisAssistant();
   
   try {
-    console.log('🚀 OpenAI Assistants API: Data Analysis Demo');
-    console.log('═'.repeat(60));
-    console.log('\nThis demo showcases Assistants API data analysis capabilities:');
-    console.log('� Direct data processing without file upload');
-    console.log('💻 Code interpreter for data analysis');
-    console.log('📊 Automatic chart generation (via code interpreter)');
-    console.log('🧠 Persistent context for complex analysis');
-    console.log('\n' + '─'.repeat(60));
+    log.info('🚀 OpenAI Assistants API: Data Analysis Demo');
+    log.info('═'.repeat(60));
+    log.info('\nThis demo showcases Assistants API data analysis capabilities:');
+    log.info('� Direct data processing without file upload');
+    log.info('💻 Code interpreter for data analysis');
+    log.info('📊 Automatic chart generation (via code interpreter)');
+    log.info('🧠 Persistent context for complex analysis');
+    log.info('\n' + '─'.repeat(60));
 
     await assistant.initialize();
     await assistant.demonstrateFileCapabilities();
     
-    console.log('\n💡 Key Assistants API Features Demonstrated:');
-    console.log('  ✅ Built-in code interpreter for data processing');
-    console.log('  ✅ Automatic Python code generation and execution');
-    console.log('  ✅ Data analysis and statistical insights');
-    console.log('  ✅ Persistent context across complex analysis');
-    console.log('  ✅ Business intelligence and recommendations');
+    log.info('\n💡 Key Assistants API Features Demonstrated:');
+    log.info('  ✅ Built-in code interpreter for data processing');
+    log.info('  ✅ Automatic Python code generation and execution');
+    log.info('  ✅ Data analysis and statistical insights');
+    log.info('  ✅ Persistent context across complex analysis');
+    log.info('  ✅ Business intelligence and recommendations');
     
-    console.log('\n🔄 Compare with Agents SDK:');
-    console.log('  • Agents: Custom tools, handoffs, workflow orchestration');
-    console.log('  • Assistants: Built-in file tools, persistent state, code interpreter');
+    log.info('\n🔄 Compare with Agents SDK:');
+    log.info('  • Agents: Custom tools, handoffs, workflow orchestration');
+    log.info('  • Assistants: Built-in file tools, persistent state, code interpreter');
     
     await assistant.cleanup();
     
   } catch (error) {
-    console.error('❌ Demo failed:', error.message);
+    log.error('❌ Demo failed:', error.message);
     
     if (error.message.includes('quota') || error.message.includes('billing')) {
-      console.log('\n💡 Note: This demo requires an active OpenAI account with available credits.');
+      log.info('\n💡 Note: This demo requires an active OpenAI account with available credits.');
     }
     
     await assistant.cleanup();
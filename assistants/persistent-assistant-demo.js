@@ -1,13 +1,17 @@
 // OpenAI Assistants API: Persistent Conversation Demo
 // This demonstrates the key differences between Assistants and Agents
-import { OpenAI } from 'openai';
 import { createInterface } from 'readline';
-import 'dotenv/config';
+import { requireOpenAIClient } from '../lib/openai-client.js';
+import { requireModuleSettings } from '../lib/project-config.js';
+import { CommandRegistry } from '../lib/slash-commands.js';
+import { renderMarkdown } from '../lib/terminal-markdown.js';
+import { CONTINUATION_PROMPT, createInputCollector } from '../lib/multiline-input.js';
+import { createLogger } from '../lib/logger.js';
 
-const openai = new OpenAI({ 
-  apiKey: process.env.OPENAI_API_KEY,
-  organization: process.env.OPENAI_ORG_ID // Optional: Set organization header
-});
+const log = createLogger('persistent-assistant-demo');
+
+const settings = requireModuleSettings('persistentAssistant');
+const openai = requireOpenAIClient({ module: settings.module });
 const rl = createInterface({
   input: process.stdin,
   output: process.stdout
@@ -17,22 +21,38 @@ class PersistentAssistant {
   constructor() {
     this.assistant = null;
     this.thread = null;
+    this.commands = this.createCommands();
+  }
+
+  /**
+   * Commands for interactive mode; more can be registered on this.commands
+   */
+  createCommands() {
+    const commands = new CommandRegistry();
+    commands.register({
+      name: 'history',
+      keywords: ['history'],
+      description: 'Show the conversation so far',
+      run: () => this.showConversationHistory()
+    });
+    commands.register({
+      name: 'exit',
+      keywords: ['exit'],
+      description: 'Leave and clean up the assistant',
+      run: () => ({ exit: true })
+    });
+    return commands;
   }
 
   async initialize() {
-    console.log('🤖 Creating a persistent assistant...\n');
+    log.info('🤖 Creating a persistent assistant...\n');
     
     // Create an assistant with specific instructions and tools
     this.assistant = await openai.beta.assistants.create({
       name: "Document Analyst",
-      instructions: `You are a persistent document analyst assistant. You maintain context across conversations and can:
-      - Analyze and remember document content across sessions
-      - Maintain conversation history and context
-      - Provide consistent responses based on previous interactions
-      - Help with file analysis, code interpretation, and research tasks
-      
-      Always reference previous conversations when relevant and maintain a helpful, professional tone.`,
-      model: "gpt-4o-mini",
+      instructions: settings.systemPrompt,
+      model: settings.model,
+      temperature: settings.temperature,
       tools: [
         { type: "code_interpreter" },
         { type: "file_search" }
@@ -47,15 +67,15 @@ class PersistentAssistant {
       }
     });
 
-    console.log(`✅ Assistant created: ${this.assistant.id}`);
-    console.log(`✅ Thread created: ${this.thread.id}`);
-    console.log('\n💡 Key Features of Assistants API:');
-    console.log('  📝 Persistent conversation threads');
-    console.log('  🧠 Maintains context across messages');
-    console.log('  📁 Built-in file handling capabilities');
-    console.log('  🔧 Code interpreter and file search tools');
-    console.log('  💾 Conversation history persists across sessions');
-    console.log('\n' + '═'.repeat(60));
+    log.info(`✅ Assistant created: ${this.assistant.id}`);
+    log.info(`✅ Thread created: ${this.thread.id}`);
+    log.info('\n💡 Key Features of Assistants API:');
+    log.info('  📝 Persistent conversation threads');
+    log.info('  🧠 Maintains context across messages');
+    log.info('  📁 Built-in file handling capabilities');
+    log.info('  🔧 Code interpreter and file search tools');
+    log.info('  💾 Conversation history persists across sessions');
+    log.info('\n' + '═'.repeat(60));
   }
 
   async sendMessage(content) {
@@ -67,9 +87,10 @@ class PersistentAssistant {
       });
 
       // Run the assistant
-      console.log('\n🔄 Processing with assistant...');
+      log.info('\n🔄 Processing with assistant...');
       const run = await openai.beta.threads.runs.createAndPoll(this.thread.id, {
-        assistant_id: this.assistant.id
+        assistant_id: this.assistant.id,
+        max_completion_tokens: settings.maxTokens
       });
 
       if (run.status === 'completed') {
@@ -77,27 +98,27 @@ class PersistentAssistant {
         const messages = await openai.beta.threads.messages.list(this.thread.id);
         const response = messages.data[0].content[0].text.value;
         
-        console.log('\n🤖 Assistant:');
-        console.log(response);
+        log.info('\n🤖 Assistant:');
+        log.info(renderMarkdown(response));
         
         return response;
       } else {
-        console.log(`❌ Run failed with status: ${run.status}`);
+        log.info(`❌ Run failed with status: ${run.status}`);
         if (run.last_error) {
-          console.log('Error:', run.last_error.message);
+          log.info('Error:', run.last_error.message);
         }
         return null;
       }
     } catch (error) {
-      console.error('❌ Error sending message:', error.message);
+      log.error('❌ Error sending message:', error.message);
       return null;
     }
   }
 
   async showConversationHistory() {
     try {
-      console.log('\n📜 Conversation History:');
-      console.log('─'.repeat(40));
+      log.info('\n📜 Conversation History:');
+      log.info('─'.repeat(40));
       
       const messages = await openai.beta.threads.messages.list(this.thread.id);
       
@@ -108,27 +129,27 @@ class PersistentAssistant {
         const role = message.role === 'user' ? '👤 You' : '🤖 Assistant';
         const content = message.content[0].text.value;
         const truncated = content.length > 100 ? content.substring(0, 100) + '...' : content;
-        console.log(`${index + 1}. ${role}: ${truncated}`);
+        log.info(`${index + 1}. ${role}: ${truncated}`);
       });
       
-      console.log('─'.repeat(40));
+      log.info('─'.repeat(40));
     } catch (error) {
-      console.error('❌ Error retrieving history:', error.message);
+      log.error('❌ Error retrieving history:', error.message);
     }
   }
 
   async demonstrateStatefulFeatures() {
-    console.log('\n🎯 Demonstrating Assistants API Stateful Features');
-    console.log('═'.repeat(60));
+    log.info('\n🎯 Demonstrating Assistants API Stateful Features');
+    log.info('═'.repeat(60));
 
     // Demo 1: Context retention
-    console.log('\n📝 Demo 1: Context Retention');
+    log.info('\n📝 Demo 1: Context Retention');
     await this.sendMessage("My name is Alice and I'm working on a machine learning project about sentiment analysis.");
     
     await this.sendMessage("What was my name again?");
     
     // Demo 2: Sequential conversation
-    console.log('\n📈 Demo 2: Sequential Learning');
+    log.info('\n📈 Demo 2: Sequential Learning');
     await this.sendMessage("I need to process customer reviews. What approach would you recommend?");
     
     await this.sendMessage("How would I implement the approach you just suggested?");
@@ -139,41 +160,52 @@ class PersistentAssistant {
 
   async cleanup() {
     try {
-      console.log('\n🧹 Cleaning up resources...');
+      log.info('\n🧹 Cleaning up resources...');
       
       if (this.assistant) {
         await openai.beta.assistants.delete(this.assistant.id);
-        console.log('✅ Assistant deleted');
+        log.info('✅ Assistant deleted');
       }
       
       // Note: Threads are automatically cleaned up, but you could delete manually if needed
-      console.log('✅ Thread will be cleaned up automatically');
+      log.info('✅ Thread will be cleaned up automatically');
       
     } catch (error) {
-      console.error('❌ Error during cleanup:', error.message);
+      log.error('❌ Error during cleanup:', error.message);
     }
   }
 
   async interactiveMode() {
-    console.log('\n💬 Interactive Mode (type "exit" to quit, "history" to see conversation)');
-    console.log('─'.repeat(60));
+    log.info('\n💬 Interactive Mode (type "exit" to quit, "history" to see conversation, /help for commands)');
+    log.info('📝 End a line with \\ to keep typing, or paste several lines between two """ lines');
+    log.info('─'.repeat(60));
 
+    const lines = createInputCollector();
     const askQuestion = () => {
-      rl.question('\n👤 You: ', async (input) => {
-        if (input.toLowerCase().trim() === 'exit') {
-          console.log('\n👋 Goodbye!');
-          rl.close();
-          await this.cleanup();
+      rl.question(lines.pending ? CONTINUATION_PROMPT : '\n👤 You: ', async (line) => {
+        const { done, text: input } = lines.push(line);
+        if (!done) {
+          askQuestion();
           return;
         }
-        
-        if (input.toLowerCase().trim() === 'history') {
-          await this.showConversationHistory();
+
+        let result;
+        try {
+          result = await this.commands.execute(input, { assistant: this, print: (text) => log.info(text) });
+        } catch (error) {
+          log.error(`❌ ${error.message}`);
           askQuestion();
           return;
         }
 
-        await this.sendMessage(input);
+        if (result.exit) {
+          log.info('\n👋 Goodbye!');
+          rl.close();
+          await this.cleanup();
+          return;
+        }
+
+        if (!result.handled) await this.sendMessage(input);
         askQuestion();
       });
     };
@@ -186,32 +218,32 @@ async function runAssistantDemo() {
   const assistant = new PersistentAssistant();
   
   try {
-    console.log('🚀 OpenAI Assistants API: Persistent Conversation Demo');
-    console.log('═'.repeat(60));
-    console.log('\nThis demo showcases the key differences between Assistants and Agents:');
-    console.log('🔄 Agents: Workflow orchestration, handoffs, stateless by default');
-    console.log('💾 Assistants: Persistent threads, stateful conversations, built-in tools');
-    console.log('\n' + '─'.repeat(60));
+    log.info('🚀 OpenAI Assistants API: Persistent Conversation Demo');
+    log.info('═'.repeat(60));
+    log.info('\nThis demo showcases the key differences between Assistants and Agents:');
+    log.info('🔄 Agents: Workflow orchestration, handoffs, stateless by default');
+    log.info('💾 Assistants: Persistent threads, stateful conversations, built-in tools');
+    log.info('\n' + '─'.repeat(60));
 
     await assistant.initialize();
     
     // Run automated demo first
     await assistant.demonstrateStatefulFeatures();
     
-    console.log('\n💡 Key Differences Demonstrated:');
-    console.log('  ✅ Persistent conversation threads');
-    console.log('  ✅ Context retention across messages');
-    console.log('  ✅ Built-in conversation history');
-    console.log('  ✅ Stateful interactions');
+    log.info('\n💡 Key Differences Demonstrated:');
+    log.info('  ✅ Persistent conversation threads');
+    log.info('  ✅ Context retention across messages');
+    log.info('  ✅ Built-in conversation history');
+    log.info('  ✅ Stateful interactions');
     
-    console.log('\n🎮 Now try the interactive mode!');
+    log.info('\n🎮 Now try the interactive mode!');
     await assistant.interactiveMode();
     
   } catch (error) {
-    console.error('❌ Demo failed:', error.message);
+    log.error('❌ Demo failed:', error.message);
     
     if (error.message.includes('quota') || error.message.includes('billing')) {
-      console.log('\n💡 Note: This demo requires an active OpenAI account with available credits.');
+      log.info('\n💡 Note: This demo requires an active OpenAI account with available credits.');
     }
     
     await assistant.cleanup();
@@ -0,0 +1,99 @@
+// Chatbot batch mode
+// Runs the chatbot without a terminal, for shell pipelines and golden
+// transcripts. Prompts are read one per line from piped stdin or a file
+// (--input <file>, or - for stdin); blank lines are skipped and lines
+// starting with / are commands, as in the terminal chatbot. Replies go to
+// stdout in the --format given:
+//   text   Each reply as it streams, followed by a newline (the default)
+//   jsonl  One JSON object per reply: { prompt, reply, model, finishReason,
+//          usage, cost, and tools when it called any }, or
+//          { prompt, error: { message, status } } when the prompt failed
+// Everything else (command output, tool calls, retries, errors) goes to
+// stderr, and the chatbot exits with 1 when a prompt failed. The session is
+// only saved with --save.
+//
+//   printf 'Hello\nTell me about tides\n' | node chatbot/chatbot.js --format jsonl
+//   node chatbot/chatbot.js --input prompts.txt > replies.txt
+import { createReadStream, existsSync } from 'fs';
+import readline from 'readline';
+import { calculateCost } from '../lib/cost-tracker.js';
+import { roundCost } from '../lib/usage-export.js';
+import { describeToolCall } from '../lib/tool-registry.js';
+import { createLogger } from '../lib/logger.js';
+
+// stdout is for replies only
+const log = createLogger('chatbot', { write: (_level, line) => process.stderr.write(`${line}\n`) });
+
+/**
+ * Formats batch mode writes replies in
+ */
+export const OUTPUT_FORMATS = ['text', 'jsonl'];
+
+/**
+ * The JSONL record for a prompt's reply
+ */
+export function replyRecord(prompt, reply) {
+  return {
+    prompt,
+    reply: reply.text,
+    model: reply.model,
+    finishReason: reply.finishReason,
+    usage: reply.usage,
+    cost: reply.usage ? roundCost(calculateCost(reply.usage, reply.model).total) : null,
+    ...(reply.tools?.length > 0 ? { tools: reply.tools } : {})
+  };
+}
+
+/**
+ * The JSONL record for a prompt that failed
+ */
+export function errorRecord(prompt, error, message = error.message) {
+  return { prompt, error: { message, status: error.status ?? null } };
+}
+
+/**
+ * Answer every prompt in `input` (a file, or '-' for `stdin`), writing replies
+ * with `write`. createRunner(ui) makes the chat runner (see createChatRunner
+ * in chatbot.js). Resolves to { prompts, replies, failed }.
+ */
+export async function runBatch({ input = '-', format = 'text', createRunner, stdin = process.stdin, write = (text) => process.stdout.write(text) }) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format "${format}". Formats: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (input !== '-' && !existsSync(input)) throw new Error(`No prompt file at ${input}`);
+
+  const totals = { prompts: 0, replies: 0, failed: 0 };
+  let prompt = null;
+
+  const runner = createRunner({
+    onDelta: (text) => {
+      if (format === 'text') write(text);
+    },
+    onReply: (reply) => {
+      totals.replies += 1;
+      write(format === 'text' ? '\n' : `${JSON.stringify(replyRecord(prompt, reply))}\n`);
+    },
+    onToolCall: (toolCall) => log.info(`🔧 ${describeToolCall(toolCall.function)}`),
+    onToolResult: ({ output, error }) => log.info(`   ${error ? '⚠️ ' : '↳'} ${output}`),
+    onRetry: ({ attempt, retries, delay, message }) => {
+      log.warn(`⏳ ${message}. Retrying in ${(delay / 1000).toFixed(1)}s (${attempt} of ${retries})`);
+    },
+    onError: (error, message) => {
+      totals.failed += 1;
+      log.error(`❌ ${JSON.stringify(prompt)}: ${message}`);
+      if (format === 'jsonl') write(`${JSON.stringify(errorRecord(prompt, error, message))}\n`);
+    },
+    print: (text) => log.info(text)
+  });
+
+  const lines = readline.createInterface({ input: input === '-' ? stdin : createReadStream(input), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    prompt = line;
+    totals.prompts += 1;
+    const { exit } = await runner.handle(line);
+    if (exit) break;
+  }
+  lines.close();
+  return totals;
+}
@@ -0,0 +1,503 @@
+// Chatbot HTTP API
+// A local HTTP server for putting a web frontend on the chatbot. It chats
+// through the same session logic as the terminal chatbot (chatbot.js) and
+// keeps its sessions in the same store, so either can pick up the other's.
+//
+// Routes (JSON bodies):
+//   POST   /sessions                Start a session: { name, profile, model,
+//                                   temperature, maxTokens, systemPrompt or
+//                                   persona (and personaVariables), context,
+//                                   tools }
+//   GET    /sessions                List sessions, most recent first
+//   GET    /sessions/:id            A session with its message history
+//   PATCH  /sessions/:id            Change its name, model, systemPrompt,
+//                                   persona, temperature, maxTokens, context
+//                                   or tools, or switch to another branch
+//   DELETE /sessions/:id            Delete it
+//   POST   /sessions/:id/messages   Send { content }; the reply streams back as
+//                                   server-sent events: context, delta,
+//                                   tool_call, tool_result, done (or error
+//                                   when it fails part way)
+//
+// tools names the session's tools from the shared tool registry
+// (lib/tools.js); [] turns them off. Tool calls run on the server, and each
+// is streamed as a tool_call event and its output as a tool_result event.
+//
+// Sessions are described with their branches (see lib/chat-sessions.js) and
+// chat on the current one; { branch } switches to another, for example one
+// made by /edit in the terminal chatbot.
+//
+// Calls that fail for a reason that may pass are retried with backoff, up to
+// --retries times (CHATBOT_RETRIES, default 3), but only until the first
+// event has been sent. A failed API call then answers with a JSON error: 429
+// when OpenAI is rate limiting, 402 when a budget's hard limit is reached,
+// 504 on a timeout and 502 for anything else OpenAI rejects. Closing the connection stops the
+// reply; a stopped reply is kept or dropped by --partial-replies.
+//
+// Run: node chatbot/chat-server.js [--port 4020] [--allow-origin http://localhost:5173] [--retries 3]
+// Model settings come from the chatbot module's profile (--profile etc.).
+import http from 'http';
+import { z } from 'zod';
+import { APIConnectionTimeoutError, APIError } from 'openai';
+import { requireOpenAIClient } from '../lib/openai-client.js';
+import { loadProjectConfig, moduleSettingsSchema, parseConfigArgs, resolveModuleSettings } from '../lib/project-config.js';
+import { ChatSession, ChatSessionError, getChatSessionStore } from '../lib/chat-sessions.js';
+import { BudgetExceededError } from '../lib/budget.js';
+import { isAbortError } from '../lib/chat-stream.js';
+import { calculateCost, getPricingCatalog } from '../lib/cost-tracker.js';
+import { PromptLibraryError, getPromptLibrary } from '../lib/prompt-library.js';
+import { ToolError } from '../lib/tool-registry.js';
+import { getToolRegistry } from '../lib/tools.js';
+import { createLogger } from '../lib/logger.js';
+import { RETRY_DEFAULTS, isRetryableError, withRetries } from '../lib/retry.js';
+import { PARTIAL_REPLY_MODES, openContextWindow, replyInSession, sessionSettings } from './chatbot.js';
+import { setSystemPrompt } from './commands.js';
+
+const log = createLogger('chat-server');
+
+const MODULE = 'chatbot';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * An error answered with its status and a JSON body
+ */
+export class ChatAPIError extends Error {
+  constructor(status, message, type = 'invalid_request_error', headers = {}) {
+    super(message);
+    this.name = 'ChatAPIError';
+    this.status = status;
+    this.type = type;
+    this.headers = headers;
+  }
+}
+
+const sessionFields = {
+  name: z.string().trim().min(1, 'must not be empty').optional(),
+  ...moduleSettingsSchema.shape
+};
+
+const createSessionSchema = z.object({ ...sessionFields, profile: z.string().min(1).optional() }).strict();
+
+const updateSessionSchema = z.object({ ...sessionFields, branch: z.string().min(1, 'must be a branch name').optional() }).strict();
+
+const messageSchema = z.object({ content: z.string().trim().min(1, 'must not be empty') }).strict();
+
+/**
+ * The status, type and headers to answer an error with. API errors are
+ * OpenAI's problem, not the caller's, so they become 502 unless a better
+ * code says what happened.
+ */
+export function describeError(error) {
+  if (error instanceof ChatAPIError) {
+    return { status: error.status, type: error.type, headers: error.headers };
+  }
+  if (error instanceof BudgetExceededError) {
+    return { status: 402, type: 'budget_exceeded', headers: {} };
+  }
+  if (error instanceof APIConnectionTimeoutError) {
+    return { status: 504, type: 'upstream_timeout', headers: {} };
+  }
+  if (error instanceof APIError) {
+    if (error.status === 429) {
+      const retryAfter = error.headers?.get?.('retry-after');
+      return { status: 429, type: 'rate_limited', headers: retryAfter ? { 'retry-after': retryAfter } : {} };
+    }
+    return { status: 502, type: 'upstream_error', headers: {}, upstreamStatus: error.status ?? null };
+  }
+  return { status: 500, type: 'server_error', headers: {} };
+}
+
+function errorBody(error, described) {
+  return {
+    error: {
+      message: error.message,
+      type: described.type,
+      ...(described.upstreamStatus ? { upstreamStatus: described.upstreamStatus } : {})
+    }
+  };
+}
+
+/**
+ * The session id in a path, or a 400 when it is not valid URL encoding
+ */
+function decodeId(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    throw new ChatAPIError(400, `The session id "${part}" is not valid URL encoding`);
+  }
+}
+
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function sendEvent(res, event, data) {
+  if (res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new ChatAPIError(413, 'The request body is too large');
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf-8').trim();
+  if (!text) return {};
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new ChatAPIError(400, 'The request body is not valid JSON');
+  }
+}
+
+function validate(schema, body) {
+  const result = schema.safeParse(body);
+  if (!result.success) {
+    const problems = result.error.issues.map(issue => `${issue.path.join('.') || 'body'}: ${issue.message}`);
+    throw new ChatAPIError(400, `Invalid request: ${problems.join('; ')}`);
+  }
+  return result.data;
+}
+
+function checkModel(model) {
+  const catalog = getPricingCatalog();
+  if (model !== undefined && !catalog.resolveModel(model)) {
+    throw new ChatAPIError(400, `Unknown model "${model}". Priced models: ${catalog.models().join(', ')}`);
+  }
+}
+
+function checkTools(tools) {
+  if (tools === undefined) return;
+  try {
+    getToolRegistry().select(tools);
+  } catch (error) {
+    if (error instanceof ToolError) throw new ChatAPIError(400, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Settings a session keeps for itself, besides its model and system prompt
+ */
+function sessionConfig({ context, ...settings }, previous = {}) {
+  const config = { ...previous, ...settings, ...(context ? { context: { ...previous.context, ...context } } : {}) };
+  return Object.keys(config).length > 0 ? config : null;
+}
+
+/**
+ * A session without its messages, with its branches
+ */
+export function describeSession(session) {
+  const { messages, branches, nodes, ...rest } = session.toJSON();
+  return {
+    ...rest,
+    branch: session.branch,
+    title: session.title,
+    messageCount: messages.filter(message => message.role !== 'system').length,
+    branches: session.listBranches()
+  };
+}
+
+/**
+ * The request handler. Options: client (the OpenAI client to chat through),
+ * store (a ChatSessionStore), loaded (loadProjectConfig's result, for the
+ * module's profiles), prompts (a PromptLibrary for personas), partialReplies
+ * ('keep' or 'discard') and allowOrigin (the web frontend's origin, for CORS).
+ */
+export function createChatHandler({ client, store = getChatSessionStore(), loaded = loadProjectConfig(), prompts = null, partialReplies = 'keep', allowOrigin = null, retries = RETRY_DEFAULTS.retries, retryDelay }) {
+  // Sessions with a reply streaming; other changes to them get 409 until it is done
+  const busy = new Set();
+
+  const moduleSettings = (profile) => {
+    if (!loaded.config.profiles[profile]) {
+      throw new ChatAPIError(400, `Unknown profile "${profile}". Available profiles: ${Object.keys(loaded.config.profiles).join(', ')}`);
+    }
+    return resolveModuleSettings(MODULE, { loaded: { ...loaded, profile } });
+  };
+
+  /**
+   * The system prompt a request asks for: written out, or a persona rendered
+   * with its variables. Undefined when it asks for neither.
+   */
+  const requestedPrompt = ({ systemPrompt, persona, personaVariables }) => {
+    if (persona === undefined) return systemPrompt;
+    if (systemPrompt !== undefined) throw new ChatAPIError(400, 'Set systemPrompt or persona, not both');
+    try {
+      return (prompts || getPromptLibrary()).render(persona, personaVariables);
+    } catch (error) {
+      if (error instanceof PromptLibraryError) throw new ChatAPIError(400, error.message);
+      throw error;
+    }
+  };
+
+  const findSession = (id) => {
+    const session = store.get(id);
+    if (!session) throw new ChatAPIError(404, `No session "${id}"`, 'not_found');
+    return session;
+  };
+
+  const routes = {
+    'POST /sessions': async (req, res) => {
+      const { profile, name, model, systemPrompt, persona, personaVariables, ...config } = validate(createSessionSchema, await readBody(req));
+      checkModel(model);
+      checkTools(config.tools);
+      const settings = moduleSettings(profile ?? loaded.profile);
+      const prompt = requestedPrompt({ systemPrompt, persona, personaVariables });
+
+      const session = ChatSession.start({
+        model: model ?? settings.model,
+        profile: settings.profile,
+        systemPrompt: prompt ?? settings.systemPrompt,
+        name: name ?? null,
+        config: sessionConfig(config)
+      });
+      store.save(session);
+      sendJSON(res, 201, describeSession(session), { location: `/sessions/${session.id}` });
+    },
+
+    'GET /sessions': async (_req, res) => {
+      sendJSON(res, 200, { sessions: store.list().map(describeSession) });
+    },
+
+    'GET /sessions/:id': async (_req, res, id) => {
+      const session = findSession(id);
+      sendJSON(res, 200, { ...describeSession(session), messages: session.messages });
+    },
+
+    'PATCH /sessions/:id': async (req, res, id) => {
+      const { name, model, systemPrompt, persona, personaVariables, branch, ...config } = validate(updateSessionSchema, await readBody(req));
+      checkModel(model);
+      checkTools(config.tools);
+      const prompt = requestedPrompt({ systemPrompt, persona, personaVariables });
+      if (busy.has(id)) throw new ChatAPIError(409, 'A reply is still streaming in this session', 'conflict');
+
+      const session = findSession(id);
+      if (branch !== undefined) {
+        try {
+          session.switchBranch(branch);
+        } catch (error) {
+          if (error instanceof ChatSessionError) throw new ChatAPIError(400, error.message);
+          throw error;
+        }
+      }
+      if (name !== undefined) session.name = name;
+      if (model !== undefined) session.model = model;
+      if (prompt !== undefined) setSystemPrompt(session, prompt);
+      session.config = sessionConfig(config, session.config || {});
+      store.save(session);
+      sendJSON(res, 200, describeSession(session));
+    },
+
+    'DELETE /sessions/:id': async (_req, res, id) => {
+      if (busy.has(id)) throw new ChatAPIError(409, 'A reply is still streaming in this session', 'conflict');
+      store.delete(findSession(id).id);
+      sendJSON(res, 204);
+    },
+
+    'POST /sessions/:id/messages': async (req, res, id) => {
+      const { content } = validate(messageSchema, await readBody(req));
+      if (busy.has(id)) throw new ChatAPIError(409, 'A reply is still streaming in this session', 'conflict');
+
+      const session = findSession(id);
+      // A session whose profile has since been removed chats with the default one
+      const profile = loaded.config.profiles[session.profile] ? session.profile : loaded.profile;
+      const settings = sessionSettings(moduleSettings(profile), session);
+      const context = openContextWindow(client, session, settings);
+      const controller = new AbortController();
+      // Closing the connection before the reply is done stops it
+      res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+      });
+
+      // The stream starts with the first piece of the reply, so a call that
+      // fails before then still gets a status code
+      let prepared = null;
+      const startStream = () => {
+        if (res.headersSent) return;
+        res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache', connection: 'keep-alive' });
+        sendEvent(res, 'context', { tokens: prepared.tokens, sent: prepared.sent, total: prepared.total, summarized: prepared.summarized });
+      };
+
+      busy.add(id);
+      const start = session.messages.length;
+      session.messages.push({ role: 'user', content });
+      try {
+        // Once an event is out the status is sent, so only a call that has
+        // not streamed anything yet is tried again
+        const reply = await withRetries(() => replyInSession(client, session, settings, context, {
+          signal: controller.signal,
+          partialReplies,
+          onContext: (ready) => { prepared = ready; },
+          onDelta: (text) => {
+            startStream();
+            sendEvent(res, 'delta', { text });
+          },
+          onToolCall: (toolCall) => {
+            startStream();
+            sendEvent(res, 'tool_call', { id: toolCall.id, name: toolCall.function.name, arguments: toolCall.function.arguments });
+          },
+          onToolResult: ({ id: callId, name, output, error }) => {
+            startStream();
+            sendEvent(res, 'tool_result', { id: callId, name, output, error });
+          }
+        }), {
+          retries,
+          baseDelay: retryDelay,
+          signal: controller.signal,
+          shouldRetry: (error) => !res.headersSent && isRetryableError(error),
+          onRetry: ({ attempt, delay, error }) => log.warn(`⏳ Reply in ${id} failed (${error.message}). Retrying in ${delay}ms (${attempt} of ${retries})`)
+        });
+
+        startStream();
+        store.save(session);
+        sendEvent(res, 'done', {
+          reply: {
+            text: reply.text,
+            finishReason: reply.finishReason,
+            aborted: reply.aborted,
+            kept: reply.kept,
+            tools: reply.tools,
+            usage: reply.usage,
+            cost: reply.usage ? calculateCost(reply.usage, settings.model).total : null
+          },
+          totals: session.totals
+        });
+        res.end();
+      } catch (error) {
+        // Like the terminal chatbot, a message that got no reply is taken
+        // back, with any tool calls made for it
+        session.messages.splice(start);
+        store.save(session);
+        if (!res.headersSent) {
+          // Closed while waiting to try again: there is no one to answer
+          if (isAbortError(error, controller.signal)) {
+            res.end();
+            return;
+          }
+          throw error;
+        }
+
+        log.error(`❌ Reply in ${id} failed: ${error.message}`);
+        const described = describeError(error);
+        sendEvent(res, 'error', { ...errorBody(error, described), status: described.status });
+        res.end();
+      } finally {
+        busy.delete(id);
+      }
+    }
+  };
+
+  return async (req, res) => {
+    if (allowOrigin) {
+      res.setHeader('access-control-allow-origin', allowOrigin);
+      res.setHeader('access-control-allow-methods', 'GET, POST, PATCH, DELETE');
+      res.setHeader('access-control-allow-headers', 'content-type');
+    }
+
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const parts = pathname.split('/').filter(Boolean);
+      const id = parts[1] ? decodeId(parts[1]) : null;
+      const route = ['', ...parts.map((part, index) => (index === 1 ? ':id' : part))].join('/');
+
+      const methods = Object.keys(routes).filter(key => key.split(' ')[1] === route).map(key => key.split(' ')[0]);
+      if (methods.length === 0) throw new ChatAPIError(404, `No route ${pathname}`, 'not_found');
+      if (req.method === 'OPTIONS' && allowOrigin) {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      if (!methods.includes(req.method)) {
+        throw new ChatAPIError(405, `${req.method} is not allowed on ${route}`, 'method_not_allowed', { allow: methods.join(', ') });
+      }
+
+      await routes[`${req.method} ${route}`](req, res, id);
+    } catch (error) {
+      const described = describeError(error);
+      if (described.status >= 500) log.error(`❌ ${req.method} ${req.url} failed: ${error.message}`);
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      sendJSON(res, described.status, errorBody(error, described), described.headers);
+    }
+  };
+}
+
+/**
+ * Start a chat server and resolve once it is listening.
+ * Use port 0 to pick a free port.
+ */
+export async function startChatServer({ port = 4020, host = '127.0.0.1', ...options }) {
+  const server = http.createServer(createChatHandler(options));
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  return {
+    server,
+    url: `http://${host}:${address.port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Chat server options from the command line: --port, --host,
+ * --allow-origin, --partial-replies and --retries
+ */
+export function parseServerArgs(argv = parseConfigArgs().args, env = process.env) {
+  const options = {
+    port: Number(env.PORT || 4020),
+    host: '127.0.0.1',
+    allowOrigin: null,
+    partialReplies: env.CHATBOT_PARTIAL_REPLIES?.trim() || 'keep',
+    retries: env.CHATBOT_RETRIES?.trim() ? Number(env.CHATBOT_RETRIES) : RETRY_DEFAULTS.retries
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s, 2);
+    const value = () => (inline !== undefined ? inline : argv[++i]);
+    if (flag === '--port') options.port = Number(value());
+    else if (flag === '--host') options.host = value();
+    else if (flag === '--allow-origin') options.allowOrigin = value();
+    else if (flag === '--partial-replies') options.partialReplies = value();
+    else if (flag === '--retries') options.retries = Number(value());
+    else throw new Error(`Unknown option "${argv[i]}". Options: --port, --host, --allow-origin, --partial-replies, --retries`);
+  }
+
+  if (!(Number.isInteger(options.port) && options.port >= 0)) throw new Error('--port must be a port number');
+  if (!(Number.isInteger(options.retries) && options.retries >= 0)) throw new Error('--retries must be a whole number of 0 or more');
+  if (!PARTIAL_REPLY_MODES.includes(options.partialReplies)) {
+    throw new Error(`--partial-replies must be one of ${PARTIAL_REPLY_MODES.join(', ')}, got "${options.partialReplies}"`);
+  }
+  return options;
+}
+
+// Run the chat server when executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  Promise.resolve()
+    .then(() => {
+      const loaded = loadProjectConfig();
+      // The server retries failed calls itself, before the reply starts streaming
+      const client = requireOpenAIClient({ module: MODULE, maxRetries: 0 });
+      return startChatServer({ ...parseServerArgs(), client, loaded }).then(({ url }) => {
+        log.info(`💬 Chat API listening on ${url} [${loaded.profile} profile]`);
+        log.info(`   Start a session: curl -X POST ${url}/sessions`);
+        log.info('   Press Ctrl+C to stop.');
+      });
+    })
+    .catch(error => {
+      log.error(`❌ Could not start the chat server: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -1,32 +1,596 @@
 // Basic Chatbot Development
 // Persistent conversation chatbot using OpenAI API
-import { OpenAI } from 'openai';
+//
+// Replies stream in token by token. Esc (or Ctrl+C) stops the reply being
+// written and keeps the session going; Ctrl+C at the prompt exits. Whether a
+// stopped reply stays in the conversation is set with --partial-replies
+// keep|discard or CHATBOT_PARTIAL_REPLIES (default: keep).
+//
+// Every session is saved after each turn (see lib/chat-sessions.js).
+// --resume <session> picks one up again with its exact history and model;
+// --resume on its own continues the most recent one.
+//
+// Long sessions are kept inside the model's context by the module's
+// `context` settings (see lib/context-window.js): --context full|sliding|summary
+// and --context-tokens <n> override them for one run.
+//
+// Lines starting with / are commands (see chatbot/commands.js): /system,
+// /persona, /model, /tools, /reset, /undo, /retry, /history, /edit,
+// /regenerate, /branches, /branch, /cost, /export, /help and /exit.
+// Start a message with // to send it with a leading slash.
+//
+// /edit <turn> and /regenerate [turn] fork the conversation into a new
+// branch, keeping the original; /branch <name> switches between them. Each
+// branch has its own token and cost totals (see lib/chat-sessions.js).
+//
+// The system prompt is the chatbot module's persona from data/prompts (see
+// lib/prompt-library.js); --persona <name> picks another for one run.
+//
+// Calls that fail for a reason that may pass (rate limits, server errors,
+// dropped connections) are retried with backoff, up to --retries times
+// (CHATBOT_RETRIES, default 3); anything else is reported and the session
+// carries on. Without a terminal (piped stdin, or --input <file>) the
+// chatbot runs in batch mode: see chatbot/batch.js. Batch sessions are only
+// saved with --save.
+//
+// Replies are rendered as Markdown while they stream in (see
+// lib/terminal-markdown.js), in color unless NO_COLOR is set; --markdown off
+// or CHATBOT_MARKDOWN=off prints them raw. A message can span several lines:
+// end a line with \ to go on, paste between two """ lines, or leave a ```
+// code block open until it closes (see lib/multiline-input.js).
+//
+// Tools from the shared tool registry (lib/tools.js: weather, calculator,
+// facts, current time) are enabled per session with /tools on <name...|all>
+// or --tools <name,...|all|none>. Each call and its result is shown, sent back
+// to the model, and the model asked again until it answers.
 import readline from 'readline';
-import 'dotenv/config';
+import { APIConnectionError, APIConnectionTimeoutError, APIError } from 'openai';
+import { requireOpenAIClient } from '../lib/openai-client.js';
+import { requireModuleSettings, completionOptions, parseConfigArgs } from '../lib/project-config.js';
+import { calculateCost, estimateCost, formatCostRange } from '../lib/cost-tracker.js';
+import { isAbortError, streamChatCompletion } from '../lib/chat-stream.js';
+import { ChatSession, getChatSessionStore } from '../lib/chat-sessions.js';
+import { CONTEXT_STRATEGIES, ContextWindow, describeContext } from '../lib/context-window.js';
+import { RETRY_DEFAULTS, isRetryableError, withRetries } from '../lib/retry.js';
+import { BudgetExceededError } from '../lib/budget.js';
+import { createMarkdownStream, renderMarkdown } from '../lib/terminal-markdown.js';
+import { describeToolCall } from '../lib/tool-registry.js';
+import { getToolRegistry } from '../lib/tools.js';
+import { CONTINUATION_PROMPT, createInputCollector } from '../lib/multiline-input.js';
+import { createLogger } from '../lib/logger.js';
+import { createChatbotCommands, setSessionTools } from './commands.js';
+import { OUTPUT_FORMATS, runBatch } from './batch.js';
 
-const openai = new OpenAI({ 
-  apiKey: process.env.OPENAI_API_KEY,
-  organization: process.env.OPENAI_ORG_ID // Optional: Set organization header
-});
-const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+const log = createLogger('chatbot');
 
-const conversation = [
-  { role: 'system', content: 'You are a helpful assistant.' }
-];
+/**
+ * What happens to a reply that was stopped before it finished
+ */
+export const PARTIAL_REPLY_MODES = ['keep', 'discard'];
 
-async function chat() {
-  rl.question('You: ', async (input) => {
-    conversation.push({ role: 'user', content: input });
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: conversation
+/**
+ * How many times a reply may call tools before the model has to answer
+ */
+export const MAX_TOOL_ROUNDS = 5;
+
+/**
+ * Chatbot options from the command line (--partial-replies, --resume,
+ * --context, --context-tokens, --retries, --input, --format, --markdown,
+ * --tools) or the environment (CHATBOT_PARTIAL_REPLIES, CHATBOT_RETRIES,
+ * CHATBOT_MARKDOWN).
+ * resume is null for a new session and true for the most recent one;
+ * context holds the context settings given on the command line; input is
+ * the batch mode's prompt file ('-' for stdin) and format its output;
+ * markdown is whether replies are rendered; tools is null to keep the
+ * session's tools, 'all', or a list of tool names (empty for none).
+ */
+export function parseChatbotOptions(argv = parseConfigArgs().args, env = process.env) {
+  let partialReplies = env.CHATBOT_PARTIAL_REPLIES?.trim() || 'keep';
+  let retries = env.CHATBOT_RETRIES?.trim() ? Number(env.CHATBOT_RETRIES) : RETRY_DEFAULTS.retries;
+  let resume = null;
+  let input = null;
+  let format = 'text';
+  let markdown = env.CHATBOT_MARKDOWN?.trim() || 'on';
+  let tools = null;
+  let save = false;
+  const context = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s, 2);
+    const value = () => (inline !== undefined ? inline : argv[++i]);
+    if (flag === '--partial-replies') partialReplies = value();
+    if (flag === '--context') context.strategy = value();
+    if (flag === '--context-tokens') context.maxTokens = Number(value());
+    if (flag === '--retries') retries = Number(value());
+    if (flag === '--input') input = value();
+    if (flag === '--format') format = value();
+    if (flag === '--markdown') markdown = value();
+    if (flag === '--tools') tools = value();
+    if (flag === '--save') save = true;
+    if (flag === '--resume') {
+      resume = inline !== undefined ? inline : (argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true);
+    }
+  }
+
+  if (!PARTIAL_REPLY_MODES.includes(partialReplies)) {
+    throw new Error(`--partial-replies must be one of ${PARTIAL_REPLY_MODES.join(', ')}, got "${partialReplies}"`);
+  }
+  if (context.strategy !== undefined && !CONTEXT_STRATEGIES.includes(context.strategy)) {
+    throw new Error(`--context must be one of ${CONTEXT_STRATEGIES.join(', ')}, got "${context.strategy}"`);
+  }
+  if (context.maxTokens !== undefined && !(Number.isInteger(context.maxTokens) && context.maxTokens > 0)) {
+    throw new Error('--context-tokens must be a positive whole number');
+  }
+  if (!(Number.isInteger(retries) && retries >= 0)) {
+    throw new Error('--retries must be a whole number of 0 or more');
+  }
+  if (input === undefined || input === '') throw new Error('--input needs a file, or - for stdin');
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${OUTPUT_FORMATS.join(', ')}, got "${format}"`);
+  }
+  if (!['on', 'off'].includes(markdown)) throw new Error(`--markdown must be on or off, got "${markdown}"`);
+  if (tools === undefined || tools === '') throw new Error('--tools needs tool names, all or none');
+  if (tools !== null && tools !== 'all') tools = tools === 'none' ? [] : tools.split(',').map(name => name.trim()).filter(Boolean);
+  return { partialReplies, resume, context, retries, input, format, markdown: markdown === 'on', tools, save };
+}
+
+/**
+ * The session to chat in: a saved one when resuming, otherwise a new one
+ * with the module's model and system prompt
+ */
+export function openSession(store, settings, { resume = null } = {}) {
+  if (resume === null) {
+    return ChatSession.start({ model: settings.model, profile: settings.profile, systemPrompt: settings.systemPrompt });
+  }
+
+  const session = resume === true ? store.latest() : store.find(resume);
+  if (!session) throw new Error('There is no saved session to resume yet');
+  return session;
+}
+
+/**
+ * The settings to chat in a session with: the module's settings, the
+ * session's own settings (temperature, maxTokens, context) on top, and the
+ * session's model
+ */
+export function sessionSettings(settings, session) {
+  const { context, ...config } = session.config || {};
+  return { ...settings, ...config, context: { ...settings.context, ...context }, model: session.model };
+}
+
+/**
+ * The context window for a session: the module's context settings with the
+ * command line's on top, resuming the session's rolling summary
+ */
+export function openContextWindow(client, session, settings, options = {}) {
+  return new ContextWindow({ ...settings.context, ...options.context, client, model: settings.model, state: session.context });
+}
+
+/**
+ * Stream the bot's reply to the conversation, handing each piece of text to
+ * onDelta. `messages` is what is sent (default: the whole conversation, see
+ * ContextWindow.prepare); `tools` are the tool definitions offered, and
+ * toolChoice 'none' forbids calling them. The reply is added to the
+ * conversation with its tool calls; a reply stopped through `signal` is only
+ * added (without tool calls) when partialReplies is 'keep'.
+ * Returns the streamed reply (see streamChatCompletion) and whether it was kept.
+ */
+export async function sendMessage(client, conversation, settings, { messages = conversation, tools = [], toolChoice, signal, onDelta, partialReplies = 'keep' } = {}) {
+  const params = { ...completionOptions(settings), messages };
+  if (tools.length > 0) Object.assign(params, { tools }, toolChoice ? { tool_choice: toolChoice } : {});
+  const reply = await streamChatCompletion(client, params, { signal, onDelta });
+
+  const kept = !reply.aborted || (partialReplies === 'keep' && reply.text !== '');
+  if (kept && !reply.aborted && reply.toolCalls.length > 0) {
+    conversation.push({ role: 'assistant', content: reply.text || null, tool_calls: reply.toolCalls });
+  } else if (kept) {
+    conversation.push({ role: 'assistant', content: reply.text });
+  }
+  return { ...reply, kept };
+}
+
+/**
+ * Token counts of two calls added up
+ */
+function addUsage(total, usage) {
+  if (!total) return usage;
+  return {
+    prompt_tokens: total.prompt_tokens + usage.prompt_tokens,
+    completion_tokens: total.completion_tokens + usage.completion_tokens,
+    total_tokens: total.total_tokens + usage.total_tokens
+  };
+}
+
+/**
+ * Answer the last user message of a session: prepare its context window
+ * (recording a summary call as usage that is not a reply), hand the prepared
+ * context to onContext, stream the reply and add its usage to the session.
+ *
+ * The tools named in settings.tools (from `tools`, default: the shared
+ * registry) are offered to the model. When the reply calls them, each call
+ * is run (onToolCall before, onToolResult after), the results are added to
+ * the conversation and the model is asked again, and so on for up to
+ * maxToolRounds rounds; after that the model has to answer without tools.
+ * Every round goes through onContext again.
+ *
+ * Returns the final reply (see sendMessage) with its model, the prepared
+ * context, the tool invocations (see ToolRegistry.call) and, unless it was
+ * stopped, the usage of all its rounds.
+ */
+export async function replyInSession(client, session, settings, context, { signal, onDelta, onContext, onToolCall, onToolResult, partialReplies, tools = getToolRegistry(), maxToolRounds = MAX_TOOL_ROUNDS } = {}) {
+  const definitions = settings.tools?.length > 0 ? tools.definitions(settings.tools) : [];
+  const invocations = [];
+  let usage = null;
+
+  for (let round = 1; ; round++) {
+    const prepared = await context.prepare(session.messages);
+    session.context = context.state;
+    if (prepared.summaryUsage) {
+      session.recordUsage(prepared.summaryUsage, context.settings.summaryModel, { reply: false });
+    }
+    onContext?.(prepared);
+
+    const lastRound = round > maxToolRounds;
+    const reply = await sendMessage(client, session.messages, settings, {
+      messages: prepared.messages,
+      tools: definitions,
+      toolChoice: lastRound ? 'none' : undefined,
+      signal,
+      onDelta,
+      partialReplies
     });
-    const reply = completion.choices[0].message.content;
-    console.log('Bot:', reply);
-    conversation.push({ role: 'assistant', content: reply });
-    chat();
+    const toolCalls = reply.aborted ? [] : reply.toolCalls;
+    // Only the round that answers counts as a reply
+    if (reply.usage) session.recordUsage(reply.usage, settings.model, { reply: toolCalls.length === 0 });
+    usage = reply.usage ? addUsage(usage, reply.usage) : usage;
+
+    const done = { ...reply, usage: reply.usage && usage, model: settings.model, context: prepared, tools: invocations };
+    if (toolCalls.length === 0) return done;
+
+    for (const toolCall of toolCalls) {
+      let invocation;
+      if (lastRound) {
+        // Every tool call needs a result, even one that was not run
+        invocation = { id: toolCall.id, name: toolCall.function.name, arguments: toolCall.function.arguments, output: `Error: Not run, the limit of ${maxToolRounds} tool rounds was reached`, error: true };
+      } else {
+        onToolCall?.(toolCall);
+        invocation = await tools.call(toolCall, { session, signal });
+      }
+      invocations.push(invocation);
+      session.messages.push({ role: 'tool', tool_call_id: toolCall.id, content: invocation.output });
+      onToolResult?.(invocation);
+    }
+    if (lastRound) return done;
+    if (signal?.aborted) return { ...done, aborted: true, kept: true, usage: null };
+  }
+}
+
+/**
+ * One line on what a reply cost, or why that is not known
+ */
+export function describeReply(reply, model) {
+  if (reply.aborted) {
+    return `⏹️  Reply stopped and ${reply.kept ? 'kept' : 'discarded'} (stopped streams report no usage)`;
+  }
+  if (!reply.usage) return '📊 The stream reported no usage';
+
+  const cost = calculateCost(reply.usage, model);
+  return `📊 ${reply.usage.total_tokens} tokens · $${cost.total.toFixed(6)}`;
+}
+
+/**
+ * What went wrong with a call, in words a user can act on
+ */
+export function describeChatError(error) {
+  if (error instanceof BudgetExceededError) return error.message;
+  if (error instanceof APIConnectionTimeoutError) return 'The request to OpenAI timed out';
+  if (error instanceof APIConnectionError) return `Could not reach OpenAI (${error.cause?.message || error.message})`;
+  if (error instanceof APIError) {
+    if (error.status === 401) return 'OpenAI rejected the API key (401). Check OPENAI_API_KEY';
+    if (error.code === 'insufficient_quota') return 'The OpenAI account has run out of quota (429). Check your plan and billing';
+    if (error.status === 429) return 'OpenAI is rate limiting requests (429)';
+    if (error.status >= 500) return `OpenAI had a server error (${error.status})`;
+  }
+  return error.message;
+}
+
+/**
+ * A stopped reply with nothing in it, for a reply stopped before it started
+ */
+function stoppedReply(model) {
+  return { text: '', toolCalls: [], finishReason: null, usage: null, aborted: true, kept: false, model, tools: [] };
+}
+
+/**
+ * Runs a chat in a session, whatever it is shown on: each input is a command
+ * or a message, messages are answered with retries, and the session is saved
+ * after every input. A call is only tried again while nothing of its reply
+ * has been shown, so a stream that fails part way is reported, not repeated. `ui` shows what happens:
+ *   onContext(prepared)   The context is ready and the reply is about to start
+ *   onDelta(text)         A piece of the reply
+ *   onToolCall(toolCall)  The reply called a tool, which is about to run
+ *   onToolResult(invocation)  A tool ran (see ToolRegistry.call)
+ *   onRetry({ attempt, retries, delay, error, message })
+ *                         A failed call is about to be tried again
+ *   onReply(reply)        A reply is done (or stopped)
+ *   onError(error, message)  A message or command failed; the session carries on
+ *   print(text)           Output of a command
+ * handle(input) resolves to { exit, command, reply, error }; stop() stops
+ * the reply being streamed. `tools` is the registry the session's tools
+ * come from.
+ */
+export function createChatRunner({ client, session, settings, context, store = null, tools = getToolRegistry(), commands = createChatbotCommands({ tools }), partialReplies = 'keep', retries = RETRY_DEFAULTS.retries, retryDelay, ui = {} }) {
+  let streaming = null;
+  let lastReply = null;
+
+  const save = () => {
+    if (store) saveSession(store, session);
+  };
+
+  /**
+   * Answer the conversation as it stands (it ends with the user's message)
+   */
+  const respond = async () => {
+    streaming = new AbortController();
+    const { signal } = streaming;
+    let shown = false;
+    try {
+      const reply = await withRetries(() => replyInSession(client, session, settings, context, {
+        signal,
+        partialReplies,
+        tools,
+        onContext: (prepared) => ui.onContext?.(prepared),
+        onDelta: (text) => {
+          shown = true;
+          ui.onDelta?.(text);
+        },
+        onToolCall: (toolCall) => {
+          shown = true;
+          ui.onToolCall?.(toolCall);
+        },
+        onToolResult: (invocation) => ui.onToolResult?.(invocation)
+      }), {
+        retries,
+        baseDelay: retryDelay,
+        signal,
+        shouldRetry: (error) => !shown && isRetryableError(error),
+        onRetry: (info) => ui.onRetry?.({ ...info, message: describeChatError(info.error) })
+      });
+      lastReply = reply;
+    } catch (error) {
+      // Stopped while waiting to try again
+      if (!isAbortError(error, signal)) throw error;
+      lastReply = stoppedReply(settings.model);
+    } finally {
+      streaming = null;
+    }
+    ui.onReply?.(lastReply);
+    return lastReply;
+  };
+
+  const handle = async (input) => {
+    if (!input.trim()) return {};
+    lastReply = null;
+    try {
+      const result = await commands.execute(input, { session, settings, context, respond, print: (text) => ui.print?.(text) });
+      if (result.handled) {
+        save();
+        return { exit: result.exit, command: result.command, reply: lastReply };
+      }
+    } catch (error) {
+      ui.onError?.(error, describeChatError(error));
+      save();
+      return { error };
+    }
+
+    // "//text" sends "/text"
+    const start = session.messages.length;
+    session.messages.push({ role: 'user', content: input.trim().startsWith('//') ? input.trim().slice(1) : input });
+    try {
+      return { reply: await respond() };
+    } catch (error) {
+      // A message that got no reply is taken back (with any tool calls made
+      // for it), so it can be sent again
+      session.messages.splice(start);
+      ui.onError?.(error, describeChatError(error));
+      return { error };
+    } finally {
+      save();
+    }
+  };
+
+  return {
+    handle,
+    stop: () => streaming?.abort(),
+    get streaming() {
+      return streaming !== null;
+    }
+  };
+}
+
+/**
+ * Print the messages of a resumed session
+ */
+function replay(session, { markdown }) {
+  log.info(`📂 Resumed "${session.title}" (${session.id}): ${session.totals.totalTokens} tokens, $${session.totals.cost.toFixed(6)} so far`);
+  for (const message of session.messages) {
+    if (message.role === 'user') log.info(`You: ${message.content}`);
+    if (message.role === 'assistant' && message.content) {
+      log.info(`Bot: ${markdown ? renderMarkdown(message.content, { inline: true }) : message.content}`);
+    }
+    for (const toolCall of message.tool_calls || []) log.info(describeToolUse(toolCall));
+    if (message.role === 'tool') log.info(describeToolResult({ output: message.content, error: message.content.startsWith('Error: ') }));
+  }
+}
+
+/**
+ * A tool call as the transcript shows it
+ */
+function describeToolUse(toolCall) {
+  return `🔧 ${describeToolCall(toolCall.function)}`;
+}
+
+/**
+ * A tool's result as the transcript shows it
+ */
+function describeToolResult({ output, error }) {
+  return `   ${error ? '⚠️ ' : '↳'} ${output}`;
+}
+
+/**
+ * Where a reply streams to, after "Bot: " once it has text: rendered as
+ * Markdown, or as it comes. end() finishes the reply's last line.
+ */
+function replyOutput({ markdown }) {
+  let started = false;
+  let lineOpen = false;
+  const write = (text) => {
+    if (!text) return;
+    if (!started) process.stdout.write('Bot: ');
+    started = true;
+    process.stdout.write(text);
+    lineOpen = !text.endsWith('\n');
+  };
+  const output = markdown ? createMarkdownStream({ write, inline: true }) : { write, end: () => {} };
+  return {
+    write: (text) => output.write(text),
+    end() {
+      output.end();
+      if (lineOpen) process.stdout.write('\n');
+    }
+  };
+}
+
+/**
+ * Save the session, warning instead of ending the chat when that fails
+ */
+function saveSession(store, session) {
+  try {
+    store.save(session);
+  } catch (error) {
+    log.warn(`⚠️  Could not save the session to ${store.dir}: ${error.message}`);
+  }
+}
+
+async function chat() {
+  const moduleSettings = requireModuleSettings('chatbot');
+  const store = getChatSessionStore();
+  let options;
+  let session;
+  try {
+    options = parseChatbotOptions();
+    session = openSession(store, moduleSettings, options);
+    // --tools changes the session's tools, a resumed one's too
+    if (options.tools !== null) setSessionTools(session, getToolRegistry().select(options.tools));
+  } catch (error) {
+    log.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  // A resumed session keeps the model and settings it was started with
+  const settings = sessionSettings(moduleSettings, session);
+
+  // The chatbot retries failed calls itself, so each retry can be shown
+  const openai = requireOpenAIClient({ module: settings.module, maxRetries: 0 });
+  const context = openContextWindow(openai, session, settings, options);
+  const runnerOptions = { client: openai, session, settings, context, store, partialReplies: options.partialReplies, retries: options.retries };
+
+  if (options.input !== null || !process.stdin.isTTY) {
+    try {
+      const { failed } = await runBatch({
+        input: options.input ?? '-',
+        format: options.format,
+        // Batch runs leave no session file behind unless asked to
+        createRunner: (ui) => createChatRunner({ ...runnerOptions, store: options.save ? store : null, ui })
+      });
+      process.exit(failed > 0 ? 1 : 0);
+    } catch (error) {
+      log.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  // The reply being written, if any
+  let output = null;
+  const endOutput = () => {
+    output?.end();
+    output = null;
+  };
+  const runner = createChatRunner({
+    ...runnerOptions,
+    ui: {
+      onContext: (prepared) => {
+        if (prepared.summaryUsage) log.info(`🗜️  Summarized older turns with ${context.settings.summaryModel}`);
+        const estimate = estimateCost(prepared.messages, settings.model, settings.maxTokens);
+        log.info(`🧠 ${describeContext(prepared)} · 💸 about ${formatCostRange(estimate)}`);
+        // Streamed text goes straight to the terminal; the logger writes whole lines
+        output = replyOutput(options);
+      },
+      onDelta: (text) => output?.write(text),
+      onToolCall: (toolCall) => {
+        endOutput();
+        log.info(describeToolUse(toolCall));
+      },
+      onToolResult: (invocation) => log.info(describeToolResult(invocation)),
+      onRetry: ({ attempt, retries, delay, message }) => {
+        endOutput();
+        log.warn(`⏳ ${message}. Retrying in ${(delay / 1000).toFixed(1)}s (${attempt} of ${retries}, Esc to stop)`);
+      },
+      onReply: (reply) => {
+        endOutput();
+        log.info(describeReply(reply, settings.model));
+      },
+      onError: (_error, message) => {
+        endOutput();
+        log.error(`❌ ${message}`);
+      },
+      print: (text) => log.info(text)
+    }
+  });
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'You: ' });
+  // On a terminal readline emits keypress events: Esc stops the reply being streamed
+  process.stdin.on('keypress', (_text, key) => {
+    if (key?.name === 'escape') runner.stop();
+  });
+  const input = createInputCollector();
+  rl.on('SIGINT', () => {
+    if (runner.streaming) {
+      runner.stop();
+    } else if (input.pending) {
+      // Ctrl+C drops a message still being typed
+      input.reset();
+      process.stdout.write('\n');
+      rl.setPrompt('You: ');
+      rl.prompt();
+    } else {
+      rl.close();
+    }
   });
+
+  if (options.resume !== null) replay(session, options);
+  log.info(`Start chatting with the bot (Esc stops a reply, /help lists the commands, /exit or Ctrl+C leaves) [${settings.profile}: ${settings.model}, ${context.strategy} context]`);
+  log.info(`💾 Saving this session as ${session.id}`);
+  if (session.branches.length > 1) log.info(`🌿 On ${session.branch}, one of ${session.branches.length} branches (/branches lists them)`);
+  if (settings.tools?.length > 0) log.info(`🔧 Tools: ${settings.tools.join(', ')} (/tools to change them)`);
+  log.info('📝 End a line with \\ to keep typing, or paste several lines between two """ lines');
+
+  // Lines typed while a reply streams wait their turn; the loop ends on /exit, Ctrl+C or Ctrl+D
+  rl.prompt();
+  for await (const line of rl) {
+    const { done, text } = input.push(line);
+    if (done) {
+      const { exit } = await runner.handle(text);
+      if (exit) break;
+    }
+    rl.setPrompt(input.pending ? CONTINUATION_PROMPT : 'You: ');
+    rl.prompt();
+  }
+  rl.close();
+  log.info('\n👋 Goodbye!');
+  process.exit(0);
 }
 
-console.log('Start chatting with the bot (type Ctrl+C to exit):');
-chat();
+// Run the chatbot when executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  chat();
+}
@@ -0,0 +1,468 @@
+// Chatbot slash commands
+// The built-in commands of the interactive chatbot, registered on a
+// CommandRegistry (see lib/slash-commands.js) so other modules can add theirs.
+//
+// Commands run with the chat loop's context:
+//   session   The ChatSession being chatted in (its messages are the
+//             conversation on the current branch)
+//   settings  The chatbot's module settings; /model, /system, /persona and
+//             /tools change them
+//   context   The session's ContextWindow
+//   respond   Streams a reply to the conversation as it stands
+//   print     Writes a line of output
+import { writeFileSync } from 'fs';
+import { extname } from 'path';
+import { CommandError, CommandRegistry } from '../lib/slash-commands.js';
+import { ChatSessionError, TRANSCRIPT_FORMATS, exportTranscript, formatBranchList } from '../lib/chat-sessions.js';
+import { getPricingCatalog } from '../lib/cost-tracker.js';
+import { PromptLibraryError, getPromptLibrary } from '../lib/prompt-library.js';
+import { ToolError } from '../lib/tool-registry.js';
+import { getToolRegistry } from '../lib/tools.js';
+
+/**
+ * Index of the last user message, or -1
+ */
+function lastUserIndex(messages) {
+  return messages.findLastIndex(message => message.role === 'user');
+}
+
+/**
+ * Number of leading system messages
+ */
+function systemCount(messages) {
+  const index = messages.findIndex(message => message.role !== 'system');
+  return index === -1 ? messages.length : index;
+}
+
+/**
+ * Start the context window over; its summary covers messages that changed
+ */
+function resetContext(session, context) {
+  context.state = { summary: null, summarized: 0 };
+  session.context = null;
+}
+
+/**
+ * Set the system prompt, or remove it when `text` is empty
+ */
+export function setSystemPrompt(session, text) {
+  const { messages } = session;
+  messages.splice(0, systemCount(messages), ...(text ? [{ role: 'system', content: text }] : []));
+}
+
+/**
+ * Remove the last turn (the last user message and the replies after it).
+ * Returns the removed messages.
+ */
+export function undoTurn(session, context) {
+  const start = lastUserIndex(session.messages);
+  if (start === -1) return [];
+
+  const removed = session.messages.splice(start);
+  // Messages the summary covers are gone, so it is rebuilt from what is left
+  if (context.state.summarized > start - systemCount(session.messages)) resetContext(session, context);
+  return removed;
+}
+
+/**
+ * Remove the replies to the last user message so it can be answered again.
+ * Returns the removed replies, or null when there is no user message.
+ */
+export function dropLastReply(session) {
+  const start = lastUserIndex(session.messages);
+  if (start === -1) return null;
+  return session.messages.splice(start + 1);
+}
+
+/**
+ * Index of the message that starts a turn (its user message), numbering the
+ * turns from 1; CommandError when there is no such turn
+ */
+export function turnStart(messages, turn) {
+  const starts = messages.flatMap((message, index) => (message.role === 'user' ? [index] : []));
+  if (starts.length === 0) throw new CommandError('There are no messages yet');
+  if (!(Number.isInteger(turn) && turn >= 1 && turn <= starts.length)) {
+    throw new CommandError(`Pick a turn from 1 to ${starts.length} (see /history)`);
+  }
+  return starts[turn - 1];
+}
+
+/**
+ * Read a turn number, the last turn when `text` is empty
+ */
+function parseTurn(text, messages) {
+  if (!text) return messages.filter(message => message.role === 'user').length;
+  if (!/^\d+$/.test(text)) throw new CommandError(`Expected a turn number, got "${text}"`);
+  return Number(text);
+}
+
+/**
+ * Fork the session before message `at` and move the context window to the
+ * new branch. Returns the branch.
+ */
+export function forkSession(session, context, at) {
+  session.context = context.state;
+  const branch = session.fork(at);
+  // The summary carries over only while the messages it covers are shared
+  if (context.state.summarized > at - systemCount(session.messages)) resetContext(session, context);
+  return branch;
+}
+
+/**
+ * Answer on a branch forked for it. When that fails, the chat goes back to
+ * the branch it was forked from and the fork is dropped, unanswered message
+ * and all.
+ */
+async function respondOnFork(session, context, branch, respond) {
+  try {
+    await respond();
+  } catch (error) {
+    switchSessionBranch(session, context, branch.forkedFrom.branch);
+    session.deleteBranch(branch.name);
+    throw error;
+  }
+}
+
+/**
+ * Chat on another branch, with the context window it had
+ */
+export function switchSessionBranch(session, context, name) {
+  session.context = context.state;
+  try {
+    session.switchBranch(name);
+  } catch (error) {
+    if (error instanceof ChatSessionError) throw new CommandError(error.message);
+    throw error;
+  }
+  context.state = { summary: null, summarized: 0, ...session.context };
+  return session.activeBranch;
+}
+
+function clip(text, length = 60) {
+  const flat = text.trim().replace(/\s+/g, ' ');
+  return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+}
+
+/**
+ * The turns of a conversation, one numbered line each: the message and the
+ * start of its reply
+ */
+export function describeTurns(messages) {
+  const lines = [];
+  messages.forEach((message, index) => {
+    if (message.role !== 'user') return;
+    const next = messages.findIndex((later, laterIndex) => laterIndex > index && later.role === 'user');
+    const replies = messages.slice(index + 1, next === -1 ? messages.length : next);
+    const answer = replies.findLast(reply => reply.role === 'assistant' && reply.content);
+    const tools = replies.flatMap(reply => reply.tool_calls || []).map(toolCall => toolCall.function.name);
+    const reply = answer ? clip(answer.content) : tools.length > 0 ? `(called ${tools.join(', ')})` : '(no reply)';
+    lines.push(`${String(lines.length + 1).padStart(3)}. You: ${clip(message.content)}\n     Bot: ${reply}`);
+  });
+  return lines;
+}
+
+/**
+ * Keep the system prompt, forget the rest of the conversation. The session's
+ * token and cost totals stay: that money was spent.
+ */
+export function resetConversation(session, context) {
+  const removed = session.messages.splice(systemCount(session.messages));
+  resetContext(session, context);
+  return removed;
+}
+
+/**
+ * Lines describing what a session has cost so far
+ */
+export function describeSessionCost(session) {
+  const { totals } = session;
+  const perReply = totals.replies > 0 ? totals.cost / totals.replies : 0;
+  const lines = [
+    `💰 Session ${session.id} (${session.model})`,
+    `   Replies: ${totals.replies}`,
+    `   Tokens:  ${totals.totalTokens.toLocaleString('en-US')} (${totals.inputTokens.toLocaleString('en-US')} input, ${totals.outputTokens.toLocaleString('en-US')} output)`,
+    `   Cost:    $${totals.cost.toFixed(6)}${totals.replies > 0 ? ` ($${perReply.toFixed(6)} per reply)` : ''}`
+  ];
+  if (session.branches.length > 1) {
+    const branch = session.activeBranch.totals;
+    lines.push(`   Branch:  ${session.branch}, ${branch.replies} replies, ${branch.totalTokens.toLocaleString('en-US')} tokens, $${branch.cost.toFixed(6)} (all ${session.branches.length} branches: /branches)`);
+  }
+  return lines;
+}
+
+/**
+ * Read "/export [md|json] [path]": the format comes from the first argument or
+ * the path's extension, and the path defaults to <session id>.<format>
+ */
+export function parseExportArgs(args, session) {
+  const words = args.split(/\s+/).filter(Boolean);
+  let format = TRANSCRIPT_FORMATS.includes(words[0]?.toLowerCase()) ? words.shift().toLowerCase() : null;
+  const path = words.join(' ') || null;
+
+  if (!format) {
+    const extension = path ? extname(path).slice(1).toLowerCase() : '';
+    format = TRANSCRIPT_FORMATS.includes(extension) ? extension : 'md';
+  }
+  return { format, path: path || `${session.id}.${format}` };
+}
+
+/**
+ * Set the tools a session offers the model (none for an empty list); they
+ * are kept with the session's settings
+ */
+export function setSessionTools(session, names) {
+  session.config = { ...session.config, tools: names };
+}
+
+/**
+ * Read "/tools on|off <name ...|all>" into the tools to turn on or off
+ */
+export function parseToolsArgs(args, registry) {
+  const [action, ...names] = args.split(/\s+/).filter(Boolean);
+  if (!['on', 'off'].includes(action?.toLowerCase())) throw new CommandError('Usage: /tools [on|off] <name ...|all>');
+  if (names.length === 0) throw new CommandError(`Name the tools to turn ${action.toLowerCase()}, or all`);
+  try {
+    return { on: action.toLowerCase() === 'on', names: registry.select(names.length === 1 && names[0] === 'all' ? 'all' : names) };
+  } catch (error) {
+    if (error instanceof ToolError) throw new CommandError(error.message);
+    throw error;
+  }
+}
+
+/**
+ * Read "/persona <name> [variable=value ...]"
+ */
+export function parsePersonaArgs(args) {
+  const [name, ...words] = args.split(/\s+/).filter(Boolean);
+  const values = {};
+  for (const word of words) {
+    const [variable, value] = word.split(/=(.*)/s, 2);
+    if (!variable || value === undefined) throw new CommandError(`Expected variable=value, got "${word}"`);
+    values[variable] = value;
+  }
+  return { name, values };
+}
+
+/**
+ * A registry with the chatbot's built-in commands. /persona picks personas
+ * from `prompts` (default: the project's prompt library) and /tools picks
+ * tools from `tools` (default: the shared tool registry).
+ */
+export function createChatbotCommands({ prompts = null, tools = null } = {}) {
+  const registry = new CommandRegistry();
+
+  registry.register({
+    name: 'system',
+    usage: '[prompt]',
+    description: 'Show or replace the system prompt',
+    run: (args, { session, settings, print }) => {
+      if (!args) {
+        const prompt = session.messages.find(message => message.role === 'system');
+        print(prompt ? `🧾 System prompt: ${prompt.content}` : '🧾 There is no system prompt');
+        return;
+      }
+      setSystemPrompt(session, args);
+      settings.systemPrompt = args;
+      delete settings.persona;
+      print('🧾 System prompt updated');
+    }
+  });
+
+  registry.register({
+    name: 'persona',
+    usage: '[name] [variable=value ...]',
+    description: 'Show or switch the persona (the system prompt from data/prompts)',
+    run: (args, { session, settings, print }) => {
+      const library = prompts || getPromptLibrary();
+      if (!args) {
+        print(`🎭 Persona: ${settings.persona ?? 'none (a custom system prompt)'}. Personas: ${library.list().map(template => template.name).join(', ')}`);
+        return;
+      }
+
+      const { name, values } = parsePersonaArgs(args);
+      let prompt;
+      try {
+        prompt = library.render(name, { ...settings.personaVariables, ...values });
+      } catch (error) {
+        if (error instanceof PromptLibraryError) throw new CommandError(error.message);
+        throw error;
+      }
+      setSystemPrompt(session, prompt);
+      Object.assign(settings, { persona: name, personaVariables: { ...settings.personaVariables, ...values }, systemPrompt: prompt });
+      print(`🎭 Switched to ${name}`);
+    }
+  });
+
+  registry.register({
+    name: 'model',
+    usage: '[name]',
+    description: 'Show or switch the model',
+    run: (args, { session, settings, context, print }) => {
+      if (!args) {
+        print(`🤖 Model: ${settings.model}`);
+        return;
+      }
+      const catalog = getPricingCatalog();
+      if (!catalog.resolveModel(args)) {
+        throw new CommandError(`Unknown model "${args}". Priced models: ${catalog.models().join(', ')}`);
+      }
+      settings.model = args;
+      session.model = args;
+      context.model = args;
+      print(`🤖 Switched to ${args}`);
+    }
+  });
+
+  registry.register({
+    name: 'tools',
+    usage: '[on|off] [name ...|all]',
+    description: 'List the tools, or turn them on or off for this session',
+    run: (args, { session, settings, print }) => {
+      const available = tools || getToolRegistry();
+      if (!args) {
+        const enabled = new Set(settings.tools || []);
+        print(`🔧 Tools:\n${available.list().map(tool => `   ${enabled.has(tool.name) ? '✅' : '⬜'} ${tool.name} - ${tool.description}`).join('\n')}`);
+        return;
+      }
+
+      const { on, names } = parseToolsArgs(args, available);
+      const current = settings.tools || [];
+      const enabled = on ? [...new Set([...current, ...names])] : current.filter(name => !names.includes(name));
+      settings.tools = enabled;
+      setSessionTools(session, enabled);
+      print(`🔧 ${enabled.length > 0 ? `Tools on: ${enabled.join(', ')}` : 'No tools are on'}`);
+    }
+  });
+
+  registry.register({
+    name: 'reset',
+    description: 'Start the conversation over (keeps the system prompt)',
+    run: (_args, { session, context, print }) => {
+      const removed = resetConversation(session, context);
+      print(`🧹 Cleared ${removed.length} messages`);
+    }
+  });
+
+  registry.register({
+    name: 'undo',
+    description: 'Remove your last message and its reply',
+    run: (_args, { session, context, print }) => {
+      const removed = undoTurn(session, context);
+      if (removed.length === 0) throw new CommandError('There is nothing to undo');
+      print(`↩️  Removed "${removed[0].content}" and ${removed.length - 1} ${removed.length === 2 ? 'reply' : 'replies'}`);
+    }
+  });
+
+  registry.register({
+    name: 'retry',
+    description: 'Answer your last message again',
+    run: async (_args, { session, respond, print }) => {
+      const removed = dropLastReply(session);
+      if (removed === null) throw new CommandError('There is no message to answer again');
+      print('🔁 Answering again');
+      try {
+        await respond();
+      } catch (error) {
+        // No new reply, so the old one stays (in place of any tool calls made)
+        session.messages.splice(lastUserIndex(session.messages) + 1, Infinity, ...removed);
+        throw error;
+      }
+    }
+  });
+
+  registry.register({
+    name: 'history',
+    description: 'Show the turns on this branch, numbered for /edit and /regenerate',
+    run: (_args, { session, print }) => {
+      const turns = describeTurns(session.messages);
+      if (turns.length === 0) {
+        print('📜 No messages yet');
+        return;
+      }
+      print(`📜 ${session.branch}:\n${turns.join('\n')}`);
+    }
+  });
+
+  registry.register({
+    name: 'edit',
+    usage: '<turn> <message>',
+    description: 'Change an earlier message and answer it on a new branch',
+    run: async (args, { session, context, respond, print }) => {
+      const [, turnText, text] = args.match(/^(\S+)\s+([\s\S]*\S[\s\S]*)$/) || [];
+      if (!text) throw new CommandError('Usage: /edit <turn> <message>');
+      const turn = parseTurn(turnText, session.messages);
+      const start = turnStart(session.messages, turn);
+
+      const branch = forkSession(session, context, start);
+      session.messages.push({ role: 'user', content: text.trim() });
+      print(`🌿 Editing turn ${turn} on ${branch.name} (${branch.forkedFrom.branch} keeps the original)`);
+      await respondOnFork(session, context, branch, respond);
+    }
+  });
+
+  registry.register({
+    name: 'regenerate',
+    aliases: ['regen'],
+    usage: '[turn]',
+    description: 'Answer a message again on a new branch (default: the last)',
+    run: async (args, { session, context, respond, print }) => {
+      const turn = parseTurn(args, session.messages);
+      const start = turnStart(session.messages, turn);
+
+      const branch = forkSession(session, context, start + 1);
+      print(`🌿 Answering turn ${turn} again on ${branch.name} (${branch.forkedFrom.branch} keeps the original)`);
+      await respondOnFork(session, context, branch, respond);
+    }
+  });
+
+  registry.register({
+    name: 'branches',
+    description: 'List the branches of this conversation with their tokens and cost',
+    run: (_args, { session, print }) => {
+      print(`🌿 Branches (* is the current one):\n${formatBranchList(session)}`);
+    }
+  });
+
+  registry.register({
+    name: 'branch',
+    usage: '[name]',
+    description: 'Show the current branch, or switch to another',
+    run: (args, { session, context, print }) => {
+      if (!args) {
+        print(`🌿 On ${session.branch} (${session.branches.length} ${session.branches.length === 1 ? 'branch' : 'branches'}, /branches lists them)`);
+        return;
+      }
+      const branch = switchSessionBranch(session, context, args);
+      const last = describeTurns(session.messages).at(-1);
+      print(`🌿 Switched to ${branch.name}${last ? `, where the last turn was:\n${last}` : ''}`);
+    }
+  });
+
+  registry.register({
+    name: 'cost',
+    description: 'Show what this session has cost',
+    run: (_args, { session, print }) => {
+      print(describeSessionCost(session).join('\n'));
+    }
+  });
+
+  registry.register({
+    name: 'export',
+    usage: '[md|json] [path]',
+    description: 'Write the transcript of this branch to a file',
+    run: (args, { session, print }) => {
+      const { format, path } = parseExportArgs(args, session);
+      writeFileSync(path, exportTranscript(session, format));
+      print(`💾 Wrote the transcript to ${path}`);
+    }
+  });
+
+  registry.register({
+    name: 'exit',
+    aliases: ['quit'],
+    description: 'Leave the chat',
+    run: () => ({ exit: true })
+  });
+
+  return registry;
+}
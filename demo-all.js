@@ -2,6 +2,33 @@
 // This file demonstrates all 4 modules in the hackathon starter project
 import { spawn } from 'child_process';
 import { createInterface } from 'readline';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createLogger } from './lib/logger.js';
+import { parseConfigArgs, requireModuleSettings } from './lib/project-config.js';
+import { UsageLedger } from './lib/usage-ledger.js';
+import { formatUsageByModule } from './lib/usage-middleware.js';
+import { CostTracker } from './lib/cost-tracker.js';
+
+const log = createLogger('demo-all');
+
+// --offline runs every module against the local OpenAI stand-in (no network or credits needed)
+if (process.argv.includes('--offline')) {
+  process.env.OPENAI_OFFLINE = '1';
+}
+
+// Config flags (--profile cheap, --model ..., see lib/project-config.js) are checked once and passed to every module
+const { profile } = requireModuleSettings('setup');
+const { args: demoArgs } = parseConfigArgs();
+const configFlags = process.argv.slice(2).filter(arg => !demoArgs.includes(arg));
+
+// Every module's client appends its usage to this file (see lib/usage-middleware.js),
+// so the run can be reported end to end once all modules have finished
+const usageDir = process.env.OPENAI_USAGE_RUN_FILE ? null : mkdtempSync(join(tmpdir(), 'openai-basics-run-'));
+if (usageDir) {
+  process.env.OPENAI_USAGE_RUN_FILE = join(usageDir, 'usage.jsonl');
+}
 
 const rl = createInterface({
   input: process.stdin,
@@ -10,9 +37,9 @@ const rl = createInterface({
 
 function runCommand(command, args = []) {
   return new Promise((resolve, reject) => {
-    console.log(`\n🚀 Running: node ${command} ${args.join(' ')}\n`);
+    log.info(`\n🚀 Running: node ${[command, ...args, ...configFlags].join(' ')}\n`);
     
-    const child = spawn('node', [command, ...args], {
+    const child = spawn('node', [command, ...args, ...configFlags], {
       stdio: 'inherit',
       cwd: process.cwd()
     });
@@ -31,6 +58,23 @@ function runCommand(command, args = []) {
   });
 }
 
+function reportRunUsage() {
+  const entries = new UsageLedger(process.env.OPENAI_USAGE_RUN_FILE).entries();
+
+  log.info('\n💰 WHAT THIS RUN COST');
+  log.info('─'.repeat(50));
+  if (entries.length === 0) {
+    log.info('No API calls were recorded.');
+  } else {
+    log.info(formatUsageByModule(entries));
+    CostTracker.fromLedger(entries).displayRunningTotals();
+  }
+
+  if (usageDir) {
+    rmSync(usageDir, { recursive: true, force: true });
+  }
+}
+
 function waitForUser(message) {
   return new Promise((resolve) => {
     rl.question(message, () => {
@@ -40,102 +84,107 @@ function waitForUser(message) {
 }
 
 async function runCompleteDemo() {
-  console.log('🎯 OpenAI Hackathon Starter - Complete Demo');
-  console.log('═'.repeat(60));
-  console.log('\nThis demo will showcase all 5 modules of the hackathon starter:');
-  console.log('📚 Module 1: Foundations & Core Implementation');
-  console.log('🤖 Module 2: Basic Chatbot Development');
-  console.log('🌟 Module 3: Advanced Concepts & Project Development');
-  console.log('👥 Module 4: OpenAI Agents SDK Introduction');
-  console.log('💾 Module 5: OpenAI Assistants API (Persistent & File Handling)');
-  console.log('\n' + '═'.repeat(60));
+  log.info('🎯 OpenAI Hackathon Starter - Complete Demo');
+  log.info('═'.repeat(60));
+  log.info('\nThis demo will showcase all 5 modules of the hackathon starter:');
+  log.info('📚 Module 1: Foundations & Core Implementation');
+  log.info('🤖 Module 2: Basic Chatbot Development');
+  log.info('🌟 Module 3: Advanced Concepts & Project Development');
+  log.info('👥 Module 4: OpenAI Agents SDK Introduction');
+  log.info('💾 Module 5: OpenAI Assistants API (Persistent & File Handling)');
+  if (process.env.OPENAI_OFFLINE === '1') {
+    log.info('\n🛬 Offline mode: responses come from the local OpenAI stand-in');
+  }
+  log.info(`⚙️  Model profile: ${profile} (change it with --profile dev|cheap|quality)`);
+  log.info('\n' + '═'.repeat(60));
 
   try {
     // Module 1: Foundations
-    console.log('\n📚 MODULE 1: Foundations & Core Implementation');
-    console.log('─'.repeat(50));
-    console.log('Testing basic OpenAI API setup and first API call...');
+    log.info('\n📚 MODULE 1: Foundations & Core Implementation');
+    log.info('─'.repeat(50));
+    log.info('Testing basic OpenAI API setup and first API call...');
     await waitForUser('\nPress Enter to continue...');
     await runCommand('foundations/openai-setup.js');
 
-    console.log('\n💰 MODULE 1b: Token Usage & Cost Analysis');
-    console.log('─'.repeat(50));
-    console.log('Demonstrating real token counts and cost calculations...');
+    log.info('\n💰 MODULE 1b: Token Usage & Cost Analysis');
+    log.info('─'.repeat(50));
+    log.info('Demonstrating real token counts and cost calculations...');
     await waitForUser('\nPress Enter to continue...');
     await runCommand('foundations/token-cost-demo.js');
 
     // Module 2: Chatbot (skip interactive mode for demo)
-    console.log('\n🤖 MODULE 2: Basic Chatbot Development');
-    console.log('─'.repeat(50));
-    console.log('📝 Interactive chatbot demo available at: chatbot/chatbot.js');
-    console.log('💡 Run "node chatbot/chatbot.js" for an interactive conversation');
-    console.log('✅ Chatbot module ready');
+    log.info('\n🤖 MODULE 2: Basic Chatbot Development');
+    log.info('─'.repeat(50));
+    log.info('📝 Interactive chatbot demo available at: chatbot/chatbot.js');
+    log.info('💡 Run "node chatbot/chatbot.js" for an interactive conversation');
+    log.info('✅ Chatbot module ready');
 
     // Module 3: Advanced Concepts
-    console.log('\n🌟 MODULE 3: Advanced Concepts & Project Development');
-    console.log('─'.repeat(50));
-    console.log('Testing function calling with weather API integration...');
+    log.info('\n🌟 MODULE 3: Advanced Concepts & Project Development');
+    log.info('─'.repeat(50));
+    log.info('Testing function calling with weather API integration...');
     await waitForUser('\nPress Enter to continue...');
     await runCommand('advanced/weather-function.js', ['New York']);
 
     // Module 4a: Single Agent Demo
-    console.log('\n👥 MODULE 4a: OpenAI Agents SDK - Single Agent');
-    console.log('─'.repeat(50));
-    console.log('Testing single agent with tools...');
+    log.info('\n👥 MODULE 4a: OpenAI Agents SDK - Single Agent');
+    log.info('─'.repeat(50));
+    log.info('Testing single agent with tools...');
     await waitForUser('\nPress Enter to continue...');
     await runCommand('agents/agent-demo.js');
 
     // Module 4b: Multi-Agent Demo
-    console.log('\n👥 MODULE 4b: OpenAI Agents SDK - Multi-Agent Workflows');
-    console.log('─'.repeat(50));
-    console.log('Testing multi-agent coordination with handoffs...');
+    log.info('\n👥 MODULE 4b: OpenAI Agents SDK - Multi-Agent Workflows');
+    log.info('─'.repeat(50));
+    log.info('Testing multi-agent coordination with handoffs...');
     await waitForUser('\nPress Enter to continue...');
     await runCommand('agents/multi-agent-demo.js');
 
     // Module 5a: Persistent Assistants
-    console.log('\n💾 MODULE 5a: OpenAI Assistants API - Persistent Conversations');
-    console.log('─'.repeat(50));
-    console.log('Testing stateful conversations and context retention...');
+    log.info('\n💾 MODULE 5a: OpenAI Assistants API - Persistent Conversations');
+    log.info('─'.repeat(50));
+    log.info('Testing stateful conversations and context retention...');
     await waitForUser('\nPress Enter to continue...');
     await runCommand('assistants/persistent-assistant-demo.js');
 
     // Module 5b: File Analysis
-    console.log('\n📁 MODULE 5b: OpenAI Assistants API - File Analysis');
-    console.log('─'.repeat(50));
-    console.log('Testing file upload, processing, and code interpreter...');
+    log.info('\n📁 MODULE 5b: OpenAI Assistants API - File Analysis');
+    log.info('─'.repeat(50));
+    log.info('Testing file upload, processing, and code interpreter...');
     await waitForUser('\nPress Enter to continue...');
     await runCommand('assistants/file-analysis-demo.js');
 
     // Final Summary
-    console.log('\n🎉 COMPLETE DEMO FINISHED!');
-    console.log('═'.repeat(60));
-    console.log('✅ All 5 modules tested successfully:');
-    console.log('  📚 Foundations: Basic OpenAI API setup ✓');
-    console.log('  🤖 Chatbot: Interactive conversation system ✓');
-    console.log('  🌟 Advanced: Function calling with external APIs ✓');
-    console.log('  👥 Agents: Single and multi-agent workflows ✓');
-    console.log('  � Assistants: Persistent conversations & file analysis ✓');
-    console.log('\n💡 Key Differences Highlighted:');
-    console.log('  🔄 Agents SDK: Workflow orchestration, handoffs, real-time');
-    console.log('  💾 Assistants API: Persistent state, file handling, built-in tools');
-    console.log('\n💡 Next steps:');
-    console.log('  • Use Agents for complex multi-step workflows');
-    console.log('  • Use Assistants for stateful conversations and file processing');
-    console.log('  • Combine both for comprehensive AI applications');
-    console.log('  • Add more specialized agents and assistants');
-    console.log('  • Integrate additional APIs and tools');
-    console.log('\n📖 Documentation:');
-    console.log('  • README.md - Quick start and module overview');
-    console.log('  • TECHNOLOGY-GUIDE.md - Comprehensive beginner\'s guide');
-    console.log('  • Each module has detailed comments and examples');
+    log.info('\n🎉 COMPLETE DEMO FINISHED!');
+    log.info('═'.repeat(60));
+    log.info('✅ All 5 modules tested successfully:');
+    log.info('  📚 Foundations: Basic OpenAI API setup ✓');
+    log.info('  🤖 Chatbot: Interactive conversation system ✓');
+    log.info('  🌟 Advanced: Function calling with external APIs ✓');
+    log.info('  👥 Agents: Single and multi-agent workflows ✓');
+    log.info('  � Assistants: Persistent conversations & file analysis ✓');
+    log.info('\n💡 Key Differences Highlighted:');
+    log.info('  🔄 Agents SDK: Workflow orchestration, handoffs, real-time');
+    log.info('  💾 Assistants API: Persistent state, file handling, built-in tools');
+    log.info('\n💡 Next steps:');
+    log.info('  • Use Agents for complex multi-step workflows');
+    log.info('  • Use Assistants for stateful conversations and file processing');
+    log.info('  • Combine both for comprehensive AI applications');
+    log.info('  • Add more specialized agents and assistants');
+    log.info('  • Integrate additional APIs and tools');
+    log.info('\n📖 Documentation:');
+    log.info('  • README.md - Quick start and module overview');
+    log.info('  • TECHNOLOGY-GUIDE.md - Comprehensive beginner\'s guide');
+    log.info('  • Each module has detailed comments and examples');
 
   } catch (error) {
-    console.error('\n❌ Demo failed:', error.message);
-    console.log('\n💡 Troubleshooting:');
-    console.log('  • Ensure OPENAI_API_KEY is set');
-    console.log('  • Check OpenAI account has available credits');
-    console.log('  • Verify all dependencies are installed');
+    log.error('\n❌ Demo failed:', error.message);
+    log.info('\n💡 Troubleshooting:');
+    log.info('  • Ensure OPENAI_API_KEY is set');
+    log.info('  • Check OpenAI account has available credits');
+    log.info('  • Verify all dependencies are installed');
   } finally {
+    reportRunUsage();
     rl.close();
   }
 }
@@ -1,28 +1,39 @@
 // Foundations & Core Implementation
 // This script demonstrates OpenAI API setup and a basic API call.
-import { OpenAI } from 'openai';
-import 'dotenv/config';
+import { requireOpenAIClient, loadClientConfig } from '../lib/openai-client.js';
+import { requireModuleSettings, completionOptions } from '../lib/project-config.js';
+import { createLogger } from '../lib/logger.js';
 
-// add organization ID if available
-const openai = new OpenAI({ 
-  apiKey: process.env.OPENAI_API_KEY,
-  organization: process.env.OPENAI_ORG_ID // Optional: Set organization header
+const log = createLogger('openai-setup');
+
+// Model, temperature and system prompt come from the active profile in openai-basics.config.json
+const settings = requireModuleSettings('setup');
+// Shared client: validates key, organization, base URL, timeout and retries up front
+const openai = requireOpenAIClient({ module: settings.module });
+const clientConfig = loadClientConfig();
+
+// The logger redacts the key and organization ID, so this is safe to print
+log.info('OpenAI client configured', {
+  apiKey: clientConfig.apiKey,
+  organization: clientConfig.organization,
+  timeout: clientConfig.timeout,
+  maxRetries: clientConfig.maxRetries,
+  profile: settings.profile,
+  model: settings.model
 });
-console.log(process.env.OPENAI_API_KEY);
-console.log(process.env.OPENAI_ORG_ID);
 
 async function testOpenAICall() {
   try {
     const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
+      ...completionOptions(settings),
       messages: [
-        { role: 'system', content: 'You are a helpful assistant.' },
+        { role: 'system', content: settings.systemPrompt },
         { role: 'user', content: 'Say hello world!' }
       ]
     });
-    console.log('OpenAI API response:', completion.choices[0].message.content);
+    log.info('OpenAI API response:', completion.choices[0].message.content);
   } catch (err) {
-    console.error('Error calling OpenAI API:', err.message);
+    log.error('Error calling OpenAI API:', err.message);
   }
 }
 
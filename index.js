@@ -1,5 +1,8 @@
 // Entry point for the OpenAI Hackathon Starter Project
 import 'dotenv/config';
+import { createLogger } from './lib/logger.js';
 
-console.log('Welcome to the OpenAI Hackathon Starter Project!');
-console.log('Explore the /foundations, /chatbot, /advanced, and /agents folders for each activity.');
+const log = createLogger('index');
+
+log.info('Welcome to the OpenAI Hackathon Starter Project!');
+log.info('Explore the /foundations, /chatbot, /advanced, and /agents folders for each activity.');
@@ -0,0 +1,61 @@
+/**
+ * Agents SDK Client Setup
+ *
+ * Points the OpenAI Agents SDK at the shared, validated OpenAI client
+ * instead of letting it build its own from environment variables. Every
+ * agent turn then goes through the client's usage middleware; tagAgentUsage
+ * adds the agent's name to those records. agentTool hands a tool from the
+ * shared tool registry (lib/tools.js) to an agent.
+ */
+
+import { Agent, setDefaultOpenAIClient, setOpenAIAPI, setTracingDisabled, tool } from '@openai/agents';
+import { requireOpenAIClient, isOfflineMode } from './openai-client.js';
+import { setUsageTags } from './usage-middleware.js';
+import { getToolRegistry } from './tools.js';
+
+/**
+ * Use the shared client for every agent run in this process.
+ * The offline stand-in speaks chat completions, and traces cannot be
+ * exported without network, so offline mode switches both by default.
+ */
+export function configureAgentsClient(client = requireOpenAIClient(), options = {}) {
+  const offline = isOfflineMode();
+  const { api = offline ? 'chat_completions' : 'responses', tracing = !offline } = options;
+
+  setDefaultOpenAIClient(client);
+  setOpenAIAPI(api);
+  setTracingDisabled(!tracing);
+
+  return client;
+}
+
+const taggedAgents = new WeakSet();
+
+/**
+ * Tag the usage of each agent's turns with its name, following handoffs.
+ * Uses the SDK's agent_start hook, which fires in the run's own async flow.
+ */
+export function tagAgentUsage(...agents) {
+  for (const agent of agents) {
+    if (!(agent instanceof Agent) || taggedAgents.has(agent)) continue;
+    taggedAgents.add(agent);
+
+    agent.on('agent_start', (_context, current) => setUsageTags({ agent: current.name }));
+    tagAgentUsage(...agent.handoffs.map(handoff => handoff.agent ?? handoff));
+  }
+}
+
+/**
+ * An Agents SDK tool for a tool in a registry (default: the shared one)
+ */
+export function agentTool(name, registry = getToolRegistry()) {
+  const definition = registry.get(name);
+  if (!definition) throw new Error(`Unknown tool "${name}"`);
+
+  return tool({
+    name,
+    description: definition.description,
+    parameters: definition.parameters,
+    execute: (input) => registry.run(name, input)
+  });
+}
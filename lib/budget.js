@@ -0,0 +1,346 @@
+/**
+ * Spending Budgets
+ *
+ * Soft and hard USD limits per session (one process), per day and per model
+ * per day, read from the `budgets` section of openai-basics.config.json.
+ * Every client built by lib/openai-client.js checks its requests here before
+ * they are sent and records the usage of each reply:
+ *
+ *   - soft limit: prints a warning (once per budget) and lets the call through
+ *   - hard limit: throws BudgetExceededError before the request is made, when
+ *     what was already spent plus the request's worst case (prompt estimate
+ *     plus max_tokens) would go over the limit
+ *
+ * Daily and per-model spending is kept in .openai-basics/budget-state.json so
+ * it survives restarts. Offline stand-in traffic is only tracked in memory.
+ *
+ * Environment variables:
+ *   OPENAI_BUDGETS        Set to off to disable budget checks
+ *   OPENAI_BUDGET_STATE   Path to an alternative state file
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+import { DEFAULT_ESTIMATE_MAX_TOKENS, getPricingCatalog } from './pricing-catalog.js';
+import { CONFIG_FILE_NAME, loadProjectConfig } from './project-config.js';
+import { isReply, streamedReply, tapEventStream } from './usage-middleware.js';
+
+const log = createLogger('budget');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_BUDGET_STATE_PATH = join(__dirname, '..', '.openai-basics', 'budget-state.json');
+
+/**
+ * Days of spending kept in the state file
+ */
+const STATE_RETENTION_DAYS = 31;
+
+const SCOPE_LABELS = {
+  session: () => 'Session',
+  daily: () => 'Daily',
+  model: (model) => `Daily ${model}`
+};
+
+const SCOPE_SETTINGS = {
+  session: () => 'budgets.session',
+  daily: () => 'budgets.daily',
+  model: (model) => `budgets.models["${model}"]`
+};
+
+function usd(amount) {
+  return `$${amount.toFixed(amount >= 1 ? 2 : amount >= 0.01 || amount === 0 ? 4 : 6)}`;
+}
+
+/**
+ * Raised before a request that would pass a hard limit.
+ * `scope` is session, daily or model; `model` is set for model budgets.
+ */
+export class BudgetExceededError extends Error {
+  constructor({ scope, model = null, limit, spent, projected }) {
+    super(`${SCOPE_LABELS[scope](model)} budget exceeded: ${usd(spent)} spent + ${usd(projected)} for this request ` +
+      `would pass the ${usd(limit)} hard limit (${SCOPE_SETTINGS[scope](model)}.hard in ${CONFIG_FILE_NAME})`);
+    this.name = 'BudgetExceededError';
+    this.scope = scope;
+    this.model = model;
+    this.limit = limit;
+    this.spent = spent;
+    this.projected = projected;
+  }
+}
+
+/**
+ * Local calendar day as YYYY-MM-DD
+ */
+function dayKey(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Messages approximating a Responses API request, for estimating its prompt
+ */
+function responsesMessages(body) {
+  const messages = body.instructions ? [{ role: 'system', content: body.instructions }] : [];
+
+  if (typeof body.input === 'string') {
+    messages.push({ role: 'user', content: body.input });
+    return messages;
+  }
+
+  for (const item of body.input || []) {
+    if (item.type === 'function_call') {
+      messages.push({ role: 'assistant', content: `${item.name}(${item.arguments})` });
+    } else if (item.type === 'function_call_output') {
+      messages.push({ role: 'tool', content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output) });
+    } else if (item.content !== undefined) {
+      messages.push({ role: item.role || 'user', content: item.content });
+    }
+  }
+  return messages;
+}
+
+/**
+ * Checks spending against limits and records what each reply cost.
+ *
+ * Options:
+ *   limits     { session, daily, models: { [model]: limit } }, each { soft, hard } in USD
+ *   statePath  File for daily spending (default: none, memory only)
+ *   catalog    PricingCatalog used to price usage
+ *   now        Clock, for tests
+ */
+export class BudgetGuard {
+  constructor({ limits = {}, statePath = null, catalog = getPricingCatalog(), now = () => new Date() } = {}) {
+    this.limits = { session: limits.session || {}, daily: limits.daily || {}, models: limits.models || {} };
+    this.statePath = statePath;
+    this.catalog = catalog;
+    this.now = now;
+
+    this.sessionSpent = 0;
+    this.state = { days: {} };
+    this.warned = new Set();
+    this.recordedRuns = new Set();
+  }
+
+  /**
+   * Name spending is kept under (dated snapshots count towards their base model)
+   */
+  modelKey(model) {
+    return this.catalog.resolveModel(model) || model;
+  }
+
+  modelLimit(model) {
+    return this.limits.models[model] || this.limits.models[this.modelKey(model)] || {};
+  }
+
+  /**
+   * Re-read the state file so spending by other processes counts too
+   */
+  load() {
+    if (!this.statePath || !existsSync(this.statePath)) return this.state;
+
+    try {
+      const saved = JSON.parse(readFileSync(this.statePath, 'utf-8'));
+      this.state = { days: saved.days || {} };
+    } catch (error) {
+      log.warn(`⚠️  Ignoring unreadable budget state ${this.statePath}: ${error.message}`);
+    }
+    return this.state;
+  }
+
+  save() {
+    if (!this.statePath) return;
+
+    const cutoff = dayKey(new Date(this.now().getTime() - STATE_RETENTION_DAYS * 86_400_000));
+    const days = Object.fromEntries(Object.entries(this.state.days).filter(([day]) => day >= cutoff));
+
+    mkdirSync(dirname(this.statePath), { recursive: true });
+    writeFileSync(this.statePath, JSON.stringify({ version: 1, days }, null, 2) + '\n');
+  }
+
+  today() {
+    return this.state.days[dayKey(this.now())] || { total: 0, models: {} };
+  }
+
+  /**
+   * Budgets that apply to a model with what has been spent against each
+   */
+  budgetsFor(model) {
+    const today = this.today();
+    const budgets = [
+      { scope: 'session', model: null, ...this.limits.session, spent: this.sessionSpent },
+      { scope: 'daily', model: null, ...this.limits.daily, spent: today.total }
+    ];
+    if (model) {
+      budgets.push({ scope: 'model', model: this.modelKey(model), ...this.modelLimit(model), spent: today.models[this.modelKey(model)] || 0 });
+    }
+    return budgets;
+  }
+
+  /**
+   * Check a request that may cost up to `projected` USD.
+   * Throws BudgetExceededError on a hard limit; warns once per soft limit.
+   */
+  check(model, projected = 0) {
+    this.load();
+
+    for (const budget of this.budgetsFor(model)) {
+      const total = budget.spent + projected;
+
+      if (budget.hard !== undefined && total > budget.hard) {
+        throw new BudgetExceededError({ scope: budget.scope, model: budget.model, limit: budget.hard, spent: budget.spent, projected });
+      }
+
+      const key = `${budget.scope}:${budget.model || ''}`;
+      if (budget.soft !== undefined && total > budget.soft && !this.warned.has(key)) {
+        this.warned.add(key);
+        log.warn(`⚠️  ${SCOPE_LABELS[budget.scope](budget.model)} budget: ${usd(budget.spent)} spent, ` +
+          `this request could reach ${usd(total)} (soft limit ${usd(budget.soft)})`);
+      }
+    }
+  }
+
+  /**
+   * Worst-case cost of a request about to be sent by the OpenAI client.
+   * Returns null for requests that are not billed.
+   */
+  estimateRequest({ method, path, body }) {
+    if (method !== 'post' || !body) return null;
+
+    if (path === '/chat/completions') {
+      const maxTokens = body.max_completion_tokens ?? body.max_tokens ?? DEFAULT_ESTIMATE_MAX_TOKENS;
+      const estimate = this.catalog.estimate(body.messages || [], body.model, maxTokens, { tools: body.tools, functions: body.functions });
+      return { model: body.model, cost: estimate.max };
+    }
+
+    if (path === '/responses') {
+      const tools = (body.tools || []).filter(tool => tool.type === 'function');
+      const estimate = this.catalog.estimate(responsesMessages(body), body.model, body.max_output_tokens ?? DEFAULT_ESTIMATE_MAX_TOKENS, { tools });
+      return { model: body.model, cost: estimate.max };
+    }
+
+    // Assistant runs build their prompt on the server, so only what was already spent is checked
+    if (/^\/threads(\/[^/]+)?\/runs$/.test(path)) {
+      return { model: body.model, cost: 0 };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a request from the OpenAI client before it is sent
+   */
+  checkRequest(options) {
+    const request = this.estimateRequest(options);
+    if (request) this.check(request.model, request.cost);
+  }
+
+  /**
+   * Add a cost to the session, day and model totals
+   */
+  record(model, cost) {
+    if (!cost) return;
+
+    this.sessionSpent += cost;
+    this.load();
+
+    const key = dayKey(this.now());
+    const today = this.state.days[key] || { total: 0, models: {} };
+    const name = this.modelKey(model);
+    today.total += cost;
+    today.models[name] = (today.models[name] || 0) + cost;
+    this.state.days[key] = today;
+
+    try {
+      this.save();
+    } catch (error) {
+      log.warn(`⚠️  Could not save budget state to ${this.statePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the usage in an API reply (chat completion, final stream chunk, response or finished run)
+   */
+  recordResponse(body) {
+    if (!body?.usage || !body.model) return;
+
+    if (body.object === 'thread.run') {
+      if (this.recordedRuns.has(body.id)) return;
+      this.recordedRuns.add(body.id);
+    } else if (!['chat.completion', 'chat.completion.chunk', 'response'].includes(body.object)) {
+      return;
+    }
+
+    this.record(body.model, this.catalog.price(body.usage, body.model).total);
+  }
+
+  /**
+   * Every configured budget with its spending, for reports
+   */
+  status() {
+    this.load();
+    const today = this.today();
+    const models = new Set([...Object.keys(this.limits.models), ...Object.keys(today.models)]);
+
+    return this.budgetsFor(null)
+      .concat([...models].map(model => ({ scope: 'model', model, ...this.modelLimit(model), spent: today.models[model] || 0 })))
+      .filter(budget => budget.soft !== undefined || budget.hard !== undefined);
+  }
+}
+
+/**
+ * Wrap a fetch so the usage in every successful JSON reply, and in the final
+ * chunk of every streamed one, is recorded
+ */
+export function createBudgetFetch(guard, innerFetch = globalThis.fetch) {
+  return async (url, init) => {
+    const response = await innerFetch(url, init);
+
+    if (isReply(response, 'text/event-stream')) {
+      return tapEventStream(response, event => guard.recordResponse(streamedReply(event)));
+    }
+    if (isReply(response, 'application/json')) {
+      try {
+        guard.recordResponse(await response.clone().json());
+      } catch (error) {
+        log.debug(`Could not record usage for ${url}: ${error.message}`);
+      }
+    }
+    return response;
+  };
+}
+
+/**
+ * Describe a guard's budgets, one line each
+ */
+export function formatBudgetStatus(guard) {
+  return guard.status().map(budget => {
+    const limits = [
+      budget.soft !== undefined ? `soft ${usd(budget.soft)}` : null,
+      budget.hard !== undefined ? `hard ${usd(budget.hard)}` : null
+    ].filter(Boolean).join(', ');
+    return `${SCOPE_LABELS[budget.scope](budget.model)}: ${usd(budget.spent)} spent (${limits})`;
+  });
+}
+
+const defaultGuards = {};
+
+/**
+ * The guard for the budgets in openai-basics.config.json, created once.
+ * Offline (stand-in) guards keep their spending in memory only.
+ * Returns null when no budgets are configured or OPENAI_BUDGETS=off.
+ */
+export function getBudgetGuard({ offline = false, env = process.env } = {}) {
+  const key = offline ? 'offline' : 'online';
+  if (key in defaultGuards) return defaultGuards[key];
+
+  const disabled = ['off', '0', 'false', 'no'].includes(String(env.OPENAI_BUDGETS || '').trim().toLowerCase());
+  const { budgets } = disabled ? {} : loadProjectConfig({ env }).config;
+
+  defaultGuards[key] = budgets
+    ? new BudgetGuard({ limits: budgets, statePath: offline ? null : (env.OPENAI_BUDGET_STATE || DEFAULT_BUDGET_STATE_PATH) })
+    : null;
+  return defaultGuards[key];
+}
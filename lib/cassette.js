@@ -0,0 +1,308 @@
+/**
+ * Record/Replay Cassettes for OpenAI Calls
+ *
+ * A VCR-style layer that sits under the OpenAI client as its `fetch`
+ * implementation, so it sees every request made through the client
+ * (chat completions, assistants, files and Agents SDK runs alike).
+ *
+ * - record: requests go to the real API (or the offline stand-in when
+ *   OPENAI_OFFLINE=1) and each request/response pair is saved to a fixture
+ * - replay: responses come from the fixture; no network, no tokens spent
+ *
+ * A fixture names its `source`: "OpenAI API" for real recordings, "offline
+ * stand-in" for synthetic ones whose replies are the stand-in's canned text.
+ *
+ * Chat completion requests are matched on model, messages, tools and
+ * functions. Other endpoints are matched on method, path and body. A replayed
+ * request that no longer matches its recording is reported as drift.
+ *
+ * Usage:
+ *   const { client, cassette } = createCassetteClient('weather-function');
+ *   ...make calls with client...
+ *   cassette.assertNoDrift();
+ *
+ * Re-record fixtures with: OPENAI_CASSETTE_MODE=record npm test
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { isDeepStrictEqual } from 'util';
+import { createOpenAIClient, isOfflineMode } from './openai-client.js';
+import { OFFLINE_API_KEY, createStandInFetch } from './stand-in-api.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Default location of cassette fixtures
+ */
+export const CASSETTE_DIR = join(__dirname, '..', 'tests', 'fixtures', 'cassettes');
+
+export const CASSETTE_MODES = ['replay', 'record'];
+
+/**
+ * Fields used to match chat completion requests
+ */
+const CHAT_MATCH_FIELDS = ['model', 'messages', 'tools', 'functions'];
+
+/**
+ * Raised (and recorded on the cassette) when a replayed request differs
+ * from the recorded one
+ */
+export class CassetteDriftError extends Error {
+  constructor(cassetteName, request, differences) {
+    super(`Request drifted from cassette "${cassetteName}" (${request.method} ${request.path}):\n  - ${differences.join('\n  - ')}`);
+    this.name = 'CassetteDriftError';
+    this.request = request;
+    this.differences = differences;
+  }
+}
+
+/**
+ * Reduce a request body to the fields that identify it
+ */
+export function matchFields(path, body) {
+  if (!body || typeof body !== 'object') return body ?? null;
+
+  if (path.startsWith('/chat/completions')) {
+    return Object.fromEntries(CHAT_MATCH_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+  }
+
+  // Metadata tends to hold timestamps, which would never match on replay
+  const { metadata, ...rest } = body;
+  return rest;
+}
+
+/**
+ * Describe how two values differ, as "path: expected ... got ..." lines
+ */
+export function describeDifferences(expected, actual, path = '', limit = 5) {
+  const differences = [];
+
+  const walk = (a, b, at) => {
+    if (differences.length >= limit || isDeepStrictEqual(a, b)) return;
+
+    if (a && b && typeof a === 'object' && typeof b === 'object' && Array.isArray(a) === Array.isArray(b)) {
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+      for (const key of keys) {
+        walk(a[key], b[key], Array.isArray(a) ? `${at}[${key}]` : (at ? `${at}.${key}` : key));
+      }
+      return;
+    }
+
+    const show = (value) => {
+      const text = JSON.stringify(value) ?? 'undefined';
+      return text.length > 80 ? `${text.substring(0, 77)}...` : text;
+    };
+    differences.push(`${at || '(body)'}: expected ${show(a)}, got ${show(b)}`);
+  };
+
+  walk(expected, actual, path);
+  return differences;
+}
+
+/**
+ * Read the parts of a fetch Request a cassette cares about
+ */
+async function describeRequest(request) {
+  const url = new URL(request.url);
+  const path = url.pathname.replace(/^.*?\/v1(?=\/)/, '') + url.search;
+  const contentType = request.headers.get('content-type') || '';
+  let body = null;
+
+  if (contentType.includes('multipart/form-data')) {
+    const form = await request.formData();
+    body = {};
+    for (const [key, value] of form.entries()) {
+      body[key] = typeof value === 'string' ? value : { filename: value.name, bytes: value.size };
+    }
+  } else if (!['GET', 'DELETE'].includes(request.method)) {
+    const raw = await request.text();
+    try {
+      body = raw ? JSON.parse(raw) : null;
+    } catch {
+      body = raw;
+    }
+  }
+
+  return { method: request.method, path, body };
+}
+
+/**
+ * Read the parts of a fetch Response worth replaying
+ */
+async function describeResponse(response) {
+  const contentType = response.headers.get('content-type') || 'application/json';
+  const raw = await response.text();
+  let body = raw;
+
+  if (contentType.includes('application/json')) {
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      // Keep the raw text
+    }
+  }
+
+  return { status: response.status, headers: { 'content-type': contentType }, body };
+}
+
+/**
+ * A set of recorded interactions backed by a JSON fixture file
+ */
+export class Cassette {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.path = options.path || join(options.dir || CASSETTE_DIR, `${name}.json`);
+    this.mode = options.mode || process.env.OPENAI_CASSETTE_MODE || 'replay';
+
+    if (!CASSETTE_MODES.includes(this.mode)) {
+      throw new Error(`Unknown cassette mode "${this.mode}". Expected one of: ${CASSETTE_MODES.join(', ')}`);
+    }
+
+    this.source = options.source || null;
+    this.interactions = [];
+    this.used = new Set();
+    this.drifts = [];
+
+    if (options.interactions) {
+      this.interactions = options.interactions;
+    } else if (this.mode === 'replay') {
+      if (!existsSync(this.path)) {
+        throw new Error(`Cassette "${name}" not found at ${this.path}. Record it with OPENAI_CASSETTE_MODE=record`);
+      }
+      const fixture = JSON.parse(readFileSync(this.path, 'utf-8'));
+      this.interactions = fixture.interactions;
+      this.source = fixture.source || null;
+    }
+  }
+
+  /**
+   * Find the recorded response for a request, or report drift
+   */
+  replay(request) {
+    const match = matchFields(request.path, request.body);
+    const sameRoute = this.interactions
+      .map((interaction, index) => ({ interaction, index }))
+      .filter(({ interaction, index }) =>
+        !this.used.has(index) &&
+        interaction.request.method === request.method &&
+        interaction.request.path === request.path);
+
+    const exact = sameRoute.find(({ interaction }) =>
+      isDeepStrictEqual(matchFields(interaction.request.path, interaction.request.body), match));
+
+    if (exact) {
+      this.used.add(exact.index);
+      return exact.interaction.response;
+    }
+
+    const differences = sameRoute.length > 0
+      ? describeDifferences(matchFields(sameRoute[0].interaction.request.path, sameRoute[0].interaction.request.body), match)
+      : ['no unused recorded interaction for this endpoint'];
+
+    const drift = new CassetteDriftError(this.name, request, differences);
+    this.drifts.push(drift);
+    throw drift;
+  }
+
+  /**
+   * Append an interaction and persist the cassette
+   */
+  record(request, response) {
+    this.interactions.push({ request, response });
+    this.save();
+  }
+
+  save() {
+    mkdirSync(dirname(this.path), { recursive: true });
+    writeFileSync(this.path, JSON.stringify({
+      name: this.name,
+      ...(this.source ? { source: this.source } : {}),
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions
+    }, null, 2) + '\n');
+  }
+
+  /**
+   * Recorded interactions the run never asked for (e.g. a removed call)
+   */
+  unusedInteractions() {
+    if (this.mode !== 'replay') return [];
+    return this.interactions.filter((_, index) => !this.used.has(index));
+  }
+
+  /**
+   * Throw if any request drifted or a recorded request was never made
+   */
+  assertNoDrift() {
+    if (this.drifts.length > 0) {
+      throw this.drifts[0];
+    }
+
+    const unused = this.unusedInteractions();
+    if (unused.length > 0) {
+      const missing = unused.map(({ request }) => `${request.method} ${request.path}`);
+      throw new CassetteDriftError(this.name, unused[0].request, [`${unused.length} recorded request(s) were never made: ${missing.join(', ')}`]);
+    }
+  }
+}
+
+/**
+ * Wrap a fetch implementation so calls are recorded to or replayed from a cassette
+ */
+export function createCassetteFetch(cassette, innerFetch = globalThis.fetch) {
+  return async (url, init = {}) => {
+    const request = new Request(url, init);
+
+    if (cassette.mode === 'record') {
+      const described = await describeRequest(request.clone());
+      const response = await innerFetch(request);
+      const recorded = await describeResponse(response);
+      cassette.record(described, recorded);
+      return toResponse(recorded);
+    }
+
+    const described = await describeRequest(request);
+    try {
+      return toResponse(cassette.replay(described));
+    } catch (error) {
+      if (!(error instanceof CassetteDriftError)) throw error;
+      // A non-retryable API error makes the failing call obvious in the test output
+      return toResponse({
+        status: 400,
+        headers: { 'content-type': 'application/json' },
+        body: { error: { message: error.message, type: 'cassette_drift', param: null, code: null } }
+      });
+    }
+  };
+}
+
+function toResponse(recorded) {
+  const body = typeof recorded.body === 'string' ? recorded.body : JSON.stringify(recorded.body);
+  return new Response(body, { status: recorded.status, headers: recorded.headers });
+}
+
+/**
+ * Create an OpenAI client that records to or replays from the named cassette.
+ * `options.fetch` replaces the transport used while recording and
+ * `options.clientOptions` is passed on to createOpenAIClient. Recordings
+ * name their source (see Cassette), or `options.source` with a custom fetch.
+ */
+export function createCassetteClient(name, options = {}) {
+  const offline = !options.fetch && isOfflineMode();
+  const source = options.source || (options.fetch ? null : offline ? 'offline stand-in' : 'OpenAI API');
+  const cassette = options.cassette || new Cassette(name, { ...options, source });
+  const innerFetch = options.fetch || (offline ? createStandInFetch() : globalThis.fetch);
+  const replaying = cassette.mode === 'replay';
+
+  const client = createOpenAIClient({
+    // Replays never reach the network, so no real key is needed and nothing is spent
+    ...(replaying ? { apiKey: OFFLINE_API_KEY, offline: false, baseURL: undefined, budget: null } : {}),
+    maxRetries: 0,
+    ...options.clientOptions,
+    fetch: createCassetteFetch(cassette, innerFetch)
+  });
+
+  return { client, cassette };
+}
@@ -0,0 +1,653 @@
+/**
+ * Saved Chat Sessions
+ *
+ * Chatbot conversations saved as one JSON file per session, with the exact
+ * message history (system prompt included) and metadata: name, model,
+ * created and updated times, token and cost totals, settings of its own
+ * (temperature, maxTokens, context) and the rolling summary of its context
+ * window (lib/context-window.js). The chatbot saves its session after every
+ * turn and resumes one with --resume; the chat server (chatbot/chat-server.js)
+ * keeps its sessions in the same store.
+ *
+ * A conversation is a tree: editing an earlier message or answering one again
+ * forks a branch that shares the messages before it. `messages` is always
+ * the branch being chatted on, so code that only chats never sees the tree.
+ * Each branch has its own token and cost totals, and the session's totals are
+ * the sum of them. A session that was never forked is saved as a plain list.
+ *
+ * Run this file to manage saved sessions:
+ *   node lib/chat-sessions.js list
+ *   node lib/chat-sessions.js branches <session>
+ *   node lib/chat-sessions.js rename <session> <new name>
+ *   node lib/chat-sessions.js delete <session>
+ *   node lib/chat-sessions.js export <session> [--branch name] [--format md|json] [--output path]
+ *
+ * A session is named by its id, a unique start of its id, or its name.
+ * Without --output, export prints the transcript of the current branch, or of
+ * the one given with --branch.
+ *
+ * Environment variables:
+ *   OPENAI_CHAT_SESSIONS_DIR   Directory for saved sessions
+ *                              (default: .openai-basics/chat-sessions)
+ */
+
+import { readFileSync, writeFileSync, readdirSync, renameSync, rmSync, existsSync, mkdirSync } from 'fs';
+import { dirname, join, extname } from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { createLogger } from './logger.js';
+import { calculateCost } from './cost-tracker.js';
+import { formatTable } from './text-table.js';
+import { describeToolCall } from './tool-registry.js';
+
+const log = createLogger('chat-sessions');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_SESSIONS_DIR = join(__dirname, '..', '.openai-basics', 'chat-sessions');
+
+/**
+ * Formats a transcript can be exported to
+ */
+export const TRANSCRIPT_FORMATS = ['md', 'json'];
+
+const NAME_LENGTH = 48;
+
+/**
+ * The branch every session starts on
+ */
+export const MAIN_BRANCH = 'main';
+
+/**
+ * Raised when a session cannot be found, is ambiguous or cannot be read
+ */
+export class ChatSessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChatSessionError';
+  }
+}
+
+function emptyTotals() {
+  return { replies: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function addToTotals(totals, usage, cost, reply) {
+  if (reply) totals.replies += 1;
+  totals.inputTokens += usage.prompt_tokens ?? 0;
+  totals.outputTokens += usage.completion_tokens ?? 0;
+  totals.totalTokens += usage.total_tokens ?? 0;
+  totals.cost += cost;
+}
+
+/**
+ * "20261019-142501-3f9a1c": sorts by creation time and reads well in a list
+ */
+function newSessionId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${randomUUID().slice(0, 6)}`;
+}
+
+/**
+ * Default name for a session: the start of its first user message
+ */
+function nameFromMessages(messages) {
+  const first = messages.find(message => message.role === 'user' && typeof message.content === 'string' && message.content.trim());
+  if (!first) return null;
+
+  const text = first.content.trim().replace(/\s+/g, ' ');
+  return text.length > NAME_LENGTH ? `${text.substring(0, NAME_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Ids of the nodes from the root of the tree to `head`
+ */
+function pathTo(nodes, head) {
+  const path = [];
+  for (let id = head; id !== null; id = nodes.get(id).parent) path.unshift(id);
+  return path;
+}
+
+/**
+ * The messages from the root of the tree to `head`
+ */
+function pathMessages(nodes, head) {
+  return pathTo(nodes, head).map(id => nodes.get(id).message);
+}
+
+/**
+ * Record the active branch's messages in the tree. The chat adds and removes
+ * messages as it goes, so the branch keeps the nodes it shares with them and
+ * gets new ones for the rest; nodes no branch reaches any more are dropped.
+ */
+function syncBranch(session) {
+  const branch = session.activeBranch;
+  const path = pathTo(session.nodes, branch.head);
+  let shared = 0;
+  while (shared < path.length && shared < session.messages.length && session.nodes.get(path[shared]).message === session.messages[shared]) shared++;
+
+  let head = shared > 0 ? path[shared - 1] : null;
+  for (const message of session.messages.slice(shared)) {
+    session.lastNodeId += 1;
+    session.nodes.set(session.lastNodeId, { parent: head, message });
+    head = session.lastNodeId;
+  }
+  branch.head = head;
+
+  if (shared < path.length) dropUnreached(session);
+}
+
+/**
+ * Drop the nodes no branch reaches any more
+ */
+function dropUnreached(session) {
+  const reached = new Set(session.branches.flatMap(other => pathTo(session.nodes, other.head)));
+  for (const id of session.nodes.keys()) {
+    if (!reached.has(id)) session.nodes.delete(id);
+  }
+}
+
+/**
+ * One chatbot conversation and its metadata
+ */
+export class ChatSession {
+  constructor({ id = newSessionId(), name = null, model, profile = null, createdAt = new Date().toISOString(), updatedAt = createdAt, messages = [], totals = emptyTotals(), config = null, context = null, branch = MAIN_BRANCH, branches = null, nodes = null }) {
+    this.id = id;
+    this.name = name;
+    this.model = model;
+    this.profile = profile;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+    this.totals = { ...emptyTotals(), ...totals };
+    this.config = config;
+    this.context = context;
+
+    // The tree: every message is a node pointing at the one before it, and
+    // each branch points at its last node. The current branch's context is
+    // this.context; the others keep theirs.
+    this.nodes = new Map((nodes || []).map(node => [node.id, { parent: node.parent, message: node.message }]));
+    this.lastNodeId = Math.max(0, ...this.nodes.keys());
+    this.branches = (branches || [{ name: branch, totals: this.totals }]).map(saved => ({
+      name: saved.name,
+      head: saved.head ?? null,
+      forkedFrom: saved.forkedFrom ?? null,
+      createdAt: saved.createdAt ?? createdAt,
+      totals: { ...emptyTotals(), ...saved.totals },
+      context: saved.context ?? null
+    }));
+    this.branch = branch;
+    if (!this.activeBranch) throw new ChatSessionError(`The session ${id} has no branch "${branch}"`);
+    this.messages = nodes ? pathMessages(this.nodes, this.activeBranch.head) : messages;
+  }
+
+  /**
+   * A new session that starts with the system prompt
+   */
+  static start({ model, profile = null, systemPrompt, name = null, config = null }) {
+    return new ChatSession({ model, profile, name, config, messages: systemPrompt ? [{ role: 'system', content: systemPrompt }] : [] });
+  }
+
+  /**
+   * The session's name, or the start of its first message until it has one
+   */
+  get title() {
+    return this.name || nameFromMessages(this.messages) || 'Untitled';
+  }
+
+  /**
+   * Add a call's usage to the totals; reply: false for calls that are not
+   * replies, such as context summaries
+   */
+  recordUsage(usage, model = this.model, { reply = true } = {}) {
+    const costs = calculateCost(usage, model);
+    addToTotals(this.totals, usage, costs.total, reply);
+    addToTotals(this.activeBranch.totals, usage, costs.total, reply);
+    return costs;
+  }
+
+  /**
+   * The branch being chatted on
+   */
+  get activeBranch() {
+    return this.branches.find(branch => branch.name === this.branch);
+  }
+
+  /**
+   * A branch by name; unknown names are a ChatSessionError
+   */
+  getBranch(name) {
+    const branch = this.branches.find(candidate => candidate.name === name);
+    if (!branch) {
+      throw new ChatSessionError(`No branch "${name}". Branches: ${this.branches.map(candidate => candidate.name).join(', ')}`);
+    }
+    return branch;
+  }
+
+  /**
+   * The messages on a branch, from the first
+   */
+  branchMessages(name = this.branch) {
+    const branch = this.getBranch(name);
+    if (branch === this.activeBranch) return this.messages;
+    return pathMessages(this.nodes, branch.head);
+  }
+
+  /**
+   * Every branch in the order they were made: { name, active, forkedFrom,
+   * createdAt, messages, totals }. forkedFrom is { branch, turn }, the branch
+   * it was forked from and the turn (user message) where they part.
+   */
+  listBranches() {
+    return this.branches.map(branch => ({
+      name: branch.name,
+      active: branch === this.activeBranch,
+      forkedFrom: branch.forkedFrom,
+      createdAt: branch.createdAt,
+      messages: this.branchMessages(branch.name).length,
+      totals: { ...branch.totals }
+    }));
+  }
+
+  /**
+   * Start a branch that shares the first `at` messages of this one, and
+   * switch to it. Its totals start at zero and it takes this branch's
+   * context window state, which may no longer fit (see chatbot/commands.js).
+   */
+  fork(at, name = this.nextBranchName()) {
+    if (!(Number.isInteger(at) && at >= 0 && at <= this.messages.length)) {
+      throw new ChatSessionError(`Cannot fork at message ${at} of ${this.messages.length}`);
+    }
+    if (this.branches.some(branch => branch.name === name)) throw new ChatSessionError(`There is already a branch "${name}"`);
+
+    syncBranch(this);
+    const from = this.activeBranch;
+    const userMessages = (messages) => messages.filter(message => message.role === 'user').length;
+    const turn = userMessages(this.messages.slice(0, at)) + (this.messages[at]?.role === 'user' ? 1 : 0);
+    const branch = {
+      name,
+      head: at > 0 ? pathTo(this.nodes, from.head)[at - 1] : null,
+      forkedFrom: { branch: from.name, turn },
+      createdAt: new Date().toISOString(),
+      totals: emptyTotals(),
+      context: null
+    };
+    from.context = this.context;
+    this.branches.push(branch);
+    this.branch = name;
+    this.messages = this.messages.slice(0, at);
+    this.context = from.context ? { ...from.context } : null;
+    return branch;
+  }
+
+  /**
+   * Chat on another branch from now on
+   */
+  switchBranch(name) {
+    const branch = this.getBranch(name);
+    if (branch === this.activeBranch) return branch;
+
+    syncBranch(this);
+    const from = this.activeBranch;
+    from.context = this.context;
+    this.branch = branch.name;
+    this.messages = pathMessages(this.nodes, branch.head);
+    this.context = branch.context;
+    branch.context = null;
+    return branch;
+  }
+
+  /**
+   * Remove a branch with the messages only it has. The current branch and
+   * branches others were forked from stay.
+   */
+  deleteBranch(name) {
+    const branch = this.getBranch(name);
+    if (branch === this.activeBranch) throw new ChatSessionError(`Cannot delete ${name}, the current branch`);
+    const forks = this.branches.filter(other => other.forkedFrom?.branch === name);
+    if (forks.length > 0) throw new ChatSessionError(`Cannot delete ${name}: ${forks.map(fork => fork.name).join(', ')} was forked from it`);
+
+    syncBranch(this);
+    this.branches.splice(this.branches.indexOf(branch), 1);
+    dropUnreached(this);
+    return branch;
+  }
+
+  /**
+   * A name for the next branch: branch-2, branch-3, ...
+   */
+  nextBranchName() {
+    for (let number = this.branches.length + 1; ; number++) {
+      const name = `branch-${number}`;
+      if (!this.branches.some(branch => branch.name === name)) return name;
+    }
+  }
+
+  /**
+   * A copy of the session holding one branch only, with that branch's
+   * messages, totals and context: what a branch's transcript shows
+   */
+  forBranch(name = this.branch) {
+    const branch = this.getBranch(name);
+    const active = branch === this.activeBranch;
+    return new ChatSession({
+      id: this.id,
+      name: this.name,
+      model: this.model,
+      profile: this.profile,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      config: this.config,
+      messages: [...this.branchMessages(name)],
+      totals: branch.totals,
+      context: active ? this.context : branch.context,
+      branch: branch.name,
+      branches: [{ ...branch, head: null, context: null }]
+    });
+  }
+
+  toJSON() {
+    const forked = this.branches.length > 1;
+    if (forked) syncBranch(this);
+    return {
+      id: this.id,
+      name: this.name,
+      model: this.model,
+      profile: this.profile,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      totals: this.totals,
+      ...(this.config ? { config: this.config } : {}),
+      ...(this.context ? { context: this.context } : {}),
+      ...(forked || this.branch !== MAIN_BRANCH ? { branch: this.branch } : {}),
+      ...(forked
+        ? {
+            branches: this.branches.map(({ context, ...branch }) => ({ ...branch, ...(context ? { context } : {}) })),
+            nodes: [...this.nodes].map(([id, { parent, message }]) => ({ id, parent, message }))
+          }
+        : {}),
+      messages: this.messages
+    };
+  }
+}
+
+/**
+ * A directory of saved sessions, one <id>.json file each
+ */
+export class ChatSessionStore {
+  constructor(dir = DEFAULT_SESSIONS_DIR) {
+    this.dir = dir;
+  }
+
+  pathFor(id) {
+    return join(this.dir, `${id}.json`);
+  }
+
+  /**
+   * Write a session, replacing the previous copy in one step
+   */
+  save(session) {
+    session.updatedAt = new Date().toISOString();
+    mkdirSync(this.dir, { recursive: true });
+
+    const path = this.pathFor(session.id);
+    const temporary = `${path}.${process.pid}.tmp`;
+    writeFileSync(temporary, JSON.stringify(session, null, 2) + '\n');
+    renameSync(temporary, path);
+    return session;
+  }
+
+  /**
+   * Every readable session, most recently updated first
+   */
+  list() {
+    if (!existsSync(this.dir)) return [];
+
+    const sessions = [];
+    for (const file of readdirSync(this.dir).filter(file => file.endsWith('.json'))) {
+      try {
+        sessions.push(this.read(join(this.dir, file)));
+      } catch (error) {
+        log.warn(`⚠️  Skipping ${file}: ${error.message}`);
+      }
+    }
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  read(path) {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (error) {
+      throw new ChatSessionError(`Could not read ${path}: ${error.message}`);
+    }
+    if (!data.id || !Array.isArray(data.messages)) {
+      throw new ChatSessionError(`${path} is not a saved chat session`);
+    }
+    return new ChatSession(data);
+  }
+
+  /**
+   * The session with exactly this id, or null
+   */
+  get(id) {
+    if (!/^[\w-]+$/.test(String(id)) || !existsSync(this.pathFor(id))) return null;
+    return this.read(this.pathFor(id));
+  }
+
+  /**
+   * Find a session by id, name or a unique start of its id
+   */
+  find(reference) {
+    const wanted = String(reference ?? '').trim();
+    if (!wanted) throw new ChatSessionError('Name a session by its id or name');
+
+    const exact = this.get(wanted);
+    if (exact) return exact;
+
+    const sessions = this.list();
+    const byName = sessions.filter(session => session.title.toLowerCase() === wanted.toLowerCase());
+    const matches = byName.length > 0 ? byName : sessions.filter(session => session.id.startsWith(wanted));
+
+    if (matches.length === 0) {
+      throw new ChatSessionError(`No saved session matches "${wanted}" (see: npm run sessions -- list)`);
+    }
+    if (matches.length > 1) {
+      throw new ChatSessionError(`"${wanted}" matches ${matches.length} sessions: ${matches.map(session => session.id).join(', ')}`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * The most recently updated session, or null when none are saved
+   */
+  latest() {
+    return this.list()[0] || null;
+  }
+
+  rename(reference, name) {
+    if (!String(name ?? '').trim()) throw new ChatSessionError('A session name must not be empty');
+
+    const session = this.find(reference);
+    session.name = String(name).trim();
+    return this.save(session);
+  }
+
+  delete(reference) {
+    const session = this.find(reference);
+    rmSync(this.pathFor(session.id), { force: true });
+    return session;
+  }
+}
+
+/**
+ * The store at OPENAI_CHAT_SESSIONS_DIR (or .openai-basics/chat-sessions)
+ */
+export function getChatSessionStore(env = process.env) {
+  return new ChatSessionStore(env.OPENAI_CHAT_SESSIONS_DIR || DEFAULT_SESSIONS_DIR);
+}
+
+const SPEAKERS = { system: 'System', user: 'You', assistant: 'Bot', tool: 'Tool' };
+
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(part => part.text ?? '').join('');
+  return '';
+}
+
+/**
+ * Where a branch came from: "from main at turn 2"
+ */
+export function describeFork(forkedFrom) {
+  return forkedFrom ? `from ${forkedFrom.branch} at turn ${forkedFrom.turn}` : '';
+}
+
+/**
+ * The transcript of one branch of a session (default: the current one) as
+ * Markdown or JSON, with that branch's totals. In Markdown, the tools a reply
+ * called are listed under it and each result is headed with its tool's name.
+ */
+export function exportTranscript(session, format = 'md', { branch = session.branch } = {}) {
+  if (!TRANSCRIPT_FORMATS.includes(format)) {
+    throw new ChatSessionError(`Unknown transcript format "${format}". Formats: ${TRANSCRIPT_FORMATS.join(', ')}`);
+  }
+  const forked = session.branches.length > 1;
+  session = session.forBranch(branch);
+  if (format === 'json') return JSON.stringify(session, null, 2) + '\n';
+
+  const { totals } = session;
+  const { forkedFrom } = session.activeBranch;
+  const lines = [
+    `# ${session.title}`,
+    '',
+    `- Session: ${session.id}`,
+    ...(forked || forkedFrom ? [`- Branch: ${session.branch}${forkedFrom ? ` (${describeFork(forkedFrom)})` : ''}`] : []),
+    `- Model: ${session.model}${session.profile ? ` (${session.profile} profile)` : ''}`,
+    `- Created: ${session.createdAt}`,
+    `- Updated: ${session.updatedAt}`,
+    `- Tokens: ${totals.totalTokens.toLocaleString('en-US')} (${totals.inputTokens.toLocaleString('en-US')} input, ${totals.outputTokens.toLocaleString('en-US')} output) over ${totals.replies} replies`,
+    `- Cost: $${totals.cost.toFixed(6)}`
+  ];
+
+  const toolNames = new Map();
+  for (const message of session.messages) {
+    const speaker = SPEAKERS[message.role] || message.role;
+    if (message.role === 'tool') {
+      lines.push('', `## ${speaker}: ${toolNames.get(message.tool_call_id) || 'unknown'}`, '', '```', contentText(message.content), '```');
+      continue;
+    }
+
+    lines.push('', `## ${speaker}`);
+    const text = contentText(message.content);
+    if (text || !message.tool_calls?.length) lines.push('', text);
+    if (message.tool_calls?.length > 0) {
+      lines.push('');
+      for (const toolCall of message.tool_calls) {
+        toolNames.set(toolCall.id, toolCall.function.name);
+        lines.push(`- 🔧 \`${describeToolCall(toolCall.function)}\``);
+      }
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Saved sessions as a table, most recent first
+ */
+export function formatSessionList(sessions, { markdown = false } = {}) {
+  return formatTable(
+    ['Session', 'Name', 'Model', 'Messages', 'Branches', 'Tokens', 'Cost', 'Updated'],
+    sessions.map(session => [
+      session.id,
+      session.title,
+      session.model,
+      session.messages.filter(message => message.role !== 'system').length,
+      session.branches.length,
+      session.totals.totalTokens.toLocaleString('en-US'),
+      `$${session.totals.cost.toFixed(6)}`,
+      session.updatedAt.replace('T', ' ').slice(0, 16)
+    ]),
+    { markdown }
+  );
+}
+
+/**
+ * A session's branches as a table, the current one marked with *
+ */
+export function formatBranchList(session, { markdown = false } = {}) {
+  return formatTable(
+    ['Branch', 'Forked', 'Messages', 'Replies', 'Tokens', 'Cost'],
+    session.listBranches().map(branch => [
+      `${branch.active ? '* ' : '  '}${branch.name}`,
+      describeFork(branch.forkedFrom) || '-',
+      branch.messages,
+      branch.totals.replies,
+      branch.totals.totalTokens.toLocaleString('en-US'),
+      `$${branch.totals.cost.toFixed(6)}`
+    ]),
+    { markdown }
+  );
+}
+
+/**
+ * Parse the sessions CLI: a command, its arguments and --branch/--format/--output
+ */
+export function parseSessionArgs(argv = process.argv.slice(2)) {
+  const options = { command: 'list', args: [] };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s, 2);
+    if (flag === '--branch' || flag === '--format' || flag === '--output') {
+      const value = inline !== undefined ? inline : argv[++i];
+      if (!value) throw new ChatSessionError(`${flag} needs a value`);
+      options[flag.slice(2)] = value;
+    } else if (flag.startsWith('--')) {
+      throw new ChatSessionError(`Unknown option "${argv[i]}". Options: --branch, --format, --output`);
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  if (positional.length > 0) [options.command, ...options.args] = positional;
+  if (!['list', 'branches', 'rename', 'delete', 'export'].includes(options.command)) {
+    throw new ChatSessionError(`Unknown command "${options.command}". Commands: list, branches, rename, delete, export`);
+  }
+  return options;
+}
+
+// Allow managing saved sessions directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const { command, args, branch, format, output } = parseSessionArgs();
+    const store = getChatSessionStore();
+
+    if (command === 'list') {
+      const sessions = store.list();
+      log.info(`💬 Saved chat sessions: ${store.dir}`);
+      log.info(sessions.length === 0 ? '   None yet. Chat with: node chatbot/chatbot.js' : formatSessionList(sessions));
+    } else if (command === 'branches') {
+      const session = store.find(args[0]);
+      log.info(`🌿 Branches of "${session.title}" (${session.id})`);
+      log.info(formatBranchList(session));
+    } else if (command === 'rename') {
+      const session = store.rename(args[0], args.slice(1).join(' '));
+      log.info(`✏️  Renamed ${session.id} to "${session.name}"`);
+    } else if (command === 'delete') {
+      const session = store.delete(args[0]);
+      log.info(`🗑️  Deleted ${session.id} ("${session.title}")`);
+    } else {
+      const session = store.find(args[0]);
+      const transcriptFormat = format || (output ? extname(output).slice(1).toLowerCase() : 'md');
+      const transcript = exportTranscript(session, transcriptFormat === 'markdown' ? 'md' : transcriptFormat, { branch: branch ?? session.branch });
+      if (output) {
+        writeFileSync(output, transcript);
+        log.info(`💾 Wrote "${session.title}" to ${output}`);
+      } else {
+        process.stdout.write(transcript);
+      }
+    }
+  } catch (error) {
+    log.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Streamed Chat Completions
+ *
+ * Sends a chat completion with `stream: true` and hands each piece of text to
+ * onDelta as it arrives. Usage comes from the stream's final chunk
+ * (stream_options.include_usage is always requested). Aborting the signal
+ * stops just this reply: the text received so far is returned with
+ * `aborted: true` and no usage, since the final chunk never arrives.
+ *
+ * Usage:
+ *   const controller = new AbortController();
+ *   const reply = await streamChatCompletion(client, { model, messages }, {
+ *     signal: controller.signal,
+ *     onDelta: (text) => process.stdout.write(text)
+ *   });
+ */
+
+import { APIUserAbortError } from 'openai';
+
+/**
+ * Whether an error was caused by aborting the request
+ */
+export function isAbortError(error, signal) {
+  return error instanceof APIUserAbortError || error?.name === 'AbortError' || Boolean(signal?.aborted);
+}
+
+/**
+ * Merge streamed tool call fragments into complete tool calls
+ */
+function mergeToolCalls(toolCalls, fragments) {
+  for (const fragment of fragments) {
+    const call = toolCalls[fragment.index] || (toolCalls[fragment.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+    if (fragment.id) call.id = fragment.id;
+    if (fragment.type) call.type = fragment.type;
+    call.function.name += fragment.function?.name || '';
+    call.function.arguments += fragment.function?.arguments || '';
+  }
+}
+
+/**
+ * Stream a chat completion.
+ * Returns { text, toolCalls, finishReason, usage, aborted, timeToFirstToken,
+ * tokensPerSecond, responseTime }; times are in ms from when the call started.
+ */
+export async function streamChatCompletion(client, params, { signal, onDelta } = {}) {
+  const startTime = Date.now();
+  const result = { text: '', toolCalls: [], finishReason: null, usage: null, aborted: false, timeToFirstToken: null, tokensPerSecond: null, responseTime: 0 };
+  let firstTokenAt = null;
+
+  try {
+    const stream = await client.chat.completions.create(
+      { ...params, stream: true, stream_options: { ...params.stream_options, include_usage: true } },
+      { signal }
+    );
+
+    for await (const chunk of stream) {
+      const choice = chunk.choices[0];
+      if (choice?.delta?.content) {
+        firstTokenAt = firstTokenAt ?? Date.now();
+        result.text += choice.delta.content;
+        onDelta?.(choice.delta.content);
+      }
+      if (choice?.delta?.tool_calls) {
+        firstTokenAt = firstTokenAt ?? Date.now();
+        mergeToolCalls(result.toolCalls, choice.delta.tool_calls);
+      }
+      if (choice?.finish_reason) result.finishReason = choice.finish_reason;
+      if (chunk.usage) result.usage = chunk.usage;
+    }
+    // The SDK ends the iteration quietly when the request is aborted mid-stream
+    result.aborted = Boolean(signal?.aborted);
+  } catch (error) {
+    if (!isAbortError(error, signal)) throw error;
+    result.aborted = true;
+  }
+
+  const endTime = Date.now();
+  result.responseTime = endTime - startTime;
+  result.timeToFirstToken = firstTokenAt === null ? null : firstTokenAt - startTime;
+  if (result.usage && firstTokenAt !== null && endTime > firstTokenAt) {
+    result.tokensPerSecond = result.usage.completion_tokens / ((endTime - firstTokenAt) / 1000);
+  }
+  result.toolCalls = result.toolCalls.filter(Boolean);
+
+  return result;
+}
@@ -0,0 +1,200 @@
+/**
+ * Context-Window Management
+ *
+ * Decides which messages of a long conversation are sent with each request,
+ * so sessions stay inside the model's context and the cost per turn stops
+ * growing. The full history is never changed; only what is sent is.
+ *
+ * Strategies:
+ *   full     Send every message (the default)
+ *   sliding  Send the newest turns that fit in maxTokens
+ *   summary  Like sliding, but turns that fall out of the window are folded
+ *            into a rolling summary written by a cheaper model (summaryModel),
+ *            which is sent in their place
+ *
+ * With pinSystemPrompt (the default) the system prompt is always sent and
+ * counts against the budget. A turn is a user message with the replies that
+ * follow it; turns are dropped whole, and the newest one is always sent.
+ *
+ * Configure it per module in openai-basics.config.json:
+ *   "chatbot": { "context": { "strategy": "summary", "maxTokens": 3000, "summaryModel": "gpt-4o-mini" } }
+ */
+
+import { countChatTokens, countMessageTokens } from './token-counter.js';
+import { withUsageTags } from './usage-middleware.js';
+
+/**
+ * Strategies for choosing the messages to send
+ */
+export const CONTEXT_STRATEGIES = ['full', 'sliding', 'summary'];
+
+/**
+ * Settings used for anything a module's `context` leaves out
+ */
+export const DEFAULT_CONTEXT = {
+  strategy: 'full',
+  maxTokens: 4000,
+  pinSystemPrompt: true,
+  summaryModel: 'gpt-4o-mini',
+  summaryMaxTokens: 300
+};
+
+const SUMMARY_INSTRUCTIONS = 'You keep a running summary of a conversation between a user and an assistant. ' +
+  'Merge the earlier summary with the new messages into one short summary. Keep names, facts, decisions, ' +
+  'open questions and anything the user asked to be remembered. Reply with the summary only.';
+
+const SPEAKERS = { user: 'User', assistant: 'Assistant', tool: 'Tool', system: 'System' };
+
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) return message.content.map(part => part.text ?? '').join('');
+  if (message.tool_calls) return message.tool_calls.map(call => `${call.function.name}(${call.function.arguments})`).join(', ');
+  return '';
+}
+
+const tokensOf = (messages) => messages.reduce((sum, message) => sum + countMessageTokens(message), 0);
+
+/**
+ * Group messages into turns: each user message with the messages after it,
+ * up to the next user message
+ */
+export function splitTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === 'user' || turns.length === 0) turns.push([]);
+    turns[turns.length - 1].push(message);
+  }
+  return turns;
+}
+
+/**
+ * How many of the leading messages are the newest turns that fit in
+ * `budget` tokens, counted from the end: returns the index where the window
+ * starts. The newest turn is always included.
+ */
+export function windowStart(messages, budget) {
+  const turns = splitTurns(messages);
+  let start = messages.length;
+  let used = 0;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const tokens = tokensOf(turns[i]);
+    if (i < turns.length - 1 && used + tokens > budget) break;
+    used += tokens;
+    start -= turns[i].length;
+  }
+  return start;
+}
+
+/**
+ * The message that stands in for the summarized turns
+ */
+export function summaryMessage(summary) {
+  return { role: 'system', content: `Summary of the earlier conversation:\n${summary}` };
+}
+
+/**
+ * Fold messages into a running summary with a (cheaper) model.
+ * Returns { summary, usage }.
+ */
+export async function summarizeMessages(client, { model, previous = null, messages, maxTokens = DEFAULT_CONTEXT.summaryMaxTokens }) {
+  const transcript = messages.map(message => `${SPEAKERS[message.role] || message.role}: ${messageText(message)}`).join('\n');
+  const request = [
+    previous ? `Earlier summary:\n${previous}` : 'There is no earlier summary.',
+    `New messages:\n${transcript}`
+  ].join('\n\n');
+
+  const completion = await withUsageTags({ description: 'Context summary' }, () => client.chat.completions.create({
+    model,
+    max_tokens: maxTokens,
+    temperature: 0,
+    messages: [
+      { role: 'system', content: SUMMARY_INSTRUCTIONS },
+      { role: 'user', content: request }
+    ]
+  }));
+
+  return { summary: completion.choices[0].message.content.trim(), usage: completion.usage };
+}
+
+/**
+ * Chooses the messages to send for a conversation.
+ *
+ * Options: the `context` settings above plus client (for summaries) and
+ * model (the chat model, for token counts). `state` carries the rolling
+ * summary between turns ({ summary, summarized }: the summary and how many
+ * history messages it covers); store it with the session to resume it.
+ */
+export class ContextWindow {
+  constructor({ client = null, model, state = null, ...settings } = {}) {
+    this.settings = { ...DEFAULT_CONTEXT, ...settings };
+    if (!CONTEXT_STRATEGIES.includes(this.settings.strategy)) {
+      throw new Error(`Unknown context strategy "${this.settings.strategy}". Strategies: ${CONTEXT_STRATEGIES.join(', ')}`);
+    }
+    this.client = client;
+    this.model = model;
+    this.state = { summary: null, summarized: 0, ...state };
+  }
+
+  get strategy() {
+    return this.settings.strategy;
+  }
+
+  /**
+   * The messages to send for a conversation, summarizing turns that fell out
+   * of the window first when the strategy is `summary`.
+   * Returns { messages, tokens, sent, total, summarized, summaryUsage }:
+   * the estimated prompt tokens, how many of the conversation's messages
+   * (besides a pinned system prompt) are sent as they are, and how many are
+   * covered by the summary.
+   */
+  async prepare(conversation) {
+    const { strategy, maxTokens, pinSystemPrompt } = this.settings;
+    const pinnedCount = pinSystemPrompt ? conversation.findIndex(message => message.role !== 'system') : 0;
+    const pinned = conversation.slice(0, pinnedCount === -1 ? conversation.length : pinnedCount);
+    const history = conversation.slice(pinned.length);
+
+    let start = 0;
+    let summaryUsage = null;
+
+    if (strategy !== 'full') {
+      const covered = strategy === 'summary' ? Math.min(this.state.summarized, history.length) : 0;
+      // Room for the summary is kept from the start, so the window does not shrink once there is one
+      const summaryTokens = strategy === 'summary' ? countMessageTokens(summaryMessage('')) + this.settings.summaryMaxTokens : 0;
+      start = covered + windowStart(history.slice(covered), maxTokens - tokensOf(pinned) - summaryTokens);
+
+      if (strategy === 'summary' && start > covered) {
+        const { summary, usage } = await summarizeMessages(this.client, {
+          model: this.settings.summaryModel,
+          previous: this.state.summary,
+          messages: history.slice(covered, start),
+          maxTokens: this.settings.summaryMaxTokens
+        });
+        this.state = { summary, summarized: start };
+        summaryUsage = usage;
+      }
+    }
+
+    const summary = strategy === 'summary' && this.state.summary ? [summaryMessage(this.state.summary)] : [];
+    const messages = [...pinned, ...summary, ...history.slice(start)];
+
+    return {
+      messages,
+      tokens: countChatTokens(messages, this.model),
+      sent: history.length - start,
+      total: history.length,
+      summarized: summary.length > 0 ? this.state.summarized : 0,
+      summaryUsage
+    };
+  }
+}
+
+/**
+ * "1,234 tokens of context (last 6 of 20 messages, 14 summarized)"
+ */
+export function describeContext(prepared) {
+  const parts = [];
+  if (prepared.sent < prepared.total) parts.push(`last ${prepared.sent} of ${prepared.total} messages`);
+  if (prepared.summarized > 0) parts.push(`${prepared.summarized} summarized`);
+  return `${prepared.tokens.toLocaleString('en-US')} tokens of context${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`;
+}
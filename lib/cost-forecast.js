@@ -0,0 +1,373 @@
+/**
+ * Data-Driven Cost Forecasting
+ *
+ * Learns how many input and output tokens a conversation really uses, per
+ * model, from tracked sessions or the usage ledger, then projects monthly
+ * volume along a growth curve and prices it month by month with a
+ * confidence band. Scenarios live in a file (see data/forecast-scenarios.json):
+ *
+ *   {
+ *     "months": 12,
+ *     "confidence": 0.9,
+ *     "scenarios": [{
+ *       "name": "Support bot",
+ *       "models": ["gpt-4o-mini", "gpt-4o"],
+ *       "conversations": 1000,
+ *       "growth": { "type": "exponential", "rate": 0.15, "uncertainty": 0.3 }
+ *     }]
+ *   }
+ *
+ * Growth types: flat, linear (rate × first month added each month),
+ * exponential (rate per month compounded) and logistic (rate towards
+ * `capacity`). `uncertainty` widens the band by that fraction of the rate.
+ * `tokens: { input, output }` replaces the learned averages for a scenario;
+ * `fallbackTokens` (same shape) is only used while no usage has been tracked.
+ *
+ * Run this file to forecast from the ledger:
+ *   node lib/cost-forecast.js [--scenarios file] [--import usage.csv]
+ *     [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--module chatbot] [--markdown]
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { createLogger } from './logger.js';
+import { getPricingCatalog } from './pricing-catalog.js';
+import { mean, percentile, standardDeviation } from './stats.js';
+import { formatTable } from './text-table.js';
+import { UsageLedger, DEFAULT_LEDGER_PATH } from './usage-ledger.js';
+import { CostTracker } from './cost-tracker.js';
+
+const log = createLogger('cost-forecast');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_SCENARIOS_PATH = join(__dirname, '..', 'data', 'forecast-scenarios.json');
+
+/**
+ * Two-sided normal quantiles for the supported confidence levels
+ */
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+const growthSchema = z.object({
+  type: z.enum(['flat', 'linear', 'exponential', 'logistic']).default('flat'),
+  rate: z.number().default(0),
+  capacity: z.number().positive().optional(),
+  uncertainty: z.number().min(0).max(1).default(0)
+}).strict();
+
+const tokensSchema = z.object({ input: z.number().min(0), output: z.number().min(0) }).strict();
+
+const scenarioSchema = z.object({
+  name: z.string().min(1),
+  description: z.string().optional(),
+  models: z.array(z.string().min(1)).min(1, 'needs at least one model'),
+  conversations: z.number().positive(),
+  growth: growthSchema.default({}),
+  tokens: tokensSchema.optional(),
+  fallbackTokens: tokensSchema.optional()
+}).strict().superRefine((scenario, ctx) => {
+  if (scenario.growth.type === 'logistic' && !(scenario.growth.capacity > scenario.conversations)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['growth', 'capacity'], message: 'logistic growth needs a capacity above the starting conversations' });
+  }
+});
+
+export const forecastScenariosSchema = z.object({
+  months: z.number().int().min(1).max(60).default(12),
+  startMonth: z.string().regex(/^\d{4}-\d{2}$/, 'must be YYYY-MM').optional(),
+  confidence: z.union(Object.keys(Z_SCORES).map(level => z.literal(Number(level)))).default(0.9),
+  scenarios: z.array(scenarioSchema).min(1, 'needs at least one scenario')
+}).strict();
+
+/**
+ * Raised when a scenarios file is missing or invalid, or when a forecast
+ * has no token data to learn from
+ */
+export class ForecastError extends Error {
+  constructor(problems) {
+    super(`Cannot forecast:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ForecastError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Read and validate a scenarios file
+ */
+export function loadScenarios(path = DEFAULT_SCENARIOS_PATH) {
+  if (!existsSync(path)) {
+    throw new ForecastError([`Scenarios file not found: ${path}`]);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new ForecastError([`${path} is not valid JSON: ${error.message}`]);
+  }
+
+  const result = forecastScenariosSchema.safeParse(raw);
+  if (!result.success) {
+    throw new ForecastError(result.error.issues.map(issue => `${issue.path.join('.') || '(scenarios)'}: ${issue.message}`));
+  }
+  return result.data;
+}
+
+function distribution(values) {
+  return {
+    mean: mean(values),
+    sd: standardDeviation(values),
+    p10: percentile(values, 10),
+    p50: percentile(values, 50),
+    p90: percentile(values, 90)
+  };
+}
+
+function describeSamples(samples) {
+  const input = samples.map(sample => sample.input);
+  const output = samples.map(sample => sample.output);
+  const totalInput = input.reduce((sum, value) => sum + value, 0);
+  const totalOutput = output.reduce((sum, value) => sum + value, 0);
+
+  return {
+    samples,
+    count: samples.length,
+    inputRatio: totalInput + totalOutput > 0 ? totalInput / (totalInput + totalOutput) : 0,
+    input: distribution(input),
+    output: distribution(output),
+    total: distribution(samples.map(sample => sample.input + sample.output))
+  };
+}
+
+/**
+ * Learn per-conversation token distributions from sessions or ledger entries.
+ * Returns { overall, models: { [model]: profile } }; each profile has the
+ * input/output ratio and mean, sd and p10/p50/p90 of input, output and total tokens.
+ */
+export function learnUsageProfile(sessions) {
+  const samples = sessions
+    .filter(session => session.usage)
+    .map(session => ({
+      model: session.model,
+      input: session.usage.prompt_tokens ?? session.usage.input_tokens ?? 0,
+      output: session.usage.completion_tokens ?? session.usage.output_tokens ?? 0
+    }));
+
+  const models = {};
+  for (const sample of samples) {
+    (models[sample.model] = models[sample.model] || []).push(sample);
+  }
+
+  return {
+    overall: describeSamples(samples),
+    models: Object.fromEntries(Object.entries(models).map(([model, items]) => [model, describeSamples(items)]))
+  };
+}
+
+/**
+ * Conversations in month `index` (0 = first month) along a growth curve
+ */
+export function projectVolume(conversations, growth, index, rate = growth.rate) {
+  switch (growth.type) {
+    case 'linear':
+      return Math.max(0, conversations * (1 + rate * index));
+    case 'exponential':
+      return conversations * (1 + rate) ** index;
+    case 'logistic': {
+      const ratio = (growth.capacity - conversations) / conversations;
+      return growth.capacity / (1 + ratio * Math.exp(-rate * index));
+    }
+    default:
+      return conversations;
+  }
+}
+
+function monthLabel(startMonth, index) {
+  const [year, month] = startMonth.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + index, 1));
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+function nextMonth(now = new Date()) {
+  return monthLabel(`${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`, 1);
+}
+
+/**
+ * Month-by-month forecast of one scenario for each of its models.
+ *
+ * The band combines how uncertain the learned mean cost is (fewer samples,
+ * wider band), how much conversations vary around it, and the growth rate's
+ * `uncertainty`.
+ * Options: months, startMonth, confidence and catalog.
+ */
+export function forecastScenario(scenario, profile, { months = 12, startMonth = nextMonth(), confidence = 0.9, catalog = getPricingCatalog() } = {}) {
+  const z = Z_SCORES[confidence];
+  if (!z) {
+    throw new ForecastError([`Unsupported confidence ${confidence}. Use one of: ${Object.keys(Z_SCORES).join(', ')}`]);
+  }
+
+  return scenario.models.map(model => {
+    if (!catalog.rates(model)) {
+      throw new ForecastError([`${scenario.name}: no pricing for ${model}`]);
+    }
+
+    const learned = profile.models[model]?.count > 0 ? profile.models[model] : profile.overall;
+    const fixed = scenario.tokens || (learned.count === 0 ? scenario.fallbackTokens : undefined);
+    const source = scenario.tokens ? 'scenario' : fixed ? 'scenario fallback' : learned === profile.overall ? 'all models' : model;
+    const samples = fixed ? [fixed] : learned.samples;
+    if (samples.length === 0) {
+      throw new ForecastError([`${scenario.name}: no tracked usage to learn from. Track some calls first or set "tokens" or "fallbackTokens" in the scenario.`]);
+    }
+
+    const price = (sample) => catalog.price({ prompt_tokens: sample.input, completion_tokens: sample.output }, model).total;
+    const costs = samples.map(price);
+    const costMean = mean(costs);
+    const costSd = standardDeviation(costs);
+    const standardError = costs.length > 1 ? costSd / Math.sqrt(costs.length) : 0;
+    const tokensMean = mean(samples.map(sample => sample.input + sample.output));
+    const inputRatio = fixed ? describeSamples(samples).inputRatio : learned.inputRatio;
+
+    const { growth } = scenario;
+    const spread = Math.abs(growth.rate) * growth.uncertainty;
+    const bound = (volume) => z * Math.sqrt((volume * standardError) ** 2 + volume * costSd ** 2);
+
+    const rows = Array.from({ length: months }, (_, index) => {
+      const volume = projectVolume(scenario.conversations, growth, index);
+      const low = projectVolume(scenario.conversations, growth, index, growth.rate - spread);
+      const high = projectVolume(scenario.conversations, growth, index, growth.rate + spread);
+
+      return {
+        month: monthLabel(startMonth, index),
+        conversations: volume,
+        tokens: volume * tokensMean,
+        cost: volume * costMean,
+        low: Math.max(0, low * costMean - bound(low)),
+        high: high * costMean + bound(high)
+      };
+    });
+
+    return {
+      scenario: scenario.name,
+      model,
+      source,
+      samples: samples.length,
+      inputRatio,
+      costPerConversation: costMean,
+      confidence,
+      rows,
+      total: {
+        conversations: rows.reduce((sum, row) => sum + row.conversations, 0),
+        cost: rows.reduce((sum, row) => sum + row.cost, 0),
+        low: rows.reduce((sum, row) => sum + row.low, 0),
+        high: rows.reduce((sum, row) => sum + row.high, 0)
+      }
+    };
+  });
+}
+
+/**
+ * Forecast every scenario in a scenarios file
+ */
+export function forecastAll(scenarios, sessions, options = {}) {
+  const profile = learnUsageProfile(sessions);
+  const settings = { months: scenarios.months, confidence: scenarios.confidence, ...(scenarios.startMonth ? { startMonth: scenarios.startMonth } : {}), ...options };
+  return scenarios.scenarios.flatMap(scenario => forecastScenario(scenario, profile, settings));
+}
+
+function money(amount) {
+  return `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * One forecast as a month-by-month table (text or Markdown)
+ */
+export function formatForecast(forecast, { markdown = false } = {}) {
+  const band = `${Math.round(forecast.confidence * 100)}% band`;
+  const rows = forecast.rows.map(row => [
+    row.month,
+    Math.round(row.conversations).toLocaleString('en-US'),
+    Math.round(row.tokens).toLocaleString('en-US'),
+    money(row.cost),
+    `${money(row.low)} – ${money(row.high)}`
+  ]);
+  rows.push(['Total', Math.round(forecast.total.conversations).toLocaleString('en-US'), '', money(forecast.total.cost),
+    `${money(forecast.total.low)} – ${money(forecast.total.high)}`]);
+
+  return formatTable(['Month', 'Conversations', 'Tokens', 'Cost', band], rows, { markdown });
+}
+
+/**
+ * Print the learned profile and every forecast
+ */
+export function printForecasts(forecasts, profile, { markdown = false } = {}) {
+  log.info(`\n🧮 LEARNED USAGE (${profile.overall.count} conversations)`);
+  if (profile.overall.count === 0) {
+    log.info('   No usage recorded yet; scenarios use their "fallbackTokens". Track some calls (run any demo) to learn real sizes.');
+  }
+  Object.entries(profile.models).forEach(([model, learned]) => {
+    log.info(`   ${model}: ${learned.count} conversations, ${Math.round(learned.input.mean)} in / ${Math.round(learned.output.mean)} out tokens on average ` +
+      `(${Math.round(learned.inputRatio * 100)}% input, p90 ${Math.round(learned.total.p90)} tokens)`);
+  });
+
+  forecasts.forEach(forecast => {
+    log.info(`\n${markdown ? '### ' : '📅 '}${forecast.scenario}: ${forecast.model}`);
+    const origin = forecast.source === 'scenario fallback'
+      ? 'from the scenario\'s fallbackTokens'
+      : forecast.source === 'scenario' ? 'set by the scenario' : `learned from ${forecast.source} (${forecast.samples} samples)`;
+    log.info(`${markdown ? '' : '   '}Tokens ${origin}, ${Math.round(forecast.inputRatio * 100)}% input, ` +
+      `$${forecast.costPerConversation.toFixed(6)} per conversation\n`);
+    log.info(formatForecast(forecast, { markdown }));
+  });
+}
+
+const CLI_FLAGS = {
+  '--scenarios': 'scenarios',
+  '--import': 'import',
+  '--file': 'file',
+  '--from': 'from',
+  '--to': 'to',
+  '--model': 'model',
+  '--module': 'module',
+  '--markdown': 'markdown'
+};
+
+/**
+ * Parse the forecast CLI's flags (--flag value or --flag=value; --markdown takes no value)
+ */
+export function parseForecastArgs(argv = process.argv.slice(2)) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s, 2);
+    const key = CLI_FLAGS[flag];
+    if (!key) {
+      throw new Error(`Unknown option "${argv[i]}". Options: ${Object.keys(CLI_FLAGS).join(', ')}`);
+    }
+    if (key === 'markdown') {
+      options.markdown = true;
+      continue;
+    }
+    options[key] = inline !== undefined ? inline : argv[++i];
+    if (!options[key]) {
+      throw new Error(`${flag} needs a value`);
+    }
+  }
+  return options;
+}
+
+// Allow forecasting from the command line
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const { scenarios: scenariosPath, import: importPath, file, markdown, ...filters } = parseForecastArgs();
+    const scenarios = loadScenarios(scenariosPath);
+    const sessions = importPath
+      ? CostTracker.importFile(importPath).sessions
+      : new UsageLedger(file || process.env.OPENAI_LEDGER_FILE || DEFAULT_LEDGER_PATH).query(filters);
+
+    printForecasts(forecastAll(scenarios, sessions), learnUsageProfile(sessions), { markdown });
+  } catch (error) {
+    log.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,466 @@
+/**
+ * Cost Tracking Library
+ *
+ * Tracks token usage per conversation, prices it with the versioned catalog
+ * in data/pricing.json (see lib/pricing-catalog.js), and reports or exports
+ * the results. Import it anywhere; nothing runs on import.
+ *
+ * Usage:
+ *   const tracker = new CostTracker({ client, maxTokens: 200 });
+ *   const { min, max } = tracker.estimate(messages, 'gpt-4o-mini', 200);
+ *   await tracker.trackConversation(messages, 'gpt-4o-mini', 'Support chat');
+ *   await tracker.trackStream(messages, 'gpt-4o-mini', 'Story', { onDelta: write });
+ *   tracker.displayRunningTotals();
+ *   const csv = tracker.exportToCSV();
+ *   const html = tracker.export('html');
+ *   const restored = CostTracker.importFile('usage.csv');
+ *
+ * Requests go through the client's spending budgets (lib/budget.js): a call
+ * that could pass a hard limit throws BudgetExceededError before it is sent.
+ * Every recorded call is also appended to the usage ledger
+ * (lib/usage-ledger.js), so reports can cover every run. Calls made through
+ * the shared client are written there by its usage middleware
+ * (lib/usage-middleware.js), tagged with the tracker's module and description.
+ */
+
+import { readFileSync } from 'fs';
+import { requireOpenAIClient, isStandInClient } from './openai-client.js';
+import { createLogger } from './logger.js';
+import { BudgetExceededError, formatBudgetStatus } from './budget.js';
+import { getUsageLedger, toLedgerEntry } from './usage-ledger.js';
+import { withUsageTags, withRequestTiming } from './usage-middleware.js';
+import { streamChatCompletion } from './chat-stream.js';
+import { summarizeLatency, formatHistogram, formatPercentiles, formatDuration } from './latency.js';
+import { exportSessions, importSessions, formatForPath } from './usage-export.js';
+import { DEFAULT_ESTIMATE_MAX_TOKENS, PricingCatalog, getPricingCatalog } from './pricing-catalog.js';
+
+export { DEFAULT_ESTIMATE_MAX_TOKENS, PricingCatalog, getPricingCatalog };
+
+const log = createLogger('cost-tracker');
+
+/**
+ * Rates per 1M tokens in USD for every catalog model on a date (default:
+ * today). The catalog is read on first use, not when this module is imported.
+ */
+export function getPricing(date) {
+  return getPricingCatalog().currentRates(date);
+}
+
+/**
+ * Conversation counts used for scaling projections in reports
+ */
+export const PROJECTION_VOLUMES = [1_000, 10_000, 100_000];
+
+/**
+ * Price a usage object for a model.
+ * Options: date (price at the rate in effect then), batch and catalog.
+ * Unknown models warn and cost $0 (priced: false) instead of throwing.
+ */
+export function calculateCost(usage, model, { catalog = getPricingCatalog(), ...options } = {}) {
+  return catalog.price(usage, model, options);
+}
+
+/**
+ * Estimate the cost range of a chat request before sending it
+ * (see PricingCatalog.estimate).
+ * Options: tools or functions sent with the request, and catalog.
+ */
+export function estimateCost(messages, model, maxTokens = DEFAULT_ESTIMATE_MAX_TOKENS, { catalog = getPricingCatalog(), ...schemas } = {}) {
+  return catalog.estimate(messages, model, maxTokens, schemas);
+}
+
+/**
+ * "$0.000012–$0.000140" for an estimate
+ */
+export function formatCostRange(estimate) {
+  if (!estimate.priced) return `unknown (no pricing for ${estimate.model})`;
+  return `$${estimate.min.toFixed(6)}–$${estimate.max.toFixed(6)}`;
+}
+
+/**
+ * Project monthly costs from an average conversation size.
+ * inputRatio is the share of tokens that are input; learnUsageProfile in
+ * lib/cost-forecast.js learns it from tracked usage. Without one, 40% is assumed.
+ */
+export function calculateProjectedCosts(avgTokens, conversations, model = 'gpt-4o-mini', catalog = getPricingCatalog(), inputRatio = 0.4) {
+  const pricing = catalog.rates(model);
+  if (!pricing) {
+    throw new Error(`Unknown model: ${model}. Known models: ${catalog.models().join(', ')}`);
+  }
+
+  const outputRatio = 1 - inputRatio;
+
+  const inputTokens = avgTokens * inputRatio * conversations;
+  const outputTokens = avgTokens * outputRatio * conversations;
+
+  const inputCost = (inputTokens / 1_000_000) * pricing.input;
+  const outputCost = (outputTokens / 1_000_000) * pricing.output;
+
+  return {
+    model,
+    conversations,
+    totalTokens: avgTokens * conversations,
+    inputCost,
+    outputCost,
+    totalCost: inputCost + outputCost,
+    costPerConversation: (inputCost + outputCost) / conversations
+  };
+}
+
+/**
+ * Group sessions by model with count, cost and token totals
+ */
+export function summarizeByModel(sessions) {
+  const byModel = {};
+
+  sessions.forEach(session => {
+    if (!byModel[session.model]) {
+      byModel[session.model] = { count: 0, totalCost: 0, totalTokens: 0 };
+    }
+    byModel[session.model].count++;
+    byModel[session.model].totalCost += session.costs.total;
+    byModel[session.model].totalTokens += session.usage.total_tokens;
+  });
+
+  return byModel;
+}
+
+/**
+ * Print one tracked conversation
+ */
+export function displayConversationResults(session) {
+  log.info(`\n📊 CONVERSATION #${session.id} RESULTS:`);
+  log.info(`   Model: ${session.model}`);
+  log.info(`   Description: ${session.description}`);
+  log.info(`   Response Time: ${session.responseTime}ms`);
+  if (session.timeToFirstToken != null) log.info(`   Time to first token: ${session.timeToFirstToken}ms`);
+  if (session.tokensPerSecond != null) log.info(`   Output speed: ${session.tokensPerSecond.toFixed(1)} tokens/s`);
+  if (session.queueTime != null) log.info(`   Queue time: ${session.queueTime}ms`);
+  if (session.retries) log.info(`   Retries: ${session.retries}`);
+  log.info(`\n🔢 TOKEN BREAKDOWN:`);
+  log.info(`   Input tokens: ${session.usage.prompt_tokens}`);
+  log.info(`   Output tokens: ${session.usage.completion_tokens}`);
+  log.info(`   Total tokens: ${session.usage.total_tokens}`);
+  const cached = session.usage.prompt_tokens_details?.cached_tokens;
+  const reasoning = session.usage.completion_tokens_details?.reasoning_tokens;
+  if (cached) log.info(`   Cached input tokens: ${cached}`);
+  if (reasoning) log.info(`   Reasoning tokens: ${reasoning}`);
+  log.info(`\n💰 COST BREAKDOWN:`);
+  if (session.costs.priced === false) {
+    log.info(`   ⚠️  No pricing for ${session.model}; counted as $0`);
+  }
+  log.info(`   Input cost: $${session.costs.inputCost.toFixed(6)}`);
+  log.info(`   Output cost: $${session.costs.outputCost.toFixed(6)}`);
+  log.info(`   Total cost: $${session.costs.total.toFixed(6)}${session.costs.batch ? ' (batch discount)' : ''}`);
+  log.info(`\n🤖 AI RESPONSE:`);
+  log.info(`   "${session.response.substring(0, 100)}${session.response.length > 100 ? '...' : ''}"`);
+}
+
+/**
+ * Print a tracker's running totals
+ */
+export function displayRunningTotals(tracker) {
+  log.info(`\n📈 RUNNING TOTALS:`);
+  log.info(`   Total conversations: ${tracker.conversationCount}`);
+  log.info(`   Total tokens: ${tracker.totalTokens.toLocaleString()}`);
+  log.info(`   Total cost: $${tracker.totalCost.toFixed(4)}`);
+  log.info(`   Average cost per conversation: $${(tracker.totalCost/tracker.conversationCount).toFixed(6)}`);
+  log.info(`   Average tokens per conversation: ${Math.round(tracker.totalTokens/tracker.conversationCount)}`);
+
+  const latency = Object.entries(summarizeLatency(tracker.sessions)).filter(([, stats]) => stats.responseTime);
+  if (latency.length > 0) {
+    log.info(`\n⏱️  LATENCY:`);
+    latency.forEach(([model, stats]) => {
+      const extras = [
+        stats.timeToFirstToken ? `TTFT p50 ${formatDuration(stats.timeToFirstToken.p50)}` : null,
+        stats.retries ? `${stats.retries} retries` : null
+      ].filter(Boolean);
+      log.info(`   ${model}: ${formatPercentiles(stats.responseTime)}${extras.length ? ` (${extras.join(', ')})` : ''}`);
+    });
+  }
+
+  const budgetLines = tracker.budget ? formatBudgetStatus(tracker.budget) : [];
+  if (budgetLines.length > 0) {
+    log.info(`\n💳 BUDGETS:`);
+    budgetLines.forEach(line => log.info(`   ${line}`));
+  }
+}
+
+/**
+ * Print the per-model breakdown and scaling projections for a tracker
+ */
+export function generateReport(tracker) {
+  log.info(`\n📋 DETAILED COST ANALYSIS REPORT`);
+  log.info(`=`.repeat(50));
+
+  const latency = summarizeLatency(tracker.sessions);
+  Object.entries(summarizeByModel(tracker.sessions)).forEach(([model, stats]) => {
+    log.info(`\n${model.toUpperCase()}:`);
+    log.info(`   Conversations: ${stats.count}`);
+    log.info(`   Total cost: $${stats.totalCost.toFixed(4)}`);
+    log.info(`   Average cost: $${(stats.totalCost/stats.count).toFixed(6)}`);
+    log.info(`   Total tokens: ${stats.totalTokens.toLocaleString()}`);
+
+    const timing = latency[model];
+    if (!timing.responseTime) return;
+    log.info(`   Latency: ${formatPercentiles(timing.responseTime)} (max ${formatDuration(timing.responseTime.max)})`);
+    if (timing.timeToFirstToken) log.info(`   Time to first token: ${formatPercentiles(timing.timeToFirstToken)}`);
+    if (timing.tokensPerSecond) log.info(`   Output speed: ${timing.tokensPerSecond.toFixed(1)} tokens/s on average`);
+    if (timing.queueTime) log.info(`   Queue time: ${formatPercentiles(timing.queueTime)}`);
+    log.info(`   Retries: ${timing.retries} (${timing.retriedCalls} of ${timing.calls} calls retried)`);
+    formatHistogram(tracker.sessions.filter(session => session.model === model).map(session => session.responseTime))
+      .forEach(line => log.info(`     ${line}`));
+  });
+
+  log.info(`\n📊 SCALING PROJECTIONS:`);
+  const avgCostPerConversation = tracker.totalCost / tracker.conversationCount;
+  PROJECTION_VOLUMES.forEach(volume => {
+    log.info(`   ${volume.toLocaleString()} conversations: $${(avgCostPerConversation * volume).toFixed(2)}`);
+  });
+}
+
+/**
+ * Retries and queue time from the attempts collected by withRequestTiming
+ * (both null when the client has no usage middleware to observe them)
+ */
+function attemptTiming(attempts, startTime) {
+  if (attempts.length === 0) return { retries: null, queueTime: null };
+  return { retries: attempts.length - 1, queueTime: attempts[0].sentAt - startTime };
+}
+
+/**
+ * Export sessions as RFC 4180 CSV, one row per conversation
+ * (see lib/usage-export.js for the other formats)
+ */
+export function exportToCSV(sessions) {
+  return exportSessions(sessions, 'csv');
+}
+
+/**
+ * Tracks token usage and cost across conversations.
+ *
+ * Options:
+ *   client       OpenAI client (default: the shared client, created on first call)
+ *   model        Default model for trackConversation (default: gpt-4o-mini)
+ *   maxTokens    max_tokens sent with each request
+ *   temperature  temperature sent with each request
+ *   catalog      PricingCatalog (default: data/pricing.json)
+ *   budget       BudgetGuard (default: the client's; null turns budgets off)
+ *   module       Module name stored with ledger entries (e.g. costDemo)
+ *   ledger       UsageLedger (default: the shared ledger; null turns it off).
+ *                Calls answered by the offline stand-in are never written.
+ */
+export class CostTracker {
+  constructor(options = {}) {
+    this.client = options.client || null;
+    this.model = options.model || 'gpt-4o-mini';
+    this.maxTokens = options.maxTokens;
+    this.temperature = options.temperature;
+    this.catalog = options.catalog || getPricingCatalog();
+    this.budgetOverride = options.budget;
+    this.module = options.module || null;
+    this.ledger = options.ledger !== undefined ? options.ledger : getUsageLedger();
+
+    this.sessions = [];
+    this.totalCost = 0;
+    this.totalTokens = 0;
+    this.conversationCount = 0;
+  }
+
+  /**
+   * Tracker holding previously recorded ledger entries, for reports over history
+   */
+  static fromLedger(entries, options = {}) {
+    const tracker = new CostTracker({ ...options, ledger: null });
+
+    entries.forEach(entry => tracker.addSession(entry));
+    return tracker;
+  }
+
+  /**
+   * Tracker holding the sessions of an exported file's contents
+   */
+  static fromExport(text, format, options = {}) {
+    return CostTracker.fromLedger(importSessions(text, format), options);
+  }
+
+  /**
+   * Tracker holding the sessions of an exported file (format from its extension)
+   */
+  static importFile(path, format = formatForPath(path), options = {}) {
+    return CostTracker.fromExport(readFileSync(path, 'utf-8'), format, options);
+  }
+
+  /**
+   * BudgetGuard the tracker's requests are checked against, if any
+   */
+  get budget() {
+    return this.budgetOverride !== undefined ? this.budgetOverride : (this.client?.budget ?? null);
+  }
+
+  /**
+   * Estimate the cost range of a request before sending it (see estimateCost)
+   */
+  estimate(messages, model = this.model, maxTokens = this.maxTokens ?? DEFAULT_ESTIMATE_MAX_TOKENS, schemas = {}) {
+    return estimateCost(messages, model, maxTokens, { catalog: this.catalog, ...schemas });
+  }
+
+  /**
+   * Make a chat completion and record its usage and cost
+   */
+  async trackConversation(messages, model = this.model, description = '') {
+    const startTime = Date.now();
+    this.client = this.client || requireOpenAIClient(this.budgetOverride !== undefined ? { budget: this.budgetOverride } : {});
+
+    try {
+      const estimate = this.estimate(messages, model);
+      this.budget?.check(model, estimate.max);
+
+      log.info(`\n🔄 Making API call with ${model}...`);
+      log.info(`   💸 This request will cost about ${formatCostRange(estimate)}`);
+
+      const { result: response, attempts } = await withRequestTiming(() => withUsageTags({ module: this.module, description }, () => this.client.chat.completions.create({
+        model,
+        messages,
+        ...(this.temperature !== undefined ? { temperature: this.temperature } : {}),
+        ...(this.maxTokens !== undefined ? { max_tokens: this.maxTokens } : {})
+      })));
+
+      const session = this.recordUsage({
+        model,
+        description,
+        usage: response.usage,
+        responseTime: Date.now() - startTime,
+        response: response.choices[0].message.content,
+        ...attemptTiming(attempts, startTime),
+        recorded: Boolean(this.client.usageRecorder)
+      });
+
+      this.displayConversationResults(session);
+
+      return response;
+
+    } catch (error) {
+      log.error(error instanceof BudgetExceededError ? `🛑 ${error.message}` : `❌ API Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Make a streamed chat completion and record its usage, time to first
+   * token and output speed. onDelta receives each piece of text as it arrives.
+   * Usage comes from the stream's final chunk.
+   */
+  async trackStream(messages, model = this.model, description = '', { onDelta } = {}) {
+    const startTime = Date.now();
+    this.client = this.client || requireOpenAIClient(this.budgetOverride !== undefined ? { budget: this.budgetOverride } : {});
+
+    try {
+      const estimate = this.estimate(messages, model);
+      this.budget?.check(model, estimate.max);
+
+      const { result: reply, attempts } = await withRequestTiming(() => withUsageTags({ module: this.module, description }, () => streamChatCompletion(this.client, {
+        model,
+        messages,
+        ...(this.temperature !== undefined ? { temperature: this.temperature } : {}),
+        ...(this.maxTokens !== undefined ? { max_tokens: this.maxTokens } : {})
+      }, { onDelta })));
+
+      if (!reply.usage) {
+        throw new Error('The stream ended without usage; was stream_options.include_usage dropped?');
+      }
+
+      // The client's middleware records the final chunk's usage, like any JSON reply
+      const session = this.recordUsage({
+        model,
+        description,
+        usage: reply.usage,
+        responseTime: reply.responseTime,
+        response: reply.text,
+        timeToFirstToken: reply.timeToFirstToken,
+        tokensPerSecond: reply.tokensPerSecond,
+        ...attemptTiming(attempts, startTime),
+        recorded: Boolean(this.client.usageRecorder)
+      });
+
+      return session;
+
+    } catch (error) {
+      log.error(error instanceof BudgetExceededError ? `🛑 ${error.message}` : `❌ API Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record usage that was obtained elsewhere (e.g. a streamed, replayed or batch call).
+   * Usage is priced at the rates in effect at `timestamp`. Pass recorded: true
+   * when a client's usage middleware already wrote the call to the ledger.
+   * Latency: timeToFirstToken and tokensPerSecond (streamed calls), retries
+   * and queueTime (ms before the first attempt was sent), null when unknown.
+   */
+  recordUsage({ model, usage, description = '', responseTime = 0, response = '', timestamp = new Date().toISOString(), batch = false, recorded = false, ...latency }) {
+    const costs = calculateCost(usage, model, { catalog: this.catalog, date: timestamp, batch });
+
+    const session = this.addSession({ model, description, usage, costs, responseTime, timestamp, response, ...latency });
+
+    if (this.ledger && !recorded && !isStandInClient(this.client)) {
+      try {
+        this.ledger.append(toLedgerEntry(session, this.module));
+      } catch (error) {
+        log.warn(`⚠️  Could not write to the usage ledger ${this.ledger.path}: ${error.message}`);
+      }
+    }
+
+    return session;
+  }
+
+  /**
+   * Add an already priced session to the totals
+   */
+  addSession({ model, description = '', usage, costs, responseTime = 0, timestamp, response = '', timeToFirstToken = null, tokensPerSecond = null, retries = null, queueTime = null }) {
+    const session = {
+      id: this.conversationCount + 1,
+      model,
+      description,
+      usage,
+      costs,
+      responseTime,
+      timestamp,
+      response: response || '',
+      timeToFirstToken,
+      tokensPerSecond,
+      retries,
+      queueTime
+    };
+
+    this.sessions.push(session);
+    this.totalCost += costs.total;
+    this.totalTokens += usage.total_tokens;
+    this.conversationCount++;
+
+    return session;
+  }
+
+  displayConversationResults(session) {
+    displayConversationResults(session);
+  }
+
+  displayRunningTotals() {
+    displayRunningTotals(this);
+  }
+
+  generateReport() {
+    generateReport(this);
+  }
+
+  exportToCSV() {
+    return exportToCSV(this.sessions);
+  }
+
+  /**
+   * Export sessions as csv, json, ndjson, markdown, html or a registered format
+   */
+  export(format = 'csv') {
+    return exportSessions(this.sessions, format);
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Latency Analytics
+ *
+ * Per-model latency percentiles and histograms for CostTracker sessions:
+ * total response time, time to first token and tokens per second for
+ * streamed calls, retries and client-side queue time. Sessions without a
+ * measurement (for example imported or older ledger entries) are skipped
+ * for that figure.
+ */
+
+import { mean, percentile } from './stats.js';
+
+/**
+ * Upper bounds (ms) of the histogram buckets; the last bucket is open-ended
+ */
+export const HISTOGRAM_BUCKETS = [250, 500, 1000, 2000, 4000, 8000];
+
+const measured = (values) => values.filter(value => Number.isFinite(value) && value > 0);
+
+function percentiles(values) {
+  if (values.length === 0) return null;
+  return { count: values.length, p50: percentile(values, 50), p90: percentile(values, 90), p99: percentile(values, 99), max: Math.max(...values) };
+}
+
+/**
+ * "420ms" below a second, "1.25s" above
+ */
+export function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(2)}s`;
+}
+
+/**
+ * Latency figures per model: responseTime, timeToFirstToken and queueTime
+ * percentiles, mean tokensPerSecond, and how many calls were retried
+ */
+export function summarizeLatency(sessions) {
+  const byModel = {};
+  sessions.forEach(session => {
+    (byModel[session.model] = byModel[session.model] || []).push(session);
+  });
+
+  return Object.fromEntries(Object.entries(byModel).map(([model, items]) => {
+    const speeds = measured(items.map(session => session.tokensPerSecond));
+    const retried = items.filter(session => session.retries > 0);
+
+    return [model, {
+      calls: items.length,
+      responseTime: percentiles(measured(items.map(session => session.responseTime))),
+      timeToFirstToken: percentiles(measured(items.map(session => session.timeToFirstToken))),
+      queueTime: percentiles(items.map(session => session.queueTime).filter(Number.isFinite)),
+      tokensPerSecond: speeds.length > 0 ? mean(speeds) : null,
+      retries: retried.reduce((sum, session) => sum + session.retries, 0),
+      retriedCalls: retried.length
+    }];
+  }));
+}
+
+/**
+ * Count of values per bucket, e.g. [{ label: '< 250ms', count: 3 }, ...]
+ */
+export function latencyHistogram(values, buckets = HISTOGRAM_BUCKETS) {
+  const counts = new Array(buckets.length + 1).fill(0);
+  measured(values).forEach(value => {
+    const index = buckets.findIndex(bound => value < bound);
+    counts[index === -1 ? buckets.length : index]++;
+  });
+
+  return counts.map((count, index) => ({
+    label: index < buckets.length ? `< ${formatDuration(buckets[index])}` : `≥ ${formatDuration(buckets[buckets.length - 1])}`,
+    count
+  }));
+}
+
+/**
+ * Histogram lines with bars scaled to `width`, leaving out empty buckets
+ * beyond the slowest value
+ */
+export function formatHistogram(values, { width = 30, buckets = HISTOGRAM_BUCKETS } = {}) {
+  const histogram = latencyHistogram(values, buckets);
+  const last = histogram.findLastIndex(bucket => bucket.count > 0);
+  const largest = Math.max(1, ...histogram.map(bucket => bucket.count));
+  const labelWidth = Math.max(...histogram.map(bucket => bucket.label.length));
+
+  return histogram.slice(0, last + 1).map(bucket => {
+    const bar = '█'.repeat(Math.round((bucket.count / largest) * width));
+    return `${bucket.label.padStart(labelWidth)} │${bar} ${bucket.count}`;
+  });
+}
+
+/**
+ * "p50 420ms · p90 900ms · p99 1.20s"
+ */
+export function formatPercentiles(stats) {
+  return `p50 ${formatDuration(stats.p50)} · p90 ${formatDuration(stats.p90)} · p99 ${formatDuration(stats.p99)}`;
+}
@@ -0,0 +1,185 @@
+/**
+ * Structured Logger with Secret Redaction
+ *
+ * Every module logs through this file instead of calling console.log directly.
+ * Output is either human readable ("pretty", the default) or one JSON object
+ * per line ("json"), and every message and field is scrubbed of secrets before
+ * it is written:
+ * - OpenAI API keys (sk-...) and organization IDs (org-...)
+ * - Bearer tokens
+ * - Secrets in query strings (?key=..., &token=..., ...)
+ * - Fields whose name looks sensitive (apiKey, authorization, password, ...)
+ * - The current values of known secret environment variables
+ *
+ * Environment variables:
+ *   LOG_LEVEL    debug | info | warn | error | silent (default: info)
+ *   LOG_FORMAT   pretty | json (default: pretty)
+ *
+ * Usage:
+ *   const log = createLogger('chatbot');
+ *   log.info('Bot ready');
+ *   log.warn('Slow response', { model, responseTime });
+ */
+
+import { format } from 'util';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Environment variables whose values must never be logged
+ */
+export const SECRET_ENV_VARS = ['OPENAI_API_KEY', 'OPENAI_ORG_ID', 'WEATHER_API_KEY'];
+
+const SENSITIVE_FIELD = /^(api[_-]?key|x-api-key|authorization|password|secret|client[_-]?secret|(access|refresh|auth|bearer)[_-]?token|organization|org[_-]?id|cookie)$/i;
+
+/**
+ * Patterns for secrets that can appear anywhere in a string
+ */
+const SECRET_PATTERNS = [
+  // OpenAI keys, including project and service account keys
+  { pattern: /\bsk-[A-Za-z0-9_-]{8,}/g, replacement: `sk-${REDACTED}` },
+  // OpenAI organization IDs
+  { pattern: /\borg-[A-Za-z0-9]{6,}/g, replacement: `org-${REDACTED}` },
+  // Authorization header values, whatever the credential looks like
+  { pattern: /(\bauthorization["']?\s*[:=]\s*["']?)(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, replacement: `$1$2 ${REDACTED}` },
+  // Credentials outside a header: the scheme as written in HTTP and a
+  // token-like value, so "basic tools" or "Bearer of news" stay as they are
+  { pattern: /\b(Bearer|Basic) (?=[A-Za-z0-9._~+/=-]*[0-9._~+/=])[A-Za-z0-9._~+/=-]{16,}/g, replacement: `$1 ${REDACTED}` },
+  // Query-string secrets such as WeatherAPI's ?key=
+  {
+    pattern: /([?&](?:key|api[_-]?key|apikey|token|access_token|auth|secret|password|sig|signature)=)[^&\s#"']+/gi,
+    replacement: `$1${REDACTED}`
+  }
+];
+
+/**
+ * Remove secrets from a string
+ */
+export function redactString(text, env = process.env) {
+  let result = String(text);
+
+  for (const name of SECRET_ENV_VARS) {
+    const value = env[name] && env[name].trim();
+    if (value && value.length >= 4) {
+      result = result.split(value).join(REDACTED);
+    }
+  }
+
+  for (const { pattern, replacement } of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+
+  return result;
+}
+
+/**
+ * Remove secrets from any value (strings, arrays, plain objects, errors)
+ */
+export function redact(value, env = process.env, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value, env);
+  if (value === null || typeof value !== 'object') return value;
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message, env),
+      ...(value.status ? { status: value.status } : {})
+    };
+  }
+
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, env, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_FIELD.test(key) && item !== undefined && item !== null && item !== ''
+      ? REDACTED
+      : redact(item, env, seen);
+  }
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function formatFields(fields) {
+  return Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+}
+
+/**
+ * Default sink: info and debug go to stdout, warnings and errors to stderr
+ */
+function defaultWrite(level, line) {
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Create a logger for a module.
+ *
+ * Log methods accept console-style arguments; a trailing plain object is
+ * treated as structured fields rather than part of the message. Objects and
+ * arrays are redacted by key name before they are formatted.
+ */
+export function createLogger(module, options = {}) {
+  const level = options.level || process.env.LOG_LEVEL || 'info';
+  const logFormat = options.format || process.env.LOG_FORMAT || 'pretty';
+  const write = options.write || defaultWrite;
+  const env = options.env || process.env;
+  const bindings = options.bindings || {};
+
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Unknown log level "${level}". Expected one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+
+  const emit = (entryLevel, args) => {
+    if (LOG_LEVELS[entryLevel] < LOG_LEVELS[level]) return;
+
+    let fields = {};
+    if (args.length > 1 && isPlainObject(args[args.length - 1])) {
+      fields = args[args.length - 1];
+      args = args.slice(0, -1);
+    }
+
+    // Objects in the message are masked by key name too, not just by pattern
+    const message = redactString(format(...args.map(arg => (isPlainObject(arg) || Array.isArray(arg) ? redact(arg, env) : arg))), env);
+    const safeFields = redact({ ...bindings, ...fields }, env);
+
+    if (logFormat === 'json') {
+      write(entryLevel, JSON.stringify({
+        time: new Date().toISOString(),
+        level: entryLevel,
+        module,
+        msg: message,
+        ...safeFields
+      }));
+      return;
+    }
+
+    const extra = Object.keys(fields).length > 0 ? ` ${formatFields(redact(fields, env))}` : '';
+    write(entryLevel, `${message}${extra}`);
+  };
+
+  return {
+    module,
+    level,
+    format: logFormat,
+    debug: (...args) => emit('debug', args),
+    info: (...args) => emit('info', args),
+    warn: (...args) => emit('warn', args),
+    error: (...args) => emit('error', args),
+    /**
+     * Logger that adds the given fields to every JSON entry
+     */
+    child: (childBindings) => createLogger(module, { ...options, level, format: logFormat, bindings: { ...bindings, ...childBindings } })
+  };
+}
@@ -0,0 +1,482 @@
+/**
+ * Model Comparison Harness
+ *
+ * Runs every prompt in a prompt set file against several models, repeats
+ * each call, scores the replies with graders and prints one matrix with
+ * mean/p95 latency, tokens, cost and quality per model.
+ *
+ * Prompt set files (see data/prompt-sets/basics.json):
+ *   {
+ *     "name": "basics",
+ *     "system": "You are a helpful assistant.",
+ *     "prompts": [
+ *       { "id": "capital", "prompt": "...", "graders": [{ "type": "regex", "pattern": "Paris" }] }
+ *     ]
+ *   }
+ *
+ * Graders score a reply from 0 to 1:
+ *   exact        { expected, caseSensitive? }  Trimmed reply equals expected
+ *   regex        { pattern, flags? }           Reply matches the pattern
+ *   json-schema  { schema }                    Reply is JSON valid against the schema
+ *   llm-judge    { criteria, model? }          A judge model scores the reply 0-10
+ * registerGrader adds new types.
+ *
+ * Run this file to compare models:
+ *   node lib/model-comparison.js --prompts data/prompt-sets/basics.json \
+ *     --models gpt-4o-mini,gpt-4o --repeats 3 [--output results.json]
+ * Temperature, max tokens and the judge model come from the `comparison`
+ * module settings in openai-basics.config.json.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { requireOpenAIClient } from './openai-client.js';
+import { BudgetExceededError } from './budget.js';
+import { withUsageTags } from './usage-middleware.js';
+import { CostTracker } from './cost-tracker.js';
+import { createLogger } from './logger.js';
+import { mean, percentile } from './stats.js';
+import { formatTable } from './text-table.js';
+import { requireModuleSettings, parseConfigArgs } from './project-config.js';
+
+const log = createLogger('model-comparison');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROMPT_SET_PATH = join(__dirname, '..', 'data', 'prompt-sets', 'basics.json');
+
+const graderSpecSchema = z.object({ type: z.string().min(1) }).passthrough();
+
+const promptSchema = z.object({
+  id: z.string().min(1),
+  prompt: z.string().min(1),
+  system: z.string().optional(),
+  graders: z.array(graderSpecSchema).default([])
+}).strict();
+
+export const promptSetSchema = z.object({
+  name: z.string().min(1),
+  description: z.string().optional(),
+  system: z.string().optional(),
+  models: z.array(z.string().min(1)).optional(),
+  prompts: z.array(promptSchema).min(1, 'needs at least one prompt')
+}).strict();
+
+/**
+ * Raised when a prompt set file is missing or invalid
+ */
+export class PromptSetError extends Error {
+  constructor(problems) {
+    super(`Invalid prompt set:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'PromptSetError';
+    this.problems = problems;
+  }
+}
+
+const graders = new Map();
+
+/**
+ * Add a grader type. `create(spec, context)` returns an async
+ * grade(output, { prompt }) that resolves to { score (0-1), reason }.
+ * The context holds the client, judgeModel and tracker of the run.
+ */
+export function registerGrader(type, create) {
+  graders.set(type, create);
+}
+
+/**
+ * Names of every registered grader type
+ */
+export function graderTypes() {
+  return [...graders.keys()];
+}
+
+/**
+ * Reply text with Markdown code fences removed
+ */
+function stripFences(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  return (fenced ? fenced[1] : text).trim();
+}
+
+/**
+ * Problems found validating a value against a JSON Schema.
+ * Supports type, enum, const, required, properties, additionalProperties,
+ * items, minItems/maxItems, minLength/maxLength, pattern and minimum/maximum.
+ */
+export function validateJsonSchema(value, schema, path = '$') {
+  const problems = [];
+  const typeOf = (item) => (Array.isArray(item) ? 'array' : item === null ? 'null' : typeof item);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    const matches = types.some(type => type === actual || (type === 'integer' && Number.isInteger(value)));
+    if (!matches) return [`${path} should be ${types.join(' or ')}, got ${actual}`];
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    problems.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    problems.push(`${path} should be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${path} is shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${path} is longer than ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) problems.push(`${path} does not match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${path} is below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${path} is above ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) problems.push(`${path} has fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) problems.push(`${path} has more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, index) => problems.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) problems.push(`${path}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        problems.push(...validateJsonSchema(item, schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+registerGrader('exact', (spec) => async (output) => {
+  const normalize = (text) => (spec.caseSensitive ? String(text).trim() : String(text).trim().toLowerCase());
+  const match = normalize(output) === normalize(spec.expected);
+  return { score: match ? 1 : 0, reason: match ? 'exact match' : `expected "${spec.expected}"` };
+});
+
+registerGrader('regex', (spec) => {
+  const pattern = new RegExp(spec.pattern, spec.flags || '');
+  return async (output) => {
+    const match = pattern.test(output);
+    return { score: match ? 1 : 0, reason: match ? `matches /${spec.pattern}/` : `does not match /${spec.pattern}/` };
+  };
+});
+
+registerGrader('json-schema', (spec) => async (output) => {
+  let value;
+  try {
+    value = JSON.parse(stripFences(output));
+  } catch {
+    return { score: 0, reason: 'reply is not JSON' };
+  }
+  const problems = validateJsonSchema(value, spec.schema || {});
+  return { score: problems.length === 0 ? 1 : 0, reason: problems.length === 0 ? 'valid JSON' : problems.join('; ') };
+});
+
+const JUDGE_INSTRUCTIONS = 'You grade answers from AI assistants. Score the answer from 0 (useless) to 10 (perfect) ' +
+  'against the criteria. Reply with JSON only: {"score": <0-10>, "reason": "<one sentence>"}';
+
+registerGrader('llm-judge', (spec, { client, judgeModel, tracker }) => async (output, { prompt, id }) => {
+  const model = spec.model || judgeModel;
+  const startTime = Date.now();
+  const description = `Judge: ${id}`;
+  const response = await withUsageTags({ module: tracker?.module, description }, () => client.chat.completions.create({
+    model,
+    temperature: 0,
+    max_tokens: 200,
+    messages: [
+      { role: 'system', content: JUDGE_INSTRUCTIONS },
+      { role: 'user', content: `Criteria: ${spec.criteria || 'Correct, complete and concise.'}\n\nQuestion:\n${prompt}\n\nAnswer:\n${output}` }
+    ]
+  }));
+  tracker?.recordUsage({ model, usage: response.usage, description, responseTime: Date.now() - startTime, recorded: Boolean(client.usageRecorder) });
+
+  try {
+    const verdict = JSON.parse(stripFences(response.choices[0].message.content || '').match(/\{[\s\S]*\}/)?.[0]);
+    const score = Math.min(Math.max(Number(verdict.score) / 10, 0), 1);
+    return { score: Number.isFinite(score) ? score : 0, reason: verdict.reason || `judge scored ${verdict.score}/10` };
+  } catch {
+    return { score: 0, reason: 'judge reply was not JSON' };
+  }
+});
+
+/**
+ * Read and validate a prompt set file
+ */
+export function loadPromptSet(path = DEFAULT_PROMPT_SET_PATH) {
+  if (!existsSync(path)) {
+    throw new PromptSetError([`Prompt set not found: ${path}`]);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new PromptSetError([`${path} is not valid JSON: ${error.message}`]);
+  }
+
+  const result = promptSetSchema.safeParse(raw);
+  if (!result.success) {
+    throw new PromptSetError(result.error.issues.map(issue => `${issue.path.join('.') || '(prompt set)'}: ${issue.message}`));
+  }
+
+  const unknown = result.data.prompts.flatMap(prompt =>
+    prompt.graders.filter(grader => !graders.has(grader.type)).map(grader => `prompts.${prompt.id}: unknown grader "${grader.type}" (known: ${graderTypes().join(', ')})`));
+  if (unknown.length > 0) {
+    throw new PromptSetError(unknown);
+  }
+  return result.data;
+}
+
+/**
+ * A grader's score, or a score of 0 saying why the grader could not run
+ */
+async function gradeOrFail(grader, output, item) {
+  try {
+    return await grader.grade(output, { prompt: item.prompt, id: item.id });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) throw error;
+    return { score: 0, reason: `grader failed: ${error.message}`, error: true };
+  }
+}
+
+/**
+ * Run every prompt against every model `repeats` times and grade the replies.
+ *
+ * Options:
+ *   client       OpenAI client (default: the shared client)
+ *   temperature  temperature for the compared models
+ *   maxTokens    max_tokens for the compared models
+ *   judgeModel   Default model for llm-judge graders (default: gpt-4o-mini)
+ *   tracker      CostTracker that records every call (default: a new one)
+ *   onResult     Called with each result as it completes
+ *
+ * Failed calls are kept as results with an `error`; a grader that fails
+ * (a judge call hitting a rate limit, say) scores 0 with the failure as its
+ * reason instead, since the reply itself came back and was paid for. A
+ * BudgetExceededError stops the run.
+ */
+export async function compareModels(promptSet, models, repeats = 1, options = {}) {
+  const client = options.client || requireOpenAIClient();
+  const tracker = options.tracker || new CostTracker({ client, module: 'comparison' });
+  const context = { client, judgeModel: options.judgeModel || 'gpt-4o-mini', tracker };
+  const results = [];
+
+  for (const model of models) {
+    for (const item of promptSet.prompts) {
+      const itemGraders = item.graders.map(spec => ({ type: spec.type, grade: graders.get(spec.type)(spec, context) }));
+      const system = item.system ?? promptSet.system;
+      const messages = [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: item.prompt }
+      ];
+
+      for (let repeat = 1; repeat <= repeats; repeat++) {
+        const result = { model, promptId: item.id, repeat };
+        const startTime = Date.now();
+
+        try {
+          const description = `Compare ${item.id} #${repeat}`;
+          const response = await withUsageTags({ module: tracker.module, description }, () => client.chat.completions.create({
+            model,
+            messages,
+            ...(options.temperature !== undefined ? { temperature: options.temperature } : {}),
+            ...(options.maxTokens !== undefined ? { max_tokens: options.maxTokens } : {})
+          }));
+
+          result.latencyMs = Date.now() - startTime;
+          result.output = response.choices[0].message.content || '';
+          result.usage = response.usage;
+          result.cost = tracker.recordUsage({
+            model,
+            usage: response.usage,
+            description,
+            responseTime: result.latencyMs,
+            response: result.output,
+            recorded: Boolean(client.usageRecorder)
+          }).costs.total;
+
+          result.scores = [];
+          for (const grader of itemGraders) {
+            result.scores.push({ type: grader.type, ...await gradeOrFail(grader, result.output, item) });
+          }
+          result.quality = result.scores.length > 0 ? mean(result.scores.map(score => score.score)) : null;
+        } catch (error) {
+          if (error instanceof BudgetExceededError) throw error;
+          result.latencyMs = Date.now() - startTime;
+          result.error = error.message;
+        }
+
+        results.push(result);
+        options.onResult?.(result);
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * One row per model: runs, errors, mean/p95 latency, mean tokens, cost and quality
+ */
+export function summarizeComparison(results) {
+  const models = [...new Set(results.map(result => result.model))];
+
+  return models.map(model => {
+    const runs = results.filter(result => result.model === model);
+    const ok = runs.filter(result => !result.error);
+    const graded = ok.filter(result => result.quality !== null && result.quality !== undefined);
+    const latencies = ok.map(result => result.latencyMs);
+
+    return {
+      model,
+      runs: runs.length,
+      errors: runs.length - ok.length,
+      latency: { mean: mean(latencies), p95: percentile(latencies, 95) },
+      tokens: {
+        prompt: mean(ok.map(result => result.usage.prompt_tokens)),
+        completion: mean(ok.map(result => result.usage.completion_tokens)),
+        total: mean(ok.map(result => result.usage.total_tokens))
+      },
+      cost: { mean: mean(ok.map(result => result.cost)), total: ok.reduce((sum, result) => sum + result.cost, 0) },
+      quality: graded.length > 0 ? mean(graded.map(result => result.quality)) : null
+    };
+  });
+}
+
+/**
+ * Mean quality per prompt and model, keyed by prompt id then model
+ */
+export function qualityByPrompt(results) {
+  const table = {};
+  for (const result of results.filter(item => !item.error && item.quality !== null && item.quality !== undefined)) {
+    table[result.promptId] = table[result.promptId] || {};
+    (table[result.promptId][result.model] = table[result.promptId][result.model] || []).push(result.quality);
+  }
+  return Object.fromEntries(Object.entries(table).map(([promptId, byModel]) =>
+    [promptId, Object.fromEntries(Object.entries(byModel).map(([model, scores]) => [model, mean(scores)]))]));
+}
+
+function percent(value) {
+  return value === null || value === undefined ? 'n/a' : `${Math.round(value * 100)}%`;
+}
+
+/**
+ * The comparison matrix as text (or Markdown)
+ */
+export function formatComparison(summary, { markdown = false } = {}) {
+  return formatTable(
+    ['Model', 'Runs', 'Errors', 'Mean latency', 'p95 latency', 'Prompt tok', 'Output tok', 'Mean cost', 'Total cost', 'Quality'],
+    summary.map(row => [
+      row.model,
+      row.runs,
+      row.errors,
+      `${Math.round(row.latency.mean)}ms`,
+      `${Math.round(row.latency.p95)}ms`,
+      Math.round(row.tokens.prompt),
+      Math.round(row.tokens.completion),
+      `$${row.cost.mean.toFixed(6)}`,
+      `$${row.cost.total.toFixed(6)}`,
+      percent(row.quality)
+    ]),
+    { markdown }
+  );
+}
+
+/**
+ * Print the matrix and the per-prompt quality breakdown
+ */
+export function printComparison(results) {
+  const summary = summarizeComparison(results);
+  const models = summary.map(row => row.model);
+
+  log.info(`\n📊 MODEL COMPARISON`);
+  log.info(formatComparison(summary));
+
+  const byPrompt = qualityByPrompt(results);
+  if (Object.keys(byPrompt).length > 0) {
+    log.info(`\n🎯 QUALITY BY PROMPT`);
+    log.info(formatTable(['Prompt', ...models], Object.entries(byPrompt).map(([promptId, scores]) =>
+      [promptId, ...models.map(model => percent(scores[model]))])));
+  }
+
+  results.filter(result => result.error).forEach(result => {
+    log.warn(`⚠️  ${result.model} / ${result.promptId} #${result.repeat}: ${result.error}`);
+  });
+}
+
+const CLI_FLAGS = {
+  '--prompts': 'prompts',
+  '--models': 'models',
+  '--repeats': 'repeats',
+  '--judge-model': 'judgeModel',
+  '--output': 'output'
+};
+
+/**
+ * Parse the comparison CLI's flags (--flag value or --flag=value)
+ */
+export function parseComparisonArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s, 2);
+    const key = CLI_FLAGS[flag];
+    if (!key) {
+      throw new Error(`Unknown option "${argv[i]}". Options: ${Object.keys(CLI_FLAGS).join(', ')}`);
+    }
+    options[key] = inline !== undefined ? inline : argv[++i];
+    if (!options[key]) {
+      throw new Error(`${flag} needs a value`);
+    }
+  }
+
+  if (options.models) options.models = options.models.split(',').map(model => model.trim()).filter(Boolean);
+  if (options.repeats !== undefined) {
+    options.repeats = Number(options.repeats);
+    if (!Number.isInteger(options.repeats) || options.repeats < 1) {
+      throw new Error('--repeats must be a positive integer');
+    }
+  }
+  return options;
+}
+
+// Allow running the comparison directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const settings = requireModuleSettings('comparison');
+
+  try {
+    const options = parseComparisonArgs(parseConfigArgs().args);
+    const promptSet = loadPromptSet(options.prompts);
+    const models = options.models || promptSet.models || ['gpt-4o-mini', 'gpt-4o'];
+    const repeats = options.repeats || 1;
+
+    log.info(`🏁 Comparing ${models.join(', ')} on "${promptSet.name}" (${promptSet.prompts.length} prompts × ${repeats} repeats)`);
+
+    const results = await compareModels(promptSet, models, repeats, {
+      temperature: settings.temperature,
+      maxTokens: settings.maxTokens,
+      judgeModel: options.judgeModel || settings.model,
+      onResult: (result) => log.info(`   ${result.error ? '❌' : '✅'} ${result.model} / ${result.promptId} #${result.repeat} (${result.latencyMs}ms)`)
+    });
+
+    printComparison(results);
+
+    if (options.output) {
+      writeFileSync(options.output, JSON.stringify({ promptSet: promptSet.name, models, repeats, summary: summarizeComparison(results), results }, null, 2) + '\n');
+      log.info(`\n💾 Results written to ${options.output}`);
+    }
+  } catch (error) {
+    log.error(error instanceof BudgetExceededError ? `🛑 ${error.message}` : `❌ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Multi-line Input
+ *
+ * Gathers what is typed at a line-by-line prompt into whole messages, so
+ * code can be sent from a terminal:
+ * - a line ending in \ continues on the next line
+ * - a line of """ starts paste mode, which runs until the next """ line
+ * - a ``` (or ~~~) code fence that is still open continues until it closes
+ *
+ * Usage:
+ *   const input = createInputCollector();
+ *   for await (const line of rl) {
+ *     const { done, text } = input.push(line);
+ *     rl.setPrompt(input.pending ? CONTINUATION_PROMPT : 'You: ');
+ *     if (done) await send(text);
+ *   }
+ */
+
+/**
+ * Prompt to show while a message is still being typed
+ */
+export const CONTINUATION_PROMPT = '... ';
+
+/**
+ * The line that starts and ends paste mode
+ */
+export const PASTE_MARKER = '"""';
+
+const FENCE = /^\s*(`{3,}|~{3,})/;
+
+/**
+ * A collector of typed lines. push(line) returns { done: true, text } once
+ * a message is complete and { done: false } while it goes on; pending says
+ * whether lines are waiting, and reset() drops them.
+ */
+export function createInputCollector() {
+  let lines = [];
+  let pasting = false;
+  let fence = null;
+
+  const finish = () => {
+    const text = lines.join('\n');
+    lines = [];
+    pasting = false;
+    fence = null;
+    return { done: true, text };
+  };
+
+  return {
+    push(line) {
+      if (pasting) {
+        if (line.trim() === PASTE_MARKER) return finish();
+        lines.push(line);
+        return { done: false };
+      }
+      if (lines.length === 0 && line.trim() === PASTE_MARKER) {
+        pasting = true;
+        return { done: false };
+      }
+
+      const continues = !fence && line.endsWith('\\');
+      const text = continues ? line.slice(0, -1) : line;
+      lines.push(text);
+
+      const marker = text.match(FENCE)?.[1];
+      if (marker && !fence) fence = marker;
+      else if (marker && marker.startsWith(fence) && text.trim() === marker) fence = null;
+
+      return continues || fence ? { done: false } : finish();
+    },
+
+    get pending() {
+      return pasting || lines.length > 0;
+    },
+
+    reset() {
+      lines = [];
+      pasting = false;
+      fence = null;
+    }
+  };
+}
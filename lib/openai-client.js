@@ -0,0 +1,248 @@
+/**
+ * Shared OpenAI Client Factory
+ *
+ * Every module builds its OpenAI client through this file so that the
+ * API key, organization header, base URL, timeout and retry settings are
+ * read and validated in exactly one place.
+ *
+ * Environment variables:
+ *   OPENAI_API_KEY       Required. Must look like an OpenAI key (sk-...)
+ *   OPENAI_ORG_ID        Optional organization ID (org-...)
+ *   OPENAI_BASE_URL      Optional API base URL (http/https)
+ *   OPENAI_TIMEOUT_MS    Optional request timeout in milliseconds
+ *   OPENAI_MAX_RETRIES   Optional number of automatic retries
+ *   OPENAI_MODEL         Optional default model
+ *   OPENAI_OFFLINE       Set to 1 to answer every request from the local
+ *                        stand-in (lib/stand-in-api.js) instead of the network
+ *   OPENAI_USAGE_RUN_FILE  Optional file that also receives every usage record
+ *
+ * Clients check every request against the spending budgets in
+ * openai-basics.config.json before sending it (see lib/budget.js), and
+ * record the usage of every reply (see lib/usage-middleware.js).
+ */
+
+import { OpenAI } from 'openai';
+import 'dotenv/config';
+import { OFFLINE_API_KEY, STAND_IN_BASE_URL, createStandInFetch } from './stand-in-api.js';
+import { createLogger } from './logger.js';
+import { MODULE_DEFAULTS, ProjectConfigError } from './project-config.js';
+import { getBudgetGuard, createBudgetFetch } from './budget.js';
+import { UsageRecorder, createUsageFetch } from './usage-middleware.js';
+import { UsageLedger, getUsageLedger } from './usage-ledger.js';
+
+const log = createLogger('openai-client');
+
+/**
+ * Defaults applied when the environment does not override them
+ */
+export const CLIENT_DEFAULTS = {
+  timeout: 60_000,
+  maxRetries: 2,
+  defaultModel: MODULE_DEFAULTS.model
+};
+
+/**
+ * Raised when the client configuration is invalid.
+ * Carries every problem found so users can fix them in one go.
+ */
+export class OpenAIConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid OpenAI configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'OpenAIConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Validate API key format (basic validation)
+ */
+export function isValidApiKeyFormat(apiKey) {
+  if (!apiKey || typeof apiKey !== 'string') return false;
+  // OpenAI API keys typically start with 'sk-' and are 51+ characters
+  return apiKey.startsWith('sk-') && apiKey.length >= 20;
+}
+
+/**
+ * Parse an optional integer setting, keeping the raw value when it is not a number
+ * so that validation can report it.
+ */
+function parseInteger(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return undefined;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) ? parsed : value;
+}
+
+function optional(value) {
+  return value && String(value).trim() ? String(value).trim() : undefined;
+}
+
+/**
+ * Whether OPENAI_OFFLINE asks for the local stand-in
+ */
+export function isOfflineMode(env = process.env) {
+  return ['1', 'true', 'yes'].includes(String(env.OPENAI_OFFLINE || '').trim().toLowerCase());
+}
+
+/**
+ * Whether a client talks to the offline stand-in rather than the real API
+ */
+export function isStandInClient(client) {
+  return Boolean(client) && (client.apiKey === OFFLINE_API_KEY || client.baseURL === STAND_IN_BASE_URL);
+}
+
+/**
+ * Read the client configuration from environment variables
+ */
+export function loadClientConfig(env = process.env) {
+  const offline = isOfflineMode(env);
+
+  return {
+    offline,
+    apiKey: optional(env.OPENAI_API_KEY) || (offline ? OFFLINE_API_KEY : undefined),
+    organization: optional(env.OPENAI_ORG_ID),
+    baseURL: optional(env.OPENAI_BASE_URL),
+    timeout: parseInteger(env.OPENAI_TIMEOUT_MS) ?? CLIENT_DEFAULTS.timeout,
+    maxRetries: parseInteger(env.OPENAI_MAX_RETRIES) ?? CLIENT_DEFAULTS.maxRetries,
+    defaultModel: optional(env.OPENAI_MODEL) || CLIENT_DEFAULTS.defaultModel
+  };
+}
+
+/**
+ * Validate a client configuration.
+ * Returns a list of human readable problems (empty when valid).
+ */
+export function validateClientConfig(config) {
+  const problems = [];
+
+  if (!config.apiKey) {
+    problems.push('OPENAI_API_KEY is not set. Get a key from https://platform.openai.com/api-keys');
+  } else if (!isValidApiKeyFormat(config.apiKey)) {
+    problems.push('OPENAI_API_KEY does not look like an OpenAI key (expected "sk-..." with at least 20 characters)');
+  }
+
+  if (config.organization && !config.organization.startsWith('org-')) {
+    problems.push('OPENAI_ORG_ID must start with "org-"');
+  }
+
+  if (config.baseURL) {
+    let url = null;
+    try {
+      url = new URL(config.baseURL);
+    } catch {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      problems.push(`OPENAI_BASE_URL must be an http(s) URL, got "${config.baseURL}"`);
+    }
+  }
+
+  if (!Number.isInteger(config.timeout) || config.timeout <= 0) {
+    problems.push(`OPENAI_TIMEOUT_MS must be a positive integer, got "${config.timeout}"`);
+  }
+
+  if (!Number.isInteger(config.maxRetries) || config.maxRetries < 0) {
+    problems.push(`OPENAI_MAX_RETRIES must be a non-negative integer, got "${config.maxRetries}"`);
+  }
+
+  if (!config.defaultModel || typeof config.defaultModel !== 'string') {
+    problems.push('OPENAI_MODEL must be a model name');
+  }
+
+  return problems;
+}
+
+/**
+ * Resolve and validate the configuration, throwing OpenAIConfigError when invalid
+ */
+export function resolveClientConfig(overrides = {}, env = process.env) {
+  const config = { ...loadClientConfig(env), ...overrides };
+  const problems = validateClientConfig(config);
+
+  if (problems.length > 0) {
+    throw new OpenAIConfigError(problems);
+  }
+
+  return config;
+}
+
+/**
+ * OpenAI client that checks each request against a budget before sending it.
+ * prepareOptions runs outside the SDK's retry handling, so a
+ * BudgetExceededError reaches the caller unchanged.
+ */
+class BudgetedOpenAI extends OpenAI {
+  constructor(options, budget) {
+    super({ ...options, fetch: createBudgetFetch(budget, options.fetch) });
+    this.budget = budget;
+  }
+
+  async prepareOptions(options) {
+    await super.prepareOptions(options);
+    this.budget.checkRequest(options);
+  }
+}
+
+/**
+ * Usage recorder for a new client: real traffic goes to the usage ledger,
+ * and every call to OPENAI_USAGE_RUN_FILE when it is set
+ */
+function createUsageRecorder(module, standIn, env) {
+  const runFile = optional(env.OPENAI_USAGE_RUN_FILE);
+
+  return new UsageRecorder({
+    ...(module ? { module } : {}),
+    ledger: standIn ? null : getUsageLedger(env),
+    runFile: runFile ? new UsageLedger(runFile) : null
+  });
+}
+
+/**
+ * Create a validated OpenAI client.
+ * Overrides take precedence over environment variables; a `fetch` override
+ * replaces the transport (used by the offline stand-in), a `budget`
+ * override replaces the configured BudgetGuard (null turns budgets off),
+ * `module` tags the usage records of the client's calls and a `usage`
+ * override replaces its UsageRecorder (null turns recording off).
+ */
+export function createOpenAIClient(overrides = {}, env = process.env) {
+  const { fetch: customFetch, budget: budgetOverride, usage: usageOverride, module, ...settings } = overrides;
+  const config = resolveClientConfig(settings, env);
+  const standIn = config.offline || config.apiKey === OFFLINE_API_KEY;
+  const budget = budgetOverride !== undefined ? budgetOverride : getBudgetGuard({ offline: standIn, env });
+  const usage = usageOverride !== undefined ? usageOverride : createUsageRecorder(module, standIn, env);
+  const transport = customFetch || (config.offline ? createStandInFetch() : undefined);
+
+  const options = {
+    apiKey: config.apiKey,
+    organization: config.organization,
+    baseURL: config.offline ? STAND_IN_BASE_URL : config.baseURL,
+    timeout: config.timeout,
+    maxRetries: config.maxRetries,
+    fetch: usage ? createUsageFetch(usage, transport) : transport
+  };
+
+  const client = budget ? new BudgetedOpenAI(options, budget) : new OpenAI(options);
+  client.usageRecorder = usage;
+  return client;
+}
+
+/**
+ * Create a client for a demo script, exiting with setup instructions
+ * when the configuration is invalid instead of failing mid-run with a 401.
+ */
+export function requireOpenAIClient(overrides = {}) {
+  try {
+    return createOpenAIClient(overrides);
+  } catch (error) {
+    if (!(error instanceof OpenAIConfigError || error instanceof ProjectConfigError)) throw error;
+
+    log.error(`❌ ${error.message}`);
+    if (error instanceof ProjectConfigError) process.exit(1);
+
+    log.info(`\n🔑 Setup Instructions:`);
+    log.info(`1. Get your API key from: https://platform.openai.com/api-keys`);
+    log.info(`2. Create a .env file in the project root`);
+    log.info(`3. Add: OPENAI_API_KEY=your_api_key_here`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * Versioned Pricing Catalog
+ *
+ * Model prices live in data/pricing.json so they can be updated without
+ * touching code. Each model has a list of rate entries with the date they
+ * took effect; usage is priced at the rate that applied when it happened.
+ *
+ * Rates are USD per 1M tokens:
+ *   input, output                Text tokens (required)
+ *   cachedInput                  Cached prompt tokens (default: input)
+ *   reasoning                    Reasoning tokens (default: output)
+ *   audioInput, audioOutput      Audio tokens (default: input / output)
+ *   imageInput, imageOutput      Image tokens (default: input / output)
+ *   batchDiscount                Overrides the catalog's Batch API discount
+ *
+ * Environment variables:
+ *   OPENAI_PRICING_FILE   Path to an alternative catalog file
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { createLogger } from './logger.js';
+import { countChatTokens, TOKEN_ESTIMATE_MARGIN } from './token-counter.js';
+
+const log = createLogger('pricing-catalog');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PRICING_PATH = join(__dirname, '..', 'data', 'pricing.json');
+
+/**
+ * Reply length assumed by estimates when no max_tokens is set
+ */
+export const DEFAULT_ESTIMATE_MAX_TOKENS = 1024;
+
+// A dated snapshot of a model: gpt-4o-2024-08-06
+const SNAPSHOT_SUFFIX = /^(.+)-\d{4}-\d{2}-\d{2}$/;
+
+const rate = z.number().min(0);
+
+const rateEntrySchema = z.object({
+  effectiveFrom: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'must be a YYYY-MM-DD date'),
+  input: rate,
+  output: rate,
+  cachedInput: rate.optional(),
+  reasoning: rate.optional(),
+  audioInput: rate.optional(),
+  audioOutput: rate.optional(),
+  imageInput: rate.optional(),
+  imageOutput: rate.optional(),
+  batchDiscount: z.number().min(0).max(1).optional()
+}).strict();
+
+export const pricingCatalogSchema = z.object({
+  version: z.string().min(1),
+  currency: z.string().default('USD'),
+  unit: z.string().optional(),
+  batchDiscount: z.number().min(0).max(1).default(0),
+  models: z.record(z.array(rateEntrySchema).min(1, 'needs at least one rate entry'))
+}).strict();
+
+/**
+ * Raised when the pricing catalog file is missing or invalid
+ */
+export class PricingCatalogError extends Error {
+  constructor(problems) {
+    super(`Invalid pricing catalog:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'PricingCatalogError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Split a usage object (Chat Completions or Responses/Images style) into
+ * the token categories the catalog prices separately
+ */
+export function normalizeUsage(usage = {}) {
+  const promptDetails = usage.prompt_tokens_details || usage.input_tokens_details || {};
+  const completionDetails = usage.completion_tokens_details || usage.output_tokens_details || {};
+
+  const promptTokens = usage.prompt_tokens ?? usage.input_tokens ?? 0;
+  const completionTokens = usage.completion_tokens ?? usage.output_tokens ?? 0;
+
+  const cachedInput = promptDetails.cached_tokens || 0;
+  const audioInput = promptDetails.audio_tokens || 0;
+  const imageInput = promptDetails.image_tokens || 0;
+  const reasoning = completionDetails.reasoning_tokens || 0;
+  const audioOutput = completionDetails.audio_tokens || 0;
+  const imageOutput = completionDetails.image_tokens || 0;
+
+  return {
+    input: Math.max(0, promptTokens - cachedInput - audioInput - imageInput),
+    cachedInput,
+    audioInput,
+    imageInput,
+    output: Math.max(0, completionTokens - reasoning - audioOutput - imageOutput),
+    reasoning,
+    audioOutput,
+    imageOutput
+  };
+}
+
+function toDateString(date) {
+  if (!date) return new Date().toISOString().substring(0, 10);
+  return (date instanceof Date ? date.toISOString() : String(date)).substring(0, 10);
+}
+
+/**
+ * Priced view of a catalog file
+ */
+export class PricingCatalog {
+  constructor(data) {
+    const result = pricingCatalogSchema.safeParse(data);
+    if (!result.success) {
+      throw new PricingCatalogError(result.error.issues.map(issue => `${issue.path.join('.') || '(catalog)'}: ${issue.message}`));
+    }
+
+    this.version = result.data.version;
+    this.currency = result.data.currency;
+    this.batchDiscount = result.data.batchDiscount;
+    this.entries = Object.fromEntries(Object.entries(result.data.models).map(([model, entries]) =>
+      [model, [...entries].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))]));
+    this.warned = new Set();
+  }
+
+  /**
+   * Load a catalog file (default: data/pricing.json or OPENAI_PRICING_FILE)
+   */
+  static load(path = process.env.OPENAI_PRICING_FILE || DEFAULT_PRICING_PATH) {
+    if (!existsSync(path)) {
+      throw new PricingCatalogError([`Pricing file not found: ${path}`]);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (error) {
+      throw new PricingCatalogError([`${path} is not valid JSON: ${error.message}`]);
+    }
+    return new PricingCatalog(data);
+  }
+
+  models() {
+    return Object.keys(this.entries);
+  }
+
+  /**
+   * Catalog name for a model, accepting dated snapshots
+   * (gpt-4o-mini-2024-07-18 is priced as gpt-4o-mini). Other variants
+   * (o3-pro, gpt-4o-search-preview) are priced differently from their base
+   * model, so they are unknown until the catalog lists them.
+   */
+  resolveModel(model) {
+    if (this.entries[model]) return model;
+
+    const base = SNAPSHOT_SUFFIX.exec(model ?? '')?.[1];
+    return base && this.entries[base] ? base : null;
+  }
+
+  /**
+   * Rates that applied to a model on a date, or null for unknown models.
+   * Dates before the first entry use the earliest known rates.
+   */
+  rates(model, date) {
+    const name = this.resolveModel(model);
+    if (!name) return null;
+
+    const day = toDateString(date);
+    const entries = this.entries[name];
+    const entry = [...entries].reverse().find(candidate => candidate.effectiveFrom <= day) || entries[0];
+
+    return {
+      model: name,
+      effectiveFrom: entry.effectiveFrom,
+      input: entry.input,
+      output: entry.output,
+      cachedInput: entry.cachedInput ?? entry.input,
+      reasoning: entry.reasoning ?? entry.output,
+      audioInput: entry.audioInput ?? entry.input,
+      audioOutput: entry.audioOutput ?? entry.output,
+      imageInput: entry.imageInput ?? entry.input,
+      imageOutput: entry.imageOutput ?? entry.output,
+      batchDiscount: entry.batchDiscount ?? this.batchDiscount
+    };
+  }
+
+  /**
+   * Current input/output rates for every model, keyed by model name
+   */
+  currentRates(date) {
+    return Object.fromEntries(this.models().map(model => [model, this.rates(model, date)]));
+  }
+
+  /**
+   * Price a usage object.
+   * Options: date (when the usage happened, default now) and batch (Batch API discount).
+   * Unknown models are logged once and priced at zero with priced: false.
+   */
+  price(usage, model, { date, batch = false } = {}) {
+    const rates = this.rates(model, date);
+    const tokens = normalizeUsage(usage);
+
+    if (!rates) {
+      if (!this.warned.has(model)) {
+        this.warned.add(model);
+        log.warn(`⚠️  No pricing for model "${model}" in catalog ${this.version}; its usage is tracked at $0. Add it to data/pricing.json.`);
+      }
+      return {
+        priced: false,
+        inputCost: 0,
+        outputCost: 0,
+        total: 0,
+        breakdown: {}
+      };
+    }
+
+    const multiplier = batch ? 1 - rates.batchDiscount : 1;
+    const cost = (category) => (tokens[category] / 1_000_000) * rates[category] * multiplier;
+
+    const breakdown = Object.fromEntries(Object.keys(tokens).map(category => [category, cost(category)]));
+    const inputCost = breakdown.input + breakdown.cachedInput + breakdown.audioInput + breakdown.imageInput;
+    const outputCost = breakdown.output + breakdown.reasoning + breakdown.audioOutput + breakdown.imageOutput;
+
+    return {
+      priced: true,
+      inputCost,
+      outputCost,
+      total: inputCost + outputCost,
+      breakdown,
+      ratesFrom: rates.effectiveFrom,
+      catalogVersion: this.version,
+      ...(batch ? { batch: true } : {})
+    };
+  }
+
+  /**
+   * Estimate the cost range of a chat request before sending it.
+   * The low end assumes a one-token reply and the low side of the prompt
+   * estimate; the high end assumes the reply uses all of maxTokens.
+   * Schemas: tools or functions sent with the request.
+   */
+  estimate(messages, model, maxTokens = DEFAULT_ESTIMATE_MAX_TOKENS, schemas = {}) {
+    const promptTokens = countChatTokens(messages, model, schemas);
+    const low = Math.floor(promptTokens * (1 - TOKEN_ESTIMATE_MARGIN));
+    const high = Math.ceil(promptTokens * (1 + TOKEN_ESTIMATE_MARGIN));
+
+    const price = (prompt, completion) =>
+      this.price({ prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion }, model);
+    const min = price(low, 1);
+    const max = price(high, maxTokens);
+
+    return {
+      model,
+      promptTokens,
+      promptTokensRange: { min: low, max: high },
+      maxOutputTokens: maxTokens,
+      priced: min.priced,
+      min: min.total,
+      max: max.total
+    };
+  }
+}
+
+let defaultCatalog = null;
+
+/**
+ * The catalog loaded from data/pricing.json (or OPENAI_PRICING_FILE), loaded once
+ */
+export function getPricingCatalog() {
+  if (!defaultCatalog) {
+    defaultCatalog = PricingCatalog.load();
+  }
+  return defaultCatalog;
+}
@@ -0,0 +1,337 @@
+/**
+ * Project Configuration and Model Profiles
+ *
+ * Reads openai-basics.config.json from the project root. The file defines
+ * named profiles (dev, cheap, quality, ...) and each profile sets the model,
+ * temperature, max tokens and system prompt per module. Every script asks for
+ * its module's settings instead of hardcoding a model. The optional `budgets`
+ * section sets spending limits (see lib/budget.js). A module's optional
+ * `context` entry sets how much of a long conversation is sent with each
+ * request (see lib/context-window.js), and `tools` names the tools from the
+ * shared tool registry a chat offers the model (see lib/tools.js).
+ *
+ * A module's system prompt is either written out (`systemPrompt`) or picked
+ * by name from the prompt library (`persona`, e.g. "document-analyst" or
+ * "document-analyst@1", with `personaVariables` for its {{variables}}; see
+ * lib/prompt-library.js). Whichever is set with the higher precedence wins.
+ *
+ * Precedence (highest first):
+ *   1. CLI flags       --profile, --model, --temperature, --max-tokens,
+ *                      --system-prompt, --persona, --config
+ *   2. Environment     OPENAI_PROFILE, OPENAI_MODEL, OPENAI_TEMPERATURE,
+ *                      OPENAI_MAX_TOKENS, OPENAI_SYSTEM_PROMPT,
+ *                      OPENAI_PERSONA, OPENAI_BASICS_CONFIG
+ *   3. The profile's module entry, then the profile's defaults
+ *
+ * Usage:
+ *   const settings = requireModuleSettings('chatbot');
+ *   await openai.chat.completions.create({ ...completionOptions(settings), messages });
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import 'dotenv/config';
+import { createLogger } from './logger.js';
+import { CONTEXT_STRATEGIES } from './context-window.js';
+import { PromptLibraryError, getPromptLibrary } from './prompt-library.js';
+
+const log = createLogger('project-config');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const CONFIG_FILE_NAME = 'openai-basics.config.json';
+
+export const DEFAULT_CONFIG_PATH = join(__dirname, '..', CONFIG_FILE_NAME);
+
+/**
+ * Settings used when neither the profile nor an override provides a value
+ */
+export const MODULE_DEFAULTS = {
+  model: 'gpt-4o-mini',
+  temperature: 1,
+  persona: 'helpful-assistant'
+};
+
+const contextSchema = z.object({
+  strategy: z.enum(CONTEXT_STRATEGIES).optional(),
+  maxTokens: z.number().int().positive().optional(),
+  pinSystemPrompt: z.boolean().optional(),
+  summaryModel: z.string().min(1, 'must be a model name').optional(),
+  summaryMaxTokens: z.number().int().positive().optional()
+}).strict();
+
+export const moduleSettingsSchema = z.object({
+  model: z.string().min(1, 'must be a model name').optional(),
+  temperature: z.number().min(0).max(2).optional(),
+  maxTokens: z.number().int().positive().optional(),
+  systemPrompt: z.string().min(1, 'must not be empty').optional(),
+  persona: z.string().min(1, 'must be a prompt template name').optional(),
+  personaVariables: z.record(z.string()).optional(),
+  context: contextSchema.optional(),
+  tools: z.array(z.string().min(1, 'must be a tool name')).optional()
+}).strict();
+
+const profileSchema = z.object({
+  description: z.string().optional(),
+  defaults: moduleSettingsSchema.optional(),
+  modules: z.record(moduleSettingsSchema).default({})
+}).strict();
+
+const budgetLimitSchema = z.object({
+  soft: z.number().positive().optional(),
+  hard: z.number().positive().optional()
+}).strict().refine(limit => limit.soft === undefined || limit.hard === undefined || limit.soft <= limit.hard, {
+  message: 'soft limit must not be above the hard limit'
+});
+
+/**
+ * Spending limits in USD. Session limits cover one process, daily and
+ * per-model limits cover a calendar day across runs.
+ */
+export const budgetsSchema = z.object({
+  session: budgetLimitSchema.optional(),
+  daily: budgetLimitSchema.optional(),
+  models: z.record(budgetLimitSchema).default({})
+}).strict();
+
+export const projectConfigSchema = z.object({
+  defaultProfile: z.string().min(1),
+  profiles: z.record(profileSchema),
+  budgets: budgetsSchema.optional()
+}).strict().superRefine((config, ctx) => {
+  if (!config.profiles[config.defaultProfile]) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['defaultProfile'],
+      message: `profile "${config.defaultProfile}" is not defined`
+    });
+  }
+  for (const [name, profile] of Object.entries(config.profiles)) {
+    const entries = [['defaults', profile.defaults], ...Object.entries(profile.modules).map(([module, entry]) => [`modules.${module}`, entry])];
+    for (const [path, entry] of entries) {
+      if (entry?.systemPrompt !== undefined && entry.persona !== undefined) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['profiles', name, ...path.split('.')],
+          message: 'set systemPrompt or persona, not both'
+        });
+      }
+    }
+  }
+});
+
+/**
+ * Overrides from the environment or command line apply to every module
+ */
+const overridesSchema = moduleSettingsSchema.extend({
+  profile: z.string().min(1).optional(),
+  config: z.string().min(1).optional()
+}).strict();
+
+/**
+ * Raised when the config file or an override is invalid.
+ * Carries every problem found so users can fix them in one go.
+ */
+export class ProjectConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid project configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ProjectConfigError';
+    this.problems = problems;
+  }
+}
+
+function describeIssues(error, source) {
+  return error.issues.map(issue => `${source}${issue.path.length ? ` ${issue.path.join('.')}` : ''}: ${issue.message}`);
+}
+
+function parseNumber(value) {
+  const parsed = Number(value);
+  return String(value).trim() !== '' && !Number.isNaN(parsed) ? parsed : value;
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Read overrides from environment variables
+ */
+export function loadEnvOverrides(env = process.env) {
+  const value = (name) => (env[name] && String(env[name]).trim() ? String(env[name]).trim() : undefined);
+
+  return withoutUndefined({
+    config: value('OPENAI_BASICS_CONFIG'),
+    profile: value('OPENAI_PROFILE'),
+    model: value('OPENAI_MODEL'),
+    temperature: value('OPENAI_TEMPERATURE') && parseNumber(value('OPENAI_TEMPERATURE')),
+    maxTokens: value('OPENAI_MAX_TOKENS') && parseNumber(value('OPENAI_MAX_TOKENS')),
+    systemPrompt: value('OPENAI_SYSTEM_PROMPT'),
+    persona: value('OPENAI_PERSONA')
+  });
+}
+
+const CLI_FLAGS = {
+  '--config': ['config', String],
+  '--profile': ['profile', String],
+  '--model': ['model', String],
+  '--temperature': ['temperature', parseNumber],
+  '--max-tokens': ['maxTokens', parseNumber],
+  '--system-prompt': ['systemPrompt', String],
+  '--persona': ['persona', String]
+};
+
+/**
+ * Split config flags (--profile cheap, --model=gpt-4o, ...) from the other
+ * arguments so scripts can keep reading their own positional arguments.
+ */
+export function parseConfigArgs(argv = process.argv.slice(2)) {
+  const overrides = {};
+  const args = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s, 2);
+    const known = CLI_FLAGS[flag];
+
+    if (!known) {
+      args.push(argv[i]);
+      continue;
+    }
+
+    const [key, parse] = known;
+    const raw = inline !== undefined ? inline : argv[++i];
+    overrides[key] = raw === undefined ? '' : parse(raw);
+  }
+
+  return { overrides, args };
+}
+
+/**
+ * Read and validate a config file
+ */
+export function readConfigFile(path = DEFAULT_CONFIG_PATH) {
+  if (!existsSync(path)) {
+    throw new ProjectConfigError([`Config file not found: ${path}`]);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new ProjectConfigError([`${path} is not valid JSON: ${error.message}`]);
+  }
+
+  const result = projectConfigSchema.safeParse(raw);
+  if (!result.success) {
+    throw new ProjectConfigError(describeIssues(result.error, CONFIG_FILE_NAME));
+  }
+  return result.data;
+}
+
+/**
+ * Load the config file and the overrides that apply to this run.
+ * Returns the validated file, the selected profile name and the overrides.
+ */
+export function loadProjectConfig({ env = process.env, argv = process.argv.slice(2), path } = {}) {
+  const envResult = overridesSchema.safeParse(loadEnvOverrides(env));
+  const cliResult = overridesSchema.safeParse(parseConfigArgs(argv).overrides);
+
+  const problems = [
+    ...(envResult.success ? [] : describeIssues(envResult.error, 'environment')),
+    ...(cliResult.success ? [] : describeIssues(cliResult.error, 'command line'))
+  ];
+  for (const [result, source, names] of [[envResult, 'environment', 'OPENAI_SYSTEM_PROMPT or OPENAI_PERSONA'], [cliResult, 'command line', '--system-prompt or --persona']]) {
+    if (result.data?.systemPrompt !== undefined && result.data.persona !== undefined) problems.push(`${source}: set ${names}, not both`);
+  }
+  if (problems.length > 0) {
+    throw new ProjectConfigError(problems);
+  }
+
+  const overrides = applySettings(envResult.data, cliResult.data);
+  const configPath = path || (overrides.config ? resolve(overrides.config) : DEFAULT_CONFIG_PATH);
+  const config = readConfigFile(configPath);
+  const profile = overrides.profile || config.defaultProfile;
+
+  if (!config.profiles[profile]) {
+    throw new ProjectConfigError([
+      `Unknown profile "${profile}". Available profiles: ${Object.keys(config.profiles).join(', ')}`
+    ]);
+  }
+
+  const { config: _path, profile: _profile, ...settings } = overrides;
+  return { path: configPath, config, profile, overrides: settings };
+}
+
+/**
+ * `settings` with `layer`'s on top. A system prompt replaces a persona from
+ * below and the other way round; persona variables are merged.
+ */
+function applySettings(settings, layer = {}) {
+  const applied = { ...settings, ...layer };
+  if (layer.systemPrompt !== undefined && layer.persona === undefined) delete applied.persona;
+  if (layer.persona !== undefined && layer.systemPrompt === undefined) delete applied.systemPrompt;
+  if (settings.personaVariables && layer.personaVariables) {
+    applied.personaVariables = { ...settings.personaVariables, ...layer.personaVariables };
+  }
+  return applied;
+}
+
+/**
+ * Resolve the model, temperature, max tokens and system prompt for a module.
+ * A persona is rendered into the system prompt from `options.prompts` (default:
+ * the project's prompt library).
+ */
+export function resolveModuleSettings(module, options = {}) {
+  const { config, profile, overrides } = options.loaded || loadProjectConfig(options);
+  const selected = config.profiles[profile];
+
+  const settings = [MODULE_DEFAULTS, selected.defaults, selected.modules[module], overrides]
+    .reduce(applySettings, { module, profile });
+  if (settings.persona === undefined) return settings;
+
+  try {
+    const prompts = options.prompts || getPromptLibrary();
+    return { ...settings, systemPrompt: prompts.render(settings.persona, settings.personaVariables) };
+  } catch (error) {
+    if (!(error instanceof PromptLibraryError)) throw error;
+    throw new ProjectConfigError(error.problems.map(problem => `${module} persona: ${problem}`));
+  }
+}
+
+/**
+ * Resolve a module's settings for a demo script, exiting with the list of
+ * problems when the configuration is invalid.
+ */
+export function requireModuleSettings(module, options = {}) {
+  try {
+    return resolveModuleSettings(module, options);
+  } catch (error) {
+    if (!(error instanceof ProjectConfigError)) throw error;
+
+    log.error(`❌ ${error.message}`);
+    log.info(`\n⚙️  Fix ${CONFIG_FILE_NAME} or the overrides above, or pick another profile with --profile`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Chat Completions parameters for a module's settings
+ */
+export function completionOptions(settings) {
+  return withoutUndefined({
+    model: settings.model,
+    temperature: settings.temperature,
+    max_tokens: settings.maxTokens
+  });
+}
+
+/**
+ * Agents SDK model and modelSettings for a module's settings
+ */
+export function agentModelOptions(settings) {
+  return {
+    model: settings.model,
+    modelSettings: withoutUndefined({ temperature: settings.temperature, maxTokens: settings.maxTokens })
+  };
+}
@@ -0,0 +1,394 @@
+/**
+ * Prompt Template Library
+ *
+ * System prompts (personas) live as Markdown files in data/prompts/ so they
+ * can change without code edits. Each file starts with front-matter:
+ *
+ *   ---
+ *   name: weather-assistant
+ *   version: 2
+ *   description: Answers weather questions
+ *   variables:
+ *     units: Celsius
+ *     city:
+ *   ---
+ *   You are a weather assistant for {{city}}. Give temperatures in {{units}}.
+ *   {{> answer-style}}
+ *
+ * A variable with a value has that default; one without is required.
+ * {{variable}} is replaced by the variable's value and {{> name}} by another
+ * template (rendered with the same variables). A template is referred to as
+ * `name` (its newest version) or `name@version`, so a module can pin the
+ * version it was tested with while a newer one is tried elsewhere.
+ *
+ * Usage:
+ *   const prompt = getPromptLibrary().render('weather-assistant', { city: 'Oslo' });
+ *
+ * CLI:
+ *   npm run prompts                          List the templates
+ *   npm run prompts -- show <name> [--var key=value ...]
+ *   npm run prompts -- validate              Check every template
+ *
+ * Environment variables:
+ *   OPENAI_PROMPTS_DIR   Directory to load templates from instead
+ */
+
+import { readFileSync, readdirSync, existsSync, statSync } from 'fs';
+import { dirname, join, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { createLogger } from './logger.js';
+import { formatTable } from './text-table.js';
+
+const log = createLogger('prompt-library');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROMPTS_DIR = join(__dirname, '..', 'data', 'prompts');
+
+const NAME = /^[a-z][\w-]*$/;
+
+// {{variable}} or {{> name}} / {{> name@2}}
+const TAG = /\{\{\s*(>)?\s*([^{}\s]+)\s*\}\}/g;
+
+const frontMatterSchema = z.object({
+  name: z.string().regex(NAME, 'must be lowercase letters, digits, - and _'),
+  version: z.number().int().positive().default(1),
+  description: z.string().optional(),
+  variables: z.record(z.string().regex(/^[A-Za-z_]\w*$/), z.string().nullable()).default({})
+}).strict();
+
+/**
+ * Raised when templates cannot be loaded, found or rendered.
+ * Carries every problem found so they can be fixed in one go.
+ */
+export class PromptLibraryError extends Error {
+  constructor(problems) {
+    super(problems.length === 1 ? problems[0] : `Invalid prompt templates:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'PromptLibraryError';
+    this.problems = problems;
+  }
+}
+
+function parseValue(text) {
+  const value = text.trim();
+  if (value === '') return null;
+  if (/^(["']).*\1$/.test(value)) return value.slice(1, -1);
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * The front-matter's `key: value` lines, with one level of indented
+ * `key: value` lines under a key that has no value of its own
+ */
+function parseFrontMatter(lines) {
+  const data = {};
+  let section = null;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const match = line.match(/^(\s*)([\w-]+):(.*)$/);
+    if (!match) throw new Error(`cannot read front-matter line "${line.trim()}"`);
+
+    const [, indent, key, rest] = match;
+    if (indent && section) {
+      const value = parseValue(rest);
+      section[key] = value === null ? null : String(value);
+    } else if (indent) {
+      throw new Error(`"${key}" is indented but not under a section`);
+    } else if (rest.trim() === '') {
+      section = data[key] = {};
+    } else {
+      section = null;
+      data[key] = parseValue(rest);
+    }
+  }
+  return data;
+}
+
+/**
+ * Parse a template file's text. `source` names it in error messages.
+ * Returns { name, version, description, variables, body, source }, where
+ * variables maps each declared variable to its default (null: required).
+ */
+export function parsePromptTemplate(text, source = 'template') {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[0].trim() !== '---') throw new PromptLibraryError([`${source}: must start with --- front-matter`]);
+  const end = lines.indexOf('---', 1);
+  if (end === -1) throw new PromptLibraryError([`${source}: the front-matter is never closed with ---`]);
+
+  let data;
+  try {
+    data = parseFrontMatter(lines.slice(1, end));
+  } catch (error) {
+    throw new PromptLibraryError([`${source}: ${error.message}`]);
+  }
+
+  const result = frontMatterSchema.safeParse(data);
+  if (!result.success) {
+    throw new PromptLibraryError(result.error.issues.map(issue => `${source}: ${issue.path.join('.') || 'front-matter'}: ${issue.message}`));
+  }
+  return { ...result.data, body: lines.slice(end + 1).join('\n').trim(), source };
+}
+
+/**
+ * "name@2" as { name: 'name', version: 2 }; a bare name has version null
+ */
+export function parseTemplateRef(ref) {
+  const [name, version] = String(ref).split('@');
+  return { name, version: version === undefined ? null : Number(version) };
+}
+
+/**
+ * The variables and includes a template's body uses
+ */
+function templateTags(template) {
+  const variables = new Set();
+  const includes = new Set();
+  for (const [, include, name] of template.body.matchAll(TAG)) {
+    (include ? includes : variables).add(name);
+  }
+  return { variables: [...variables], includes: [...includes] };
+}
+
+function markdownFiles(dir) {
+  return readdirSync(dir).sort().flatMap(entry => {
+    const path = join(dir, entry);
+    if (statSync(path).isDirectory()) return markdownFiles(path);
+    return entry.endsWith('.md') ? [path] : [];
+  });
+}
+
+/**
+ * Every version of every template, looked up by name
+ */
+export class PromptLibrary {
+  constructor(templates = []) {
+    this.templates = new Map();
+    for (const template of templates) this.add(template);
+  }
+
+  /**
+   * Load every .md file under `dir` (default: data/prompts or OPENAI_PROMPTS_DIR)
+   */
+  static load(dir = process.env.OPENAI_PROMPTS_DIR || DEFAULT_PROMPTS_DIR) {
+    if (!existsSync(dir)) throw new PromptLibraryError([`Prompt directory not found: ${dir}`]);
+
+    const library = new PromptLibrary();
+    const problems = [];
+    for (const file of markdownFiles(dir)) {
+      try {
+        library.add(parsePromptTemplate(readFileSync(file, 'utf-8'), relative(dir, file)));
+      } catch (error) {
+        if (!(error instanceof PromptLibraryError)) throw error;
+        problems.push(...error.problems);
+      }
+    }
+    if (problems.length > 0) throw new PromptLibraryError(problems);
+    library.dir = dir;
+    return library;
+  }
+
+  add(template) {
+    const versions = this.templates.get(template.name) || [];
+    const taken = versions.find(existing => existing.version === template.version);
+    if (taken) {
+      throw new PromptLibraryError([`${template.source}: ${template.name}@${template.version} is already defined in ${taken.source}`]);
+    }
+    this.templates.set(template.name, [...versions, template].sort((a, b) => a.version - b.version));
+    return template;
+  }
+
+  /**
+   * The template for `name` (newest version) or `name@version`
+   */
+  get(ref) {
+    const { name, version } = parseTemplateRef(ref);
+    const versions = this.templates.get(name);
+    if (!versions) {
+      throw new PromptLibraryError([`Unknown prompt template "${name}". Templates: ${[...this.templates.keys()].sort().join(', ')}`]);
+    }
+
+    const template = version === null ? versions.at(-1) : versions.find(candidate => candidate.version === version);
+    if (!template) {
+      throw new PromptLibraryError([`${name} has no version ${version}. Versions: ${versions.map(candidate => candidate.version).join(', ')}`]);
+    }
+    return template;
+  }
+
+  has(ref) {
+    try {
+      this.get(ref);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * The newest version of each template, by name, with the versions there are
+   */
+  list() {
+    return [...this.templates.keys()].sort().map(name => {
+      const versions = this.templates.get(name);
+      return { ...versions.at(-1), versions: versions.map(template => template.version) };
+    });
+  }
+
+  /**
+   * The variables a template needs, its includes' included, mapped to their
+   * defaults (null: required). A default anywhere in the chain counts.
+   */
+  variables(ref, seen = []) {
+    const template = this.get(ref);
+    const id = `${template.name}@${template.version}`;
+    if (seen.includes(id)) throw new PromptLibraryError([`${[...seen, id].join(' → ')}: a template includes itself`]);
+
+    const tags = templateTags(template);
+    const variables = { ...template.variables };
+    // An undeclared variable is still needed (validate() reports it)
+    for (const name of tags.variables) {
+      if (!(name in variables)) variables[name] = null;
+    }
+    for (const include of tags.includes) {
+      for (const [name, fallback] of Object.entries(this.variables(include, [...seen, id]))) {
+        variables[name] ??= fallback;
+      }
+    }
+    return variables;
+  }
+
+  /**
+   * Required variables `values` leaves out
+   */
+  missingVariables(ref, values = {}) {
+    return Object.entries(this.variables(ref))
+      .filter(([name, fallback]) => fallback === null && (values[name] === undefined || values[name] === null))
+      .map(([name]) => name);
+  }
+
+  /**
+   * The template's text with its variables and includes filled in. Throws
+   * a PromptLibraryError naming every required variable that is missing.
+   */
+  render(ref, values = {}) {
+    const template = this.get(ref);
+    const missing = this.missingVariables(ref, values);
+    if (missing.length > 0) {
+      throw new PromptLibraryError([`${template.name}@${template.version} needs ${missing.map(name => `{{${name}}}`).join(', ')}`]);
+    }
+
+    const defaults = Object.fromEntries(Object.entries(this.variables(ref)).filter(([, fallback]) => fallback !== null));
+    return this.expand(template, { ...defaults, ...values });
+  }
+
+  expand(template, values) {
+    return template.body.replace(TAG, (_tag, include, name) => (include ? this.expand(this.get(name), values) : String(values[name])));
+  }
+
+  /**
+   * Problems with the templates: unknown or circular includes, and
+   * variables a template uses without declaring or declares without using.
+   * Returns a list of messages, empty when all is well.
+   */
+  validate() {
+    const problems = [];
+    for (const versions of this.templates.values()) {
+      for (const template of versions) {
+        const id = `${template.name}@${template.version}`;
+        const { variables, includes } = templateTags(template);
+
+        for (const include of includes) {
+          if (!this.has(include)) problems.push(`${template.source}: includes unknown template "${include}"`);
+        }
+        for (const name of variables) {
+          if (!(name in template.variables)) problems.push(`${template.source}: uses {{${name}}} but does not declare it under variables`);
+        }
+        for (const name of Object.keys(template.variables)) {
+          if (!variables.includes(name)) problems.push(`${template.source}: declares ${name} but never uses it`);
+        }
+        if (includes.every(include => this.has(include))) {
+          try {
+            this.variables(id);
+          } catch (error) {
+            if (!(error instanceof PromptLibraryError)) throw error;
+            problems.push(`${template.source}: ${error.message}`);
+          }
+        }
+      }
+    }
+    return problems;
+  }
+}
+
+let defaultLibrary = null;
+
+/**
+ * The templates loaded from data/prompts (or OPENAI_PROMPTS_DIR), loaded once
+ */
+export function getPromptLibrary() {
+  if (!defaultLibrary) {
+    defaultLibrary = PromptLibrary.load();
+  }
+  return defaultLibrary;
+}
+
+/**
+ * The command (list, show or validate), its template and --var values
+ */
+export function parsePromptArgs(argv = process.argv.slice(2)) {
+  const options = { command: 'list', ref: null, values: {} };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s, 2);
+    if (flag === '--var') {
+      const value = inline !== undefined ? inline : argv[++i];
+      const [name, text] = (value || '').split(/=(.*)/s, 2);
+      if (!name || text === undefined) throw new PromptLibraryError(['--var needs name=value']);
+      options.values[name] = text;
+    } else if (flag.startsWith('--')) {
+      throw new PromptLibraryError([`Unknown option "${argv[i]}". Options: --var name=value`]);
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  if (positional.length > 0) [options.command, options.ref] = positional;
+  if (!['list', 'show', 'validate'].includes(options.command)) {
+    throw new PromptLibraryError([`Unknown command "${options.command}". Commands: list, show, validate`]);
+  }
+  if (options.command === 'show' && !options.ref) throw new PromptLibraryError(['show needs a template name']);
+  return options;
+}
+
+// Allow browsing and checking the templates directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const { command, ref, values } = parsePromptArgs();
+    const library = getPromptLibrary();
+
+    if (command === 'list') {
+      log.info(`📝 Prompt templates: ${library.dir}`);
+      log.info(formatTable(
+        ['Name', 'Versions', 'Variables', 'Description'],
+        library.list().map(template => [
+          template.name,
+          template.versions.join(', '),
+          Object.entries(library.variables(template.name)).map(([name, fallback]) => (fallback === null ? `${name}*` : name)).join(', '),
+          template.description
+        ])
+      ));
+      log.info('   * required');
+    } else if (command === 'show') {
+      process.stdout.write(`${library.render(ref, values)}\n`);
+    } else {
+      const problems = library.validate();
+      if (problems.length > 0) throw new PromptLibraryError(problems);
+      log.info(`✅ ${library.list().length} templates, no problems`);
+    }
+  } catch (error) {
+    log.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Retries with Backoff
+ *
+ * Runs a call again when it fails for a reason that may pass: rate limits
+ * (429), server errors (5xx), timeouts and dropped connections. Waits grow
+ * exponentially with some jitter, and a Retry-After header from the API is
+ * honoured. Anything else (bad requests, rejected keys, exhausted quota,
+ * budget limits, stopped requests) fails straight away.
+ *
+ * Usage:
+ *   const reply = await withRetries(() => client.chat.completions.create(params), {
+ *     retries: 3,
+ *     onRetry: ({ attempt, delay, error }) => log.warn(`Retrying in ${delay}ms: ${error.message}`)
+ *   });
+ */
+
+import { APIConnectionError, APIError, APIUserAbortError } from 'openai';
+
+/**
+ * Retry settings used for anything the caller leaves out
+ */
+export const RETRY_DEFAULTS = {
+  retries: 3,
+  baseDelay: 1000,
+  maxDelay: 30_000
+};
+
+const RETRYABLE_STATUSES = new Set([408, 409, 429]);
+
+const NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+
+/**
+ * Whether a failed call is worth trying again
+ */
+export function isRetryableError(error) {
+  if (error instanceof APIUserAbortError) return false;
+  if (error instanceof APIConnectionError) return true;
+  if (error instanceof APIError) {
+    // An exhausted quota is reported as a 429 but does not pass by waiting
+    if (error.code === 'insufficient_quota') return false;
+    return RETRYABLE_STATUSES.has(error.status) || error.status >= 500;
+  }
+  // A stream whose connection drops part way fails with a plain network error
+  const code = error?.code ?? error?.cause?.code;
+  return NETWORK_CODES.has(code) || (error instanceof TypeError && /terminated|fetch failed/i.test(error.message));
+}
+
+/**
+ * Milliseconds the API asked to wait (Retry-After or retry-after-ms), or null
+ */
+export function retryAfter(error) {
+  const headers = error?.headers;
+  const get = (name) => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]) ?? null;
+
+  const milliseconds = get('retry-after-ms');
+  if (milliseconds !== null && Number.isFinite(Number(milliseconds))) return Number(milliseconds);
+
+  const value = get('retry-after');
+  if (value === null) return null;
+  if (Number.isFinite(Number(value))) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * How long to wait before retry number `attempt` (1 for the first retry):
+ * the API's Retry-After when it sent one, otherwise baseDelay doubled per
+ * attempt with up to a quarter taken off at random, never above maxDelay
+ */
+export function backoffDelay(attempt, { baseDelay = RETRY_DEFAULTS.baseDelay, maxDelay = RETRY_DEFAULTS.maxDelay, error = null, random = Math.random } = {}) {
+  const requested = retryAfter(error);
+  if (requested !== null) return Math.min(requested, maxDelay);
+
+  const delay = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+  return Math.round(delay * (1 - random() / 4));
+}
+
+function sleep(milliseconds, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, milliseconds);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run `call(attempt)` until it succeeds, fails for a reason retrying does not
+ * fix, or has been retried `retries` times. onRetry({ attempt, retries,
+ * delay, error }) is called before each wait; aborting `signal` ends the wait.
+ */
+export async function withRetries(call, { retries = RETRY_DEFAULTS.retries, baseDelay, maxDelay, onRetry, signal, shouldRetry = isRetryableError, random, wait = sleep } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call(attempt);
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(error)) throw error;
+
+      const delay = backoffDelay(attempt + 1, { baseDelay, maxDelay, error, random });
+      onRetry?.({ attempt: attempt + 1, retries, delay, error });
+      await wait(delay, signal);
+    }
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Slash Commands
+ *
+ * A registry of `/name arguments` commands for interactive loops. The chatbot
+ * and the persistent assistant demo register their commands here, and other
+ * modules can add their own to either registry:
+ *
+ *   registry.register({
+ *     name: 'weather',
+ *     usage: '<city>',
+ *     description: 'Look up the weather',
+ *     run: async (args, context) => { ... }
+ *   });
+ *
+ * run receives the text after the command name and the loop's context
+ * object, which should have a print(text) function for output. It may return
+ * { exit: true } to end the loop. A command can also answer to bare keywords
+ * (for example `exit` as well as `/exit`). Every registry starts with /help.
+ * Mistakes (unknown commands, bad arguments) are raised as CommandError so
+ * the loop can show them and carry on.
+ */
+
+/**
+ * Raised for unknown commands and bad arguments; the loop shows the message
+ */
+export class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandError';
+  }
+}
+
+const NAME_PATTERN = /^[a-z][\w-]*$/;
+
+/**
+ * Edit distance, used to suggest the command that was probably meant
+ */
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Commands by name, alias and keyword
+ */
+export class CommandRegistry {
+  constructor({ prefix = '/' } = {}) {
+    this.prefix = prefix;
+    this.commands = new Map();
+    this.lookup = new Map();
+    this.keywords = new Map();
+
+    this.register({
+      name: 'help',
+      description: 'List the commands',
+      run: (_args, { print }) => {
+        print(`\n📖 Commands:\n${this.helpLines().map(line => `   ${line}`).join('\n')}`);
+      }
+    });
+  }
+
+  /**
+   * Add a command: { name, aliases, keywords, usage, description, run }
+   */
+  register({ name, aliases = [], keywords = [], usage = '', description = '', run }) {
+    if (!NAME_PATTERN.test(name || '')) throw new Error(`Invalid command name "${name}"`);
+    if (typeof run !== 'function') throw new Error(`Command /${name} needs a run function`);
+
+    for (const key of [name, ...aliases]) {
+      if (this.lookup.has(key)) throw new Error(`/${key} is already registered`);
+    }
+    for (const keyword of keywords) {
+      if (this.keywords.has(keyword.toLowerCase())) throw new Error(`The keyword "${keyword}" is already registered`);
+    }
+
+    const command = { name, aliases, keywords, usage, description, run };
+    this.commands.set(name, command);
+    [name, ...aliases].forEach(key => this.lookup.set(key, command));
+    keywords.forEach(keyword => this.keywords.set(keyword.toLowerCase(), command));
+    return this;
+  }
+
+  /**
+   * Remove a command with its aliases and keywords
+   */
+  unregister(name) {
+    const command = this.commands.get(name);
+    if (!command) return false;
+
+    this.commands.delete(name);
+    [command.name, ...command.aliases].forEach(key => this.lookup.delete(key));
+    command.keywords.forEach(keyword => this.keywords.delete(keyword.toLowerCase()));
+    return true;
+  }
+
+  get(name) {
+    return this.lookup.get(name) || null;
+  }
+
+  /**
+   * Every command, sorted by name
+   */
+  list() {
+    return [...this.commands.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * The command and its arguments in a line of input, or null when the line
+   * is not a command (an escaped "//text" is ordinary text)
+   */
+  parse(input) {
+    const line = String(input).trim();
+    const keyword = this.keywords.get(line.toLowerCase());
+    if (keyword) return { name: keyword.name, args: '' };
+
+    if (!line.startsWith(this.prefix) || line.startsWith(this.prefix.repeat(2))) return null;
+
+    const match = line.slice(this.prefix.length).match(/^(\S*)\s*([\s\S]*)$/);
+    return { name: match[1].toLowerCase(), args: match[2].trim() };
+  }
+
+  /**
+   * Run the command in a line of input. Returns { handled: false } for
+   * ordinary text, otherwise { handled: true, command, exit }.
+   */
+  async execute(input, context = {}) {
+    const parsed = this.parse(input);
+    if (!parsed) return { handled: false };
+
+    const command = this.get(parsed.name);
+    if (!command) {
+      const closest = this.list()
+        .map(candidate => ({ name: candidate.name, score: distance(parsed.name, candidate.name) }))
+        .sort((a, b) => a.score - b.score)[0];
+      const hint = closest && closest.score <= 2 ? ` Did you mean ${this.prefix}${closest.name}?` : '';
+      throw new CommandError(`Unknown command ${this.prefix}${parsed.name}.${hint} Type ${this.prefix}help for the list.`);
+    }
+
+    const result = await command.run(parsed.args, { ...context, registry: this });
+    return { handled: true, command: command.name, exit: Boolean(result?.exit) };
+  }
+
+  /**
+   * One line per command for /help
+   */
+  helpLines() {
+    const signatures = this.list().map(command => `${this.prefix}${command.name}${command.usage ? ` ${command.usage}` : ''}`);
+    const width = Math.max(0, ...signatures.map(signature => signature.length));
+
+    return this.list().map((command, index) => {
+      const extra = [
+        ...command.aliases.map(alias => `${this.prefix}${alias}`),
+        ...command.keywords
+      ];
+      return `${signatures[index].padEnd(width)}  ${command.description}${extra.length > 0 ? ` (also: ${extra.join(', ')})` : ''}`;
+    });
+  }
+}
@@ -0,0 +1,727 @@
+/**
+ * Offline OpenAI Stand-in
+ *
+ * A local, rule-based stand-in for the subset of the OpenAI API this project
+ * uses, so demos and tests can run without network access or credits:
+ * - Chat completions (including legacy functions and tools), streamed as
+ *   server-sent events when `stream` is set
+ * - Assistants beta endpoints (assistants, threads, messages, runs)
+ * - Files
+ *
+ * The stand-in works on standard fetch Request/Response objects. It can be
+ * plugged straight into the OpenAI client as its `fetch` implementation
+ * (see createStandInFetch) or served over HTTP by lib/stand-in-server.js.
+ *
+ * Scripted responses can be supplied as rules, either in code or through a
+ * JSON file named by OPENAI_OFFLINE_RULES:
+ *   [
+ *     { "match": "hello world", "reply": "Hello, world!" },
+ *     { "match": "weather", "toolCall": { "name": "get_weather", "arguments": { "city": "Paris" } } }
+ *   ]
+ */
+
+import { readFileSync } from 'fs';
+
+/**
+ * Placeholder key used in offline mode when no real key is configured
+ */
+export const OFFLINE_API_KEY = 'sk-offline-stand-in-0000000000000000';
+
+/**
+ * Base URL the OpenAI client uses when talking to the in-process stand-in
+ */
+export const STAND_IN_BASE_URL = 'http://openai-stand-in.local/v1';
+
+const DEFAULT_STREAM_DELAY = 30;
+
+const SUPPORTED_MODEL_PATTERN = /^(gpt-|o\d|chatgpt-)/;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'what', 'you', 'can', 'for', 'with', 'about', 'tell', 'some', 'any',
+  'get', 'that', 'this', 'give', 'please', 'like', 'today', 'something', 'given', 'help',
+  'handoff', 'agent', 'handle', 'request', 'expert', 'transfer', 'current'
+]);
+
+/**
+ * Rough token estimate (about four characters per token)
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.max(1, Math.ceil(String(text).length / 4));
+}
+
+/**
+ * Build a realistic usage block for a chat request and reply
+ */
+function buildUsage(messages, replyText, schemas = []) {
+  const promptTokens = 3 + messages.reduce((sum, message) => {
+    const content = typeof message.content === 'string'
+      ? message.content
+      : JSON.stringify(message.content ?? message.tool_calls ?? message.function_call ?? '');
+    return sum + 4 + estimateTokens(content);
+  }, 0) + (schemas.length > 0 ? estimateTokens(JSON.stringify(schemas)) : 0);
+  const completionTokens = estimateTokens(replyText);
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    prompt_tokens_details: { cached_tokens: 0, audio_tokens: 0 },
+    completion_tokens_details: {
+      reasoning_tokens: 0,
+      audio_tokens: 0,
+      accepted_prediction_tokens: 0,
+      rejected_prediction_tokens: 0
+    }
+  };
+}
+
+function textOf(message) {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content
+      .map(part => part.text?.value ?? part.text ?? '')
+      .join(' ');
+  }
+  return '';
+}
+
+function normalizeWord(word) {
+  return word.replace(/s$/, '').slice(0, 5);
+}
+
+function keywords(text) {
+  return new Set(
+    String(text).toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length >= 3 && !STOP_WORDS.has(word))
+      .map(normalizeWord)
+  );
+}
+
+/**
+ * Guess a value for a tool parameter from the user's message
+ */
+function guessArgument(name, schema = {}, userText) {
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    const number = userText.match(/-?\d+(\.\d+)?/);
+    return number ? Number(number[0]) : 1;
+  }
+
+  if (schema.type === 'boolean') return true;
+
+  const lowered = name.toLowerCase();
+
+  if (['city', 'location', 'place'].includes(lowered)) {
+    const place = userText.match(/\b(?:in|for|at)\s+((?:[A-Z][\w'-]*\s?)+)/);
+    if (place) return place[1].trim();
+    const capitalized = userText.match(/(?:[A-Z][\w'-]+\s?)+(?=[^A-Z]*$)/);
+    return capitalized ? capitalized[0].trim() : 'London';
+  }
+
+  if (['timezone', 'time_zone', 'tz'].includes(lowered)) {
+    const zone = userText.match(/\b[A-Z][A-Za-z]+\/[A-Z][A-Za-z_]+\b/);
+    return zone ? zone[0] : 'local';
+  }
+
+  if (['expression', 'formula', 'equation'].includes(lowered)) {
+    const candidates = userText.match(/[\d\s+\-*/().^%]+/g) || [];
+    const expression = candidates
+      .map(candidate => candidate.trim())
+      .filter(candidate => /\d/.test(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+    return expression || '0';
+  }
+
+  const topic = userText.match(/\babout\s+([^?.!,]+)/i);
+  if (topic) return topic[1].trim();
+
+  return userText.trim();
+}
+
+function buildArguments(parameters = {}, userText) {
+  const properties = parameters.properties || {};
+  const required = parameters.required || Object.keys(properties);
+  const args = {};
+
+  for (const name of required) {
+    args[name] = guessArgument(name, properties[name], userText);
+  }
+
+  return args;
+}
+
+/**
+ * Normalise both `tools` and legacy `functions` into one list of schemas
+ */
+function collectFunctions(body) {
+  if (Array.isArray(body.tools)) {
+    return body.tools
+      .filter(tool => tool.type === 'function' && tool.function)
+      .map(tool => tool.function);
+  }
+  return Array.isArray(body.functions) ? body.functions : [];
+}
+
+/**
+ * Rule-based responder shared by chat completions and assistant runs.
+ * Returns either { text } or { toolCall: { name, arguments } }.
+ */
+export function respond({ messages, functions = [], rules = [] }) {
+  const lastUserIndex = messages.map(m => m.role).lastIndexOf('user');
+  const userText = textOf(messages[lastUserIndex]);
+  const sinceUser = messages.slice(lastUserIndex + 1);
+
+  // 1. Scripted rules win
+  for (const rule of rules) {
+    const pattern = rule.match instanceof RegExp ? rule.match : new RegExp(rule.match, 'i');
+    if (!pattern.test(userText)) continue;
+
+    if (rule.toolCall && sinceUser.length === 0) {
+      return { toolCall: { name: rule.toolCall.name, arguments: rule.toolCall.arguments || {} } };
+    }
+    if (rule.reply) {
+      return { text: rule.reply };
+    }
+  }
+
+  // 2. Call the best matching tool that has not been used for this user turn
+  const calledSinceUser = new Set(sinceUser.flatMap(message => [
+    ...(message.tool_calls || []).map(call => call.function?.name),
+    message.function_call?.name
+  ]).filter(Boolean));
+
+  const wanted = keywords(userText);
+  const candidates = functions
+    .filter(fn => !calledSinceUser.has(fn.name))
+    .map(fn => {
+      const words = keywords(`${fn.name.replace(/_/g, ' ')} ${fn.description || ''}`);
+      const score = [...wanted].filter(word => words.has(word)).length;
+      return { fn, score };
+    })
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (candidates.length > 0) {
+    const { fn } = candidates[0];
+    return { toolCall: { name: fn.name, arguments: buildArguments(fn.parameters, userText) } };
+  }
+
+  // 3. Summarise the latest tool output
+  const lastResult = [...sinceUser].reverse().find(m => m.role === 'tool' || m.role === 'function');
+  if (lastResult) {
+    return { text: `Here is what I found: ${textOf(lastResult)}` };
+  }
+
+  // 4. Plain conversational replies
+  const history = messages.slice(0, lastUserIndex).map(textOf).join('\n');
+  const rememberedName = history.match(/\bmy name is ([A-Z][\w'-]*)/i);
+  if (/\bmy name\b/i.test(userText) && /\?/.test(userText) && rememberedName) {
+    return { text: `Your name is ${rememberedName[1]}.` };
+  }
+
+  const sayMatch = userText.match(/\bsay\s+(?:just\s+)?["']?([^"'\n]+?)["']?(?:\s+and nothing else)?[.!]?$/i);
+  if (sayMatch) {
+    return { text: sayMatch[1].charAt(0).toUpperCase() + sayMatch[1].slice(1) };
+  }
+
+  const preview = userText.length > 80 ? `${userText.substring(0, 80)}...` : userText;
+  return { text: `This is an offline stand-in response to: "${preview}"` };
+}
+
+/**
+ * Load scripted rules from the file named by OPENAI_OFFLINE_RULES
+ */
+export function loadRules(env = process.env) {
+  if (!env.OPENAI_OFFLINE_RULES) return [];
+  return JSON.parse(readFileSync(env.OPENAI_OFFLINE_RULES, 'utf-8'));
+}
+
+function json(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+}
+
+function apiError(status, message, type = 'invalid_request_error', code = null) {
+  return json(status, { error: { message, type, param: null, code } });
+}
+
+/**
+ * Server-sent events response; `events` are sent as `data:` lines `delay` ms
+ * apart, then `data: [DONE]`. Stops early when the reader cancels.
+ */
+function eventStream(events, delay = 0) {
+  const encoder = new TextEncoder();
+  let cancelled = false;
+
+  const body = new ReadableStream({
+    async start(controller) {
+      for (const event of [...events.map(item => JSON.stringify(item)), '[DONE]']) {
+        if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+        if (cancelled) return;
+        controller.enqueue(encoder.encode(`data: ${event}\n\n`));
+      }
+      controller.close();
+    },
+    cancel() {
+      cancelled = true;
+    }
+  });
+
+  return new Response(body, {
+    status: 200,
+    headers: { 'content-type': 'text/event-stream', 'cache-control': 'no-cache' }
+  });
+}
+
+/**
+ * Split reply text into word-sized stream pieces, keeping the whitespace
+ */
+function streamPieces(text) {
+  return text.match(/\s*\S+\s*/g) || [text];
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Pause between streamed chunks (ms) from OPENAI_OFFLINE_STREAM_DELAY, so
+ * offline replies arrive word by word like real ones
+ */
+export function streamDelayFromEnv(env = process.env) {
+  const delay = Number(env.OPENAI_OFFLINE_STREAM_DELAY);
+  return env.OPENAI_OFFLINE_STREAM_DELAY !== undefined && Number.isFinite(delay) && delay >= 0 ? delay : DEFAULT_STREAM_DELAY;
+}
+
+/**
+ * In-memory stand-in for the OpenAI API.
+ * Options: rules (scripted responses) and streamDelay (ms between streamed chunks).
+ */
+export class StandInAPI {
+  constructor(options = {}) {
+    this.rules = options.rules || [];
+    this.streamDelay = options.streamDelay || 0;
+    this.counter = 0;
+    this.assistants = new Map();
+    this.threads = new Map();
+    this.threadMessages = new Map();
+    this.runs = new Map();
+    this.files = new Map();
+  }
+
+  nextId(prefix) {
+    this.counter++;
+    return `${prefix}standin${String(this.counter).padStart(6, '0')}`;
+  }
+
+  /**
+   * Handle a fetch Request and produce a fetch Response
+   */
+  async handle(request) {
+    const url = new URL(request.url);
+    const path = url.pathname.replace(/^.*?\/v1(?=\/)/, '');
+    const method = request.method.toUpperCase();
+
+    const auth = request.headers.get('authorization') || '';
+    if (!/^Bearer\s+\S+/.test(auth)) {
+      return apiError(401, 'You didn\'t provide an API key.', 'invalid_request_error', 'invalid_api_key');
+    }
+
+    let body = {};
+    const contentType = request.headers.get('content-type') || '';
+    if (method !== 'GET' && method !== 'DELETE') {
+      if (contentType.includes('multipart/form-data')) {
+        body = await request.formData();
+      } else {
+        const raw = await request.text();
+        try {
+          body = raw ? JSON.parse(raw) : {};
+        } catch {
+          return apiError(400, 'We could not parse the JSON body of your request.');
+        }
+      }
+    }
+
+    const route = (pattern, verb) => {
+      if (verb !== method) return null;
+      const match = path.match(pattern);
+      return match ? match.slice(1) : null;
+    };
+
+    let params;
+    if ((params = route(/^\/chat\/completions$/, 'POST'))) return this.chatCompletion(body);
+    if ((params = route(/^\/models$/, 'GET'))) return this.listModels();
+
+    if ((params = route(/^\/assistants$/, 'POST'))) return this.createAssistant(body);
+    if ((params = route(/^\/assistants\/([^/]+)$/, 'GET'))) return this.retrieve(this.assistants, params[0], 'assistant');
+    if ((params = route(/^\/assistants\/([^/]+)$/, 'DELETE'))) return this.remove(this.assistants, params[0], 'assistant');
+
+    if ((params = route(/^\/threads$/, 'POST'))) return this.createThread(body);
+    if ((params = route(/^\/threads\/([^/]+)$/, 'GET'))) return this.retrieve(this.threads, params[0], 'thread');
+    if ((params = route(/^\/threads\/([^/]+)$/, 'DELETE'))) return this.remove(this.threads, params[0], 'thread');
+    if ((params = route(/^\/threads\/([^/]+)\/messages$/, 'POST'))) return this.createMessage(params[0], body);
+    if ((params = route(/^\/threads\/([^/]+)\/messages$/, 'GET'))) return this.listMessages(params[0], url.searchParams);
+    if ((params = route(/^\/threads\/([^/]+)\/runs$/, 'POST'))) return this.createRun(params[0], body);
+    if ((params = route(/^\/threads\/([^/]+)\/runs\/([^/]+)$/, 'GET'))) return this.retrieveRun(params[0], params[1]);
+
+    if ((params = route(/^\/files$/, 'POST'))) return this.createFile(body);
+    if ((params = route(/^\/files$/, 'GET'))) return this.listFiles();
+    if ((params = route(/^\/files\/([^/]+)$/, 'GET'))) return this.retrieve(this.files, params[0], 'file');
+    if ((params = route(/^\/files\/([^/]+)$/, 'DELETE'))) return this.remove(this.files, params[0], 'file');
+
+    return apiError(404, `Unknown request URL: ${method} ${url.pathname}. The offline stand-in does not implement this endpoint.`);
+  }
+
+  /**
+   * POST /chat/completions
+   */
+  chatCompletion(body) {
+    if (!body.model || !SUPPORTED_MODEL_PATTERN.test(body.model)) {
+      return apiError(404, `The model \`${body.model}\` does not exist or you do not have access to it.`, 'invalid_request_error', 'model_not_found');
+    }
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+      return apiError(400, '\'messages\' must be a non-empty array.');
+    }
+
+    const functions = collectFunctions(body);
+    const result = respond({ messages: body.messages, functions, rules: this.rules });
+    const id = this.nextId('chatcmpl-');
+
+    let message;
+    let finishReason;
+    let replyText;
+
+    if (result.toolCall) {
+      const args = JSON.stringify(result.toolCall.arguments);
+      replyText = `${result.toolCall.name}${args}`;
+
+      if (Array.isArray(body.tools)) {
+        message = {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{
+            id: this.nextId('call_'),
+            type: 'function',
+            function: { name: result.toolCall.name, arguments: args }
+          }],
+          refusal: null
+        };
+        finishReason = 'tool_calls';
+      } else {
+        message = {
+          role: 'assistant',
+          content: null,
+          function_call: { name: result.toolCall.name, arguments: args },
+          refusal: null
+        };
+        finishReason = 'function_call';
+      }
+    } else {
+      replyText = result.text;
+      finishReason = 'stop';
+
+      const limit = body.max_completion_tokens ?? body.max_tokens;
+      if (limit && estimateTokens(replyText) > limit) {
+        replyText = replyText.substring(0, limit * 4);
+        finishReason = 'length';
+      }
+      message = { role: 'assistant', content: replyText, refusal: null, annotations: [] };
+    }
+
+    const usage = buildUsage(body.messages, replyText, functions);
+    if (body.stream) {
+      return this.streamCompletion(id, body, message, finishReason, usage);
+    }
+
+    return json(200, {
+      id,
+      object: 'chat.completion',
+      created: now(),
+      model: body.model,
+      choices: [{ index: 0, message, logprobs: null, finish_reason: finishReason }],
+      usage,
+      service_tier: 'default',
+      system_fingerprint: 'fp_offline_stand_in'
+    });
+  }
+
+  /**
+   * A chat completion as chat.completion.chunk events: the role, the content
+   * word by word (or the whole tool call), the finish reason and, when
+   * stream_options.include_usage is set, a final chunk with the usage
+   */
+  streamCompletion(id, body, message, finishReason, usage) {
+    const chunk = (choices, extra = {}) => ({
+      id,
+      object: 'chat.completion.chunk',
+      created: now(),
+      model: body.model,
+      service_tier: 'default',
+      system_fingerprint: 'fp_offline_stand_in',
+      choices,
+      ...extra
+    });
+    const delta = (fields, reason = null) => chunk([{ index: 0, delta: fields, logprobs: null, finish_reason: reason }]);
+
+    const events = [delta({ role: 'assistant', content: message.content === null ? null : '', refusal: null })];
+    if (message.tool_calls) {
+      events.push(delta({ tool_calls: message.tool_calls.map((call, index) => ({ index, ...call })) }));
+    } else if (message.function_call) {
+      events.push(delta({ function_call: message.function_call }));
+    } else {
+      events.push(...streamPieces(message.content).map(content => delta({ content })));
+    }
+    events.push(delta({}, finishReason));
+    if (body.stream_options?.include_usage) {
+      events.push(chunk([], { usage }));
+    }
+
+    return eventStream(events, this.streamDelay);
+  }
+
+  listModels() {
+    const models = ['gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo'].map(id => ({
+      id, object: 'model', created: 0, owned_by: 'openai-stand-in'
+    }));
+    return json(200, { object: 'list', data: models });
+  }
+
+  retrieve(store, id, kind) {
+    const item = store.get(id);
+    return item ? json(200, item) : apiError(404, `No ${kind} found with id '${id}'.`);
+  }
+
+  remove(store, id, kind) {
+    if (!store.delete(id)) {
+      return apiError(404, `No ${kind} found with id '${id}'.`);
+    }
+    if (kind === 'thread') this.threadMessages.delete(id);
+    return json(200, { id, object: `${kind}.deleted`, deleted: true });
+  }
+
+  createAssistant(body) {
+    const assistant = {
+      id: this.nextId('asst_'),
+      object: 'assistant',
+      created_at: now(),
+      name: body.name ?? null,
+      description: body.description ?? null,
+      model: body.model,
+      instructions: body.instructions ?? null,
+      tools: body.tools || [],
+      metadata: body.metadata || {},
+      temperature: 1.0,
+      top_p: 1.0,
+      response_format: 'auto'
+    };
+    this.assistants.set(assistant.id, assistant);
+    return json(200, assistant);
+  }
+
+  createThread(body) {
+    const thread = {
+      id: this.nextId('thread_'),
+      object: 'thread',
+      created_at: now(),
+      metadata: body.metadata || {},
+      tool_resources: {}
+    };
+    this.threads.set(thread.id, thread);
+    this.threadMessages.set(thread.id, []);
+
+    for (const message of body.messages || []) {
+      this.addMessage(thread, message.role, message.content);
+    }
+
+    return json(200, thread);
+  }
+
+  addMessage(thread, role, content, extra = {}) {
+    const text = typeof content === 'string' ? content : textOf({ content });
+    const message = {
+      id: this.nextId('msg_'),
+      object: 'thread.message',
+      created_at: now(),
+      thread_id: thread.id,
+      role,
+      content: [{ type: 'text', text: { value: text, annotations: [] } }],
+      attachments: extra.attachments || [],
+      assistant_id: extra.assistant_id ?? null,
+      run_id: extra.run_id ?? null,
+      metadata: {}
+    };
+    this.threadMessages.get(thread.id).push(message);
+    return message;
+  }
+
+  createMessage(threadId, body) {
+    const thread = this.threads.get(threadId);
+    if (!thread) return apiError(404, `No thread found with id '${threadId}'.`);
+
+    return json(200, this.addMessage(thread, body.role || 'user', body.content, body));
+  }
+
+  listMessages(threadId, searchParams) {
+    const thread = this.threads.get(threadId);
+    if (!thread) return apiError(404, `No thread found with id '${threadId}'.`);
+
+    const order = searchParams.get('order') || 'desc';
+    const limit = Number(searchParams.get('limit') || 20);
+    const messages = this.threadMessages.get(threadId);
+    const ordered = order === 'asc' ? [...messages] : [...messages].reverse();
+    const data = ordered.slice(0, limit);
+
+    return json(200, {
+      object: 'list',
+      data,
+      first_id: data[0]?.id ?? null,
+      last_id: data[data.length - 1]?.id ?? null,
+      has_more: ordered.length > data.length
+    });
+  }
+
+  createRun(threadId, body) {
+    const thread = this.threads.get(threadId);
+    if (!thread) return apiError(404, `No thread found with id '${threadId}'.`);
+
+    const assistant = this.assistants.get(body.assistant_id);
+    if (!assistant) return apiError(404, `No assistant found with id '${body.assistant_id}'.`);
+
+    const run = {
+      id: this.nextId('run_'),
+      object: 'thread.run',
+      created_at: now(),
+      thread_id: threadId,
+      assistant_id: assistant.id,
+      status: 'queued',
+      model: body.model || assistant.model,
+      instructions: body.instructions || assistant.instructions,
+      tools: assistant.tools,
+      started_at: null,
+      completed_at: null,
+      failed_at: null,
+      cancelled_at: null,
+      expires_at: null,
+      last_error: null,
+      required_action: null,
+      incomplete_details: null,
+      usage: null,
+      metadata: body.metadata || {}
+    };
+    this.runs.set(run.id, run);
+
+    return json(200, run);
+  }
+
+  /**
+   * Runs complete on first retrieval so createAndPoll returns without sleeping
+   */
+  retrieveRun(threadId, runId) {
+    const run = this.runs.get(runId);
+    if (!run || run.thread_id !== threadId) return apiError(404, `No run found with id '${runId}'.`);
+
+    if (run.status === 'queued') {
+      const thread = this.threads.get(threadId);
+      const messages = [
+        { role: 'system', content: run.instructions || '' },
+        ...this.threadMessages.get(threadId).map(message => ({ role: message.role, content: textOf(message) }))
+      ];
+      const { text } = respond({ messages, rules: this.rules.filter(rule => rule.reply) });
+      const reply = text || 'Done.';
+
+      this.addMessage(thread, 'assistant', reply, { assistant_id: run.assistant_id, run_id: run.id });
+
+      const usage = buildUsage(messages, reply);
+      run.status = 'completed';
+      run.started_at = run.created_at;
+      run.completed_at = now();
+      run.usage = {
+        prompt_tokens: usage.prompt_tokens,
+        completion_tokens: usage.completion_tokens,
+        total_tokens: usage.total_tokens
+      };
+    }
+
+    return json(200, run);
+  }
+
+  async createFile(form) {
+    const file = typeof form.get === 'function' ? form.get('file') : null;
+    if (!file) return apiError(400, 'Missing required parameter: \'file\'.');
+
+    const record = {
+      id: this.nextId('file-'),
+      object: 'file',
+      bytes: file.size ?? 0,
+      created_at: now(),
+      filename: file.name || 'upload',
+      purpose: form.get('purpose') || 'assistants',
+      status: 'processed',
+      status_details: null
+    };
+    this.files.set(record.id, record);
+    return json(200, record);
+  }
+
+  listFiles() {
+    return json(200, { object: 'list', data: [...this.files.values()], has_more: false });
+  }
+}
+
+let sharedStandIn = null;
+
+/**
+ * Process-wide stand-in so every client in a process sees the same state
+ */
+export function getSharedStandIn() {
+  if (!sharedStandIn) {
+    sharedStandIn = new StandInAPI({ rules: loadRules(), streamDelay: streamDelayFromEnv() });
+  }
+  return sharedStandIn;
+}
+
+/**
+ * A response whose body fails with the signal's AbortError once it aborts,
+ * as a network fetch would
+ */
+function abortableResponse(response, signal) {
+  const reader = response.body.getReader();
+  const body = new ReadableStream({
+    start(controller) {
+      signal.addEventListener('abort', () => {
+        reader.cancel().catch(() => {});
+        controller.error(signal.reason);
+      }, { once: true });
+    },
+    async pull(controller) {
+      if (signal.aborted) return;
+      const { done, value } = await reader.read();
+      if (signal.aborted) return;
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+/**
+ * A fetch implementation that answers OpenAI requests in-process
+ */
+export function createStandInFetch(standIn = getSharedStandIn()) {
+  return async (url, init = {}) => {
+    const request = new Request(url, init);
+    const response = await standIn.handle(request);
+    return init.signal && response.body ? abortableResponse(response, init.signal) : response;
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Offline OpenAI Stand-in HTTP Server
+ *
+ * Serves the in-memory stand-in (lib/stand-in-api.js) over HTTP so that other
+ * processes and tools can use it through OPENAI_BASE_URL.
+ *
+ * Run: node lib/stand-in-server.js [--port 4010]
+ * Then: OPENAI_BASE_URL=http://127.0.0.1:4010/v1 node chatbot/chatbot.js
+ *
+ * Within a single process, OPENAI_OFFLINE=1 is simpler: the shared client
+ * answers from the stand-in directly without opening a port.
+ */
+
+import http from 'http';
+import { StandInAPI, loadRules, streamDelayFromEnv } from './stand-in-api.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('stand-in-server');
+
+/**
+ * Create an HTTP server backed by a stand-in API instance
+ */
+export function createStandInServer(standIn = new StandInAPI({ rules: loadRules(), streamDelay: streamDelayFromEnv() })) {
+  return http.createServer(async (req, res) => {
+    try {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const body = Buffer.concat(chunks);
+
+      const request = new Request(`http://${req.headers.host || 'localhost'}${req.url}`, {
+        method: req.method,
+        headers: req.headers,
+        body: body.length > 0 ? body : undefined
+      });
+
+      const response = await standIn.handle(request);
+      res.writeHead(response.status, Object.fromEntries(response.headers));
+      if (response.body) {
+        // Streamed replies are passed on chunk by chunk
+        for await (const chunk of response.body) {
+          if (res.destroyed) break;
+          res.write(chunk);
+        }
+      }
+      res.end();
+    } catch (error) {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      res.writeHead(500, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: error.message, type: 'server_error' } }));
+    }
+  });
+}
+
+/**
+ * Start a stand-in server and resolve once it is listening.
+ * Use port 0 to pick a free port.
+ */
+export async function startStandInServer({ port = 4010, host = '127.0.0.1', standIn } = {}) {
+  const server = createStandInServer(standIn);
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  return {
+    server,
+    baseURL: `http://${host}:${address.port}/v1`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Allow running the server directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex > -1 ? Number(process.argv[portIndex + 1]) : Number(process.env.PORT || 4010);
+
+  startStandInServer({ port })
+    .then(({ baseURL }) => {
+      log.info(`🛬 Offline OpenAI stand-in listening on ${baseURL}`);
+      log.info(`   Point the demos at it with: OPENAI_BASE_URL=${baseURL}`);
+      log.info('   Press Ctrl+C to stop.');
+    })
+    .catch(error => {
+      log.error(`❌ Could not start stand-in server: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,42 @@
+/**
+ * Small Statistics Helpers
+ *
+ * Means and percentiles for latency, token and cost figures in reports.
+ * Every function ignores non-finite values and returns 0 for empty input.
+ */
+
+function finite(values) {
+  return values.filter(value => Number.isFinite(value));
+}
+
+/**
+ * Arithmetic mean
+ */
+export function mean(values) {
+  const numbers = finite(values);
+  return numbers.length === 0 ? 0 : numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+}
+
+/**
+ * Percentile (0-100) by linear interpolation between the closest ranks
+ */
+export function percentile(values, p) {
+  const numbers = finite(values).sort((a, b) => a - b);
+  if (numbers.length === 0) return 0;
+
+  const rank = (Math.min(Math.max(p, 0), 100) / 100) * (numbers.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return numbers[lower] + (numbers[upper] - numbers[lower]) * (rank - lower);
+}
+
+/**
+ * Sample standard deviation
+ */
+export function standardDeviation(values) {
+  const numbers = finite(values);
+  if (numbers.length < 2) return 0;
+
+  const average = mean(numbers);
+  return Math.sqrt(numbers.reduce((sum, value) => sum + (value - average) ** 2, 0) / (numbers.length - 1));
+}
@@ -0,0 +1,501 @@
+/**
+ * Terminal Markdown Rendering
+ *
+ * Turns the Markdown models reply with into readable terminal text:
+ * headings, bullet and numbered lists (with task boxes), block quotes,
+ * rules, tables drawn with box characters, and fenced code blocks with
+ * syntax highlighting (JavaScript/TypeScript, Python, shell, JSON, SQL;
+ * strings, numbers and comments for anything else). Inline code, bold,
+ * italics, strikethrough and links are styled too.
+ *
+ * Replies can be rendered whole (renderMarkdown) or as they stream in
+ * (createMarkdownStream): text is written as soon as what it is becomes
+ * clear, so a paragraph still appears word by word while a table waits
+ * until its last row has arrived.
+ *
+ * Colors and styles follow NO_COLOR (https://no-color.org) and are only
+ * used on a terminal; without them the layout stays and the styling goes.
+ *
+ * Usage:
+ *   process.stdout.write(renderMarkdown(reply, { color: useColor() }));
+ *
+ *   const markdown = createMarkdownStream({ write: (text) => process.stdout.write(text) });
+ *   markdown.write(delta);  // for each piece of the reply
+ *   markdown.end();
+ */
+
+const STYLES = {
+  bold: ['\x1b[1m', '\x1b[22m'],
+  dim: ['\x1b[2m', '\x1b[22m'],
+  italic: ['\x1b[3m', '\x1b[23m'],
+  underline: ['\x1b[4m', '\x1b[24m'],
+  strike: ['\x1b[9m', '\x1b[29m'],
+  green: ['\x1b[32m', '\x1b[39m'],
+  yellow: ['\x1b[33m', '\x1b[39m'],
+  blue: ['\x1b[34m', '\x1b[39m'],
+  magenta: ['\x1b[35m', '\x1b[39m'],
+  cyan: ['\x1b[36m', '\x1b[39m'],
+  gray: ['\x1b[90m', '\x1b[39m']
+};
+
+const ANSI = /\x1b\[[\d;]*m/g;
+
+/**
+ * Width of a rule or code block frame, at most the terminal's
+ */
+const RULE_WIDTH = 40;
+
+/**
+ * Whether to color output written to `stream`: never with NO_COLOR set,
+ * otherwise only on a terminal
+ */
+export function useColor(env = process.env, stream = process.stdout) {
+  if (env.NO_COLOR) return false;
+  return Boolean(stream?.isTTY);
+}
+
+/**
+ * Text in an ANSI style, or as it is without color or a style
+ */
+function paint(text, style, color) {
+  if (!color || !text || !style) return text;
+  const [on, off] = STYLES[style];
+  return `${on}${text}${off}`;
+}
+
+/**
+ * Length of text as shown, without its escape codes
+ */
+export function visibleLength(text) {
+  return text.replace(ANSI, '').length;
+}
+
+// ---------------------------------------------------------------------------
+// Syntax highlighting
+
+const LITERALS = new Set(['true', 'false', 'null', 'undefined', 'None', 'True', 'False', 'nil', 'NaN']);
+
+const LANGUAGES = {
+  js: {
+    aliases: ['javascript', 'jsx', 'mjs', 'cjs', 'ts', 'typescript', 'tsx', 'java', 'c', 'cpp', 'csharp', 'cs', 'go', 'rust', 'rs', 'swift', 'kotlin', 'css'],
+    keywords: 'async await break case catch class const continue debugger default delete do else enum export extends finally for from function if implements import in instanceof interface let new of private protected public return static super switch this throw try type typeof var void while with yield fn func pub struct impl use mut match package int float double char bool string',
+    comment: '\\/\\/',
+    block: ['/*', '*/'],
+    quotes: '"\'`'
+  },
+  python: {
+    aliases: ['py', 'python3'],
+    keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield print self',
+    comment: '#',
+    quotes: '"\''
+  },
+  shell: {
+    aliases: ['sh', 'bash', 'zsh', 'console', 'terminal', 'powershell', 'ps1'],
+    keywords: 'if then else elif fi for while until do done case esac in function return export local echo cd sudo npm node npx git curl set unset source exit',
+    comment: '(?<![\\w$])#',
+    quotes: '"\'',
+    variables: true
+  },
+  json: {
+    aliases: ['jsonc', 'json5'],
+    keywords: '',
+    quotes: '"',
+    keys: true
+  },
+  sql: {
+    aliases: ['postgres', 'mysql', 'sqlite'],
+    keywords: 'select from where and or not insert into values update set delete create table drop alter index join left right inner outer on group by order having limit as distinct union null primary key references default',
+    comment: '--',
+    quotes: '\'"',
+    ignoreCase: true
+  },
+  text: {
+    aliases: ['plain', 'txt', ''],
+    keywords: '',
+    comment: '(?:\\/\\/|(?<![\\w$])#)',
+    quotes: '"\'`'
+  }
+};
+
+const LANGUAGE_NAMES = new Map(Object.entries(LANGUAGES).flatMap(([name, language]) => [[name, name], ...language.aliases.map(alias => [alias, name])]));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+function tokenPattern(language) {
+  const parts = [];
+  if (language.block) parts.push(`(?<block>${escapeRegExp(language.block[0])}[\\s\\S]*?(?:${escapeRegExp(language.block[1])}|$))`);
+  if (language.comment) parts.push(`(?<comment>${language.comment}.*$)`);
+  const quotes = [...language.quotes].map(quote => `${quote}(?:\\\\.|[^${quote}\\\\])*(?:${quote}|$)`);
+  parts.push(`(?<string>${quotes.join('|')})`);
+  if (language.variables) parts.push('(?<variable>\\$\\{?[\\w@#?]+\\}?)');
+  parts.push('(?<number>\\b\\d[\\d_]*(?:\\.\\d+)?(?:e[+-]?\\d+)?\\b)');
+  parts.push('(?<word>[A-Za-z_$][\\w$]*)');
+  return new RegExp(parts.join('|'), 'g');
+}
+
+for (const language of Object.values(LANGUAGES)) {
+  language.pattern = tokenPattern(language);
+  language.keywordSet = new Set(language.keywords.split(' ').filter(Boolean));
+}
+
+/**
+ * The highlighter's name for a code block's language ('text' when unknown)
+ */
+export function codeLanguage(name = '') {
+  return LANGUAGE_NAMES.get(name.trim().toLowerCase()) || 'text';
+}
+
+/**
+ * Highlight one line of code. `state` carries a block comment left open on
+ * one line to the next; pass the same object for every line of a block.
+ */
+export function highlightCode(line, language = 'text', { color = true, state = {} } = {}) {
+  if (!color) return line;
+  const spec = LANGUAGES[codeLanguage(language)];
+  let text = line;
+  let prefix = '';
+
+  if (state.inBlock) {
+    const close = text.indexOf(spec.block[1]);
+    if (close === -1) return paint(text, 'gray', color);
+    prefix = paint(text.slice(0, close + spec.block[1].length), 'gray', color);
+    text = text.slice(close + spec.block[1].length);
+    state.inBlock = false;
+  }
+
+  return prefix + text.replace(spec.pattern, (token, ...args) => {
+    const { block, comment, string, variable, number, word } = args.at(-1);
+    const offset = args.at(-3);
+    if (block !== undefined) {
+      if (!block.endsWith(spec.block[1]) || block.length < spec.block[0].length + spec.block[1].length) state.inBlock = true;
+      return paint(token, 'gray', color);
+    }
+    if (comment !== undefined) return paint(token, 'gray', color);
+    if (string !== undefined) {
+      const key = spec.keys && /^\s*:/.test(text.slice(offset + token.length));
+      return paint(token, key ? 'cyan' : 'green', color);
+    }
+    if (variable !== undefined) return paint(token, 'cyan', color);
+    if (number !== undefined) return paint(token, 'yellow', color);
+    if (word !== undefined) {
+      if (LITERALS.has(word)) return paint(token, 'yellow', color);
+      if (spec.keywordSet.has(spec.ignoreCase ? word.toLowerCase() : word)) return paint(token, 'magenta', color);
+      if (/^\s*\(/.test(text.slice(offset + token.length))) return paint(token, 'blue', color);
+    }
+    return token;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Inline Markdown
+
+// Escapes, `code`, **bold**, __bold__, *italic*, _italic_, ~~strike~~ and [links](url)
+const INLINE_SOURCE = [
+  '\\\\([\\\\`*_{}\\[\\]()#+\\-.!|~>])',
+  '(`+)([^`]|[^`][\\s\\S]*?[^`])\\2(?!`)',
+  '\\*\\*(?=\\S)([\\s\\S]*?\\S)\\*\\*',
+  '(?<!\\w)__(?=\\S)([\\s\\S]*?\\S)__(?!\\w)',
+  '\\*(?=[^\\s*])([^*]*?[^\\s*])\\*',
+  '(?<!\\w)_(?=[^\\s_])([^_]*?[^\\s_])_(?!\\w)',
+  '~~(?=\\S)([\\s\\S]*?\\S)~~',
+  '\\[([^\\]]+)\\]\\(([^)\\s]+)\\)'
+].join('|');
+
+const INLINE = new RegExp(INLINE_SOURCE, 'g');
+const INLINE_AT = new RegExp(INLINE_SOURCE, 'y');
+
+/**
+ * Inline Markdown (code, emphasis, links) as styled text
+ */
+export function renderInline(text, { color = true } = {}) {
+  return text.replace(INLINE, (_match, escaped, ticks, code, bold, boldUnderscore, italic, italicUnderscore, strike, label, url) => {
+    if (escaped !== undefined) return escaped;
+    if (code !== undefined) return color ? paint(code, 'cyan', color) : `${ticks}${code}${ticks}`;
+    if (bold !== undefined || boldUnderscore !== undefined) return paint(renderInline(bold ?? boldUnderscore, { color }), 'bold', color);
+    if (italic !== undefined || italicUnderscore !== undefined) return paint(renderInline(italic ?? italicUnderscore, { color }), 'italic', color);
+    if (strike !== undefined) return color ? paint(renderInline(strike, { color }), 'strike', color) : `~~${strike}~~`;
+    const shown = renderInline(label, { color });
+    return label === url ? paint(url, 'underline', color) : `${paint(shown, 'underline', color)} (${paint(url, 'blue', color)})`;
+  });
+}
+
+/**
+ * How much of a line still being written can be rendered now: up to the
+ * first marker that may open a span whose end has not arrived yet. A word
+ * still arriving is held back, as snake_case_names only read right whole.
+ */
+function settledLength(text) {
+  let index = 0;
+  let spanEnd = 0;
+  while (index < text.length) {
+    INLINE_AT.lastIndex = index;
+    const match = INLINE_AT.exec(text);
+    if (match) {
+      index += match[0].length;
+      spanEnd = index;
+      continue;
+    }
+
+    const char = text[index];
+    const next = text[index + 1];
+    const opens = char === '`' || char === '['
+      || ((char === '\\' || char === '~') && (next === undefined || next === char || char === '\\'))
+      || (char === '*' && next !== ' ')
+      || (char === '_' && !/\w/.test(text[index - 1] || '') && next !== ' ');
+    if (opens) return index;
+    index += 1;
+  }
+  return Math.max(spanEnd, index - (text.match(/\w+$/)?.[0].length ?? 0));
+}
+
+// ---------------------------------------------------------------------------
+// Blocks
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+/;
+const QUOTE = /^\s*>\s?/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{1,}:?\s*(\|\s*:?-{1,}:?\s*)*\|?\s*$/;
+
+const BULLETS = ['•', '◦', '▪'];
+
+// Lines written as they stream in; the others wait for their end
+const STREAMED = ['heading', 'list', 'quote', 'paragraph'];
+
+/**
+ * What a line is, from its start. 'pending' when the start seen so far
+ * could still be more than one thing.
+ */
+function classifyLine(line, complete) {
+  const text = line.trimStart();
+  if (!complete) {
+    if (text === '' || /^[`~]{1,2}$/.test(text) || /^#{1,6}$/.test(text) || /^(\d+[.)]?|[-*+_])$/.test(text) || /^[-*_](\s*[-*_])*\s*$/.test(text) || text === '>') return 'pending';
+  }
+  if (text === '') return 'blank';
+  if (FENCE.test(line)) return 'fence';
+  if (text.startsWith('|')) return 'table';
+  if (RULE.test(line)) return 'rule';
+  if (HEADING.test(line) || (!complete && /^#{1,6}\s/.test(line))) return 'heading';
+  if (QUOTE.test(line)) return 'quote';
+  if (LIST_ITEM.test(line)) return 'list';
+  return 'paragraph';
+}
+
+function tableCells(row) {
+  return row.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * A Markdown table (header, separator and rows) drawn with box characters
+ */
+function renderTable(lines, { color }) {
+  const [header, separator, ...body] = lines.map(tableCells);
+  const columns = Math.max(header.length, ...body.map(row => row.length));
+  const align = Array.from({ length: columns }, (_, index) => {
+    const spec = separator[index] || '';
+    if (spec.startsWith(':') && spec.endsWith(':')) return 'center';
+    return spec.endsWith(':') ? 'right' : 'left';
+  });
+
+  const rendered = [header, ...body].map(row => Array.from({ length: columns }, (_, index) => renderInline(row[index] || '', { color })));
+  const widths = align.map((_, index) => Math.max(1, ...rendered.map(row => visibleLength(row[index]))));
+
+  const pad = (text, index) => {
+    const space = widths[index] - visibleLength(text);
+    if (align[index] === 'right') return ' '.repeat(space) + text;
+    if (align[index] === 'center') return ' '.repeat(Math.floor(space / 2)) + text + ' '.repeat(Math.ceil(space / 2));
+    return text + ' '.repeat(space);
+  };
+  const border = (left, middle, right) => paint(`${left}${widths.map(width => '─'.repeat(width + 2)).join(middle)}${right}`, 'dim', color);
+  const row = (cells, style) => `${paint('│', 'dim', color)} ${cells.map((cell, index) => paint(pad(cell, index), style, color)).join(` ${paint('│', 'dim', color)} `)} ${paint('│', 'dim', color)}`;
+
+  return [
+    border('┌', '┬', '┐'),
+    row(rendered[0], 'bold'),
+    border('├', '┼', '┤'),
+    ...rendered.slice(1).map(cells => row(cells)),
+    border('└', '┴', '┘')
+  ].join('\n');
+}
+
+/**
+ * Renders Markdown written to it piece by piece. Options: write (where the
+ * rendered text goes), color (default: useColor()), width (the terminal's
+ * columns), inline (the first line follows a label such as "Bot: ", so a
+ * reply starting with a block starts on the next line).
+ * Returns { write(text), end() }.
+ */
+export function createMarkdownStream({ write, color = useColor(), width = process.stdout.columns || 80, inline = false } = {}) {
+  const ruleWidth = Math.max(3, Math.min(RULE_WIDTH, width));
+  let line = '';
+  let kind = null;
+  let prefix = '';
+  let level = 0;
+  let emitted = 0;
+  let shown = 0;
+  let first = true;
+  let code = null;
+  let table = [];
+
+  const out = (text) => {
+    if (!text) return;
+    if (first && inline && kind !== 'paragraph') text = `\n${text}`;
+    first = false;
+    write(text);
+  };
+
+  // Where the line's text starts, after its heading marks, bullet or quote mark
+  const startLine = () => {
+    if (kind === 'heading') {
+      prefix = line.match(/^#{1,6}\s+/)[0];
+      level = prefix.trim().length;
+    } else if (kind === 'list') {
+      const [marker, indent, bullet] = line.match(LIST_ITEM);
+      prefix = marker;
+      const level = Math.floor(indent.length / 2);
+      out(`${indent}${/\d/.test(bullet) ? bullet : BULLETS[level % BULLETS.length]} `);
+    } else if (kind === 'quote') {
+      prefix = line.match(QUOTE)[0];
+      out(paint('│ ', 'dim', color));
+    } else {
+      prefix = '';
+    }
+    emitted = prefix.length;
+  };
+
+  const styleText = (text) => {
+    const rendered = renderInline(text, { color });
+    if (kind === 'heading') return paint(rendered, 'bold', color);
+    if (kind === 'quote') return paint(rendered, 'italic', color);
+    return rendered;
+  };
+
+  const emitText = (text) => {
+    if (!text) return;
+    if (kind === 'list' && emitted === prefix.length) {
+      text = text.replace(/^\[([ xX])\]\s/, (_box, mark) => (mark === ' ' ? '☐ ' : '☑ '));
+    }
+    const rendered = styleText(text);
+    shown += visibleLength(rendered);
+    out(rendered);
+  };
+
+  const flushTable = () => {
+    if (table.length === 0) return;
+    const rows = table;
+    table = [];
+    if (rows.length >= 2 && TABLE_SEPARATOR.test(rows[1])) {
+      out(`${renderTable(rows, { color })}\n`);
+    } else {
+      for (const row of rows) out(`${renderInline(row, { color })}\n`);
+    }
+  };
+
+  // Render a whole line that was not streamed
+  const renderLine = (text) => {
+    kind = classifyLine(text, true);
+    if (kind === 'blank') {
+      out('\n');
+    } else if (kind === 'fence') {
+      const [, marker, language] = text.match(FENCE);
+      code = { marker, language: codeLanguage(language), state: {} };
+      const label = language ? `── ${language} ` : '';
+      out(`${paint(label + '─'.repeat(Math.max(3, ruleWidth - label.length)), 'dim', color)}\n`);
+    } else if (kind === 'table') {
+      table.push(text);
+    } else if (kind === 'rule') {
+      out(`${paint('─'.repeat(ruleWidth), 'dim', color)}\n`);
+    } else {
+      if (kind === 'heading') line = text.replace(HEADING, (_match, marks, title) => `${marks} ${title}`);
+      startLine();
+      finishText();
+    }
+  };
+
+  // The rest of a streamed line, then its end
+  const finishText = () => {
+    emitText(line.slice(emitted));
+    // Top-level headings are underlined, so they stand out without styles too
+    if (kind === 'heading' && level <= 2) {
+      out(`\n${paint((level === 1 ? '═' : '─').repeat(Math.min(shown, ruleWidth)), 'dim', color)}`);
+    }
+    out('\n');
+  };
+
+  const finishLine = () => {
+    const text = line.replace(/\r$/, '');
+    if (code) {
+      if (text.trim().startsWith(code.marker) && text.trim().replace(/[`~]/g, '') === '') {
+        code = null;
+        out(`${paint('─'.repeat(ruleWidth), 'dim', color)}\n`);
+      } else {
+        out(`  ${highlightCode(text, code.language, { color, state: code.state })}\n`);
+      }
+    } else if (table.length > 0 && TABLE_ROW.test(text)) {
+      table.push(text);
+    } else {
+      flushTable();
+      line = text;
+      if (STREAMED.includes(kind)) finishText();
+      else renderLine(text);
+    }
+    line = '';
+    kind = null;
+    emitted = 0;
+    shown = 0;
+  };
+
+  // Write what can be written of the line so far
+  const progress = () => {
+    // A line that is not a row ends the table
+    if (table.length > 0 && line.trim() && !line.trimStart().startsWith('|')) flushTable();
+    if (code || table.length > 0 || !line) return;
+    if (kind === null || kind === 'pending') {
+      kind = classifyLine(line, false);
+      if (!STREAMED.includes(kind)) return;
+      startLine();
+    }
+    if (!STREAMED.includes(kind)) return;
+
+    const rest = line.slice(emitted);
+    // A task box is only known once its closing bracket has arrived
+    const settled = kind === 'list' && emitted === prefix.length && /^\[[ xX]?$/.test(rest) ? 0 : settledLength(rest);
+    emitText(rest.slice(0, settled));
+    emitted += settled;
+  };
+
+  return {
+    write(text) {
+      const parts = String(text).split('\n');
+      line += parts[0];
+      for (const part of parts.slice(1)) {
+        finishLine();
+        line = part;
+      }
+      progress();
+    },
+
+    end() {
+      if (line) finishLine();
+      flushTable();
+      if (code) {
+        code = null;
+        out(`${paint('─'.repeat(ruleWidth), 'dim', color)}\n`);
+      }
+    }
+  };
+}
+
+/**
+ * A whole Markdown text rendered for the terminal (see createMarkdownStream
+ * for the options). The result ends without a newline.
+ */
+export function renderMarkdown(text, options = {}) {
+  let output = '';
+  const stream = createMarkdownStream({ width: 80, ...options, write: (piece) => { output += piece; } });
+  stream.write(text);
+  stream.end();
+  return output.replace(/\n$/, '');
+}
@@ -0,0 +1,42 @@
+/**
+ * Plain-Text and Markdown Tables
+ *
+ * Formats rows of cells as aligned columns for the terminal, or as a
+ * Markdown table that can be pasted into docs. Numeric-looking cells are
+ * right-aligned.
+ */
+
+const NUMERIC = /^[-+]?[$]?[\d,]+(\.\d+)?(%|ms|s)?$/;
+
+function cellText(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Format a table.
+ * Options: markdown (pipe table instead of aligned columns).
+ */
+export function formatTable(headers, rows, { markdown = false } = {}) {
+  const cells = rows.map(row => row.map(cellText));
+  const widths = headers.map((header, index) =>
+    Math.max(header.length, ...cells.map(row => (row[index] || '').length)));
+  const numeric = headers.map((_, index) =>
+    cells.length > 0 && cells.every(row => !row[index] || NUMERIC.test(row[index])));
+
+  const pad = (text, index) => (numeric[index] ? text.padStart(widths[index]) : text.padEnd(widths[index]));
+
+  if (markdown) {
+    const escape = (text) => text.replace(/\|/g, '\\|');
+    return [
+      `| ${headers.map((header, index) => pad(header, index)).join(' | ')} |`,
+      `| ${widths.map((width, index) => (numeric[index] ? `${'-'.repeat(Math.max(width - 1, 2))}:` : '-'.repeat(Math.max(width, 3)))).join(' | ')} |`,
+      ...cells.map(row => `| ${headers.map((_, index) => pad(escape(row[index] || ''), index)).join(' | ')} |`)
+    ].join('\n');
+  }
+
+  return [
+    headers.map((header, index) => pad(header, index)).join('  '),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...cells.map(row => headers.map((_, index) => pad(row[index] || '', index)).join('  '))
+  ].join('\n');
+}
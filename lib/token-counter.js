@@ -0,0 +1,148 @@
+/**
+ * Offline Token Counter
+ *
+ * Estimates how many prompt tokens a Chat Completions request will use
+ * without calling the API or loading a tokenizer. Text is split the way the
+ * GPT tokenizers pre-split it (words, numbers, punctuation, whitespace) and
+ * each piece is sized with rules tuned against real `usage` numbers. Message
+ * and tool-schema overhead follows OpenAI's published counting rules.
+ *
+ * Counts are estimates: expect them to land within about 10% of the API's
+ * prompt_tokens for English text. Use TOKEN_ESTIMATE_MARGIN for ranges.
+ */
+
+/**
+ * Relative error to allow around an estimate
+ */
+export const TOKEN_ESTIMATE_MARGIN = 0.1;
+
+/**
+ * Per-message overhead used by the chat format
+ */
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const REPLY_PRIMER = 3;
+
+/**
+ * Tool schema overhead. Older models (gpt-3.5, gpt-4) use a larger
+ * per-function header.
+ */
+const TOOL_OVERHEAD = {
+  funcInit: 7,
+  legacyFuncInit: 10,
+  propInit: 3,
+  propKey: 3,
+  enumInit: -3,
+  enumItem: 3,
+  funcEnd: 12
+};
+
+// Same pre-split as the GPT tokenizers: contractions, words (with one leading space or symbol),
+// 1-3 digit numbers, punctuation runs and whitespace
+const PIECE_PATTERN = /'(?:s|t|re|ve|m|ll|d)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+
+const CJK = /[぀-ヿ㐀-䶿一-鿿가-힯]/u;
+
+function pieceTokens(piece) {
+  const word = piece.replace(/^[^\p{L}\p{N}]/u, '') || piece.trim();
+  if (!word) return 1;
+
+  if (/^\p{L}+$/u.test(word)) {
+    if (CJK.test(word)) return word.length;
+    // Non-Latin alphabets are split much more finely than English words
+    if (!/^[A-Za-z]+$/.test(word)) return Math.ceil(word.length / 2);
+    // Common English words are single tokens; long or rare ones split into chunks
+    return word.length <= 10 ? 1 : Math.ceil(word.length / 8);
+  }
+
+  if (/^\p{N}+$/u.test(word)) return 1;
+
+  // Punctuation and symbols: runs of repeated characters merge well
+  return Math.ceil(word.length / 2);
+}
+
+/**
+ * Estimate the tokens in a piece of text
+ */
+export function countTextTokens(text) {
+  if (text === undefined || text === null || text === '') return 0;
+  const pieces = String(text).match(PIECE_PATTERN) || [];
+  return pieces.reduce((sum, piece) => sum + pieceTokens(piece), 0);
+}
+
+/**
+ * Text of a message's content, which may be a string or an array of parts
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+}
+
+/**
+ * Estimate the tokens used by one message, including its overhead
+ */
+export function countMessageTokens(message) {
+  let tokens = TOKENS_PER_MESSAGE;
+
+  tokens += countTextTokens(message.role);
+  tokens += countTextTokens(contentText(message.content));
+
+  if (message.name) {
+    tokens += TOKENS_PER_NAME + countTextTokens(message.name);
+  }
+
+  for (const call of message.tool_calls || []) {
+    tokens += countTextTokens(call.function?.name) + countTextTokens(call.function?.arguments);
+  }
+  if (message.function_call) {
+    tokens += countTextTokens(message.function_call.name) + countTextTokens(message.function_call.arguments);
+  }
+
+  return tokens;
+}
+
+function isLegacyModel(model = '') {
+  return /^gpt-(3\.5|4)(?!o|\.)/.test(model);
+}
+
+/**
+ * Estimate the tokens used by tool (or legacy function) schemas
+ */
+export function countToolTokens(tools = [], model) {
+  if (!tools || tools.length === 0) return 0;
+
+  let tokens = 0;
+  for (const tool of tools) {
+    const fn = tool.function || tool;
+    tokens += isLegacyModel(model) ? TOOL_OVERHEAD.legacyFuncInit : TOOL_OVERHEAD.funcInit;
+    tokens += countTextTokens(`${fn.name}:${(fn.description || '').replace(/\.+$/, '')}`);
+
+    const properties = fn.parameters?.properties || {};
+    if (Object.keys(properties).length > 0) {
+      tokens += TOOL_OVERHEAD.propInit;
+
+      for (const [name, property] of Object.entries(properties)) {
+        tokens += TOOL_OVERHEAD.propKey;
+        if (Array.isArray(property.enum)) {
+          tokens += TOOL_OVERHEAD.enumInit;
+          for (const item of property.enum) {
+            tokens += TOOL_OVERHEAD.enumItem + countTextTokens(String(item));
+          }
+        }
+        tokens += countTextTokens(`${name}:${property.type || 'object'}:${(property.description || '').replace(/\.+$/, '')}`);
+      }
+    }
+  }
+
+  return tokens + TOOL_OVERHEAD.funcEnd;
+}
+
+/**
+ * Estimate prompt_tokens for a chat request.
+ * Options: tools or functions (schemas sent with the request).
+ */
+export function countChatTokens(messages, model, { tools, functions } = {}) {
+  const messageTokens = messages.reduce((sum, message) => sum + countMessageTokens(message), 0);
+  return messageTokens + REPLY_PRIMER + countToolTokens(tools || functions, model);
+}
@@ -0,0 +1,151 @@
+/**
+ * Tool Registry
+ *
+ * Tools a model can call, kept in one place so the chatbot, the function
+ * calling demo and the agents share them instead of each defining its own.
+ * A tool has a name, a description, zod parameters and a run function:
+ *
+ *   registry.register({
+ *     name: 'get_weather',
+ *     description: 'Get the current weather for a city',
+ *     parameters: z.object({ city: z.string().describe('The city name') }),
+ *     run: async ({ city }) => `Sunny in ${city}`
+ *   });
+ *
+ * definitions() turns tools into the Chat Completions `tools` parameter, and
+ * call() runs a tool call from a reply: its arguments are parsed and checked
+ * against the parameters first. call() never throws, so a failed tool is
+ * reported back to the model, which can then try again or explain.
+ *
+ * Usage:
+ *   const completion = await client.chat.completions.create({ model, messages, tools: registry.definitions() });
+ *   for (const toolCall of completion.choices[0].message.tool_calls ?? []) {
+ *     const { output } = await registry.call(toolCall);
+ *     messages.push({ role: 'tool', tool_call_id: toolCall.id, content: output });
+ *   }
+ */
+
+import { zodFunction } from 'openai/helpers/zod';
+
+/**
+ * Raised for unknown tools and bad arguments, and by tools for failures the
+ * model should be told about
+ */
+export class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+const NAME_PATTERN = /^[a-zA-Z][\w-]{0,63}$/;
+
+/**
+ * How a tool call reads in a transcript: name(arguments)
+ */
+export function describeToolCall({ name, arguments: args }) {
+  return `${name}(${typeof args === 'string' ? args : JSON.stringify(args ?? {})})`;
+}
+
+/**
+ * Tools by name
+ */
+export class ToolRegistry {
+  constructor(tools = []) {
+    this.tools = new Map();
+    tools.forEach(tool => this.register(tool));
+  }
+
+  /**
+   * Add a tool: { name, description, parameters (a zod object), run(args, context) }
+   */
+  register({ name, description = '', parameters, run }) {
+    if (!NAME_PATTERN.test(name || '')) throw new Error(`Invalid tool name "${name}"`);
+    if (this.tools.has(name)) throw new Error(`The tool ${name} is already registered`);
+    if (typeof parameters?.safeParse !== 'function') throw new Error(`The tool ${name} needs zod parameters`);
+    if (typeof run !== 'function') throw new Error(`The tool ${name} needs a run function`);
+
+    this.tools.set(name, { name, description, parameters, run });
+    return this;
+  }
+
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Every tool, sorted by name
+   */
+  list() {
+    return [...this.tools.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Tool names from a list of names, or 'all'. Unknown names are a ToolError.
+   */
+  select(names) {
+    if (names === 'all') return this.list().map(tool => tool.name);
+    const unknown = names.filter(name => !this.has(name));
+    if (unknown.length > 0) {
+      throw new ToolError(`Unknown ${unknown.length === 1 ? 'tool' : 'tools'} ${unknown.join(', ')}. Tools: ${this.list().map(tool => tool.name).join(', ')}`);
+    }
+    return [...new Set(names)];
+  }
+
+  /**
+   * The Chat Completions `tools` parameter for some tools (default: all)
+   */
+  definitions(names = this.list().map(tool => tool.name)) {
+    return this.select(names).map(name => {
+      const { description, parameters } = this.get(name);
+      return zodFunction({ name, description, parameters });
+    });
+  }
+
+  /**
+   * Run a tool with arguments already parsed. Throws a ToolError for an
+   * unknown tool or arguments that do not fit its parameters.
+   */
+  async run(name, args = {}, context = {}) {
+    const tool = this.get(name);
+    if (!tool) throw new ToolError(`Unknown tool "${name}"`);
+
+    const parsed = tool.parameters.safeParse(args);
+    if (!parsed.success) {
+      const problems = parsed.error.issues.map(issue => `${issue.path.join('.') || 'arguments'}: ${issue.message}`);
+      throw new ToolError(`Bad arguments for ${name}: ${problems.join('; ')}`);
+    }
+    return tool.run(parsed.data, context);
+  }
+
+  /**
+   * Run a tool call from a reply ({ id, function: { name, arguments } }, with
+   * arguments as JSON). Resolves to { id, name, arguments, output, error }:
+   * output is the text to send back (objects as JSON) and error says whether
+   * the tool failed, in which case output says why.
+   */
+  async call(toolCall, context = {}) {
+    const { name, arguments: json } = toolCall.function;
+    const invocation = { id: toolCall.id, name, arguments: json };
+    try {
+      let args;
+      try {
+        args = json ? JSON.parse(json) : {};
+      } catch {
+        throw new ToolError(`The arguments for ${name} are not valid JSON`);
+      }
+      const result = await this.run(name, args, context);
+      return { ...invocation, output: typeof result === 'string' ? result : JSON.stringify(result), error: false };
+    } catch (error) {
+      return { ...invocation, output: `Error: ${error.message}`, error: true };
+    }
+  }
+}
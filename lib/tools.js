@@ -0,0 +1,256 @@
+/**
+ * Built-in Tools
+ *
+ * The tools every module can hand to a model, registered on a ToolRegistry
+ * (see lib/tool-registry.js):
+ *   get_weather           Current weather for a city (WeatherAPI.com, or
+ *                         mock data without WEATHER_API_KEY)
+ *   calculate             Arithmetic: + - * / % ^, parentheses and Math
+ *                         functions such as sqrt, round and max
+ *   get_interesting_fact  A fact about a topic
+ *   get_current_time      The date and time, here or in a time zone
+ *
+ * Usage:
+ *   const tools = getToolRegistry();
+ *   tools.register({ name: 'lookup_order', ... });  // add your own
+ *   const { output } = await tools.call(toolCall);
+ *
+ * Environment variables:
+ *   WEATHER_API_KEY   WeatherAPI.com key for real weather data
+ */
+
+import axios from 'axios';
+import { z } from 'zod';
+import { ToolError, ToolRegistry } from './tool-registry.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('tools');
+
+/**
+ * Current weather for a city from WeatherAPI.com, in its response shape.
+ * Mock data is returned when WEATHER_API_KEY is not set.
+ */
+export async function getWeather(city) {
+  const apiKey = process.env.WEATHER_API_KEY;
+
+  if (!apiKey) {
+    return {
+      location: { name: city },
+      current: {
+        condition: { text: 'partly cloudy' },
+        temp_c: 15
+      },
+      mock: true
+    };
+  }
+
+  const url = `http://api.weatherapi.com/v1/current.json?key=${apiKey}&q=${encodeURIComponent(city)}`;
+  log.debug('WeatherAPI request', { url });
+  const response = await axios.get(url);
+  return response.data;
+}
+
+// ---------------------------------------------------------------------------
+// Calculator
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  min: Math.min,
+  max: Math.max,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const TOKEN = /\s*(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+|\*\*|[-+*/%^(),]|[a-z]+)/iy;
+
+/**
+ * The value of an arithmetic expression. Only numbers, operators,
+ * parentheses and the functions above are understood: nothing is evaluated
+ * as code.
+ */
+export function calculate(expression) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < expression.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(expression);
+    if (!match) {
+      if (!expression.slice(start).trim()) break;
+      throw new ToolError(`Cannot read "${expression.slice(start).trim()}" in ${expression}`);
+    }
+    tokens.push(match[1]);
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) throw new ToolError(`Expected "${token}" in ${expression}`);
+  };
+
+  // sum := product (("+" | "-") product)*
+  const sum = () => {
+    let value = product();
+    while (peek() === '+' || peek() === '-') value = next() === '+' ? value + product() : value - product();
+    return value;
+  };
+  // product := unary (("*" | "/" | "%") unary)*
+  const product = () => {
+    let value = unary();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = next();
+      const right = unary();
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+  // unary := ("-" | "+") unary | power
+  const unary = () => {
+    if (peek() === '-') {
+      next();
+      return -unary();
+    }
+    if (peek() === '+') {
+      next();
+      return unary();
+    }
+    return power();
+  };
+  // power := atom (("^" | "**") unary)?, right to left
+  const power = () => {
+    const base = atom();
+    if (peek() === '^' || peek() === '**') {
+      next();
+      return base ** unary();
+    }
+    return base;
+  };
+  const atom = () => {
+    const token = next();
+    if (token === undefined) throw new ToolError(`${expression} ends too soon`);
+    if (token === '(') {
+      const value = sum();
+      expect(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) return Number(token);
+
+    const name = token.toLowerCase();
+    if (name in CONSTANTS) return CONSTANTS[name];
+    if (!(name in FUNCTIONS)) throw new ToolError(`Unknown function or name "${token}"`);
+    expect('(');
+    const args = [sum()];
+    while (peek() === ',') {
+      next();
+      args.push(sum());
+    }
+    expect(')');
+    return FUNCTIONS[name](...args);
+  };
+
+  const value = sum();
+  if (position < tokens.length) throw new ToolError(`Unexpected "${peek()}" in ${expression}`);
+  if (!Number.isFinite(value)) throw new ToolError(`${expression} has no finite value`);
+  return value;
+}
+
+// ---------------------------------------------------------------------------
+// Facts
+
+const FACTS = {
+  'ai': 'The term "Artificial Intelligence" was coined by John McCarthy in 1956.',
+  'space': 'A day on Venus is longer than its year - it takes 243 Earth days to rotate once.',
+  'ocean': 'We have explored less than 5% of our oceans, but we have detailed maps of Mars.',
+  'default': 'Honey never spoils - archaeologists have found pots of honey in ancient Egyptian tombs that are over 3,000 years old and still edible.'
+};
+
+// ---------------------------------------------------------------------------
+// The built-in tools
+
+/**
+ * The built-in tool definitions, to register on any ToolRegistry
+ */
+export const BUILTIN_TOOLS = [
+  {
+    name: 'get_weather',
+    description: 'Get the current weather for a city',
+    parameters: z.object({
+      city: z.string().describe('The city name to get weather for')
+    }),
+    run: async ({ city }) => {
+      let weather;
+      try {
+        weather = await getWeather(city);
+      } catch (error) {
+        throw new ToolError(`Unable to get weather for ${city} (${error.response?.data?.error?.message || error.message})`);
+      }
+      const { location, current } = weather;
+      return `Weather in ${location.name}: ${current.condition.text}, ${current.temp_c}°C${weather.mock ? ' (mock data)' : ''}`;
+    }
+  },
+  {
+    name: 'calculate',
+    description: 'Perform mathematical calculations',
+    parameters: z.object({
+      expression: z.string().describe('Mathematical expression to evaluate')
+    }),
+    run: ({ expression }) => `The result of ${expression} is ${calculate(expression)}`
+  },
+  {
+    name: 'get_interesting_fact',
+    description: 'Get an interesting fact about a given topic',
+    parameters: z.object({
+      topic: z.string().describe('The topic to get a fact about')
+    }),
+    run: ({ topic }) => {
+      const fact = FACTS[topic.toLowerCase()] || FACTS.default;
+      return `Here's an interesting fact about ${topic}: ${fact}`;
+    }
+  },
+  {
+    name: 'get_current_time',
+    description: 'Get the current date and time, here or in a time zone',
+    parameters: z.object({
+      timezone: z.string().describe('IANA time zone such as Europe/Paris, or "local" for the local time')
+    }),
+    run: ({ timezone }, { now = new Date() } = {}) => {
+      const local = timezone.trim().toLowerCase() === 'local';
+      let formatted;
+      try {
+        formatted = new Intl.DateTimeFormat('en-US', { dateStyle: 'full', timeStyle: 'long', timeZone: local ? undefined : timezone }).format(now);
+      } catch {
+        throw new ToolError(`Unknown time zone "${timezone}"`);
+      }
+      return `It is ${formatted}${local ? '' : ` in ${timezone}`}`;
+    }
+  }
+];
+
+/**
+ * A registry holding the built-in tools
+ */
+export function createToolRegistry() {
+  return new ToolRegistry(BUILTIN_TOOLS);
+}
+
+let defaultRegistry = null;
+
+/**
+ * The shared registry of built-in tools; tools registered on it are
+ * available to every module in the process
+ */
+export function getToolRegistry() {
+  if (!defaultRegistry) defaultRegistry = createToolRegistry();
+  return defaultRegistry;
+}
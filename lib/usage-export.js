@@ -0,0 +1,449 @@
+/**
+ * Usage Exporters and Importers
+ *
+ * Writes CostTracker sessions as CSV (RFC 4180), JSON, NDJSON, a Markdown
+ * table or a self-contained HTML report with charts, and reads every one of
+ * those files back so reports can be regenerated later. Formats are kept in a
+ * registry; registerExportFormat adds new ones.
+ *
+ * Usage:
+ *   const html = exportSessions(tracker.sessions, 'html');
+ *   const sessions = importSessions(readFileSync('usage.csv', 'utf-8'), 'csv');
+ *   const format = formatForPath('report.md');   // 'markdown'
+ */
+
+import { extname } from 'path';
+
+/**
+ * Tabular columns shared by CSV, Markdown and HTML, in order.
+ * The first eleven match the original exportToCSV layout.
+ */
+const COLUMNS = [
+  { name: 'ID', get: (session) => session.id, type: 'integer' },
+  { name: 'Model', get: (session) => session.model },
+  { name: 'Description', get: (session) => session.description, quote: true },
+  { name: 'InputTokens', get: (session) => session.usage.prompt_tokens, type: 'integer' },
+  { name: 'OutputTokens', get: (session) => session.usage.completion_tokens, type: 'integer' },
+  { name: 'TotalTokens', get: (session) => session.usage.total_tokens, type: 'integer' },
+  { name: 'InputCost', get: (session) => session.costs.inputCost, type: 'number' },
+  { name: 'OutputCost', get: (session) => session.costs.outputCost, type: 'number' },
+  { name: 'TotalCost', get: (session) => session.costs.total, type: 'number' },
+  { name: 'ResponseTime', get: (session) => session.responseTime, type: 'integer' },
+  { name: 'Timestamp', get: (session) => session.timestamp },
+  { name: 'CachedInputTokens', get: (session) => session.usage.prompt_tokens_details?.cached_tokens ?? 0, type: 'integer' },
+  { name: 'ReasoningTokens', get: (session) => session.usage.completion_tokens_details?.reasoning_tokens ?? 0, type: 'integer' },
+  { name: 'Priced', get: (session) => session.costs.priced !== false, type: 'boolean' },
+  { name: 'TimeToFirstToken', get: (session) => session.timeToFirstToken, type: 'integer', optional: true },
+  { name: 'TokensPerSecond', get: (session) => session.tokensPerSecond, type: 'number', optional: true },
+  { name: 'Retries', get: (session) => session.retries, type: 'integer', optional: true },
+  { name: 'QueueTime', get: (session) => session.queueTime, type: 'integer', optional: true }
+];
+
+/**
+ * Raised when a file cannot be read back as sessions
+ */
+export class UsageImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageImportError';
+  }
+}
+
+function toRow(session) {
+  return COLUMNS.map(column => column.get(session) ?? '');
+}
+
+function parseCell(column, value) {
+  if (column.optional && value === '') return null;
+  if (column.type === 'integer' || column.type === 'number') {
+    const number = Number(value);
+    return value === '' || Number.isNaN(number) ? 0 : number;
+  }
+  if (column.type === 'boolean') return String(value).toLowerCase() !== 'false';
+  return value;
+}
+
+/**
+ * Session from a tabular record keyed by column name
+ */
+function fromRecord(record) {
+  const value = (name) => parseCell(COLUMNS.find(column => column.name === name), record[name] ?? '');
+  const cached = value('CachedInputTokens');
+  const reasoning = value('ReasoningTokens');
+
+  return {
+    id: value('ID'),
+    model: value('Model'),
+    description: value('Description'),
+    usage: {
+      prompt_tokens: value('InputTokens'),
+      completion_tokens: value('OutputTokens'),
+      total_tokens: value('TotalTokens'),
+      ...(cached ? { prompt_tokens_details: { cached_tokens: cached } } : {}),
+      ...(reasoning ? { completion_tokens_details: { reasoning_tokens: reasoning } } : {})
+    },
+    costs: {
+      inputCost: value('InputCost'),
+      outputCost: value('OutputCost'),
+      total: value('TotalCost'),
+      priced: value('Priced')
+    },
+    responseTime: value('ResponseTime'),
+    timestamp: value('Timestamp'),
+    response: '',
+    timeToFirstToken: value('TimeToFirstToken'),
+    tokensPerSecond: value('TokensPerSecond'),
+    retries: value('Retries'),
+    queueTime: value('QueueTime')
+  };
+}
+
+function fromRows(header, rows) {
+  const missing = ['Model', 'InputTokens', 'OutputTokens', 'TotalCost'].filter(name => !header.includes(name));
+  if (missing.length > 0) {
+    throw new UsageImportError(`Missing columns: ${missing.join(', ')}`);
+  }
+  return rows.map(row => fromRecord(Object.fromEntries(header.map((name, index) => [name, row[index] ?? '']))));
+}
+
+// CSV (RFC 4180): CRLF line breaks, fields with commas, quotes or line
+// breaks are quoted and quotes inside them doubled
+
+function csvField(value, always = false) {
+  const text = String(value);
+  return always || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportCSV(sessions) {
+  const header = COLUMNS.map(column => column.name).join(',');
+  const rows = sessions.map(session => toRow(session).map((value, index) => csvField(value, COLUMNS[index].quote)).join(','));
+  return [header, ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Split CSV text into rows of fields
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new UsageImportError('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+function importCSV(text) {
+  const [header = [], ...rows] = parseCSV(text);
+  return fromRows(header, rows);
+}
+
+// JSON and NDJSON keep whole sessions, including replies
+
+const JSON_FORMAT_ID = 'openai-basics-usage';
+
+function exportJSON(sessions) {
+  return JSON.stringify({ format: JSON_FORMAT_ID, version: 1, exportedAt: new Date().toISOString(), sessions }, null, 2) + '\n';
+}
+
+function importJSON(text) {
+  const data = JSON.parse(text);
+  const sessions = Array.isArray(data) ? data : data.sessions;
+  if (!Array.isArray(sessions)) {
+    throw new UsageImportError('Expected an array of sessions or an object with a "sessions" array');
+  }
+  return sessions;
+}
+
+function exportNDJSON(sessions) {
+  return sessions.map(session => JSON.stringify(session)).join('\n') + (sessions.length > 0 ? '\n' : '');
+}
+
+function importNDJSON(text) {
+  return text.split('\n').filter(line => line.trim()).map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new UsageImportError(`Line ${index + 1} is not valid JSON: ${error.message}`);
+    }
+  });
+}
+
+// Markdown: a table with the same columns as the CSV
+
+function markdownCell(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function exportMarkdown(sessions) {
+  const header = COLUMNS.map(column => column.name);
+  const lines = [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...sessions.map(session => `| ${toRow(session).map(markdownCell).join(' | ')} |`)
+  ];
+  return `# Usage Export\n\n${lines.join('\n')}\n`;
+}
+
+function splitMarkdownRow(line) {
+  const cells = [];
+  let cell = '';
+  const body = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '\\' && i + 1 < body.length) {
+      cell += body[++i];
+    } else if (body[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += body[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function importMarkdown(text) {
+  const lines = text.split('\n').filter(line => line.trim().startsWith('|'));
+  if (lines.length < 2) {
+    throw new UsageImportError('No Markdown table found');
+  }
+  const [header, , ...rows] = lines.map(splitMarkdownRow);
+  return fromRows(header, rows);
+}
+
+// HTML: a standalone report with inline SVG charts. The sessions are
+// embedded as JSON so the report can be imported again.
+
+function escapeHTML(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Cents from $1 up, otherwise six decimals
+function costDigits(amount) {
+  return amount >= 1 ? 2 : 6;
+}
+
+function money(amount) {
+  return `$${amount.toFixed(costDigits(amount))}`;
+}
+
+/**
+ * A dollar amount rounded as reports show it, without float noise
+ */
+export function roundCost(amount) {
+  return Number(amount.toFixed(costDigits(amount)));
+}
+
+/**
+ * Cumulative cost over time as an SVG line chart
+ */
+function costOverTimeChart(sessions) {
+  const width = 640;
+  const height = 240;
+  const pad = 48;
+  const points = [...sessions].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+  if (points.length === 0) return '<p>No usage recorded.</p>';
+
+  let total = 0;
+  const cumulative = points.map(session => (total += session.costs.total));
+  const times = points.map(session => new Date(session.timestamp).getTime() || 0);
+  const [start, end] = [Math.min(...times), Math.max(...times)];
+  const x = (time, index) => pad + (end > start ? (time - start) / (end - start) : index / Math.max(1, points.length - 1)) * (width - 2 * pad);
+  const y = (cost) => height - pad - (total > 0 ? cost / total : 0) * (height - 2 * pad);
+  const path = cumulative.map((cost, index) => `${x(times[index], index).toFixed(1)},${y(cost).toFixed(1)}`).join(' ');
+
+  return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Cumulative cost over time">
+  <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" class="axis"/>
+  <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" class="axis"/>
+  <polyline points="${path}" class="line"/>
+  <text x="${pad}" y="${pad - 8}">${escapeHTML(money(total))}</text>
+  <text x="${pad}" y="${height - pad + 20}">${escapeHTML(points[0].timestamp)}</text>
+  <text x="${width - pad}" y="${height - pad + 20}" text-anchor="end">${escapeHTML(points[points.length - 1].timestamp)}</text>
+</svg>`;
+}
+
+/**
+ * Total cost per model as an SVG bar chart
+ */
+function costByModelChart(sessions) {
+  const byModel = {};
+  sessions.forEach(session => {
+    byModel[session.model] = (byModel[session.model] || 0) + session.costs.total;
+  });
+
+  const models = Object.entries(byModel).sort((a, b) => b[1] - a[1]);
+  if (models.length === 0) return '';
+
+  const width = 640;
+  const bar = 28;
+  const label = 160;
+  const largest = Math.max(...models.map(([, cost]) => cost)) || 1;
+  const bars = models.map(([model, cost], index) => {
+    const barWidth = (cost / largest) * (width - label - 120);
+    const top = index * (bar + 8);
+    return `  <text x="0" y="${top + 19}">${escapeHTML(model)}</text>
+  <rect x="${label}" y="${top}" width="${barWidth.toFixed(1)}" height="${bar}" class="bar"/>
+  <text x="${(label + barWidth + 8).toFixed(1)}" y="${top + 19}">${escapeHTML(money(cost))}</text>`;
+  });
+
+  return `<svg viewBox="0 0 ${width} ${models.length * (bar + 8)}" role="img" aria-label="Cost by model">
+${bars.join('\n')}
+</svg>`;
+}
+
+function exportHTML(sessions) {
+  const totalCost = sessions.reduce((sum, session) => sum + session.costs.total, 0);
+  const totalTokens = sessions.reduce((sum, session) => sum + (session.usage.total_tokens || 0), 0);
+  const header = COLUMNS.map(column => `<th>${column.name}</th>`).join('');
+  const rows = sessions.map(session => `<tr>${toRow(session).map(value => `<td>${escapeHTML(value)}</td>`).join('')}</tr>`);
+  const data = JSON.stringify(sessions).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Usage Report</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  svg { max-width: 640px; display: block; margin-bottom: 2rem; font-size: 12px; }
+  .axis { stroke: #999; }
+  .line { fill: none; stroke: #10a37f; stroke-width: 2; }
+  .bar { fill: #10a37f; }
+  table { border-collapse: collapse; font-size: 13px; }
+  th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+</style>
+</head>
+<body>
+<h1>Usage Report</h1>
+<p>${sessions.length} calls, ${totalTokens.toLocaleString('en-US')} tokens, ${escapeHTML(money(totalCost))} total.</p>
+<h2>Cost over time</h2>
+${costOverTimeChart(sessions)}
+<h2>Cost by model</h2>
+${costByModelChart(sessions)}
+<h2>Calls</h2>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+<script type="application/json" id="usage-data">${data}</script>
+</body>
+</html>
+`;
+}
+
+function importHTML(text) {
+  const match = text.match(/<script type="application\/json" id="usage-data">([\s\S]*?)<\/script>/);
+  if (!match) {
+    throw new UsageImportError('No embedded usage data found in the HTML report');
+  }
+  return JSON.parse(match[1]);
+}
+
+const formats = new Map();
+
+/**
+ * Add or replace an export format.
+ * `format` has extensions (e.g. ['.csv']), export(sessions) → string and
+ * optionally import(text) → sessions.
+ */
+export function registerExportFormat(name, format) {
+  if (typeof format.export !== 'function') {
+    throw new Error(`Export format "${name}" needs an export(sessions) function`);
+  }
+  formats.set(name, { extensions: [], ...format });
+}
+
+registerExportFormat('csv', { extensions: ['.csv'], export: exportCSV, import: importCSV });
+registerExportFormat('json', { extensions: ['.json'], export: exportJSON, import: importJSON });
+registerExportFormat('ndjson', { extensions: ['.ndjson', '.jsonl'], export: exportNDJSON, import: importNDJSON });
+registerExportFormat('markdown', { extensions: ['.md', '.markdown'], export: exportMarkdown, import: importMarkdown });
+registerExportFormat('html', { extensions: ['.html', '.htm'], export: exportHTML, import: importHTML });
+
+/**
+ * Names of every registered format
+ */
+export function exportFormats() {
+  return [...formats.keys()];
+}
+
+function getFormat(name) {
+  const format = formats.get(name);
+  if (!format) {
+    throw new Error(`Unknown export format "${name}". Available formats: ${exportFormats().join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Format registered for a file's extension
+ */
+export function formatForPath(path) {
+  const extension = extname(path).toLowerCase();
+  const match = [...formats].find(([, format]) => format.extensions.includes(extension));
+  if (!match) {
+    throw new Error(`No export format for "${extension || path}". Use one of: ${exportFormats().join(', ')}`);
+  }
+  return match[0];
+}
+
+/**
+ * Render sessions in a format
+ */
+export function exportSessions(sessions, format = 'csv') {
+  return getFormat(format).export(sessions);
+}
+
+/**
+ * Read sessions back from an exported file's contents
+ */
+export function importSessions(text, format) {
+  const { import: read } = getFormat(format);
+  if (!read) {
+    throw new UsageImportError(`The ${format} format cannot be imported`);
+  }
+
+  try {
+    return read(text);
+  } catch (error) {
+    if (error instanceof UsageImportError) throw error;
+    throw new UsageImportError(`Could not import ${format}: ${error.message}`);
+  }
+}
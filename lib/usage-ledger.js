@@ -0,0 +1,222 @@
+/**
+ * Persistent Usage Ledger
+ *
+ * An append-only JSONL file with one line per tracked API call, written by
+ * the shared client's usage middleware (lib/usage-middleware.js) and by
+ * CostTracker from every module so reports can cover the full history
+ * instead of a single run. Entries are never rewritten; a line that cannot
+ * be parsed is skipped with a warning.
+ *
+ * Run this file to query the ledger:
+ *   node lib/usage-ledger.js [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *                            [--model gpt-4o] [--module chatbot]
+ *                            [--description "support"] [--file path]
+ *                            [--output report.html] [--format html]
+ *
+ * --output writes the matching calls in the format given by --format or
+ * the file's extension (csv, json, ndjson, md, html; see lib/usage-export.js).
+ *
+ * Environment variables:
+ *   OPENAI_LEDGER         Set to off to stop recording
+ *   OPENAI_LEDGER_FILE    Path to an alternative ledger file
+ */
+
+import { appendFileSync, readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { createLogger } from './logger.js';
+import { CostTracker } from './cost-tracker.js';
+import { formatForPath } from './usage-export.js';
+import { formatUsageByModule } from './usage-middleware.js';
+
+const log = createLogger('usage-ledger');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_LEDGER_PATH = join(__dirname, '..', '.openai-basics', 'usage-ledger.jsonl');
+
+/**
+ * Start of a --from date or end of a --to date; full timestamps are used as given
+ */
+function parseBoundary(value, endOfDay) {
+  if (!value) return null;
+
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`)
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}" (expected YYYY-MM-DD or an ISO timestamp)`);
+  }
+  return date;
+}
+
+/**
+ * Ledger entry for a CostTracker session
+ */
+export function toLedgerEntry(session, module = null) {
+  return {
+    id: randomUUID(),
+    timestamp: session.timestamp,
+    module,
+    model: session.model,
+    description: session.description,
+    usage: session.usage,
+    costs: {
+      inputCost: session.costs.inputCost,
+      outputCost: session.costs.outputCost,
+      total: session.costs.total,
+      priced: session.costs.priced,
+      ...(session.costs.batch ? { batch: true } : {})
+    },
+    responseTime: session.responseTime,
+    ...Object.fromEntries(['timeToFirstToken', 'tokensPerSecond', 'retries', 'queueTime']
+      .filter(key => session[key] !== null && session[key] !== undefined)
+      .map(key => [key, session[key]]))
+  };
+}
+
+/**
+ * Whether an entry matches query filters.
+ * Filters: from, to (dates or Date), model, module (exact) and description
+ * (case-insensitive substring).
+ */
+export function matchesFilters(entry, { from, to, model, module, description } = {}) {
+  const start = from instanceof Date ? from : parseBoundary(from, false);
+  const end = to instanceof Date ? to : parseBoundary(to, true);
+  const time = new Date(entry.timestamp);
+
+  if (start && time < start) return false;
+  if (end && time > end) return false;
+  if (model && entry.model !== model) return false;
+  if (module && entry.module !== module) return false;
+  if (description && !(entry.description || '').toLowerCase().includes(description.toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Append-only JSONL file of tracked calls
+ */
+export class UsageLedger {
+  constructor(path = DEFAULT_LEDGER_PATH) {
+    this.path = path;
+  }
+
+  /**
+   * Append one entry as a single line
+   */
+  append(entry) {
+    mkdirSync(dirname(this.path), { recursive: true });
+    appendFileSync(this.path, JSON.stringify(entry) + '\n');
+    return entry;
+  }
+
+  /**
+   * Every readable entry, oldest first
+   */
+  entries() {
+    if (!existsSync(this.path)) return [];
+
+    const entries = [];
+    readFileSync(this.path, 'utf-8').split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        log.warn(`⚠️  Skipping unreadable line ${index + 1} of ${this.path}`);
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Entries matching the filters (see matchesFilters)
+   */
+  query(filters = {}) {
+    const bounds = { ...filters, from: parseBoundary(filters.from, false), to: parseBoundary(filters.to, true) };
+    return this.entries().filter(entry => matchesFilters(entry, bounds));
+  }
+}
+
+let defaultLedger;
+
+/**
+ * The ledger at OPENAI_LEDGER_FILE (or .openai-basics/usage-ledger.jsonl).
+ * Returns null when OPENAI_LEDGER=off or in offline mode, so stand-in
+ * traffic never mixes with real spending.
+ */
+export function getUsageLedger(env = process.env) {
+  if (defaultLedger !== undefined) return defaultLedger;
+
+  const disabled = ['off', '0', 'false', 'no'].includes(String(env.OPENAI_LEDGER || '').trim().toLowerCase());
+  const offline = ['1', 'true', 'yes'].includes(String(env.OPENAI_OFFLINE || '').trim().toLowerCase());
+
+  defaultLedger = disabled || offline ? null : new UsageLedger(env.OPENAI_LEDGER_FILE || DEFAULT_LEDGER_PATH);
+  return defaultLedger;
+}
+
+const CLI_FLAGS = {
+  '--from': 'from',
+  '--to': 'to',
+  '--model': 'model',
+  '--module': 'module',
+  '--description': 'description',
+  '--file': 'file',
+  '--output': 'output',
+  '--format': 'format'
+};
+
+/**
+ * Parse the query CLI's flags (--flag value or --flag=value)
+ */
+export function parseLedgerArgs(argv = process.argv.slice(2)) {
+  const filters = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s, 2);
+    const key = CLI_FLAGS[flag];
+    if (!key) {
+      throw new Error(`Unknown option "${argv[i]}". Options: ${Object.keys(CLI_FLAGS).join(', ')}`);
+    }
+    filters[key] = inline !== undefined ? inline : argv[++i];
+    if (!filters[key]) {
+      throw new Error(`${flag} needs a value`);
+    }
+  }
+
+  return filters;
+}
+
+// Allow querying the ledger directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const { file, output, format, ...filters } = parseLedgerArgs();
+    const ledger = new UsageLedger(file || process.env.OPENAI_LEDGER_FILE || DEFAULT_LEDGER_PATH);
+    const entries = ledger.query(filters);
+
+    const applied = Object.entries(filters).map(([key, value]) => `${key}=${value}`).join(' ');
+    log.info(`📒 Usage ledger: ${ledger.path}`);
+    if (applied) log.info(`   Filters: ${applied}`);
+
+    if (entries.length === 0) {
+      log.info('   No tracked calls match.');
+    } else {
+      log.info(`   ${entries.length} tracked calls from ${entries[0].timestamp} to ${entries[entries.length - 1].timestamp}`);
+
+      log.info(`\n🧩 BY MODULE:\n${formatUsageByModule(entries)}`);
+
+      const tracker = CostTracker.fromLedger(entries);
+      tracker.displayRunningTotals();
+      tracker.generateReport();
+
+      if (output) {
+        const outputFormat = format || formatForPath(output);
+        writeFileSync(output, tracker.export(outputFormat));
+        log.info(`\n💾 Wrote ${entries.length} calls to ${output} (${outputFormat})`);
+      }
+    }
+  } catch (error) {
+    log.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,291 @@
+/**
+ * Automatic Usage Capture
+ *
+ * Fetch middleware for the shared OpenAI client that records the usage of
+ * every call it makes, whichever API surface made it: chat completions,
+ * Responses API calls (made by the Agents SDK) and Assistants runs
+ * (`run.usage`, recorded once per run when it finishes). Streamed replies
+ * are recorded from the usage in their final chunk (chat completions with
+ * stream_options.include_usage) or their `response.completed` event.
+ *
+ * Each record is tagged with the calling module. withUsageTags adds a
+ * description, module or agent name to every call made inside it;
+ * tagAgentUsage (lib/agents-client.js) tags agent turns with the agent's name.
+ *
+ * withRequestTiming collects when each HTTP attempt was sent and answered,
+ * so CostTracker can report retries and queue time.
+ *
+ * Records go to the usage ledger (lib/usage-ledger.js). Stand-in traffic is
+ * not written there. When OPENAI_USAGE_RUN_FILE is set, every record is also
+ * appended to that file, stand-in traffic included, so a runner like demo-all.js
+ * can report what its child processes spent.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { basename } from 'path';
+import { randomUUID } from 'crypto';
+import { createLogger } from './logger.js';
+import { getPricingCatalog } from './pricing-catalog.js';
+import { formatTable } from './text-table.js';
+
+const log = createLogger('usage-middleware');
+
+const usageTags = new AsyncLocalStorage();
+const requestTiming = new AsyncLocalStorage();
+
+const DESCRIPTIONS = {
+  'chat.completions': 'Chat completion',
+  responses: 'Response',
+  'assistants.runs': 'Assistant run'
+};
+
+function definedTags(tags = {}) {
+  return Object.fromEntries(Object.entries(tags).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+/**
+ * Run fn with tags (module, description, agent) applied to every call it makes
+ */
+export function withUsageTags(tags, fn) {
+  return usageTags.run({ ...usageTags.getStore(), ...definedTags(tags) }, fn);
+}
+
+/**
+ * Apply tags to the rest of the current async flow (for hooks that cannot wrap a callback)
+ */
+export function setUsageTags(tags) {
+  usageTags.enterWith({ ...usageTags.getStore(), ...definedTags(tags) });
+}
+
+/**
+ * Tags in effect for the current async flow
+ */
+export function currentUsageTags() {
+  return usageTags.getStore() || {};
+}
+
+/**
+ * Run fn and collect every HTTP attempt its calls make through clients with
+ * usage capture: { sentAt, receivedAt, status, retry } each, in order.
+ * Attempts that failed without a response have no receivedAt.
+ */
+export async function withRequestTiming(fn) {
+  const attempts = [];
+  const result = await requestTiming.run(attempts, fn);
+  return { result, attempts };
+}
+
+/**
+ * The SDK's retry number for a request (0 for the first attempt)
+ */
+function retryCount(init) {
+  return Number(new Headers(init?.headers).get('x-stainless-retry-count')) || 0;
+}
+
+/**
+ * The API, model and usage in a JSON reply, or null when it carries no billable usage
+ */
+export function usageFromResponse(body) {
+  if (!body?.usage || !body.model) return null;
+
+  const api = {
+    'chat.completion': 'chat.completions',
+    'chat.completion.chunk': 'chat.completions',
+    response: 'responses',
+    'thread.run': 'assistants.runs'
+  }[body.object];
+  return api ? { id: body.id, api, model: body.model, usage: body.usage } : null;
+}
+
+/**
+ * Name of the running script, used as the module when none is given
+ */
+function scriptModule() {
+  return process.argv[1] ? basename(process.argv[1], '.js') : null;
+}
+
+/**
+ * Records the usage of API replies as ledger entries.
+ *
+ * Options:
+ *   module   Module tag for calls without one (default: the script's name)
+ *   ledger   UsageLedger for real traffic (null: keep records in memory only)
+ *   runFile  UsageLedger that receives every record, e.g. for one demo-all run
+ *   catalog  PricingCatalog (default: data/pricing.json)
+ */
+export class UsageRecorder {
+  constructor({ module = scriptModule(), ledger = null, runFile = null, catalog = getPricingCatalog() } = {}) {
+    this.module = module;
+    this.ledger = ledger;
+    this.runFile = runFile;
+    this.catalog = catalog;
+    this.entries = [];
+    this.recordedRuns = new Set();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Record the usage in a reply body. Returns the entry, or null when the
+   * reply has no usage or is a run that was already recorded.
+   */
+  record(body, { responseTime = 0, retries = 0, tags = currentUsageTags() } = {}) {
+    const found = usageFromResponse(body);
+    if (!found) return null;
+
+    if (found.api === 'assistants.runs') {
+      if (this.recordedRuns.has(found.id)) return null;
+      this.recordedRuns.add(found.id);
+    }
+
+    const costs = this.catalog.price(found.usage, found.model);
+    const entry = {
+      id: randomUUID(),
+      timestamp: new Date().toISOString(),
+      module: tags.module ?? this.module,
+      model: found.model,
+      description: tags.description ?? (tags.agent ? `Agent: ${tags.agent}` : DESCRIPTIONS[found.api]),
+      api: found.api,
+      ...(tags.agent ? { agent: tags.agent } : {}),
+      responseId: found.id,
+      usage: found.usage,
+      costs: { inputCost: costs.inputCost, outputCost: costs.outputCost, total: costs.total, priced: costs.priced },
+      responseTime,
+      retries
+    };
+
+    this.entries.push(entry);
+    for (const target of [this.ledger, this.runFile]) {
+      if (!target) continue;
+      try {
+        target.append(entry);
+      } catch (error) {
+        log.warn(`⚠️  Could not write usage to ${target.path}: ${error.message}`);
+      }
+    }
+    this.listeners.forEach(listener => listener(entry));
+
+    return entry;
+  }
+
+  /**
+   * Call listener with every new entry; returns a function that stops it
+   */
+  onRecord(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+/**
+ * The reply carried by a streamed event: a chat completion chunk as is, the
+ * full response for Responses API `response.completed` events
+ */
+export function streamedReply(event) {
+  return event?.type === 'response.completed' ? event.response : event;
+}
+
+/**
+ * A copy of an event-stream response whose body is passed through unchanged
+ * while each parsed `data:` payload is handed to onEvent
+ */
+export function tapEventStream(response, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    const data = block.split(/\r?\n/).filter(line => line.startsWith('data:')).map(line => line.slice(5).trimStart()).join('\n');
+    if (!data || data === '[DONE]') return;
+    try {
+      onEvent(JSON.parse(data));
+    } catch (error) {
+      log.debug(`Could not read a streamed event: ${error.message}`);
+    }
+  };
+
+  const body = response.body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      controller.enqueue(chunk);
+      buffer += decoder.decode(chunk, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach(dispatch);
+    },
+    flush() {
+      dispatch(buffer + decoder.decode());
+    }
+  }));
+
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+/**
+ * Whether a fetch response is a successful reply of the given content type
+ */
+export function isReply(response, type) {
+  return response.ok && Boolean(response.body) && (response.headers.get('content-type') || '').includes(type);
+}
+
+/**
+ * Wrap a fetch so the usage in every successful JSON reply, and in the final
+ * chunk of every streamed one, is recorded with the tags in effect when the
+ * request was made
+ */
+export function createUsageFetch(recorder, innerFetch = globalThis.fetch) {
+  return async (url, init) => {
+    const tags = currentUsageTags();
+    const attempt = { sentAt: Date.now(), retry: retryCount(init) };
+    requestTiming.getStore()?.push(attempt);
+
+    const response = await innerFetch(url, init);
+    attempt.receivedAt = Date.now();
+    attempt.status = response.status;
+
+    if (isReply(response, 'text/event-stream')) {
+      return tapEventStream(response, event => {
+        recorder.record(streamedReply(event), { responseTime: Date.now() - attempt.sentAt, retries: attempt.retry, tags });
+      });
+    }
+    if (isReply(response, 'application/json')) {
+      try {
+        recorder.record(await response.clone().json(), { responseTime: attempt.receivedAt - attempt.sentAt, retries: attempt.retry, tags });
+      } catch (error) {
+        log.debug(`Could not record usage for ${url}: ${error.message}`);
+      }
+    }
+    return response;
+  };
+}
+
+/**
+ * Calls, tokens and cost per module (and API), busiest module first
+ */
+export function summarizeByModule(entries) {
+  const groups = new Map();
+
+  for (const entry of entries) {
+    const key = `${entry.module ?? '(none)'}\u0000${entry.api ?? 'tracked'}`;
+    const group = groups.get(key) || { module: entry.module ?? '(none)', api: entry.api ?? 'tracked', calls: 0, tokens: 0, cost: 0 };
+    group.calls += 1;
+    group.tokens += entry.usage?.total_tokens ?? 0;
+    group.cost += entry.costs?.total ?? 0;
+    groups.set(key, group);
+  }
+  return [...groups.values()].sort((a, b) => b.cost - a.cost || a.module.localeCompare(b.module));
+}
+
+/**
+ * summarizeByModule as a table with a total row
+ */
+export function formatUsageByModule(entries, { markdown = false } = {}) {
+  const rows = summarizeByModule(entries);
+  const total = rows.reduce((sum, row) => ({ calls: sum.calls + row.calls, tokens: sum.tokens + row.tokens, cost: sum.cost + row.cost }), { calls: 0, tokens: 0, cost: 0 });
+
+  return formatTable(
+    ['Module', 'API', 'Calls', 'Tokens', 'Cost'],
+    [
+      ...rows.map(row => [row.module, row.api, row.calls, row.tokens.toLocaleString('en-US'), `$${row.cost.toFixed(6)}`]),
+      ['Total', '', total.calls, total.tokens.toLocaleString('en-US'), `$${total.cost.toFixed(6)}`]
+    ],
+    { markdown }
+  );
+}
@@ -0,0 +1,89 @@
+/**
+ * Tests for advanced/weather-function.js
+ *
+ * Tests cover:
+ * - Function schema shape
+ * - Mock weather data when no WeatherAPI key is set
+ * - Function-calling flow replayed from a cassette (synthetic, from the stand-in; real API
+ *   payload shapes are not covered)
+ */
+
+import assert from 'assert';
+import { TestRunner, TestAssert } from '../utils/test-helpers.js';
+import { createCassetteClient } from '../../lib/cassette.js';
+import { resolveModuleSettings } from '../../lib/project-config.js';
+import { functions, getWeather, askWeather } from '../../advanced/weather-function.js';
+
+/**
+ * Run a test body without a WeatherAPI key so no real weather request is made
+ */
+async function withoutWeatherKey(fn) {
+  const originalKey = process.env.WEATHER_API_KEY;
+  delete process.env.WEATHER_API_KEY;
+  try {
+    return await fn();
+  } finally {
+    if (originalKey) {
+      process.env.WEATHER_API_KEY = originalKey;
+    }
+  }
+}
+
+/**
+ * Test suite for weather-function.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Function schema - get_weather requires a city', () => {
+    const [getWeatherFn] = functions;
+
+    assert(getWeatherFn.name === 'get_weather', 'Should define get_weather');
+    assert.deepStrictEqual(getWeatherFn.parameters.required, ['city'], 'City should be required');
+    assert(getWeatherFn.parameters.properties.city.type === 'string', 'City should be a string');
+  });
+
+  runner.test('getWeather - returns mock data without an API key', async () => {
+    await withoutWeatherKey(async () => {
+      const weather = await getWeather('Tokyo');
+
+      assert(weather.location.name === 'Tokyo', 'Should echo the city');
+      assert(typeof weather.current.temp_c === 'number', 'Should include a temperature');
+    });
+  });
+
+  runner.test('Function-calling flow - replays cassette payloads', async () => {
+    // Recorded from the stand-in, not the API: real tool-call payload shapes
+    // (argument formatting, extra fields) are not covered here
+    const { client, cassette } = createCassetteClient('weather-function');
+
+    await withoutWeatherKey(async () => {
+      // The cassette was recorded with the dev profile; ignore local overrides
+      const settings = resolveModuleSettings('weather', { env: {}, argv: [] });
+      const result = await askWeather('New York', client, settings);
+
+      assert(result.functionCall, 'Model should request the weather function');
+      assert(result.functionCall.name === 'get_weather', 'Should call get_weather');
+      assert(result.functionCall.args.city === 'New York', 'Should pass the city');
+      assert(result.completion.choices[0].finish_reason === 'function_call', 'Should finish with function_call');
+      TestAssert.isValidUsage(result.completion.usage);
+      assert(result.weather.location.name === 'New York', 'Should fetch weather for the city');
+    });
+
+    cassette.assertNoDrift();
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
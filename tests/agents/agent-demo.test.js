@@ -0,0 +1,65 @@
+/**
+ * Tests for agents/agent-demo.js
+ *
+ * Tests cover:
+ * - Agent and tool configuration
+ * - Fact tool output
+ * - Agent runs replayed from a cassette (synthetic, from the stand-in): tool call and plain reply
+ */
+
+import assert from 'assert';
+import { run } from '@openai/agents';
+import { TestRunner } from '../utils/test-helpers.js';
+import { createCassetteClient } from '../../lib/cassette.js';
+import { configureAgentsClient } from '../../lib/agents-client.js';
+import { agent, getFactTool } from '../../agents/agent-demo.js';
+
+/**
+ * Test suite for agent-demo.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Agent configuration - fact tool is registered', () => {
+    assert(agent.name === 'Fact Assistant', 'Should name the agent');
+    assert(agent.tools.some(t => t.name === 'get_interesting_fact'), 'Should register the fact tool');
+  });
+
+  runner.test('Fact tool - known and unknown topics', async () => {
+    const known = await getFactTool.invoke(undefined, JSON.stringify({ topic: 'Space' }));
+    const unknown = await getFactTool.invoke(undefined, JSON.stringify({ topic: 'cheese' }));
+
+    assert(known.includes('Venus'), 'Should find facts case-insensitively');
+    assert(unknown.includes('Honey'), 'Should fall back to the default fact');
+  });
+
+  runner.test('Agent runs - replay recorded tool call and reply', async () => {
+    // Recorded from the stand-in through the chat completions API, so real API
+    // payload shapes are not covered
+    const { client, cassette } = createCassetteClient('agent-demo');
+    configureAgentsClient(client, { api: 'chat_completions', tracing: false });
+
+    const greeting = await run(agent, 'Hello! What can you help me with?');
+    assert(typeof greeting.finalOutput === 'string' && greeting.finalOutput.length > 0, 'Should reply to a greeting');
+
+    const fact = await run(agent, 'Tell me something interesting about AI');
+    assert(fact.finalOutput.includes('John McCarthy'), 'Should answer from the fact tool');
+    assert(fact.newItems.some(item => item.type === 'tool_call_item'), 'Should have called the tool');
+
+    cassette.assertNoDrift();
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,122 @@
+/**
+ * Tests for chatbot/batch.js
+ *
+ * Tests cover:
+ * - Prompts from stdin or a file, replies as plain text or JSONL
+ * - Commands in a batch, and /exit ending it
+ * - Tool calls recorded with their reply
+ * - Failed prompts are recorded and the batch carries on
+ */
+
+import assert from 'assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { TestRunner, TestAssert } from '../utils/test-helpers.js';
+import { OUTPUT_FORMATS, runBatch } from '../../chatbot/batch.js';
+import { createChatRunner, openContextWindow } from '../../chatbot/chatbot.js';
+import { ChatSession } from '../../lib/chat-sessions.js';
+import { createOpenAIClient } from '../../lib/openai-client.js';
+import { StandInAPI, OFFLINE_API_KEY, createStandInFetch } from '../../lib/stand-in-api.js';
+
+const SETTINGS = { module: 'chatbot', model: 'gpt-4o-mini', systemPrompt: 'You are a helpful assistant.', temperature: 0.7, maxTokens: 150 };
+
+/**
+ * Run a batch against the stand-in API. `fetch` can stand in for it instead.
+ * Resolves to { totals, output, session }
+ */
+async function batch(options, { fetch = createStandInFetch(new StandInAPI()) } = {}) {
+  const client = createOpenAIClient({ apiKey: OFFLINE_API_KEY, maxRetries: 0, module: 'chatbot', fetch }, {});
+  // Commands such as /tools change the settings
+  const settings = { ...SETTINGS };
+  const session = ChatSession.start({ model: settings.model, systemPrompt: settings.systemPrompt });
+  const context = openContextWindow(client, session, settings);
+  let output = '';
+
+  const totals = await runBatch({
+    write: (text) => { output += text; },
+    createRunner: (ui) => createChatRunner({ client, session, settings, context, retries: 1, retryDelay: 1, ui }),
+    ...options
+  });
+  return { totals, output, session };
+}
+
+/**
+ * Test suite for batch.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Text - one reply per prompt from stdin', async () => {
+    const { totals, output, session } = await batch({ stdin: Readable.from(['Tell me about tides.\n\n', 'And waves?\n']) });
+
+    assert.deepStrictEqual(totals, { prompts: 2, replies: 2, failed: 0 }, 'Blank lines are skipped');
+    const replies = session.messages.filter(message => message.role === 'assistant').map(message => message.content);
+    assert(output === replies.map(reply => `${reply}\n`).join(''), 'stdout holds the replies and nothing else');
+    assert(session.messages.length === 5, 'The prompts are one conversation');
+  });
+
+  runner.test('JSONL - one record per reply from a file', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'chatbot-batch-'));
+    try {
+      const input = join(dir, 'prompts.txt');
+      writeFileSync(input, 'Tell me about tides.\r\n/cost\r\n/exit\r\nNever sent.\r\n');
+      const { totals, output } = await batch({ input, format: 'jsonl' });
+
+      assert.deepStrictEqual(totals, { prompts: 3, replies: 1, failed: 0 }, 'Commands run and /exit ends the batch');
+      const records = output.trim().split('\n').map(line => JSON.parse(line));
+      assert(records.length === 1, 'Only replies are written');
+      const [record] = records;
+      assert(record.prompt === 'Tell me about tides.' && record.reply.length > 0 && record.model === 'gpt-4o-mini', 'Should record the prompt and reply');
+      TestAssert.isValidUsage(record.usage);
+      assert(record.finishReason === 'stop' && record.cost > 0, 'Should record how it finished and its cost');
+      assert(String(record.cost).split('.')[1].length <= 6, `The cost is rounded like the usage exports, got ${record.cost}`);
+
+      assert(!('tools' in record), 'A reply without tool calls lists none');
+
+      const { output: withTools } = await batch({ stdin: Readable.from(['/tools on calculate\n', 'Please calculate 6 * 7\n']), format: 'jsonl' });
+      const [toolRecord] = withTools.trim().split('\n').map(line => JSON.parse(line));
+      assert(toolRecord.tools.length === 1 && toolRecord.tools[0].output === 'The result of 6 * 7 is 42', 'The reply\'s tool calls are recorded');
+
+      await assert.rejects(batch({ input: join(dir, 'missing.txt') }), /No prompt file/);
+      await assert.rejects(batch({ input, format: 'xml' }), /Formats: text, jsonl/);
+      assert.deepStrictEqual(OUTPUT_FORMATS, ['text', 'jsonl']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  runner.test('Failures - recorded, and the batch carries on', async () => {
+    // The first prompt fails twice (its call and one retry), the second is answered
+    const standIn = createStandInFetch(new StandInAPI());
+    let failures = 2;
+    const fetch = async (url, init) => {
+      if (failures-- > 0) {
+        return new Response(JSON.stringify({ error: { message: 'Overloaded', type: 'server_error' } }), { status: 503, headers: { 'content-type': 'application/json' } });
+      }
+      return standIn(url, init);
+    };
+
+    const { totals, output, session } = await batch({ stdin: Readable.from(['First\nSecond\n']), format: 'jsonl' }, { fetch });
+    assert.deepStrictEqual(totals, { prompts: 2, replies: 1, failed: 1 });
+    const [failed, answered] = output.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(failed, { prompt: 'First', error: { message: 'OpenAI had a server error (503)', status: 503 } }, 'Should record the failure');
+    assert(answered.prompt === 'Second' && answered.reply.length > 0, 'Should answer the next prompt');
+    assert.deepStrictEqual(session.messages.filter(message => message.role === 'user').map(message => message.content), ['Second'], 'The failed prompt is not in the conversation');
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
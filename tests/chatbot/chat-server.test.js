@@ -0,0 +1,310 @@
+/**
+ * Tests for chatbot/chat-server.js
+ *
+ * Tests cover:
+ * - Creating, listing, fetching, changing and deleting sessions
+ * - Replies streamed as server-sent events into the saved session
+ * - Tool calls and their results streamed as events
+ * - Per-session model settings and personas
+ * - Sessions listed with their branches, and switching branch
+ * - Status codes for bad requests and failed API calls
+ * - Failed calls retried until the reply starts streaming, not after
+ * - Closing the connection stops the reply
+ */
+
+import assert from 'assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TestRunner, TestAssert, TestEnv } from '../utils/test-helpers.js';
+import { startChatServer } from '../../chatbot/chat-server.js';
+import { openSession } from '../../chatbot/chatbot.js';
+import { ChatSessionStore } from '../../lib/chat-sessions.js';
+import { BudgetGuard } from '../../lib/budget.js';
+import { loadProjectConfig } from '../../lib/project-config.js';
+import { StandInAPI, createStandInFetch } from '../../lib/stand-in-api.js';
+
+/**
+ * A client whose API calls fail with `status`, the first `times` of them
+ * (all by default) before the stand-in answers
+ */
+function createFailingClient(status, headers = {}, times = Infinity) {
+  const standIn = createStandInFetch(new StandInAPI());
+  let failures = 0;
+  const fetch = async (url, init) => {
+    if (failures++ >= times) return standIn(url, init);
+    return new Response(JSON.stringify({ error: { message: `Upstream said ${status}`, type: 'server_error' } }), {
+      status,
+      headers: { 'content-type': 'application/json', ...headers }
+    });
+  };
+  return TestEnv.createStandInClient({ module: 'chatbot', fetch });
+}
+
+/**
+ * Start a server on a free port with its own session directory, run `use`
+ * and shut everything down
+ */
+async function withServer(options, use) {
+  const dir = mkdtempSync(join(tmpdir(), 'chat-server-'));
+  const store = new ChatSessionStore(dir);
+  const server = await startChatServer({ port: 0, store, loaded: loadProjectConfig({ env: {}, argv: [] }), client: TestEnv.createStandInClient({ module: 'chatbot' }), ...options });
+
+  const call = async (method, path, body) => {
+    const response = await fetch(`${server.url}${path}`, {
+      method,
+      headers: body === undefined ? {} : { 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, headers: response.headers, body: text && type.includes('json') ? JSON.parse(text) : text };
+  };
+
+  try {
+    await use({ call, store, url: server.url });
+  } finally {
+    await server.close();
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Server-sent events as [{ event, data }]
+ */
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    return { event, data: JSON.parse(block.match(/^data: (.*)$/m)[1]) };
+  });
+}
+
+/**
+ * Test suite for chat-server.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Sessions - create, list, fetch, change and delete', async () => {
+    await withServer({}, async ({ call, store }) => {
+      const created = await call('POST', '/sessions', { name: 'Tides', model: 'gpt-4o', temperature: 0.2, systemPrompt: 'Answer briefly.' });
+      assert(created.status === 201 && created.headers.get('location') === `/sessions/${created.body.id}`, 'Should create the session');
+      assert(created.body.model === 'gpt-4o' && created.body.profile === 'dev' && created.body.config.temperature === 0.2, 'Should keep the session\'s settings');
+
+      const listed = await call('GET', '/sessions');
+      assert(listed.status === 200 && listed.body.sessions.length === 1 && listed.body.sessions[0].title === 'Tides', 'Should list it');
+
+      const history = await call('GET', `/sessions/${created.body.id}`);
+      assert.deepStrictEqual(history.body.messages, [{ role: 'system', content: 'Answer briefly.' }], 'Should return its history');
+
+      const changed = await call('PATCH', `/sessions/${created.body.id}`, { model: 'gpt-4o-mini', maxTokens: 200, context: { strategy: 'sliding' } });
+      assert(changed.status === 200 && changed.body.model === 'gpt-4o-mini', 'Should switch the model');
+      assert.deepStrictEqual(changed.body.config, { temperature: 0.2, maxTokens: 200, context: { strategy: 'sliding' } }, 'Should merge the settings');
+      assert(store.get(created.body.id).config.maxTokens === 200, 'Changes are saved');
+
+      const analyst = await call('POST', '/sessions', { persona: 'document-analyst', personaVariables: { tone: 'warm' } });
+      const [prompt] = (await call('GET', `/sessions/${analyst.body.id}`)).body.messages;
+      assert(prompt.content.startsWith('You are a persistent document analyst') && prompt.content.endsWith('maintain a warm tone.'), 'Should start with the persona');
+      await call('PATCH', `/sessions/${analyst.body.id}`, { persona: 'helpful-assistant' });
+      assert(store.get(analyst.body.id).messages[0].content === 'You are a helpful assistant.', 'Should switch the persona');
+      assert(store.get(analyst.body.id).config === null, 'The persona is not a setting');
+
+      assert(created.body.branch === 'main' && created.body.branches.length === 1 && created.body.branches[0].active, 'Should list the branches');
+      const forked = store.get(created.body.id);
+      forked.messages.push({ role: 'user', content: 'Hi' });
+      forked.fork(1);
+      store.save(forked);
+      const switched = await call('PATCH', `/sessions/${created.body.id}`, { branch: 'main' });
+      assert(switched.body.branch === 'main' && switched.body.messageCount === 1 && switched.body.branches.length === 2, 'Should switch the branch');
+      assert(!('nodes' in switched.body), 'The tree stays on the server');
+
+      assert((await call('DELETE', `/sessions/${created.body.id}`)).status === 204, 'Should delete it');
+      assert((await call('GET', `/sessions/${created.body.id}`)).status === 404, 'A deleted session is gone');
+      assert((await call('DELETE', `/sessions/${created.body.id}`)).status === 404);
+    });
+  });
+
+  runner.test('Messages - the reply streams as server-sent events into the session', async () => {
+    const requests = [];
+    const standIn = createStandInFetch(new StandInAPI());
+    const fetch = (url, init) => {
+      requests.push(JSON.parse(init.body));
+      return standIn(url, init);
+    };
+
+    await withServer({ client: TestEnv.createStandInClient({ module: 'chatbot', fetch }) }, async ({ call, store }) => {
+      const { body: session } = await call('POST', '/sessions', { name: 'Ocean', model: 'gpt-4o', temperature: 0.3, maxTokens: 120 });
+      const sent = await call('POST', `/sessions/${session.id}/messages`, { content: 'Tell me about the ocean tides.' });
+
+      assert(sent.status === 200 && sent.headers.get('content-type') === 'text/event-stream', 'Should answer with an event stream');
+      const events = parseEvents(sent.body);
+      const deltas = events.filter(event => event.event === 'delta').map(event => event.data.text);
+      const done = events.at(-1);
+
+      assert(events[0].event === 'context' && events[0].data.tokens > 0, 'Should start with the context size');
+      assert(deltas.length > 3 && done.event === 'done' && done.data.reply.text === deltas.join(''), 'Should stream the reply piece by piece');
+      TestAssert.isValidUsage(done.data.reply.usage);
+      assert(done.data.reply.cost > 0 && done.data.totals.replies === 1, 'Should report the cost and the totals');
+      const [request] = requests;
+      assert(request.model === 'gpt-4o' && request.temperature === 0.3 && request.max_tokens === 120, 'Should chat with the session\'s settings');
+
+      const saved = store.get(session.id);
+      assert.deepStrictEqual(saved.messages.slice(1), [
+        { role: 'user', content: 'Tell me about the ocean tides.' },
+        { role: 'assistant', content: done.data.reply.text }
+      ], 'The turn is saved');
+      assert(openSession(store, {}, { resume: 'Ocean' }).id === session.id, 'The terminal chatbot can resume it');
+    });
+  });
+
+  runner.test('Tools - calls and results stream as events', async () => {
+    await withServer({}, async ({ call, store }) => {
+      const { body: session } = await call('POST', '/sessions', { tools: ['calculate'] });
+      assert.deepStrictEqual(session.config, { tools: ['calculate'] }, 'The session keeps its tools');
+
+      const sent = await call('POST', `/sessions/${session.id}/messages`, { content: 'Please calculate (2 + 3) * 4' });
+      const events = parseEvents(sent.body);
+      assert.deepStrictEqual(events.map(event => event.event).filter(event => event !== 'delta'), ['context', 'tool_call', 'tool_result', 'done']);
+
+      const toolCall = events.find(event => event.event === 'tool_call').data;
+      const toolResult = events.find(event => event.event === 'tool_result').data;
+      assert(toolCall.name === 'calculate' && JSON.parse(toolCall.arguments).expression === '(2 + 3) * 4', 'Should stream the call');
+      assert.deepStrictEqual(toolResult, { id: toolCall.id, name: 'calculate', output: 'The result of (2 + 3) * 4 is 20', error: false }, 'Should stream the result');
+
+      const { reply } = events.at(-1).data;
+      assert(reply.tools.length === 1 && reply.text.endsWith('is 20'), 'The reply lists its tools and uses the result');
+      assert.deepStrictEqual(store.get(session.id).messages.slice(1).map(message => message.role), ['user', 'assistant', 'tool', 'assistant'], 'The tool turn is saved');
+
+      await call('PATCH', `/sessions/${session.id}`, { tools: [] });
+      const plain = parseEvents((await call('POST', `/sessions/${session.id}/messages`, { content: 'Please calculate 1 + 1' })).body);
+      assert(!plain.some(event => event.event === 'tool_call'), 'Without tools nothing is called');
+    });
+  });
+
+  runner.test('Bad requests - validation, unknown routes and methods', async () => {
+    await withServer({}, async ({ call }) => {
+      const { body: session } = await call('POST', '/sessions');
+
+      const checks = [
+        [await call('POST', '/sessions', { temperature: 7 }), 400, /temperature/],
+        [await call('POST', '/sessions', { model: 'gpt-imaginary' }), 400, /Unknown model/],
+        [await call('POST', '/sessions', { profile: 'turbo' }), 400, /Unknown profile "turbo"/],
+        [await call('POST', '/sessions', { color: 'blue' }), 400, /Unrecognized key/],
+        [await call('POST', '/sessions', { persona: 'pirate' }), 400, /Unknown prompt template "pirate"/],
+        [await call('PATCH', `/sessions/${session.id}`, { tools: ['get_weather', 'get_stock_price'] }), 400, /Unknown tool get_stock_price/],
+        [await call('PATCH', `/sessions/${session.id}`, { branch: 'draft' }), 400, /No branch "draft"/],
+        [await call('PATCH', `/sessions/${session.id}`, { persona: 'helpful-assistant', systemPrompt: 'Hi' }), 400, /systemPrompt or persona, not both/],
+        [await call('POST', `/sessions/${session.id}/messages`, { content: '  ' }), 400, /content: must not be empty/],
+        [await call('POST', '/sessions/missing/messages', { content: 'Hi' }), 404, /No session "missing"/],
+        [await call('GET', '/sessions/%E0'), 400, /not valid URL encoding/],
+        [await call('GET', '/nowhere'), 404, /No route/],
+        [await call('PUT', '/sessions'), 405, /PUT is not allowed/]
+      ];
+      for (const [response, status, message] of checks) {
+        assert(response.status === status, `Expected ${status}, got ${response.status}: ${JSON.stringify(response.body)}`);
+        assert(message.test(response.body.error.message), `Unexpected message: ${response.body.error.message}`);
+      }
+    });
+  });
+
+  runner.test('Failed API calls - status codes, and the message is taken back', async () => {
+    const cases = [
+      [createFailingClient(429, { 'retry-after': '7' }), 429, 'rate_limited'],
+      [createFailingClient(500), 502, 'upstream_error'],
+      [TestEnv.createStandInClient({ module: 'chatbot', budget: new BudgetGuard({ limits: { session: { hard: 0.000001 } } }) }), 402, 'budget_exceeded']
+    ];
+
+    for (const [client, status, type] of cases) {
+      await withServer({ client, retries: 0 }, async ({ call, store }) => {
+        const { body: session } = await call('POST', '/sessions');
+        const sent = await call('POST', `/sessions/${session.id}/messages`, { content: 'Hello there' });
+
+        assert(sent.status === status && sent.body.error.type === type, `Expected ${status} ${type}, got ${sent.status} ${JSON.stringify(sent.body)}`);
+        if (status === 429) assert(sent.headers.get('retry-after') === '7', 'Should pass on Retry-After');
+        if (status === 502) assert(sent.body.error.upstreamStatus === 500, 'Should say what OpenAI answered');
+        assert(store.get(session.id).messages.length === 1, 'The unanswered message is taken back');
+      });
+    }
+  });
+
+  runner.test('Retries - failed calls are tried again until the reply starts streaming', async () => {
+    await withServer({ client: createFailingClient(503, {}, 2), retries: 2, retryDelay: 1 }, async ({ call }) => {
+      const { body: session } = await call('POST', '/sessions');
+      const sent = await call('POST', `/sessions/${session.id}/messages`, { content: 'Hello there' });
+      assert(sent.status === 200 && parseEvents(sent.body).at(-1).event === 'done', 'Should answer after the retries');
+    });
+
+    await withServer({ client: createFailingClient(503), retries: 1, retryDelay: 1 }, async ({ call }) => {
+      const { body: session } = await call('POST', '/sessions');
+      const sent = await call('POST', `/sessions/${session.id}/messages`, { content: 'Hello there' });
+      assert(sent.status === 502 && sent.body.error.upstreamStatus === 503, 'Gives up after the retries');
+    });
+
+    // A stream that drops after its first piece has sent its status already
+    let calls = 0;
+    const chunk = { id: 'chatcmpl-1', object: 'chat.completion.chunk', created: 1, model: 'gpt-4o-mini', choices: [{ index: 0, delta: { content: 'Tides are' }, finish_reason: null }] };
+    const dropping = async () => {
+      calls += 1;
+      let pulls = 0;
+      const body = new ReadableStream({
+        pull(controller) {
+          if (pulls++ === 0) controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(chunk)}\n\n`));
+          else controller.error(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+        }
+      });
+      return new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } });
+    };
+    await withServer({ client: TestEnv.createStandInClient({ module: 'chatbot', fetch: dropping }), retries: 2, retryDelay: 1 }, async ({ call, store }) => {
+      const { body: session } = await call('POST', '/sessions');
+      const sent = await call('POST', `/sessions/${session.id}/messages`, { content: 'Hello there' });
+      const events = parseEvents(sent.body);
+      assert(sent.status === 200 && calls === 1, 'A reply that has started streaming is not retried');
+      assert.deepStrictEqual(events.map(({ event }) => event), ['context', 'delta', 'error'], 'The piece is sent once, then the error');
+      assert(store.get(session.id).messages.length === 1, 'The unanswered message is taken back');
+    });
+  });
+
+  runner.test('Disconnecting - closing the connection stops the reply', async () => {
+    await withServer({ client: TestEnv.createStandInClient({ module: 'chatbot', standIn: { streamDelay: 20 } }), partialReplies: 'keep' }, async ({ call, store, url }) => {
+      const { body: session } = await call('POST', '/sessions');
+      const controller = new AbortController();
+      const response = await fetch(`${url}/sessions/${session.id}/messages`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ content: 'Tell me a long story about the sea and ships.' }),
+        signal: controller.signal
+      });
+
+      const reader = response.body.getReader();
+      let received = '';
+      while (!received.includes('event: delta')) received += new TextDecoder().decode((await reader.read()).value);
+      controller.abort();
+
+      let saved = store.get(session.id);
+      for (let i = 0; i < 100 && saved.messages.length < 3; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        saved = store.get(session.id);
+      }
+      const reply = saved.messages.at(-1);
+      assert(reply.role === 'assistant' && reply.content.length > 0, 'The partial reply is kept');
+      assert(saved.totals.replies === 0, 'The reply stopped before its usage chunk');
+
+      const next = await call('POST', `/sessions/${session.id}/messages`, { content: 'Go on.' });
+      assert(next.status === 200, 'The session is free again');
+    });
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
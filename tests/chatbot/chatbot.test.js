@@ -0,0 +1,334 @@
+/**
+ * Tests for chatbot/chatbot.js and lib/chat-stream.js
+ *
+ * Tests cover:
+ * - Replies stream piece by piece into the conversation
+ * - Usage from the final chunk reaches the usage recorder and the budget
+ * - Stopping a reply keeps or discards the partial text
+ * - Chatbot options and reply summaries
+ * - New and resumed sessions
+ * - Context windows: only the window is sent, the history keeps everything
+ * - The chat runner: retries, readable errors, and the session carries on
+ * - Tools: calls run over several rounds, each shown, up to the round limit
+ */
+
+import assert from 'assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TestRunner, TestAssert, TestEnv } from '../utils/test-helpers.js';
+import { PARTIAL_REPLY_MODES, createChatRunner, describeChatError, describeReply, openContextWindow, openSession, parseChatbotOptions, replyInSession, sendMessage, sessionSettings } from '../../chatbot/chatbot.js';
+import { ChatSession, ChatSessionStore } from '../../lib/chat-sessions.js';
+import { streamChatCompletion } from '../../lib/chat-stream.js';
+import { BudgetGuard } from '../../lib/budget.js';
+import { StandInAPI, createStandInFetch } from '../../lib/stand-in-api.js';
+
+const SETTINGS = { model: 'gpt-4o-mini', profile: 'dev', temperature: 1, systemPrompt: 'You are a helpful assistant.' };
+
+function newConversation(question = 'Tell me about the ocean tides and the moon.') {
+  return [
+    { role: 'system', content: SETTINGS.systemPrompt },
+    { role: 'user', content: question }
+  ];
+}
+
+/**
+ * Send a message and stop the reply once `pieces` pieces have arrived
+ */
+async function sendAndStop(client, conversation, pieces, partialReplies) {
+  const controller = new AbortController();
+  const deltas = [];
+  const reply = await sendMessage(client, conversation, SETTINGS, {
+    signal: controller.signal,
+    partialReplies,
+    onDelta: (text) => {
+      deltas.push(text);
+      if (deltas.length === pieces) controller.abort();
+    }
+  });
+  return { reply, deltas };
+}
+
+/**
+ * Test suite for chatbot.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Streaming - the reply arrives piece by piece and joins the conversation', async () => {
+    const budget = new BudgetGuard();
+    const client = TestEnv.createStandInClient({ module: 'chatbot', budget });
+    const conversation = newConversation();
+    const deltas = [];
+
+    const reply = await sendMessage(client, conversation, SETTINGS, { onDelta: (text) => deltas.push(text) });
+
+    assert(deltas.length > 3 && deltas.join('') === reply.text, 'Should hand every piece to onDelta');
+    assert(!reply.aborted && reply.kept && reply.finishReason === 'stop', 'A finished reply is kept');
+    assert.deepStrictEqual(conversation.at(-1), { role: 'assistant', content: reply.text });
+    TestAssert.isValidUsage(reply.usage);
+
+    const [entry] = client.usageRecorder.entries;
+    assert(client.usageRecorder.entries.length === 1, 'The final chunk should be recorded once');
+    assert(entry.module === 'chatbot' && entry.api === 'chat.completions', 'Streamed calls are tagged like any other');
+    assert.deepStrictEqual(entry.usage, reply.usage, 'Should record the final chunk\'s usage');
+    TestAssert.approximately(budget.sessionSpent, entry.costs.total);
+  });
+
+  runner.test('Stopping - a partial reply is kept', async () => {
+    const client = TestEnv.createStandInClient({ module: 'chatbot', standIn: { streamDelay: 5 } });
+    const conversation = newConversation();
+
+    const { reply, deltas } = await sendAndStop(client, conversation, 2, 'keep');
+
+    assert(reply.aborted && reply.kept, 'Should stop and keep the reply');
+    assert(reply.text === deltas.join('') && deltas.length === 2, `Should stop after two pieces, got ${deltas.length}`);
+    assert(reply.usage === null && client.usageRecorder.entries.length === 0, 'A stopped stream has no usage chunk');
+    assert(conversation.length === 3 && conversation[2].content === reply.text, 'The partial reply joins the conversation');
+
+    const next = await sendMessage(client, [...conversation, { role: 'user', content: 'Go on.' }], SETTINGS);
+    assert(!next.aborted && next.usage, 'The session carries on after a stopped reply');
+  });
+
+  runner.test('Stopping - a partial reply is discarded', async () => {
+    const client = TestEnv.createStandInClient({ module: 'chatbot', standIn: { streamDelay: 5 } });
+    const conversation = newConversation();
+
+    const { reply } = await sendAndStop(client, conversation, 1, 'discard');
+
+    assert(reply.aborted && !reply.kept && reply.text !== '', 'Should stop and discard the reply');
+    assert(conversation.length === 2 && conversation[1].role === 'user', 'The conversation should not change');
+  });
+
+  runner.test('Stream helper - tool calls and an already stopped request', async () => {
+    const client = TestEnv.createStandInClient({ module: 'chatbot' });
+    const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } }];
+
+    const reply = await streamChatCompletion(client, { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Weather in Paris?' }], tools });
+    assert(reply.finishReason === 'tool_calls' && reply.toolCalls[0].function.name === 'get_weather', 'Should collect tool calls');
+    assert(JSON.parse(reply.toolCalls[0].function.arguments).city === 'Paris', 'Should join the arguments');
+
+    const controller = new AbortController();
+    controller.abort();
+    const stopped = await streamChatCompletion(client, { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Hi' }] }, { signal: controller.signal });
+    assert(stopped.aborted && stopped.text === '', 'A request stopped before it was sent has no text');
+  });
+
+  runner.test('Options - partial replies from the flag or the environment', () => {
+    assert.deepStrictEqual(parseChatbotOptions([], {}), { partialReplies: 'keep', resume: null, context: {}, retries: 3, input: null, format: 'text', markdown: true, tools: null, save: false }, 'Should keep partial replies by default');
+    assert(parseChatbotOptions(['--save'], {}).save === true, 'Batch sessions are saved on request');
+    assert(parseChatbotOptions(['--markdown', 'off'], {}).markdown === false && parseChatbotOptions([], { CHATBOT_MARKDOWN: 'off' }).markdown === false, 'Replies can be printed raw');
+    assert.throws(() => parseChatbotOptions(['--markdown=plain'], {}), /--markdown must be on or off/);
+    assert(parseChatbotOptions([], { CHATBOT_PARTIAL_REPLIES: 'discard' }).partialReplies === 'discard', 'Should read the environment');
+    assert(parseChatbotOptions(['--partial-replies=keep'], { CHATBOT_PARTIAL_REPLIES: 'discard' }).partialReplies === 'keep', 'The flag wins');
+    assert(parseChatbotOptions(['--partial-replies', 'discard'], {}).partialReplies === 'discard', 'Should accept a separate value');
+    assert.throws(() => parseChatbotOptions(['--partial-replies', 'sometimes'], {}), /must be one of keep, discard/);
+    assert.deepStrictEqual(PARTIAL_REPLY_MODES, ['keep', 'discard']);
+
+    const usage = { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 };
+    assert(/^📊 30 tokens · \$0\.0000\d+$/.test(describeReply({ aborted: false, usage }, 'gpt-4o-mini')), 'Should describe the cost');
+    assert(describeReply({ aborted: true, kept: false }, 'gpt-4o-mini').includes('discarded'), 'Should say a stopped reply was discarded');
+  });
+
+  runner.test('Sessions - start new ones and resume saved ones', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'chatbot-sessions-'));
+    try {
+      const store = new ChatSessionStore(dir);
+      assert.throws(() => openSession(store, SETTINGS, { resume: true }), /no saved session/);
+
+      const session = openSession(store, SETTINGS);
+      assert.deepStrictEqual(session.messages, [{ role: 'system', content: SETTINGS.systemPrompt }], 'A new session starts with the system prompt');
+
+      session.messages.push({ role: 'user', content: 'Tell me about the ocean tides.' });
+      const reply = await sendMessage(TestEnv.createStandInClient({ module: 'chatbot' }), session.messages, SETTINGS);
+      session.recordUsage(reply.usage);
+      store.save(session);
+
+      const resumed = openSession(store, { ...SETTINGS, model: 'gpt-4o', systemPrompt: 'Changed.' }, parseChatbotOptions(['--resume'], {}));
+      assert.deepStrictEqual(resumed.messages, session.messages, 'Resuming restores the exact history');
+      assert(resumed.model === 'gpt-4o-mini' && resumed.totals.totalTokens === reply.usage.total_tokens, 'Resuming keeps the model and totals');
+
+      resumed.config = { temperature: 0.2, context: { maxTokens: 500 } };
+      assert.deepStrictEqual(sessionSettings({ ...SETTINGS, model: 'gpt-4o', context: { strategy: 'summary', maxTokens: 3000 } }, resumed), {
+        ...SETTINGS, temperature: 0.2, context: { strategy: 'summary', maxTokens: 500 }
+      }, 'The session\'s own model and settings win over the module\'s');
+      assert(openSession(store, SETTINGS, parseChatbotOptions(['--resume', session.id.slice(0, 15)], {})).id === session.id, 'Should resume by id');
+      assert(parseChatbotOptions(['--resume=Tides', '--partial-replies', 'discard'], {}).resume === 'Tides', 'Should take the session after --resume=');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  runner.test('Context - only the window is sent, the history keeps everything', async () => {
+    const client = TestEnv.createStandInClient({ module: 'chatbot' });
+    const settings = { ...SETTINGS, context: { strategy: 'summary', maxTokens: 2000 } };
+    const options = parseChatbotOptions(['--context', 'sliding', '--context-tokens=150'], {});
+    assert.deepStrictEqual(options.context, { strategy: 'sliding', maxTokens: 150 }, 'Should read the context flags');
+    assert.throws(() => parseChatbotOptions(['--context', 'forever'], {}), /--context must be one of full, sliding, summary/);
+    assert.throws(() => parseChatbotOptions(['--context-tokens', 'lots'], {}), /positive whole number/);
+
+    const session = ChatSession.start({ model: settings.model, systemPrompt: settings.systemPrompt });
+    const context = openContextWindow(client, session, settings, options);
+    assert(context.strategy === 'sliding' && context.settings.maxTokens === 150, 'Flags override the module settings');
+
+    for (const question of ['Tell me about tides.', 'And about waves?', 'What about currents in the deep ocean?']) {
+      session.messages.push({ role: 'user', content: question });
+      const prepared = await context.prepare(session.messages);
+      const reply = await sendMessage(client, session.messages, settings, { messages: prepared.messages });
+      assert(reply.kept && session.messages.at(-1).content === reply.text, 'The reply joins the full history');
+      assert(reply.usage.prompt_tokens < 150 + 20, `Only the window is sent, got ${reply.usage.prompt_tokens} prompt tokens`);
+    }
+    assert(session.messages.length === 7, 'The history keeps every message');
+  });
+
+  runner.test('Runner - failed calls are retried and errors keep the session going', async () => {
+    const options = parseChatbotOptions(['--retries=1', '--input', 'prompts.txt', '--format', 'jsonl'], { CHATBOT_RETRIES: '5' });
+    assert(options.retries === 1 && options.input === 'prompts.txt' && options.format === 'jsonl', 'Should read the batch flags');
+    assert(parseChatbotOptions([], { CHATBOT_RETRIES: '0' }).retries === 0, 'Should read CHATBOT_RETRIES');
+    assert.throws(() => parseChatbotOptions(['--retries', 'a few'], {}), /--retries must be a whole number/);
+    assert.throws(() => parseChatbotOptions(['--format', 'xml'], {}), /--format must be one of text, jsonl/);
+
+    // The API answers with `statuses` in turn, then as usual
+    const standIn = createStandInFetch(new StandInAPI());
+    const failing = (statuses) => async (url, init) => {
+      const status = statuses.shift();
+      if (status === undefined) return standIn(url, init);
+      return new Response(JSON.stringify({ error: { message: `Upstream said ${status}`, type: 'server_error' } }), {
+        status,
+        headers: { 'content-type': 'application/json' }
+      });
+    };
+    const start = (statuses) => {
+      const client = TestEnv.createStandInClient({ module: 'chatbot', fetch: failing(statuses) });
+      const session = ChatSession.start({ model: SETTINGS.model, systemPrompt: SETTINGS.systemPrompt });
+      const seen = { retries: [], errors: [], text: '' };
+      const chatRunner = createChatRunner({
+        client,
+        session,
+        settings: SETTINGS,
+        context: openContextWindow(client, session, SETTINGS),
+        retries: 2,
+        retryDelay: 1,
+        ui: {
+          onDelta: (text) => { seen.text += text; },
+          onRetry: (info) => seen.retries.push(info),
+          onError: (_error, message) => seen.errors.push(message)
+        }
+      });
+      return { session, seen, chatRunner };
+    };
+
+    const retried = start([503, 429]);
+    const { reply } = await retried.chatRunner.handle('Tell me about tides.');
+    assert(reply.text === retried.seen.text && reply.model === SETTINGS.model && retried.session.messages.length === 3, 'Should answer after the retries');
+    assert.deepStrictEqual(retried.seen.retries.map(({ attempt, message }) => [attempt, message]), [
+      [1, 'OpenAI had a server error (503)'],
+      [2, 'OpenAI is rate limiting requests (429)']
+    ], 'Each retry is shown');
+
+    const failed = start([500, 500, 500]);
+    const { error } = await failed.chatRunner.handle('Tell me about tides.');
+    assert(error.status === 500 && failed.seen.retries.length === 2, 'Gives up after the retries');
+    assert.deepStrictEqual(failed.session.messages.map(message => message.role), ['system'], 'The unanswered message is taken back');
+    assert((await failed.chatRunner.handle('Try again.')).reply.text.length > 0, 'The session carries on');
+
+    // A stream that drops after its first piece is not sent again: the
+    // piece has been shown, and a second reply would repeat it
+    const dropped = start([]);
+    const dropping = TestEnv.createStandInClient({
+      module: 'chatbot',
+      fetch: async () => {
+        const chunk = { id: 'chatcmpl-1', object: 'chat.completion.chunk', created: 1, model: SETTINGS.model, choices: [{ index: 0, delta: { content: 'Tides are' }, finish_reason: null }] };
+        let pulls = 0;
+        const body = new ReadableStream({
+          pull(controller) {
+            if (pulls++ === 0) controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(chunk)}\n\n`));
+            else controller.error(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+          }
+        });
+        return new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } });
+      }
+    });
+    const midStream = createChatRunner({
+      client: dropping,
+      session: dropped.session,
+      settings: SETTINGS,
+      context: openContextWindow(dropping, dropped.session, SETTINGS),
+      retries: 2,
+      retryDelay: 1,
+      ui: {
+        onDelta: (text) => { dropped.seen.text += text; },
+        onRetry: (info) => dropped.seen.retries.push(info),
+        onError: (_error, message) => dropped.seen.errors.push(message)
+      }
+    });
+    const { error: dropError } = await midStream.handle('Tell me about tides.');
+    assert(dropError?.code === 'ECONNRESET' && dropped.seen.retries.length === 0, 'A stream that has started is not retried');
+    assert(dropped.seen.text === 'Tides are', `The first piece is shown once, got "${dropped.seen.text}"`);
+    assert.deepStrictEqual(dropped.session.messages.map(message => message.role), ['system'], 'The unanswered message is taken back');
+
+    const rejected = start([401]);
+    await rejected.chatRunner.handle('Hello');
+    assert(rejected.seen.retries.length === 0 && /rejected the API key/.test(rejected.seen.errors[0]), 'A rejected key is not retried');
+    assert(describeChatError(new Error('Something else')) === 'Something else', 'Other errors keep their message');
+    assert.deepStrictEqual(await rejected.chatRunner.handle('   '), {}, 'Blank input does nothing');
+    assert((await rejected.chatRunner.handle('/exit')).exit, 'Commands run first');
+  });
+
+  runner.test('Tools - calls run over several rounds and each is shown', async () => {
+    assert(parseChatbotOptions(['--tools', 'all'], {}).tools === 'all');
+    assert.deepStrictEqual(parseChatbotOptions(['--tools=get_weather, calculate'], {}).tools, ['get_weather', 'calculate']);
+    assert.deepStrictEqual(parseChatbotOptions(['--tools', 'none'], {}).tools, [], 'none turns tools off');
+    assert.throws(() => parseChatbotOptions(['--tools='], {}), /--tools needs tool names, all or none/);
+
+    const client = TestEnv.createStandInClient({ module: 'chatbot' });
+    const settings = { ...SETTINGS, tools: ['get_weather', 'get_current_time'] };
+    const session = ChatSession.start({ model: settings.model, systemPrompt: settings.systemPrompt });
+    const seen = { calls: [], results: [], contexts: 0 };
+    const chatRunner = createChatRunner({
+      client,
+      session,
+      settings,
+      context: openContextWindow(client, session, settings),
+      ui: {
+        onContext: () => { seen.contexts++; },
+        onToolCall: (toolCall) => seen.calls.push(toolCall.function.name),
+        onToolResult: (invocation) => seen.results.push(invocation)
+      }
+    });
+
+    const { reply } = await chatRunner.handle('What is the weather in Paris and the current time in Europe/Paris?');
+    assert.deepStrictEqual(seen.calls.sort(), ['get_current_time', 'get_weather'], 'Both tools are called');
+    assert(seen.contexts === 3, `Each round prepares the context, got ${seen.contexts}`);
+    assert(reply.tools.length === 2 && reply.tools.every(invocation => !invocation.error), 'The reply lists the tool invocations');
+    assert(reply.tools.some(invocation => invocation.output === 'Weather in Paris: partly cloudy, 15°C (mock data)'));
+    assert(reply.tools.some(invocation => /^It is .+ in Europe\/Paris$/.test(invocation.output)));
+    assert(reply.text.startsWith('Here is what I found:'), 'The last round answers');
+
+    assert.deepStrictEqual(session.messages.map(message => message.role), ['system', 'user', 'assistant', 'tool', 'assistant', 'tool', 'assistant']);
+    assert(session.messages[2].tool_calls[0].id === session.messages[3].tool_call_id, 'Each result answers its call');
+    assert(session.totals.replies === 1, 'Only the answer counts as a reply');
+    assert(reply.usage.total_tokens === session.totals.totalTokens, 'The reply\'s usage covers every round');
+
+    // Past the round limit, calls are answered without being run
+    const limited = ChatSession.start({ model: settings.model, systemPrompt: settings.systemPrompt });
+    limited.messages.push({ role: 'user', content: 'What is the weather in Paris and the current time in Europe/Paris?' });
+    const stopped = await replyInSession(client, limited, settings, openContextWindow(client, limited, settings), { maxToolRounds: 1 });
+    assert(stopped.tools.length === 2 && stopped.tools[1].error && /limit of 1 tool rounds/.test(stopped.tools[1].output), 'The second round is not run');
+    assert(limited.messages.at(-1).role === 'tool', 'The unrun call still gets a result');
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,265 @@
+/**
+ * Tests for chatbot/commands.js
+ *
+ * Tests cover:
+ * - /system and /model change the session and its settings
+ * - /persona switches to a persona from the prompt library
+ * - /tools lists the tools and turns them on or off for the session
+ * - /undo, /retry and /reset edit the conversation
+ * - /edit and /regenerate fork branches; /branches and /branch list and switch them
+ * - /cost and /export report on the session
+ * - Other modules can add commands to the chatbot's registry
+ */
+
+import assert from 'assert';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TestRunner } from '../utils/test-helpers.js';
+import { createChatbotCommands, parseExportArgs } from '../../chatbot/commands.js';
+import { ChatSession } from '../../lib/chat-sessions.js';
+import { ContextWindow } from '../../lib/context-window.js';
+import { CommandError } from '../../lib/slash-commands.js';
+import { PromptLibrary, parsePromptTemplate } from '../../lib/prompt-library.js';
+import { createToolRegistry } from '../../lib/tools.js';
+
+const USAGE = { prompt_tokens: 40, completion_tokens: 10, total_tokens: 50 };
+
+/**
+ * A session with two answered turns and the context a chat loop would pass
+ */
+function chatContext() {
+  const session = ChatSession.start({ model: 'gpt-4o-mini', systemPrompt: 'You are a helpful assistant.' });
+  session.messages.push(
+    { role: 'user', content: 'Tell me about tides.' },
+    { role: 'assistant', content: 'Tides follow the moon.' },
+    { role: 'user', content: 'And waves?' },
+    { role: 'assistant', content: 'Waves come from wind.' }
+  );
+  session.recordUsage(USAGE);
+  session.recordUsage(USAGE);
+
+  const printed = [];
+  const replies = [];
+  return {
+    session,
+    settings: { model: 'gpt-4o-mini', systemPrompt: 'You are a helpful assistant.' },
+    context: new ContextWindow({ model: 'gpt-4o-mini', strategy: 'summary', state: { summary: 'Tides.', summarized: 2 } }),
+    respond: async () => {
+      replies.push([...session.messages]);
+      session.messages.push({ role: 'assistant', content: 'Another answer.' });
+    },
+    print: (text) => printed.push(text),
+    printed,
+    replies
+  };
+}
+
+/**
+ * Test suite for commands.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('/system and /model - change the prompt and the model', async () => {
+    const commands = createChatbotCommands();
+    const context = chatContext();
+
+    await commands.execute('/system You answer in French.', context);
+    assert.deepStrictEqual(context.session.messages[0], { role: 'system', content: 'You answer in French.' });
+    assert(context.session.messages.length === 5 && context.settings.systemPrompt === 'You answer in French.', 'Only the prompt changes');
+    await commands.execute('/system', context);
+    assert(context.printed.at(-1).includes('You answer in French.'), 'Without text it shows the prompt');
+
+    await commands.execute('/model gpt-4o', context);
+    assert(context.settings.model === 'gpt-4o' && context.session.model === 'gpt-4o' && context.context.model === 'gpt-4o', 'Should switch everywhere');
+    await assert.rejects(commands.execute('/model gpt-imaginary', context), (error) => error instanceof CommandError && /Priced models: .*gpt-4o-mini/.test(error.message));
+    assert(context.settings.model === 'gpt-4o', 'An unknown model changes nothing');
+  });
+
+  runner.test('/persona - switch to a persona from the prompt library', async () => {
+    const prompts = new PromptLibrary([
+      parsePromptTemplate('---\nname: pirate\nvariables:\n  ship:\n  mood: cheerful\n---\nYou are a {{mood}} pirate aboard the {{ship}}.'),
+      parsePromptTemplate('---\nname: tutor\n---\nYou are a patient tutor.')
+    ]);
+    const commands = createChatbotCommands({ prompts });
+    const context = chatContext();
+    context.settings.personaVariables = { ship: 'Kestrel' };
+
+    await commands.execute('/persona', context);
+    assert(context.printed.at(-1).includes('none (a custom system prompt)') && context.printed.at(-1).includes('pirate, tutor'), 'Should list the personas');
+
+    await commands.execute('/persona pirate mood=grumpy', context);
+    assert.deepStrictEqual(context.session.messages[0], { role: 'system', content: 'You are a grumpy pirate aboard the Kestrel.' }, 'Should render with the settings\' variables and the given ones');
+    assert(context.settings.persona === 'pirate' && context.session.messages.length === 5, 'Only the prompt changes');
+
+    await assert.rejects(commands.execute('/persona ninja', context), (error) => error instanceof CommandError && /Unknown prompt template "ninja"/.test(error.message));
+    await assert.rejects(commands.execute('/persona pirate mood', context), /Expected variable=value/);
+    context.settings.personaVariables = {};
+    await assert.rejects(commands.execute('/persona pirate', context), /pirate@1 needs \{\{ship\}\}/);
+
+    await commands.execute('/system Be brief.', context);
+    assert(context.settings.persona === undefined, 'A custom system prompt replaces the persona');
+  });
+
+  runner.test('/tools - list the tools and turn them on or off', async () => {
+    const commands = createChatbotCommands({ tools: createToolRegistry() });
+    const context = chatContext();
+
+    await commands.execute('/tools on get_weather calculate', context);
+    assert.deepStrictEqual(context.settings.tools, ['get_weather', 'calculate']);
+    assert.deepStrictEqual(context.session.config.tools, ['get_weather', 'calculate'], 'The session keeps its tools');
+
+    await commands.execute('/tools', context);
+    const listing = context.printed.at(-1);
+    assert(listing.includes('✅ calculate') && listing.includes('⬜ get_current_time - Get the current date and time'), 'Should list every tool, marking those on');
+
+    await commands.execute('/tools off calculate', context);
+    assert.deepStrictEqual(context.settings.tools, ['get_weather']);
+    await commands.execute('/tools on all', context);
+    assert(context.settings.tools.length === 4, 'all turns every tool on');
+    await commands.execute('/tools off all', context);
+    assert(context.printed.at(-1) === '🔧 No tools are on' && context.session.config.tools.length === 0);
+
+    await assert.rejects(commands.execute('/tools on get_stock_price', context), (error) => error instanceof CommandError && /Unknown tool get_stock_price\. Tools: calculate, /.test(error.message));
+    await assert.rejects(commands.execute('/tools maybe calculate', context), /Usage: \/tools/);
+    await assert.rejects(commands.execute('/tools on', context), /Name the tools to turn on/);
+  });
+
+  runner.test('/undo, /retry and /reset - edit the conversation', async () => {
+    const commands = createChatbotCommands();
+    const context = chatContext();
+    const { session } = context;
+
+    const respond = context.respond;
+    context.respond = async () => {
+      session.messages.push({ role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'calculate', arguments: '{}' } }] });
+      throw new Error('OpenAI rejected the request (400)');
+    };
+    await assert.rejects(commands.execute('/retry', context), /rejected the request/);
+    assert.deepStrictEqual(session.messages.slice(-2), [{ role: 'user', content: 'And waves?' }, { role: 'assistant', content: 'Waves come from wind.' }], 'A failed retry keeps the old reply');
+    context.respond = respond;
+
+    await commands.execute('/retry', context);
+    assert.deepStrictEqual(context.replies[0].at(-1), { role: 'user', content: 'And waves?' }, 'The last reply is dropped before answering again');
+    assert(session.messages.length === 5 && session.messages.at(-1).content === 'Another answer.', 'The new reply replaces it');
+
+    await commands.execute('/undo', context);
+    assert(session.messages.length === 3 && session.messages.at(-1).content === 'Tides follow the moon.', 'Undo removes the last turn');
+    assert(context.context.state.summary === 'Tides.', 'The summary still covers the first turn');
+    await commands.execute('/undo', context);
+    assert(session.messages.length === 1 && context.context.state.summary === null, 'Undoing summarized messages starts the summary over');
+    session.messages.push({ role: 'user', content: 'Hello again.' });
+
+    await commands.execute('/reset', context);
+    assert.deepStrictEqual(session.messages, [{ role: 'system', content: 'You are a helpful assistant.' }], 'Reset keeps the system prompt');
+    assert(session.totals.replies === 2, 'Reset keeps what was spent');
+    await assert.rejects(commands.execute('/undo', context), /nothing to undo/);
+    await assert.rejects(commands.execute('/retry', context), /no message to answer again/);
+  });
+
+  runner.test('/edit, /regenerate and /branch - fork and switch branches', async () => {
+    const commands = createChatbotCommands();
+    const context = chatContext();
+    const { session } = context;
+
+    await commands.execute('/history', context);
+    assert(context.printed.at(-1) === '📜 main:\n  1. You: Tell me about tides.\n     Bot: Tides follow the moon.\n  2. You: And waves?\n     Bot: Waves come from wind.');
+
+    await commands.execute('/edit 2 And swells?', context);
+    assert(session.branch === 'branch-2' && context.printed.at(-1).includes('Editing turn 2 on branch-2'), 'Editing forks a branch');
+    assert.deepStrictEqual(context.replies[0].slice(-2), [{ role: 'assistant', content: 'Tides follow the moon.' }, { role: 'user', content: 'And swells?' }], 'The edited message is answered');
+    assert(context.context.state.summary === 'Tides.', 'The summary of the shared turn carries over');
+
+    await commands.execute('/regen 1', context);
+    assert(session.branch === 'branch-3' && session.messages.length === 3 && session.messages[2].content === 'Another answer.', 'Regenerating answers again on a new branch');
+    assert(context.context.state.summary === null, 'A summary of messages the branch does not share starts over');
+
+    await commands.execute('/branches', context);
+    const listing = context.printed.at(-1);
+    assert(listing.includes('* branch-3') && listing.includes('from branch-2 at turn 1') && listing.includes('from main at turn 2'), `Should list the branches:\n${listing}`);
+
+    await commands.execute('/branch main', context);
+    assert(session.branch === 'main' && session.messages.at(-1).content === 'Waves come from wind.', 'Switching brings the branch back');
+    assert(context.context.state.summary === 'Tides.', 'Each branch keeps its context window');
+    assert(context.printed.at(-1).includes('2. You: And waves?'), 'Switching shows the last turn');
+    await commands.execute('/branch', context);
+    assert(context.printed.at(-1).startsWith('🌿 On main (3 branches'));
+
+    await commands.execute('/cost', context);
+    assert(/Branch: +main, 2 replies/.test(context.printed.at(-1)), 'The cost shows the branch\'s totals');
+
+    await assert.rejects(commands.execute('/branch nope', context), (error) => error instanceof CommandError && /No branch "nope"/.test(error.message));
+    await assert.rejects(commands.execute('/edit 5 Hi', context), /Pick a turn from 1 to 2/);
+    await assert.rejects(commands.execute('/edit 2', context), /Usage: \/edit <turn> <message>/);
+    await assert.rejects(commands.execute('/regenerate last', context), /Expected a turn number/);
+    assert(session.branches.length === 3, 'Failed commands make no branches');
+
+    // A fork whose reply fails is dropped, and the chat goes back
+    context.respond = async () => {
+      throw new Error('OpenAI rejected the request (400)');
+    };
+    for (const command of ['/edit 2 And currents?', '/regenerate']) {
+      await assert.rejects(commands.execute(command, context), /rejected the request/);
+      assert(session.branch === 'main' && session.branches.length === 3, `${command} leaves no branch behind`);
+      assert(session.messages.at(-1).content === 'Waves come from wind.' && context.context.state.summary === 'Tides.', `${command} goes back to main as it was`);
+    }
+  });
+
+  runner.test('/cost and /export - report on the session', async () => {
+    const commands = createChatbotCommands();
+    const context = chatContext();
+
+    await commands.execute('/cost', context);
+    assert(/Replies: 2/.test(context.printed[0]) && /Tokens: +100 \(80 input, 20 output\)/.test(context.printed[0]), 'Should show the totals');
+
+    assert.deepStrictEqual(parseExportArgs('', context.session), { format: 'md', path: `${context.session.id}.md` });
+    assert.deepStrictEqual(parseExportArgs('json', context.session), { format: 'json', path: `${context.session.id}.json` });
+    assert.deepStrictEqual(parseExportArgs('notes/tides.json', context.session), { format: 'json', path: 'notes/tides.json' });
+
+    const dir = mkdtempSync(join(tmpdir(), 'chatbot-export-'));
+    try {
+      const path = join(dir, 'tides.md');
+      await commands.execute(`/export md ${path}`, context);
+      const transcript = readFileSync(path, 'utf-8');
+      assert(transcript.startsWith('# Tell me about tides.') && transcript.includes('## Bot\n\nWaves come from wind.'), 'Should write the transcript');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  runner.test('Registry - exit and commands from other modules', async () => {
+    const commands = createChatbotCommands();
+    const context = chatContext();
+
+    for (const input of ['/exit', '/quit', '/EXIT']) {
+      assert((await commands.execute(input, context)).exit, `${input} should leave the chat`);
+    }
+    for (const input of ['exit', 'Quit', 'bye']) {
+      assert(!(await commands.execute(input, context)).handled, `"${input}" is an ordinary message`);
+    }
+
+    commands.register({ name: 'count', description: 'Count the messages', run: (_args, { session, print }) => print(`${session.messages.length} messages`) });
+    await commands.execute('/count', context);
+    assert(context.printed.at(-1) === '5 messages', 'Should run a command added by another module');
+
+    await commands.execute('/help', context);
+    for (const name of ['system', 'persona', 'model', 'reset', 'undo', 'retry', 'cost', 'export', 'help', 'exit', 'count']) {
+      assert(context.printed.at(-1).includes(`/${name}`), `/help should list /${name}`);
+    }
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -183,10 +183,8 @@ export async function runTests(config = {}) {
       return;
     }
     
-    const client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      organization: process.env.OPENAI_ORG_ID
-    });
+    // The shared client factory sets the organization header from OPENAI_ORG_ID
+    const client = TestEnv.createTestClient();
     
     try {
       // Make a simple API call to verify the organization setting works
@@ -1,474 +0,0 @@
-/**
- * Tests for foundations/token-cost-demo.js
- * 
- * Tests cover:
- * - CostTracker class initialization and methods
- * - Cost calculation accuracy for different models
- * - Token usage tracking and session management
- * - Pricing data validation
- * - Error handling for invalid models/inputs
- * - Statistics aggregation
- * - CSV export functionality
- * - Cost projection calculations
- */
-
-import assert from 'assert';
-import { TestRunner, TestEnv, TestAssert, MockData, PRICING, calculateExpectedCost } from '../utils/test-helpers.js';
-
-// Import the CostTracker class and pricing from the actual implementation
-// We'll use dynamic import to handle the file structure
-let CostTracker, DEMO_PRICING;
-
-/**
- * Load the CostTracker class from token-cost-demo.js
- */
-async function loadCostTracker() {
-  try {
-    // Read the file and extract the CostTracker class
-    // Since the original file runs code immediately, we'll create a test version
-    const fs = await import('fs');
-    const path = await import('path');
-    
-    const demoPath = path.join(process.cwd(), 'foundations', 'token-cost-demo.js');
-    const demoCode = await fs.promises.readFile(demoPath, 'utf-8');
-    
-    // Extract the CostTracker class definition and PRICING constant
-    const classMatch = demoCode.match(/class CostTracker\s*{[\s\S]*?^}/m);
-    const pricingMatch = demoCode.match(/const PRICING = {[\s\S]*?};/m);
-    
-    if (!classMatch || !pricingMatch) {
-      throw new Error('Could not extract CostTracker class or PRICING from demo file');
-    }
-    
-    // Create a module string with just the class and pricing
-    const moduleCode = `
-import { OpenAI } from 'openai';
-
-${pricingMatch[0]}
-
-${classMatch[0]}
-
-export { CostTracker, PRICING };
-`;
-    
-    // Write to a temporary file and import it
-    const tempPath = path.join(process.cwd(), 'tests', 'temp-cost-tracker.js');
-    await fs.promises.writeFile(tempPath, moduleCode);
-    
-    const module = await import(`file://${tempPath}`);
-    CostTracker = module.CostTracker;
-    DEMO_PRICING = module.PRICING;
-    
-    // Clean up temp file
-    await fs.promises.unlink(tempPath);
-    
-  } catch (error) {
-    console.warn('Could not load CostTracker from demo file, using mock implementation');
-    
-    // Fallback: Create a mock CostTracker for testing
-    CostTracker = class MockCostTracker {
-      constructor() {
-        this.sessions = [];
-        this.totalCost = 0;
-        this.totalTokens = 0;
-        this.conversationCount = 0;
-      }
-      
-      async trackConversation(messages, model = 'gpt-4o-mini', description = '') {
-        // Need OpenAI for real API calls
-        const { OpenAI } = await import('openai');
-        
-        if (!TestEnv.hasApiKey()) {
-          throw new Error('No API key available for testing');
-        }
-        
-        const openai = TestEnv.createTestClient();
-        
-        try {
-          const response = await openai.chat.completions.create({
-            model,
-            messages,
-            max_tokens: 10
-          });
-          
-          const usage = response.usage;
-          const costs = calculateExpectedCost(usage, model);
-          
-          const session = {
-            id: this.conversationCount + 1,
-            model,
-            description,
-            usage,
-            costs,
-            responseTime: 100,
-            timestamp: new Date().toISOString(),
-            response: response.choices[0].message.content
-          };
-          
-          this.sessions.push(session);
-          this.totalCost += costs.totalCost;
-          this.totalTokens += usage.total_tokens;
-          this.conversationCount++;
-          
-          return response;
-        } catch (error) {
-          throw error;
-        }
-      }
-      
-      displayConversationResults() { /* mock */ }
-      displayRunningTotals() { /* mock */ }
-      generateReport() { /* mock */ }
-      
-      exportToCSV() {
-        const header = 'ID,Model,Description,InputTokens,OutputTokens,TotalTokens,InputCost,OutputCost,TotalCost,ResponseTime,Timestamp\n';
-        const rows = this.sessions.map(s => 
-          `${s.id},${s.model},"${s.description}",${s.usage.prompt_tokens},${s.usage.completion_tokens},${s.usage.total_tokens},${s.costs.inputCost},${s.costs.outputCost},${s.costs.totalCost},${s.responseTime},${s.timestamp}`
-        ).join('\n');
-        return header + rows;
-      }
-    };
-    
-    DEMO_PRICING = PRICING;
-  }
-}
-
-/**
- * Test suite for token-cost-demo.js
- */
-export async function runTests(config = {}) {
-  const runner = new TestRunner();
-  
-  // Load the CostTracker class before running tests
-  await loadCostTracker();
-
-  // Unit Tests - CostTracker class initialization
-  runner.test('CostTracker initialization - default state', () => {
-    const tracker = new CostTracker();
-    
-    assert(Array.isArray(tracker.sessions), 'sessions should be an array');
-    assert(tracker.sessions.length === 0, 'sessions should start empty');
-    assert(tracker.totalCost === 0, 'totalCost should start at 0');
-    assert(tracker.totalTokens === 0, 'totalTokens should start at 0');
-    assert(tracker.conversationCount === 0, 'conversationCount should start at 0');
-  });
-
-  // Unit Tests - Pricing data validation
-  runner.test('Pricing data validation - all required models', () => {
-    const requiredModels = ['gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo'];
-    
-    for (const model of requiredModels) {
-      assert(DEMO_PRICING[model], `Pricing should include ${model}`);
-      assert(typeof DEMO_PRICING[model].input === 'number', `${model} input price should be number`);
-      assert(typeof DEMO_PRICING[model].output === 'number', `${model} output price should be number`);
-      assert(DEMO_PRICING[model].input > 0, `${model} input price should be positive`);
-      assert(DEMO_PRICING[model].output > 0, `${model} output price should be positive`);
-    }
-  });
-
-  runner.test('Cost calculation accuracy - gpt-4o-mini', () => {
-    const usage = { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 };
-    const model = 'gpt-4o-mini';
-    const pricing = DEMO_PRICING[model];
-    
-    const expectedInputCost = (usage.prompt_tokens / 1_000_000) * pricing.input;
-    const expectedOutputCost = (usage.completion_tokens / 1_000_000) * pricing.output;
-    const expectedTotal = expectedInputCost + expectedOutputCost;
-    
-    const calculated = calculateExpectedCost(usage, model);
-    
-    TestAssert.approximately(calculated.inputCost, expectedInputCost, 0.000001);
-    TestAssert.approximately(calculated.outputCost, expectedOutputCost, 0.000001);
-    TestAssert.approximately(calculated.totalCost, expectedTotal, 0.000001);
-  });
-
-  runner.test('Cost calculation accuracy - gpt-4o', () => {
-    const usage = { prompt_tokens: 2000, completion_tokens: 1000, total_tokens: 3000 };
-    const model = 'gpt-4o';
-    const pricing = DEMO_PRICING[model];
-    
-    const expectedInputCost = (usage.prompt_tokens / 1_000_000) * pricing.input;
-    const expectedOutputCost = (usage.completion_tokens / 1_000_000) * pricing.output;
-    
-    const calculated = calculateExpectedCost(usage, model);
-    
-    TestAssert.approximately(calculated.inputCost, expectedInputCost, 0.000001);
-    TestAssert.approximately(calculated.outputCost, expectedOutputCost, 0.000001);
-    
-    // Verify gpt-4o is more expensive than gpt-4o-mini
-    const miniCost = calculateExpectedCost(usage, 'gpt-4o-mini');
-    assert(calculated.totalCost > miniCost.totalCost, 'gpt-4o should be more expensive than gpt-4o-mini');
-  });
-
-  runner.test('Cost calculation accuracy - gpt-3.5-turbo', () => {
-    const usage = { prompt_tokens: 500, completion_tokens: 300, total_tokens: 800 };
-    const model = 'gpt-3.5-turbo';
-    
-    const calculated = calculateExpectedCost(usage, model);
-    
-    TestAssert.isValidCost(calculated.inputCost);
-    TestAssert.isValidCost(calculated.outputCost);
-    TestAssert.isValidCost(calculated.totalCost);
-    
-    // Verify total cost is sum of input and output
-    TestAssert.approximately(calculated.totalCost, calculated.inputCost + calculated.outputCost);
-  });
-
-  runner.test('Error handling - invalid model', () => {
-    const usage = { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 };
-    
-    assert.throws(() => {
-      calculateExpectedCost(usage, 'invalid-model');
-    }, /Unknown model/, 'Should throw error for invalid model');
-  });
-
-  runner.test('Token usage tracking - session management', async () => {
-    const tracker = new CostTracker();
-    const messages = MockData.mockMessages(1);
-    
-    // Mock trackConversation for unit test
-    if (config.unitOnly) {
-      const mockUsage = MockData.mockUsage('gpt-4o-mini');
-      const mockCosts = calculateExpectedCost(mockUsage, 'gpt-4o-mini');
-      
-      // Simulate what trackConversation does
-      const session = {
-        id: 1,
-        model: 'gpt-4o-mini',
-        description: 'Test conversation',
-        usage: mockUsage,
-        costs: mockCosts,
-        responseTime: 100,
-        timestamp: new Date().toISOString(),
-        response: 'Test response'
-      };
-      
-      tracker.sessions.push(session);
-      tracker.totalCost += mockCosts.totalCost;
-      tracker.totalTokens += mockUsage.total_tokens;
-      tracker.conversationCount++;
-      
-      assert(tracker.sessions.length === 1, 'Should have one session');
-      assert(tracker.conversationCount === 1, 'Should have count of 1');
-      TestAssert.isValidCost(tracker.totalCost);
-      assert(tracker.totalTokens > 0, 'Should have token count');
-    }
-  });
-
-  runner.test('Statistics aggregation - multiple sessions', () => {
-    const tracker = new CostTracker();
-    
-    // Add mock sessions
-    const models = ['gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo'];
-    let expectedTotalCost = 0;
-    let expectedTotalTokens = 0;
-    
-    for (let i = 0; i < models.length; i++) {
-      const model = models[i];
-      const usage = MockData.mockUsage(model);
-      const costs = calculateExpectedCost(usage, model);
-      
-      const session = {
-        id: i + 1,
-        model,
-        description: `Test ${i + 1}`,
-        usage,
-        costs,
-        responseTime: 100 + i * 10,
-        timestamp: new Date().toISOString(),
-        response: `Response ${i + 1}`
-      };
-      
-      tracker.sessions.push(session);
-      tracker.totalCost += costs.totalCost;
-      tracker.totalTokens += usage.total_tokens;
-      tracker.conversationCount++;
-      
-      expectedTotalCost += costs.totalCost;
-      expectedTotalTokens += usage.total_tokens;
-    }
-    
-    assert(tracker.sessions.length === 3, 'Should have 3 sessions');
-    assert(tracker.conversationCount === 3, 'Should have count of 3');
-    TestAssert.approximately(tracker.totalCost, expectedTotalCost);
-    assert(tracker.totalTokens === expectedTotalTokens, 'Total tokens should match sum');
-  });
-
-  runner.test('CSV export functionality - format validation', () => {
-    const tracker = new CostTracker();
-    
-    // Add a mock session manually to test CSV export
-    const usage = MockData.mockUsage('gpt-4o-mini');
-    const costs = calculateExpectedCost(usage, 'gpt-4o-mini');
-    
-    const session = {
-      id: 1,
-      model: 'gpt-4o-mini',
-      description: 'Test CSV',
-      usage,
-      costs,
-      responseTime: 150,
-      timestamp: '2024-01-01T00:00:00.000Z',
-      response: 'Test response'
-    };
-    
-    // Manually add session to bypass trackConversation for unit test
-    tracker.sessions.push(session);
-    tracker.totalCost += costs.totalCost;
-    tracker.totalTokens += usage.total_tokens;
-    tracker.conversationCount++;
-    
-    const csv = tracker.exportToCSV();
-    
-    assert(typeof csv === 'string', 'CSV should be a string');
-    assert(csv.includes('ID,Model,Description'), 'CSV should have header');
-    assert(csv.includes('1,gpt-4o-mini,"Test CSV"'), 'CSV should have data row');
-    assert(csv.includes(usage.prompt_tokens.toString()), 'CSV should include prompt tokens');
-    assert(csv.includes(usage.completion_tokens.toString()), 'CSV should include completion tokens');
-    assert(csv.includes(usage.total_tokens.toString()), 'CSV should include total tokens');
-    
-    // Count lines - should have header + 1 data row
-    const lines = csv.split('\n').filter(line => line.trim());
-    assert(lines.length === 2, 'CSV should have header and one data row');
-  });
-
-  runner.test('CSV export functionality - multiple sessions', () => {
-    const tracker = new CostTracker();
-    
-    // Add multiple mock sessions
-    for (let i = 0; i < 3; i++) {
-      const usage = MockData.mockUsage('gpt-4o-mini');
-      const costs = calculateExpectedCost(usage, 'gpt-4o-mini');
-      
-      tracker.sessions.push({
-        id: i + 1,
-        model: 'gpt-4o-mini',
-        description: `Test ${i + 1}`,
-        usage,
-        costs,
-        responseTime: 100 + i * 50,
-        timestamp: new Date().toISOString(),
-        response: `Response ${i + 1}`
-      });
-    }
-    
-    const csv = tracker.exportToCSV();
-    const lines = csv.split('\n').filter(line => line.trim());
-    
-    assert(lines.length === 4, 'CSV should have header + 3 data rows');
-    
-    // Verify each session is included
-    for (let i = 1; i <= 3; i++) {
-      assert(csv.includes(`${i},gpt-4o-mini,"Test ${i}"`), `CSV should include session ${i}`);
-    }
-  });
-
-  // Integration Tests (require API key)
-  runner.test('Real API call cost tracking', async () => {
-    if (TestEnv.skipIfNoApiKey('Real API cost tracking')) return;
-    
-    const tracker = new CostTracker();
-    const messages = [
-      { role: 'system', content: 'You are a helpful assistant.' },
-      { role: 'user', content: 'Say just "Hi" and nothing else.' }
-    ];
-    
-    try {
-      const response = await tracker.trackConversation(messages, 'gpt-3.5-turbo', 'Integration test');
-      
-      assert(tracker.sessions.length === 1, 'Should have recorded one session');
-      assert(tracker.conversationCount === 1, 'Should have count of 1');
-      
-      const session = tracker.sessions[0];
-      assert(session.model === 'gpt-3.5-turbo', 'Should record correct model');
-      assert(session.description === 'Integration test', 'Should record description');
-      
-      TestAssert.isValidUsage(session.usage);
-      TestAssert.isValidCost(session.costs.inputCost);
-      TestAssert.isValidCost(session.costs.outputCost);
-      TestAssert.isValidCost(session.costs.totalCost);
-      
-      assert(session.responseTime > 0, 'Should record response time');
-      assert(session.timestamp, 'Should record timestamp');
-      assert(session.response && session.response.length > 0, 'Should record response');
-      
-    } catch (error) {
-      if (error.status === 429 || error.status === 401) {
-        console.log(`   ℹ️  Integration test received expected error: ${error.status}`);
-      } else if (error.message.includes('Connection error') || error.message.includes('network')) {
-        console.log(`   ℹ️  Network connection issue: ${error.message}`);
-      } else if (error.message.includes('openai is not defined')) {
-        console.log(`   ℹ️  Mock implementation used - OpenAI SDK not available in test context`);
-      } else {
-        throw error;
-      }
-    }
-  }, {
-    skipIf: () => config.unitOnly || !TestEnv.hasApiKey()
-  });
-
-  runner.test('Cost projection calculations', () => {
-    // Test the calculateProjectedCosts function (if available)
-    const avgTokens = 100;
-    const conversations = 1000;
-    const model = 'gpt-4o-mini';
-    
-    // Manual calculation for comparison
-    const inputRatio = 0.4;
-    const outputRatio = 0.6;
-    const pricing = DEMO_PRICING[model];
-    
-    const inputTokens = avgTokens * inputRatio * conversations;
-    const outputTokens = avgTokens * outputRatio * conversations;
-    
-    const inputCost = (inputTokens / 1_000_000) * pricing.input;
-    const outputCost = (outputTokens / 1_000_000) * pricing.output;
-    const totalCost = inputCost + outputCost;
-    
-    TestAssert.isValidCost(inputCost);
-    TestAssert.isValidCost(outputCost);
-    TestAssert.isValidCost(totalCost);
-    
-    assert(totalCost > 0, 'Total cost should be positive');
-    assert(outputCost > inputCost, 'Output cost should be higher than input cost for this model');
-  });
-
-  runner.test('Edge cases - zero tokens', () => {
-    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
-    const costs = calculateExpectedCost(usage, 'gpt-4o-mini');
-    
-    assert(costs.inputCost === 0, 'Zero input tokens should cost nothing');
-    assert(costs.outputCost === 0, 'Zero output tokens should cost nothing');
-    assert(costs.totalCost === 0, 'Zero total tokens should cost nothing');
-  });
-
-  runner.test('Edge cases - large token counts', () => {
-    const usage = { prompt_tokens: 1_000_000, completion_tokens: 500_000, total_tokens: 1_500_000 };
-    const costs = calculateExpectedCost(usage, 'gpt-4o');
-    
-    TestAssert.isValidCost(costs.inputCost);
-    TestAssert.isValidCost(costs.outputCost);
-    TestAssert.isValidCost(costs.totalCost);
-    
-    // For 1M input tokens at $2.50 per 1M = $2.50
-    TestAssert.approximately(costs.inputCost, 2.50, 0.01);
-    // For 500K output tokens at $10.00 per 1M = $5.00
-    TestAssert.approximately(costs.outputCost, 5.00, 0.01);
-    // Total should be $7.50
-    TestAssert.approximately(costs.totalCost, 7.50, 0.01);
-  });
-
-  return await runner.run();
-}
-
-// Allow running this test file directly
-if (import.meta.url === `file://${process.argv[1]}`) {
-  runTests({ verbose: true })
-    .then(results => {
-      process.exit(results.failed > 0 ? 1 : 0);
-    })
-    .catch(error => {
-      console.error('Test execution failed:', error);
-      process.exit(1);
-    });
-}
\ No newline at end of file
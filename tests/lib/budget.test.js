@@ -0,0 +1,172 @@
+/**
+ * Tests for lib/budget.js
+ *
+ * Tests cover:
+ * - Soft limits warn once and let the call through
+ * - Hard limits refuse a request before it reaches the API
+ * - Daily spending persists across guard instances (process restarts)
+ * - Per-model limits, including dated snapshots
+ * - Usage recorded from chat completions and assistant runs
+ * - The budgets section of openai-basics.config.json validates
+ */
+
+import assert from 'assert';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TestRunner, TestAssert, TestEnv } from '../utils/test-helpers.js';
+import { BudgetGuard, BudgetExceededError, formatBudgetStatus } from '../../lib/budget.js';
+import { StandInAPI, createStandInFetch } from '../../lib/stand-in-api.js';
+import { CostTracker } from '../../lib/cost-tracker.js';
+import { readConfigFile } from '../../lib/project-config.js';
+
+const MESSAGES = [{ role: 'user', content: 'Say hello world!' }];
+
+/**
+ * Run a function with warnings captured instead of printed
+ */
+async function captureWarnings(fn) {
+  const warnings = [];
+  const write = process.stderr.write;
+  process.stderr.write = (chunk) => warnings.push(String(chunk));
+  try {
+    await fn();
+  } finally {
+    process.stderr.write = write;
+  }
+  return warnings;
+}
+
+/**
+ * Client wired to a fresh in-process stand-in, checked against `budget`.
+ * `sent` counts the requests that reached the stand-in.
+ */
+function createCountingClient(budget) {
+  const standInFetch = createStandInFetch(new StandInAPI());
+  const sent = { count: 0 };
+  const client = TestEnv.createStandInClient({
+    budget,
+    fetch: (url, init) => {
+      sent.count++;
+      return standInFetch(url, init);
+    }
+  });
+
+  return { client, sent };
+}
+
+/**
+ * Test suite for budget.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+  const dir = mkdtempSync(join(tmpdir(), 'budget-'));
+
+  runner.test('Soft limit - warns once and lets the call through', async () => {
+    const guard = new BudgetGuard({ limits: { session: { soft: 0.001 } } });
+    guard.record('gpt-4o-mini', 0.002);
+
+    const warnings = await captureWarnings(() => {
+      guard.check('gpt-4o-mini', 0.0001);
+      guard.check('gpt-4o-mini', 0.0001);
+    });
+
+    assert(warnings.length === 1, `Should warn once, got ${warnings.length}`);
+    assert(warnings[0].includes('Session budget'), `Should name the budget: ${warnings[0]}`);
+  });
+
+  runner.test('Hard limit - refuses the request before it is sent', async () => {
+    const guard = new BudgetGuard({ limits: { session: { hard: 0.0001 } } });
+    const { client, sent } = createCountingClient(guard);
+
+    // The worst case for 1M max_tokens of gpt-4o-mini output is $0.60
+    await assert.rejects(
+      client.chat.completions.create({ model: 'gpt-4o-mini', messages: MESSAGES, max_tokens: 1_000_000 }),
+      (error) => {
+        assert(error instanceof BudgetExceededError, `Should throw BudgetExceededError, got ${error.name}`);
+        assert(error.scope === 'session', 'Should say which budget was hit');
+        assert(error.message.includes('budgets.session.hard'), `Should point at the setting: ${error.message}`);
+        TestAssert.approximately(error.limit, 0.0001);
+        return true;
+      }
+    );
+    assert(sent.count === 0, 'The request should never reach the API');
+  });
+
+  runner.test('Recording - replies and finished runs add to the totals', async () => {
+    const guard = new BudgetGuard();
+    const { client } = createCountingClient(guard);
+
+    const completion = await client.chat.completions.create({ model: 'gpt-4o-mini', messages: MESSAGES });
+    assert(guard.sessionSpent > 0, 'Chat completion usage should be recorded');
+
+    const before = guard.sessionSpent;
+    guard.recordResponse({ object: 'thread.run', id: 'run_1', model: 'gpt-4o-mini', usage: completion.usage });
+    guard.recordResponse({ object: 'thread.run', id: 'run_1', model: 'gpt-4o-mini', usage: completion.usage });
+    TestAssert.approximately(guard.sessionSpent - before, before, 1e-12, 'A run should be recorded once');
+  });
+
+  runner.test('Persistence - daily spending survives a restart', () => {
+    const statePath = join(dir, 'state.json');
+    const now = () => new Date('2025-06-01T12:00:00');
+    const limits = { daily: { hard: 1 } };
+
+    new BudgetGuard({ limits, statePath, now }).record('gpt-4o', 0.75);
+    assert(existsSync(statePath), 'Should write the state file');
+
+    const restarted = new BudgetGuard({ limits, statePath, now });
+    assert.doesNotThrow(() => restarted.check('gpt-4o', 0.2));
+    assert.throws(() => restarted.check('gpt-4o', 0.3), (error) => error instanceof BudgetExceededError && error.scope === 'daily');
+
+    const tomorrow = new BudgetGuard({ limits, statePath, now: () => new Date('2025-06-02T09:00:00') });
+    assert.doesNotThrow(() => tomorrow.check('gpt-4o', 0.9), 'A new day starts from zero');
+    assert(restarted.sessionSpent === 0, 'Session spending starts from zero after a restart');
+  });
+
+  runner.test('Model limits - apply per model and to dated snapshots', () => {
+    const guard = new BudgetGuard({ limits: { models: { 'gpt-4o': { soft: 0.1, hard: 0.5 } } } });
+    guard.record('gpt-4o-2024-08-06', 0.45);
+
+    assert.throws(() => guard.check('gpt-4o', 0.1), (error) => {
+      assert(error.scope === 'model' && error.model === 'gpt-4o', `Should name the model budget: ${error.message}`);
+      return true;
+    });
+    assert.doesNotThrow(() => guard.check('gpt-4o-mini', 0.1), 'Other models are not limited');
+
+    const lines = formatBudgetStatus(guard);
+    assert(lines.some(line => line.startsWith('Daily gpt-4o: $0.4500 spent')), `Should report model spending: ${lines.join(' | ')}`);
+  });
+
+  runner.test('CostTracker - checks the estimate before making the call', async () => {
+    const guard = new BudgetGuard({ limits: { daily: { hard: 0.000001 } } });
+    const { client, sent } = createCountingClient(guard);
+    const tracker = new CostTracker({ client, maxTokens: 500 });
+
+    await assert.rejects(tracker.trackConversation(MESSAGES), BudgetExceededError);
+    assert(tracker.conversationCount === 0 && sent.count === 0, 'Nothing should be sent or tracked');
+    assert(tracker.budget === guard, 'The tracker should use the client budget');
+  });
+
+  runner.test('Config - shipped budgets validate', () => {
+    const { budgets } = readConfigFile();
+
+    assert(budgets && budgets.daily.hard > 0, 'Should ship a daily hard limit');
+    assert.throws(() => new BudgetGuard({ limits: budgets }).check('gpt-4o-mini', budgets.session.hard + 1), BudgetExceededError);
+  });
+
+  const results = await runner.run();
+  rmSync(dir, { recursive: true, force: true });
+  return results;
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
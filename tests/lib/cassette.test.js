@@ -0,0 +1,154 @@
+/**
+ * Tests for lib/cassette.js
+ *
+ * Tests cover:
+ * - Request matching on model, messages and tools
+ * - Difference descriptions for drifted requests
+ * - Recording to a fixture file and replaying it
+ * - Drift detection (changed request, recorded request never made)
+ */
+
+import assert from 'assert';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TestRunner, TestAssert } from '../utils/test-helpers.js';
+import {
+  Cassette,
+  CassetteDriftError,
+  createCassetteClient,
+  describeDifferences,
+  matchFields
+} from '../../lib/cassette.js';
+import { StandInAPI, OFFLINE_API_KEY, createStandInFetch } from '../../lib/stand-in-api.js';
+
+const MESSAGES = [
+  { role: 'system', content: 'You are a helpful assistant.' },
+  { role: 'user', content: 'Say hello world!' }
+];
+
+/**
+ * Record one completion into a temporary cassette and return its directory
+ */
+async function recordSample(dir) {
+  const { client } = createCassetteClient('sample', {
+    dir,
+    mode: 'record',
+    fetch: createStandInFetch(new StandInAPI()),
+    source: 'offline stand-in',
+    clientOptions: { apiKey: OFFLINE_API_KEY }
+  });
+  return client.chat.completions.create({ model: 'gpt-4o-mini', messages: MESSAGES, max_tokens: 10 });
+}
+
+/**
+ * Test suite for cassette.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Matching - chat requests match on model, messages and tools only', () => {
+    const fields = matchFields('/chat/completions', {
+      model: 'gpt-4o-mini',
+      messages: MESSAGES,
+      tools: [],
+      max_tokens: 10,
+      temperature: 0.2
+    });
+
+    assert.deepStrictEqual(Object.keys(fields), ['model', 'messages', 'tools'], 'Should keep only matching fields');
+  });
+
+  runner.test('Matching - other endpoints ignore metadata', () => {
+    const fields = matchFields('/threads', { metadata: { created: '2025-01-01' }, messages: [] });
+
+    assert.deepStrictEqual(fields, { messages: [] }, 'Should drop metadata');
+  });
+
+  runner.test('Differences - point at the drifted field', () => {
+    const differences = describeDifferences(
+      { model: 'gpt-4o-mini', messages: MESSAGES },
+      { model: 'gpt-4o', messages: [MESSAGES[0], { role: 'user', content: 'Say goodbye!' }] }
+    );
+
+    assert(differences.length === 2, 'Should report both differences');
+    assert(differences[0].startsWith('model:'), 'Should name the model field');
+    assert(differences[1].startsWith('messages[1].content:'), 'Should name the message index');
+  });
+
+  runner.test('Record and replay - round trip through a fixture file', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'cassettes-'));
+
+    try {
+      const recorded = await recordSample(dir);
+      assert(existsSync(join(dir, 'sample.json')), 'Should write the fixture file');
+
+      const { client, cassette } = createCassetteClient('sample', { dir, mode: 'replay' });
+      const replayed = await client.chat.completions.create({ model: 'gpt-4o-mini', messages: MESSAGES, max_tokens: 10 });
+
+      assert.deepStrictEqual(replayed.choices, recorded.choices, 'Should replay the recorded choices');
+      assert.deepStrictEqual(replayed.usage, recorded.usage, 'Should replay the recorded usage');
+      TestAssert.isValidUsage(replayed.usage);
+      assert(cassette.source === 'offline stand-in', 'Should keep where the recording came from');
+      cassette.assertNoDrift();
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  runner.test('Drift - changed messages fail the call and are reported', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'cassettes-'));
+
+    try {
+      await recordSample(dir);
+
+      const { client, cassette } = createCassetteClient('sample', { dir, mode: 'replay' });
+      await assert.rejects(
+        client.chat.completions.create({
+          model: 'gpt-4o-mini',
+          messages: [MESSAGES[0], { role: 'user', content: 'Say goodbye!' }]
+        }),
+        (error) => error.status === 400 && error.message.includes('drifted')
+      );
+
+      assert.throws(() => cassette.assertNoDrift(), (error) => {
+        assert(error instanceof CassetteDriftError, 'Should raise CassetteDriftError');
+        assert(error.differences[0].includes('messages[1].content'), 'Should explain what changed');
+        return true;
+      });
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  runner.test('Drift - recorded requests that were never made are reported', () => {
+    const cassette = new Cassette('in-memory', {
+      mode: 'replay',
+      interactions: [{
+        request: { method: 'POST', path: '/chat/completions', body: { model: 'gpt-4o-mini', messages: MESSAGES } },
+        response: { status: 200, headers: {}, body: {} }
+      }]
+    });
+
+    assert.throws(() => cassette.assertNoDrift(), /never made/);
+  });
+
+  runner.test('Cassette - unknown mode and missing fixture are rejected', () => {
+    assert.throws(() => new Cassette('x', { mode: 'rewind' }), /Unknown cassette mode/);
+    assert.throws(() => new Cassette('does-not-exist', { mode: 'replay' }), /not found/);
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
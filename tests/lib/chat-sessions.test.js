@@ -0,0 +1,211 @@
+/**
+ * Tests for lib/chat-sessions.js
+ *
+ * Tests cover:
+ * - Saving and loading restores the exact history and metadata
+ * - Finding sessions by id, start of id or name
+ * - Listing, renaming and deleting
+ * - Branches: forking, switching, per-branch totals and the saved tree
+ * - Markdown and JSON transcripts, with tool calls and results
+ * - The sessions CLI arguments
+ */
+
+import assert from 'assert';
+import { mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TestRunner, TestAssert } from '../utils/test-helpers.js';
+import {
+  ChatSession,
+  ChatSessionError,
+  ChatSessionStore,
+  exportTranscript,
+  formatBranchList,
+  formatSessionList,
+  parseSessionArgs
+} from '../../lib/chat-sessions.js';
+
+const USAGE = { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 };
+
+function sampleSession(question = 'How do tides work?') {
+  const session = ChatSession.start({ model: 'gpt-4o-mini', profile: 'dev', systemPrompt: 'You are a helpful assistant.' });
+  session.messages.push({ role: 'user', content: question }, { role: 'assistant', content: 'The moon pulls on the oceans.' });
+  session.recordUsage(USAGE);
+  return session;
+}
+
+/**
+ * Test suite for chat-sessions.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+  const dir = mkdtempSync(join(tmpdir(), 'chat-sessions-'));
+  const newStore = (name) => new ChatSessionStore(join(dir, name));
+
+  runner.test('Save and load - the exact history, system prompt included, and settings', () => {
+    const store = newStore('roundtrip');
+    const session = store.save(sampleSession());
+
+    const loaded = store.find(session.id);
+    assert.deepStrictEqual(loaded.messages, session.messages, 'Should restore every message');
+    assert(loaded.messages[0].role === 'system' && loaded.model === 'gpt-4o-mini' && loaded.profile === 'dev', 'Should keep the system prompt and model');
+    assert(loaded.totals.replies === 1 && loaded.totals.totalTokens === 30 && loaded.totals.cost > 0, 'Should keep the token totals');
+    assert(loaded.createdAt <= loaded.updatedAt, 'Should keep the created and updated times');
+    assert(readdirSync(store.dir).length === 1, 'Should not leave temporary files');
+
+    session.config = { temperature: 0.2, context: { strategy: 'sliding' } };
+    store.save(session);
+    assert.deepStrictEqual(store.get(session.id).config, session.config, 'Should keep the session\'s own settings');
+    assert(store.get('no-such-session') === null && store.get('../roundtrip') === null, 'get only takes an exact id');
+  });
+
+  runner.test('Branches - fork, switch, totals per branch and the saved tree', () => {
+    const store = newStore('branches');
+    const session = sampleSession();
+    session.messages.push({ role: 'user', content: 'And the sun?' }, { role: 'assistant', content: 'The sun pulls too.' });
+    session.recordUsage(USAGE);
+    assert(!('branches' in JSON.parse(JSON.stringify(session))), 'A session that was never forked is saved as a list');
+    const original = [...session.messages];
+
+    // Edit the second message on a new branch
+    const branch = session.fork(3);
+    assert(branch.name === 'branch-2' && session.branch === 'branch-2', 'Forking switches to the new branch');
+    assert.deepStrictEqual(branch.forkedFrom, { branch: 'main', turn: 2 });
+    assert.deepStrictEqual(session.messages, original.slice(0, 3), 'The branch shares the messages before the fork');
+    session.messages.push({ role: 'user', content: 'And the stars?' }, { role: 'assistant', content: 'Too far away.' });
+    session.recordUsage(USAGE);
+
+    const [main, edited] = session.listBranches();
+    assert(main.totals.totalTokens === 60 && edited.totals.totalTokens === 30 && edited.totals.replies === 1, 'Each branch counts its own usage');
+    assert(session.totals.totalTokens === 90, 'The session counts every branch');
+    assert(edited.active && !main.active && main.messages === 5 && edited.messages === 5);
+    assert(formatBranchList(session).includes('* branch-2') && formatBranchList(session).includes('from main at turn 2'));
+
+    store.save(session);
+    const saved = JSON.parse(readFileSync(store.pathFor(session.id), 'utf-8'));
+    assert(saved.nodes.length === 7, `Shared messages are stored once, got ${saved.nodes.length} nodes`);
+    const loaded = store.get(session.id);
+    assert.deepStrictEqual(loaded.messages, session.messages, 'The current branch is restored');
+    assert(loaded.branch === 'branch-2' && loaded.listBranches()[0].totals.totalTokens === 60, 'The branches and their totals are restored');
+
+    loaded.switchBranch('main');
+    assert.deepStrictEqual(loaded.messages, original, 'Switching restores the other branch');
+    assert.throws(() => loaded.switchBranch('nope'), (error) => error instanceof ChatSessionError && /Branches: main, branch-2/.test(error.message));
+    assert.throws(() => loaded.fork(9), /Cannot fork at message 9/);
+
+    // Undoing on one branch leaves the other alone, and unused messages go
+    loaded.messages.splice(3);
+    assert(loaded.toJSON().nodes.length === 5 && loaded.branchMessages('branch-2').length === 5);
+
+    // A branch's transcript
+    const markdown = exportTranscript(session, 'md', { branch: 'branch-2' });
+    assert(markdown.includes('- Branch: branch-2 (from main at turn 2)') && markdown.includes('- Tokens: 30 ') && markdown.includes('And the stars?') && !markdown.includes('And the sun?'), `Should export the branch:\n${markdown}`);
+    assert(exportTranscript(session, 'md', { branch: 'main' }).includes('And the sun?'));
+    const json = JSON.parse(exportTranscript(session, 'json', { branch: 'main' }));
+    assert(!json.branches && !json.nodes && json.messages.length === 5 && json.totals.totalTokens === 60, 'A branch exports as a session of its own');
+    assert.throws(() => exportTranscript(session, 'md', { branch: 'nope' }), ChatSessionError);
+
+    // Deleting a branch drops the messages only it has
+    assert.throws(() => loaded.deleteBranch('main'), /the current branch/);
+    assert.throws(() => session.deleteBranch('main'), /branch-2 was forked from it/);
+    loaded.deleteBranch('branch-2');
+    assert(loaded.branches.length === 1 && loaded.nodes.size === 3 && !('branches' in loaded.toJSON()), 'Only main is left');
+  });
+
+  runner.test('Find - by id, start of id or name', () => {
+    const store = newStore('find');
+    const tides = store.save(sampleSession('How do tides work?'));
+    const named = sampleSession('Plan a trip');
+    named.name = 'Trip planning';
+    store.save(named);
+
+    assert(store.find('how do tides work?').id === tides.id, 'Unnamed sessions are found by their first message');
+    assert(store.find('Trip planning').id === named.id, 'Should find a session by name');
+    assert(store.find(tides.id.slice(0, tides.id.length - 2)).id === tides.id, 'Should find a session by the start of its id');
+    assert.throws(() => store.find(tides.id.slice(0, 4)), /matches 2 sessions/, 'An ambiguous start of an id should fail');
+    assert.throws(() => store.find('nothing like it'), ChatSessionError);
+    assert.throws(() => store.find('../find'), /No saved session/, 'Should not read outside the directory');
+  });
+
+  runner.test('Manage - list, rename and delete', async () => {
+    const store = newStore('manage');
+    const first = store.save(sampleSession('First question'));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = store.save(sampleSession('Second question'));
+    writeFileSync(join(store.dir, 'broken.json'), '{ not json');
+
+    const originalWarn = process.stderr.write;
+    process.stderr.write = () => true;
+    let listed;
+    try {
+      listed = store.list();
+    } finally {
+      process.stderr.write = originalWarn;
+      rmSync(join(store.dir, 'broken.json'));
+    }
+    assert.deepStrictEqual(listed.map(session => session.id), [second.id, first.id], 'Most recent first, unreadable files skipped');
+    assert(store.latest().id === second.id, 'latest() is the most recent session');
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    store.rename(first.id, '  Tides  ');
+    assert(store.find('Tides').id === first.id && store.latest().id === first.id, 'Renaming should save the session');
+    assert.throws(() => store.rename(first.id, ' '), /must not be empty/);
+
+    store.delete('Tides');
+    assert.throws(() => store.find(first.id), ChatSessionError, 'A deleted session is gone');
+
+    const table = formatSessionList([second]);
+    assert(table.includes(second.id) && table.includes('Second question') && table.includes('$0.0000'), `Should list sessions:\n${table}`);
+  });
+
+  runner.test('Export - Markdown and JSON transcripts', () => {
+    const session = sampleSession();
+    session.name = 'Tides';
+
+    const markdown = exportTranscript(session, 'md');
+    assert(markdown.startsWith('# Tides\n'), 'Should use the name as the title');
+    assert(markdown.includes('- Model: gpt-4o-mini (dev profile)') && markdown.includes('- Tokens: 30 (20 input, 10 output) over 1 replies'), 'Should describe the session');
+    assert(/## System\n\nYou are a helpful assistant\.\n\n## You\n\nHow do tides work\?\n\n## Bot\n\nThe moon/.test(markdown), `Should write every message:\n${markdown}`);
+
+    const json = JSON.parse(exportTranscript(session, 'json'));
+    assert.deepStrictEqual(json.messages, session.messages);
+    TestAssert.approximately(json.totals.cost, session.totals.cost);
+    assert.throws(() => exportTranscript(session, 'pdf'), /Formats: md, json/);
+
+    session.messages.push(
+      { role: 'user', content: 'Weather in Brest?' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Brest"}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: 'Weather in Brest: rain, 11°C' },
+      { role: 'assistant', content: 'It is raining.' }
+    );
+    const withTools = exportTranscript(session, 'md');
+    assert(withTools.includes('## Bot\n\n- 🔧 `get_weather({"city":"Brest"})`\n\n## Tool: get_weather\n\n```\nWeather in Brest: rain, 11°C\n```\n\n## Bot\n\nIt is raining.'), `Should show tool calls and results:\n${withTools}`);
+  });
+
+  runner.test('CLI - commands and options', () => {
+    assert.deepStrictEqual(parseSessionArgs([]), { command: 'list', args: [] });
+    assert.deepStrictEqual(parseSessionArgs(['rename', 'abc', 'New', 'name']), { command: 'rename', args: ['abc', 'New', 'name'] });
+    assert.deepStrictEqual(parseSessionArgs(['export', 'abc', '--format=json', '--output', 'out.json']), { command: 'export', args: ['abc'], format: 'json', output: 'out.json' });
+    assert.deepStrictEqual(parseSessionArgs(['export', 'abc', '--branch=branch-2']), { command: 'export', args: ['abc'], branch: 'branch-2' });
+    assert(parseSessionArgs(['branches', 'abc']).command === 'branches');
+    assert.throws(() => parseSessionArgs(['archive']), /Unknown command/);
+    assert.throws(() => parseSessionArgs(['list', '--all']), /Unknown option/);
+    assert.throws(() => parseSessionArgs(['export', 'abc', '--format']), /needs a value/);
+  });
+
+  const results = await runner.run();
+  rmSync(dir, { recursive: true, force: true });
+  return results;
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
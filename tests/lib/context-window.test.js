@@ -0,0 +1,119 @@
+/**
+ * Tests for lib/context-window.js
+ *
+ * Tests cover:
+ * - Turns and the newest turns that fit a token budget
+ * - Sliding window with and without a pinned system prompt
+ * - Rolling summaries made once per dropped turn, with a cheaper model
+ * - Context descriptions
+ */
+
+import assert from 'assert';
+import { TestRunner, TestEnv } from '../utils/test-helpers.js';
+import {
+  ContextWindow,
+  describeContext,
+  splitTurns,
+  summaryMessage,
+  windowStart
+} from '../../lib/context-window.js';
+import { countChatTokens } from '../../lib/token-counter.js';
+
+const SYSTEM = { role: 'system', content: 'You are a helpful assistant who answers questions about the sea.' };
+
+/**
+ * A conversation of `count` turns, each a question and a longer answer
+ */
+function conversation(count) {
+  const messages = [SYSTEM];
+  for (let i = 1; i <= count; i++) {
+    messages.push(
+      { role: 'user', content: `Question number ${i}: what else should I know about tides and currents?` },
+      { role: 'assistant', content: `Answer number ${i}: ${'Tides rise and fall twice a day as the moon pulls on the oceans. '.repeat(3)}` }
+    );
+  }
+  return messages;
+}
+
+/**
+ * Test suite for context-window.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Turns - the newest whole turns that fit the budget', () => {
+    const history = conversation(4).slice(1);
+    history.splice(3, 0, { role: 'tool', tool_call_id: 'call_1', content: '{"ok":true}' });
+
+    const turns = splitTurns(history);
+    assert(turns.length === 4 && turns[1].length === 3, 'Replies and tool results stay with their question');
+    assert(windowStart(history, 0) === history.length - 2, 'The newest turn is always sent');
+    assert(windowStart(history, 1_000_000) === 0, 'Everything fits a large budget');
+
+    const start = windowStart(history, 200);
+    assert(start > 0 && history[start].role === 'user', 'Windows start at a question');
+  });
+
+  runner.test('Sliding - pins the system prompt and stays within budget', async () => {
+    const messages = conversation(12);
+    const window = new ContextWindow({ strategy: 'sliding', maxTokens: 400, model: 'gpt-4o-mini' });
+
+    const prepared = await window.prepare(messages);
+    assert(prepared.messages[0] === SYSTEM, 'The system prompt is pinned');
+    assert(prepared.tokens <= 400 + 3 && prepared.tokens === countChatTokens(prepared.messages, 'gpt-4o-mini'), `Should fit the budget, got ${prepared.tokens}`);
+    assert(prepared.sent < prepared.total && prepared.total === 24 && prepared.summarized === 0, 'Older turns are left out');
+    assert.deepStrictEqual(prepared.messages.slice(1), messages.slice(messages.length - prepared.sent), 'The newest messages are sent as they are');
+    assert(messages.length === 25, 'The history itself is not changed');
+
+    const unpinned = await new ContextWindow({ strategy: 'sliding', maxTokens: 400, pinSystemPrompt: false }).prepare(messages);
+    assert(unpinned.messages[0].role === 'user', 'Without pinning the system prompt falls out with the oldest turn');
+
+    const full = await new ContextWindow().prepare(messages);
+    assert(full.messages.length === 25 && full.sent === full.total, 'The full strategy sends everything');
+  });
+
+  runner.test('Summary - older turns are folded into a rolling summary', async () => {
+    const client = TestEnv.createStandInClient();
+    const messages = conversation(12);
+    const window = new ContextWindow({ strategy: 'summary', maxTokens: 500, summaryModel: 'gpt-4o-mini', client, model: 'gpt-4o' });
+
+    const first = await window.prepare(messages);
+    assert(first.summaryUsage && window.state.summary && window.state.summarized > 0, 'Should summarize the dropped turns');
+    assert.deepStrictEqual(first.messages[1], summaryMessage(window.state.summary), 'The summary follows the system prompt');
+    assert(first.summarized === window.state.summarized && first.summarized + first.sent === first.total, 'Every message is either summarized or sent');
+
+    const [call] = client.usageRecorder.entries;
+    assert(call.model === 'gpt-4o-mini' && call.description === 'Context summary', 'Summaries use the summary model and are tagged');
+
+    const again = await window.prepare(messages);
+    assert(again.summaryUsage === null && client.usageRecorder.entries.length === 1, 'Nothing new to summarize, no new call');
+
+    messages.push(...conversation(3).slice(1));
+    const later = await window.prepare(messages);
+    assert(later.summaryUsage && later.summarized > first.summarized, 'New dropped turns extend the summary');
+
+    const resumed = new ContextWindow({ strategy: 'summary', maxTokens: 500, client, state: JSON.parse(JSON.stringify(window.state)) });
+    const afterResume = await resumed.prepare(messages);
+    assert(afterResume.summaryUsage === null && afterResume.messages[1].content === later.messages[1].content, 'A saved state resumes the summary');
+  });
+
+  runner.test('Description - tokens, window and summary', () => {
+    assert(describeContext({ tokens: 1234, sent: 6, total: 20, summarized: 14 }) === '1,234 tokens of context (last 6 of 20 messages, 14 summarized)');
+    assert(describeContext({ tokens: 80, sent: 2, total: 2, summarized: 0 }) === '80 tokens of context');
+    assert.throws(() => new ContextWindow({ strategy: 'forever' }), /Strategies: full, sliding, summary/);
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
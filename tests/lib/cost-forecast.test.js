@@ -0,0 +1,177 @@
+/**
+ * Tests for lib/cost-forecast.js
+ *
+ * Tests cover:
+ * - Learning input/output ratios and token distributions per model
+ * - Flat, linear, exponential and logistic growth curves
+ * - Month-by-month forecasts priced from learned usage, with confidence bands
+ * - Scenario overrides and fallbacks when a model has no history
+ * - Scenario file validation and the shipped scenarios
+ */
+
+import assert from 'assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TestRunner, TestAssert } from '../utils/test-helpers.js';
+import {
+  ForecastError,
+  forecastAll,
+  forecastScenario,
+  formatForecast,
+  learnUsageProfile,
+  loadScenarios,
+  parseForecastArgs,
+  projectVolume
+} from '../../lib/cost-forecast.js';
+import { calculateProjectedCosts, getPricingCatalog } from '../../lib/cost-tracker.js';
+
+const session = (model, prompt, completion) => ({
+  model,
+  usage: { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion }
+});
+
+const SESSIONS = [
+  session('gpt-4o-mini', 100, 300),
+  session('gpt-4o-mini', 200, 200),
+  session('gpt-4o-mini', 300, 400),
+  session('gpt-4o', 1000, 1000)
+];
+
+const SCENARIO = {
+  name: 'Test',
+  models: ['gpt-4o-mini'],
+  conversations: 1000,
+  growth: { type: 'exponential', rate: 0.1, uncertainty: 0.5 }
+};
+
+/**
+ * Test suite for cost-forecast.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Profile - learns ratios and distributions per model', () => {
+    const profile = learnUsageProfile([...SESSIONS, { model: 'gpt-4o-mini', usage: null }]);
+
+    assert(profile.overall.count === 4, 'Sessions without usage should be skipped');
+    const mini = profile.models['gpt-4o-mini'];
+    assert(mini.count === 3, 'Should group samples by model');
+    TestAssert.approximately(mini.inputRatio, 600 / 1500);
+    TestAssert.approximately(mini.input.mean, 200);
+    TestAssert.approximately(mini.total.p50, 400);
+    TestAssert.approximately(mini.output.sd, 100);
+    TestAssert.approximately(profile.models['gpt-4o'].inputRatio, 0.5);
+
+    // Ledger entries carry Responses-style usage too
+    const responses = learnUsageProfile([{ model: 'gpt-4o', usage: { input_tokens: 30, output_tokens: 10 } }]);
+    TestAssert.approximately(responses.overall.inputRatio, 0.75);
+  });
+
+  runner.test('Growth - flat, linear, exponential and logistic curves', () => {
+    assert(projectVolume(100, { type: 'flat', rate: 0.5 }, 6) === 100, 'Flat growth stays put');
+    TestAssert.approximately(projectVolume(100, { type: 'linear', rate: 0.1 }, 5), 150);
+    TestAssert.approximately(projectVolume(100, { type: 'exponential', rate: 0.1 }, 2), 121);
+
+    const logistic = { type: 'logistic', rate: 1, capacity: 1000 };
+    TestAssert.approximately(projectVolume(100, logistic, 0), 100);
+    assert(projectVolume(100, logistic, 24) > 999 && projectVolume(100, logistic, 24) <= 1000, 'Logistic growth levels off at capacity');
+    assert(projectVolume(100, { type: 'linear', rate: -0.5 }, 4) === 0, 'Linear decline never goes negative');
+  });
+
+  runner.test('Forecast - month by month from learned usage', () => {
+    const catalog = getPricingCatalog();
+    const [forecast] = forecastScenario(SCENARIO, learnUsageProfile(SESSIONS), { months: 3, startMonth: '2025-11', catalog });
+
+    assert.deepStrictEqual(forecast.rows.map(row => row.month), ['2025-11', '2025-12', '2026-01'], 'Months should roll over the year');
+    assert(forecast.source === 'gpt-4o-mini' && forecast.samples === 3, 'Should learn from the model\'s own history');
+
+    const rates = catalog.rates('gpt-4o-mini');
+    const perConversation = (200 * rates.input + 300 * rates.output) / 1_000_000;
+    TestAssert.approximately(forecast.costPerConversation, perConversation);
+    TestAssert.approximately(forecast.rows[2].cost, 1210 * perConversation);
+    TestAssert.approximately(forecast.rows[1].tokens, 1100 * 500);
+
+    forecast.rows.forEach(row => {
+      assert(row.low < row.cost && row.cost < row.high, `${row.month}: the band should contain the forecast`);
+    });
+    const width = (row) => (row.high - row.low) / row.cost;
+    assert(width(forecast.rows[2]) > width(forecast.rows[0]), 'Growth uncertainty should widen the band over time');
+    TestAssert.approximately(forecast.total.cost, forecast.rows.reduce((sum, row) => sum + row.cost, 0));
+
+    const narrow = forecastScenario(SCENARIO, learnUsageProfile(SESSIONS), { months: 1, confidence: 0.8 })[0].rows[0];
+    assert(narrow.high - narrow.low < forecast.rows[0].high - forecast.rows[0].low, 'Lower confidence should narrow the band');
+  });
+
+  runner.test('Forecast - fallbacks, overrides and errors', () => {
+    const profile = learnUsageProfile(SESSIONS);
+
+    const [unseen] = forecastScenario({ ...SCENARIO, models: ['gpt-4.1'] }, profile, { months: 1 });
+    assert(unseen.source === 'all models' && unseen.samples === 4, 'Models without history should use all usage');
+
+    const [fixed] = forecastScenario({ ...SCENARIO, tokens: { input: 100, output: 100 }, growth: { type: 'flat', rate: 0, uncertainty: 0 } }, profile, { months: 1 });
+    assert(fixed.source === 'scenario' && fixed.rows[0].low === fixed.rows[0].cost, 'Fixed token sizes have no spread');
+    TestAssert.approximately(fixed.inputRatio, 0.5);
+
+    assert.throws(() => forecastScenario(SCENARIO, learnUsageProfile([]), {}), (error) => error instanceof ForecastError && /no tracked usage/.test(error.message));
+
+    const withFallback = { ...SCENARIO, fallbackTokens: { input: 300, output: 100 } };
+    const [fresh] = forecastScenario(withFallback, learnUsageProfile([]), { months: 1 });
+    assert(fresh.source === 'scenario fallback' && fresh.samples === 1, 'Fallback tokens stand in while nothing is tracked');
+    TestAssert.approximately(fresh.inputRatio, 0.75);
+    assert(forecastScenario(withFallback, profile, { months: 1 })[0].source === 'gpt-4o-mini', 'Tracked usage wins over the fallback');
+    assert.throws(() => forecastScenario({ ...SCENARIO, models: ['not-a-model'] }, profile, {}), /no pricing for not-a-model/);
+    assert.throws(() => forecastScenario(SCENARIO, profile, { confidence: 0.5 }), /Unsupported confidence/);
+  });
+
+  runner.test('Projections - calculateProjectedCosts takes a learned input ratio', () => {
+    const { inputRatio } = learnUsageProfile(SESSIONS).models['gpt-4o-mini'];
+    const projection = calculateProjectedCosts(500, 1000, 'gpt-4o-mini', getPricingCatalog(), inputRatio);
+    const rates = getPricingCatalog().rates('gpt-4o-mini');
+
+    TestAssert.approximately(projection.inputCost, (200 * 1000 / 1_000_000) * rates.input);
+    TestAssert.approximately(projection.outputCost, (300 * 1000 / 1_000_000) * rates.output);
+  });
+
+  runner.test('Scenarios - validation, the shipped file and Markdown tables', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'forecast-'));
+    try {
+      const path = join(dir, 'scenarios.json');
+      writeFileSync(path, JSON.stringify({ scenarios: [{ ...SCENARIO, growth: { type: 'logistic', rate: 0.5 } }] }));
+      assert.throws(() => loadScenarios(path), /scenarios\.0\.growth\.capacity: logistic growth needs a capacity/);
+
+      writeFileSync(path, JSON.stringify({ months: 2, startMonth: '2026-01', scenarios: [SCENARIO] }));
+      const scenarios = loadScenarios(path);
+      assert(scenarios.confidence === 0.9, 'Confidence should default to 90%');
+
+      const forecasts = forecastAll(scenarios, SESSIONS);
+      assert(forecasts.length === 1 && forecasts[0].rows[1].month === '2026-02', 'Should use the file\'s months and start');
+
+      const table = formatForecast(forecasts[0], { markdown: true }).split('\n');
+      assert(table[0].startsWith('| Month') && table[0].includes('90% band'), 'Should render a Markdown header');
+      assert(table.length === 5 && table[4].startsWith('| Total'), 'Should list each month and a total');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+
+    assert(loadScenarios().scenarios.length > 0, 'The shipped scenarios should load');
+    assert(forecastAll(loadScenarios(), []).every(forecast => forecast.source === 'scenario fallback'), 'The shipped scenarios forecast before any usage is tracked');
+    assert.throws(() => loadScenarios('/nonexistent/scenarios.json'), /not found/);
+    assert.deepStrictEqual(parseForecastArgs(['--markdown', '--module=chatbot', '--from', '2026-01-01']), { markdown: true, module: 'chatbot', from: '2026-01-01' });
+    assert.throws(() => parseForecastArgs(['--months', '3']), /Unknown option/);
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,383 @@
+/**
+ * Tests for lib/cost-tracker.js
+ *
+ * Tests cover:
+ * - CostTracker class initialization and methods
+ * - Cost calculation accuracy for different models
+ * - Token usage tracking and session management
+ * - Pricing data validation
+ * - Unknown models (warn and price at zero)
+ * - Statistics aggregation
+ * - CSV export functionality
+ * - Cost projection calculations
+ * - trackConversation replayed from a cassette (synthetic, from the stand-in; real API
+ *   payload shapes are not covered)
+ * - Pre-flight cost estimates against recorded usage
+ */
+
+import assert from 'assert';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { TestRunner, TestEnv, TestAssert, MockData } from '../utils/test-helpers.js';
+import { createCassetteClient } from '../../lib/cassette.js';
+import {
+  CostTracker,
+  getPricing,
+  calculateCost,
+  calculateProjectedCosts,
+  estimateCost,
+  formatCostRange,
+  summarizeByModel,
+  exportToCSV
+} from '../../lib/cost-tracker.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Test suite for cost-tracker.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  // Unit Tests - CostTracker class initialization
+  runner.test('CostTracker initialization - default state', () => {
+    const tracker = new CostTracker();
+
+    assert(Array.isArray(tracker.sessions), 'sessions should be an array');
+    assert(tracker.sessions.length === 0, 'sessions should start empty');
+    assert(tracker.totalCost === 0, 'totalCost should start at 0');
+    assert(tracker.totalTokens === 0, 'totalTokens should start at 0');
+    assert(tracker.conversationCount === 0, 'conversationCount should start at 0');
+  });
+
+  // Unit Tests - Pricing data validation
+  runner.test('Pricing data validation - all required models', () => {
+    const requiredModels = ['gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo'];
+
+    const pricing = getPricing();
+    for (const model of requiredModels) {
+      assert(pricing[model], `Pricing should include ${model}`);
+      assert(typeof pricing[model].input === 'number', `${model} input price should be number`);
+      assert(typeof pricing[model].output === 'number', `${model} output price should be number`);
+      assert(pricing[model].input > 0, `${model} input price should be positive`);
+      assert(pricing[model].output > 0, `${model} output price should be positive`);
+    }
+  });
+
+  runner.test('Cost calculation accuracy - gpt-4o-mini', () => {
+    const usage = { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 };
+    const model = 'gpt-4o-mini';
+
+    // $0.15 per 1M input tokens, $0.60 per 1M output tokens
+    const expectedInputCost = 1000 * 0.15 / 1_000_000;
+    const expectedOutputCost = 500 * 0.60 / 1_000_000;
+    const expectedTotal = expectedInputCost + expectedOutputCost;
+
+    const calculated = calculateCost(usage, model);
+
+    TestAssert.approximately(calculated.inputCost, expectedInputCost, 0.000001);
+    TestAssert.approximately(calculated.outputCost, expectedOutputCost, 0.000001);
+    TestAssert.approximately(calculated.total, expectedTotal, 0.000001);
+  });
+
+  runner.test('Cost calculation accuracy - gpt-4o', () => {
+    const usage = { prompt_tokens: 2000, completion_tokens: 1000, total_tokens: 3000 };
+    const model = 'gpt-4o';
+    const pricing = getPricing()[model];
+
+    const expectedInputCost = (usage.prompt_tokens / 1_000_000) * pricing.input;
+    const expectedOutputCost = (usage.completion_tokens / 1_000_000) * pricing.output;
+
+    const calculated = calculateCost(usage, model);
+
+    TestAssert.approximately(calculated.inputCost, expectedInputCost, 0.000001);
+    TestAssert.approximately(calculated.outputCost, expectedOutputCost, 0.000001);
+
+    // Verify gpt-4o is more expensive than gpt-4o-mini
+    const miniCost = calculateCost(usage, 'gpt-4o-mini');
+    assert(calculated.total > miniCost.total, 'gpt-4o should be more expensive than gpt-4o-mini');
+  });
+
+  runner.test('Cost calculation accuracy - gpt-3.5-turbo', () => {
+    const usage = { prompt_tokens: 500, completion_tokens: 300, total_tokens: 800 };
+    const model = 'gpt-3.5-turbo';
+
+    const calculated = calculateCost(usage, model);
+
+    TestAssert.isValidCost(calculated.inputCost);
+    TestAssert.isValidCost(calculated.outputCost);
+    TestAssert.isValidCost(calculated.total);
+
+    // Verify total cost is sum of input and output
+    TestAssert.approximately(calculated.total, calculated.inputCost + calculated.outputCost);
+  });
+
+  runner.test('Error handling - unknown model is tracked at zero cost instead of throwing', () => {
+    const usage = { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 };
+    const tracker = new CostTracker({ ledger: null });
+
+    const costs = calculateCost(usage, 'invalid-model');
+    const session = tracker.recordUsage({ model: 'invalid-model', usage });
+
+    assert(costs.priced === false && costs.total === 0, 'Should price unknown models at zero');
+    assert(session.costs.priced === false, 'Should flag the session as unpriced');
+    assert(tracker.totalTokens === 150, 'Should still count the tokens');
+    assert.throws(() => calculateProjectedCosts(100, 10, 'invalid-model'), /Unknown model/, 'Projections need a known model');
+  });
+
+  runner.test('Token usage tracking - session management', () => {
+    const tracker = new CostTracker({ ledger: null });
+    const usage = MockData.mockUsage('gpt-4o-mini');
+
+    const session = tracker.recordUsage({
+      model: 'gpt-4o-mini',
+      description: 'Test conversation',
+      usage,
+      responseTime: 100,
+      response: 'Test response'
+    });
+
+    assert(tracker.sessions.length === 1, 'Should have one session');
+    assert(tracker.conversationCount === 1, 'Should have count of 1');
+    assert(session.id === 1, 'Should number sessions from 1');
+    assert(session.timestamp, 'Should record timestamp');
+    TestAssert.isValidCost(tracker.totalCost);
+    assert(tracker.totalTokens === usage.total_tokens, 'Should have token count');
+  });
+
+  runner.test('Statistics aggregation - multiple sessions', () => {
+    const tracker = new CostTracker({ ledger: null });
+
+    const models = ['gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo'];
+    let expectedTotalCost = 0;
+    let expectedTotalTokens = 0;
+
+    for (let i = 0; i < models.length; i++) {
+      const model = models[i];
+      const usage = MockData.mockUsage(model);
+
+      tracker.recordUsage({ model, description: `Test ${i + 1}`, usage, responseTime: 100 + i * 10, response: `Response ${i + 1}` });
+
+      expectedTotalCost += calculateCost(usage, model).total;
+      expectedTotalTokens += usage.total_tokens;
+    }
+
+    assert(tracker.sessions.length === 3, 'Should have 3 sessions');
+    assert(tracker.conversationCount === 3, 'Should have count of 3');
+    TestAssert.approximately(tracker.totalCost, expectedTotalCost);
+    assert(tracker.totalTokens === expectedTotalTokens, 'Total tokens should match sum');
+
+    const byModel = summarizeByModel(tracker.sessions);
+    assert.deepStrictEqual(Object.keys(byModel), models, 'Should group sessions by model');
+    assert(byModel['gpt-4o'].count === 1, 'Should count sessions per model');
+    TestAssert.approximately(byModel['gpt-4o'].totalCost, tracker.sessions[1].costs.total);
+  });
+
+  runner.test('CSV export functionality - format validation', () => {
+    const tracker = new CostTracker({ ledger: null });
+    const usage = MockData.mockUsage('gpt-4o-mini');
+
+    tracker.recordUsage({
+      model: 'gpt-4o-mini',
+      description: 'Test CSV',
+      usage,
+      responseTime: 150,
+      timestamp: '2024-01-01T00:00:00.000Z',
+      response: 'Test response'
+    });
+
+    const csv = tracker.exportToCSV();
+
+    assert(typeof csv === 'string', 'CSV should be a string');
+    assert(csv.includes('ID,Model,Description'), 'CSV should have header');
+    assert(csv.includes('1,gpt-4o-mini,"Test CSV"'), 'CSV should have data row');
+    assert(csv.includes(usage.prompt_tokens.toString()), 'CSV should include prompt tokens');
+    assert(csv.includes(usage.completion_tokens.toString()), 'CSV should include completion tokens');
+    assert(csv.includes(usage.total_tokens.toString()), 'CSV should include total tokens');
+    assert(csv.includes('2024-01-01T00:00:00.000Z'), 'CSV should include the timestamp');
+
+    // Count lines - should have header + 1 data row
+    const lines = csv.split('\n').filter(line => line.trim());
+    assert(lines.length === 2, 'CSV should have header and one data row');
+  });
+
+  runner.test('CSV export functionality - multiple sessions', () => {
+    const tracker = new CostTracker({ ledger: null });
+
+    for (let i = 0; i < 3; i++) {
+      tracker.recordUsage({
+        model: 'gpt-4o-mini',
+        description: `Test ${i + 1}`,
+        usage: MockData.mockUsage('gpt-4o-mini'),
+        responseTime: 100 + i * 50,
+        response: `Response ${i + 1}`
+      });
+    }
+
+    const csv = exportToCSV(tracker.sessions);
+    const lines = csv.split('\n').filter(line => line.trim());
+
+    assert(lines.length === 4, 'CSV should have header + 3 data rows');
+    assert(csv === tracker.exportToCSV(), 'Method and function should produce the same CSV');
+
+    // Verify each session is included
+    for (let i = 1; i <= 3; i++) {
+      assert(csv.includes(`${i},gpt-4o-mini,"Test ${i}"`), `CSV should include session ${i}`);
+    }
+  });
+
+  runner.test('trackConversation - replays recorded usage and prices it', async () => {
+    // Recorded from the stand-in, not the API: this covers our request and the pricing
+    // of a well-formed usage block, not the shape of real API payloads
+    const { client, cassette } = createCassetteClient('cost-tracker');
+    const tracker = new CostTracker({ client, maxTokens: 200 });
+    const messages = [
+      { role: 'system', content: 'You are a helpful customer service assistant for an online electronics store.' },
+      { role: 'user', content: 'My order ID is #12345. Can you help me check the status?' }
+    ];
+
+    const response = await tracker.trackConversation(messages, 'gpt-4o-mini', 'Cassette regression');
+    const session = tracker.sessions[0];
+
+    assert(tracker.conversationCount === 1, 'Should record one conversation');
+    assert(session.model === 'gpt-4o-mini', 'Should record the model');
+    assert(session.description === 'Cassette regression', 'Should record the description');
+    assert.deepStrictEqual(session.usage, response.usage, 'Should keep the recorded usage');
+    TestAssert.isValidUsage(session.usage);
+    TestAssert.approximately(session.costs.total, calculateCost(response.usage, 'gpt-4o-mini').total);
+    assert(session.response === response.choices[0].message.content, 'Should keep the reply');
+    cassette.assertNoDrift();
+  });
+
+  runner.test('Estimates - range contains the cost of recorded real usage', () => {
+    const { samples } = JSON.parse(readFileSync(join(__dirname, '..', 'fixtures', 'token-usage.json'), 'utf-8'));
+    const maxTokens = 200;
+
+    for (const sample of samples) {
+      for (const [model, promptTokens] of Object.entries(sample.promptTokens)) {
+        const estimate = estimateCost(sample.messages, model, maxTokens, { tools: sample.tools });
+        const shortest = calculateCost({ prompt_tokens: promptTokens, completion_tokens: 1 }, model).total;
+        const longest = calculateCost({ prompt_tokens: promptTokens, completion_tokens: maxTokens }, model).total;
+
+        assert(estimate.priced, `${model} should be priced`);
+        assert(estimate.min <= shortest, `${sample.name} (${model}): min ${estimate.min} should not exceed ${shortest}`);
+        assert(estimate.max >= longest, `${sample.name} (${model}): max ${estimate.max} should cover ${longest}`);
+      }
+    }
+  });
+
+  runner.test('Estimates - CostTracker.estimate uses the tracker defaults', () => {
+    const tracker = new CostTracker({ model: 'gpt-4o', maxTokens: 50 });
+    const messages = MockData.mockMessages(2);
+    const estimate = tracker.estimate(messages);
+
+    assert(estimate.model === 'gpt-4o' && estimate.maxOutputTokens === 50, 'Should use the tracker model and max tokens');
+    assert(estimate.min > 0 && estimate.max > estimate.min, 'Should return an increasing range');
+    assert(formatCostRange(estimate).startsWith('$'), 'Should format as dollars');
+
+    const unknown = tracker.estimate(messages, 'mystery-model');
+    assert(!unknown.priced && formatCostRange(unknown).includes('unknown'), 'Unknown models should not throw');
+  });
+
+  // Integration Tests (require API key)
+  runner.test('Real API call cost tracking', async () => {
+    if (TestEnv.skipIfNoApiKey('Real API cost tracking')) return;
+
+    const tracker = new CostTracker({ client: TestEnv.createTestClient(), maxTokens: 10 });
+    const messages = [
+      { role: 'system', content: 'You are a helpful assistant.' },
+      { role: 'user', content: 'Say just "Hi" and nothing else.' }
+    ];
+
+    try {
+      await tracker.trackConversation(messages, 'gpt-3.5-turbo', 'Integration test');
+
+      assert(tracker.sessions.length === 1, 'Should have recorded one session');
+      assert(tracker.conversationCount === 1, 'Should have count of 1');
+
+      const session = tracker.sessions[0];
+      assert(session.model === 'gpt-3.5-turbo', 'Should record correct model');
+      assert(session.description === 'Integration test', 'Should record description');
+
+      TestAssert.isValidUsage(session.usage);
+      TestAssert.isValidCost(session.costs.inputCost);
+      TestAssert.isValidCost(session.costs.outputCost);
+      TestAssert.isValidCost(session.costs.total);
+
+      assert(session.responseTime >= 0, 'Should record response time');
+      assert(session.timestamp, 'Should record timestamp');
+      assert(session.response && session.response.length > 0, 'Should record response');
+
+    } catch (error) {
+      if (error.status === 429 || error.status === 401) {
+        console.log(`   ℹ️  Integration test received expected error: ${error.status}`);
+      } else if (error.message.includes('Connection error') || error.message.includes('network')) {
+        console.log(`   ℹ️  Network connection issue: ${error.message}`);
+      } else {
+        throw error;
+      }
+    }
+  }, {
+    skipIf: () => config.unitOnly || !TestEnv.hasApiKey()
+  });
+
+  runner.test('Cost projection calculations', () => {
+    const avgTokens = 100;
+    const conversations = 1000;
+    const model = 'gpt-4o-mini';
+
+    // Manual calculation for comparison (40% input, 60% output)
+    const pricing = getPricing()[model];
+    const inputCost = (avgTokens * 0.4 * conversations / 1_000_000) * pricing.input;
+    const outputCost = (avgTokens * 0.6 * conversations / 1_000_000) * pricing.output;
+
+    const projection = calculateProjectedCosts(avgTokens, conversations, model);
+
+    TestAssert.approximately(projection.inputCost, inputCost);
+    TestAssert.approximately(projection.outputCost, outputCost);
+    TestAssert.approximately(projection.totalCost, inputCost + outputCost);
+    TestAssert.approximately(projection.costPerConversation, (inputCost + outputCost) / conversations);
+    assert(projection.totalTokens === avgTokens * conversations, 'Should project total tokens');
+    assert(projection.outputCost > projection.inputCost, 'Output cost should be higher than input cost for this model');
+  });
+
+  runner.test('Edge cases - zero tokens', () => {
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    const costs = calculateCost(usage, 'gpt-4o-mini');
+
+    assert(costs.inputCost === 0, 'Zero input tokens should cost nothing');
+    assert(costs.outputCost === 0, 'Zero output tokens should cost nothing');
+    assert(costs.total === 0, 'Zero total tokens should cost nothing');
+  });
+
+  runner.test('Edge cases - large token counts', () => {
+    const usage = { prompt_tokens: 1_000_000, completion_tokens: 500_000, total_tokens: 1_500_000 };
+    const costs = calculateCost(usage, 'gpt-4o');
+
+    TestAssert.isValidCost(costs.inputCost);
+    TestAssert.isValidCost(costs.outputCost);
+    TestAssert.isValidCost(costs.total);
+
+    // For 1M input tokens at $2.50 per 1M = $2.50
+    TestAssert.approximately(costs.inputCost, 2.50, 0.01);
+    // For 500K output tokens at $10.00 per 1M = $5.00
+    TestAssert.approximately(costs.outputCost, 5.00, 0.01);
+    // Total should be $7.50
+    TestAssert.approximately(costs.total, 7.50, 0.01);
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,182 @@
+/**
+ * Tests for lib/latency.js and CostTracker's latency tracking
+ *
+ * Tests cover:
+ * - p50/p90/p99 per model, skipping calls without a measurement
+ * - Histogram buckets and bars
+ * - Streamed calls: time to first token, tokens/second, usage from the final chunk
+ * - Retries and queue time from the client's attempts
+ * - Latency in running totals, reports, the ledger and exports
+ */
+
+import assert from 'assert';
+import { TestRunner, TestAssert } from '../utils/test-helpers.js';
+import { HISTOGRAM_BUCKETS, formatDuration, formatHistogram, latencyHistogram, summarizeLatency } from '../../lib/latency.js';
+import { CostTracker } from '../../lib/cost-tracker.js';
+import { toLedgerEntry } from '../../lib/usage-ledger.js';
+import { createOpenAIClient } from '../../lib/openai-client.js';
+import { StandInAPI, OFFLINE_API_KEY, createStandInFetch } from '../../lib/stand-in-api.js';
+
+const MESSAGES = [{ role: 'user', content: 'Tell me a story.' }];
+const USAGE = { prompt_tokens: 12, completion_tokens: 40, total_tokens: 52 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fetch that streams `pieces` as chat completion chunks, `gap` ms apart, then the usage chunk
+ */
+function createStreamingFetch(pieces, { firstDelay = 40, gap = 15 } = {}) {
+  const chunk = (fields) => `data: ${JSON.stringify({ id: 'chatcmpl-1', object: 'chat.completion.chunk', created: 1, model: 'gpt-4o-mini', ...fields })}\n\n`;
+
+  return async () => {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+      async start(controller) {
+        await sleep(firstDelay);
+        for (const piece of pieces) {
+          controller.enqueue(encoder.encode(chunk({ choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] })));
+          await sleep(gap);
+        }
+        controller.enqueue(encoder.encode(chunk({ choices: [], usage: USAGE })));
+        controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+        controller.close();
+      }
+    });
+    return new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } });
+  };
+}
+
+/**
+ * Run a function with stdout captured instead of printed
+ */
+function captureOutput(fn) {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = (chunk) => lines.push(String(chunk));
+  try {
+    fn();
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines.join('');
+}
+
+function createClient(fetch) {
+  return createOpenAIClient({ apiKey: OFFLINE_API_KEY, maxRetries: 2, budget: null, fetch }, {});
+}
+
+/**
+ * Test suite for latency.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Percentiles - p50/p90/p99 per model', () => {
+    const session = (model, responseTime, extra = {}) => ({ model, responseTime, ...extra });
+    const sessions = [
+      ...Array.from({ length: 100 }, (_, index) => session('gpt-4o-mini', (index + 1) * 10, { retries: index === 0 ? 2 : 0, queueTime: 1 })),
+      session('gpt-4o', 900, { timeToFirstToken: 200, tokensPerSecond: 40 }),
+      session('gpt-4o', 0, { timeToFirstToken: 400, tokensPerSecond: 60 })
+    ];
+
+    const { 'gpt-4o-mini': mini, 'gpt-4o': full } = summarizeLatency(sessions);
+    TestAssert.approximately(mini.responseTime.p50, 505);
+    TestAssert.approximately(mini.responseTime.p90, 901);
+    TestAssert.approximately(mini.responseTime.p99, 990.1);
+    assert(mini.retries === 2 && mini.retriedCalls === 1, 'Should count retries');
+    assert(mini.timeToFirstToken === null && mini.tokensPerSecond === null, 'Non-streamed calls have no TTFT');
+    assert(full.responseTime.count === 1, 'Unmeasured (0ms) calls should be skipped');
+    TestAssert.approximately(full.timeToFirstToken.p50, 300);
+    TestAssert.approximately(full.tokensPerSecond, 50);
+  });
+
+  runner.test('Histogram - buckets and bars', () => {
+    const histogram = latencyHistogram([100, 200, 300, 1500, 9000, 0]);
+    assert(histogram.length === HISTOGRAM_BUCKETS.length + 1, 'One bucket per bound plus an open-ended one');
+    assert.deepStrictEqual(histogram.map(bucket => bucket.count), [2, 1, 0, 1, 0, 0, 1]);
+    assert(histogram[6].label === '≥ 8.00s' && histogram[0].label === '< 250ms', 'Should label the buckets');
+
+    const lines = formatHistogram([100, 200, 600], { width: 10 });
+    assert(lines.length === 3, `Empty buckets past the slowest call are left out, got ${lines.length}`);
+    assert(lines[0].endsWith('██████████ 2') && lines[2].endsWith('█████ 1'), `Bars should scale to the largest bucket: ${lines.join(' / ')}`);
+    assert(formatDuration(420) === '420ms' && formatDuration(1250) === '1.25s', 'Should format durations');
+  });
+
+  runner.test('Streaming - time to first token, speed and final-chunk usage', async () => {
+    const client = createClient(createStreamingFetch(['Once', ' upon', ' a', ' time']));
+    const tracker = new CostTracker({ client, ledger: null });
+    const deltas = [];
+
+    const session = await tracker.trackStream(MESSAGES, 'gpt-4o-mini', 'Story', { onDelta: (delta) => deltas.push(delta) });
+
+    assert(deltas.join('') === 'Once upon a time' && session.response === 'Once upon a time', 'Should stream and keep the reply');
+    assert.deepStrictEqual(session.usage, USAGE, 'Usage should come from the final chunk');
+    assert(session.timeToFirstToken >= 35 && session.timeToFirstToken < session.responseTime, `TTFT should precede the end: ${session.timeToFirstToken}ms`);
+    assert(session.tokensPerSecond > 0, 'Should measure output speed');
+    assert(session.retries === 0 && session.queueTime >= 0, 'Should record attempts');
+    TestAssert.approximately(tracker.totalCost, session.costs.total);
+  });
+
+  runner.test('Retries and queue time - from the client\'s attempts', async () => {
+    const standIn = createStandInFetch(new StandInAPI());
+    let calls = 0;
+    const flaky = async (url, init) => {
+      calls++;
+      if (calls === 1) {
+        return new Response(JSON.stringify({ error: { message: 'Slow down', type: 'rate_limit_error' } }), {
+          status: 429,
+          headers: { 'content-type': 'application/json', 'retry-after-ms': '5' }
+        });
+      }
+      return standIn(url, init);
+    };
+
+    const tracker = new CostTracker({ client: createClient(flaky), ledger: null });
+    await tracker.trackConversation([{ role: 'user', content: 'Say hello world!' }], 'gpt-4o-mini', 'Flaky');
+
+    const [session] = tracker.sessions;
+    assert(calls === 2 && session.retries === 1, `Should count one retry, got ${session.retries}`);
+    assert(session.queueTime >= 0 && session.queueTime <= session.responseTime, 'Queue time is part of the response time');
+    assert(session.timeToFirstToken === null, 'Non-streamed calls have no TTFT');
+    assert(tracker.client.usageRecorder.entries[0].retries === 1, 'The usage record should carry the retry count');
+  });
+
+  runner.test('Reports - latency in totals, reports, the ledger and exports', () => {
+    const tracker = new CostTracker({ ledger: null });
+    [300, 600, 2500].forEach((responseTime, index) => tracker.recordUsage({
+      model: 'gpt-4o-mini', usage: USAGE, responseTime, retries: index, queueTime: 2, timeToFirstToken: 100 + index, tokensPerSecond: 30
+    }));
+
+    const totals = captureOutput(() => tracker.displayRunningTotals());
+    assert(/LATENCY:\n\s+gpt-4o-mini: p50 600ms · p90 2\.12s · p99 2\.46s \(TTFT p50 101ms, 3 retries\)/.test(totals), `Should print percentiles per model:\n${totals}`);
+
+    const report = captureOutput(() => tracker.generateReport());
+    assert(report.includes('Retries: 3 (2 of 3 calls retried)'), 'Should report retries');
+    assert(report.includes('Output speed: 30.0 tokens/s'), 'Should report output speed');
+    assert(/< 500ms │█+ 1\n.*< 1\.00s │█+ 1\n.*< 4\.00s │█+ 1/s.test(report), `Should print a histogram:\n${report}`);
+
+    const entry = toLedgerEntry(tracker.sessions[1]);
+    assert(entry.retries === 1 && entry.timeToFirstToken === 101 && entry.queueTime === 2, 'The ledger should keep latency');
+
+    for (const format of ['csv', 'json']) {
+      const [restored] = CostTracker.fromExport(tracker.export(format), format).sessions;
+      assert(restored.timeToFirstToken === 100 && restored.tokensPerSecond === 30 && restored.retries === 0, `${format}: should round-trip latency`);
+    }
+    const [imported] = CostTracker.fromExport('Model,InputTokens,OutputTokens,TotalCost\r\ngpt-4o,1,1,0.1', 'csv').sessions;
+    assert(imported.timeToFirstToken === null && imported.retries === null, 'Older exports have no latency');
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
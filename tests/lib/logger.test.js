@@ -0,0 +1,192 @@
+/**
+ * Tests for lib/logger.js
+ *
+ * Tests cover:
+ * - Level filtering and output streams
+ * - Pretty and JSON output formats
+ * - Redaction of every known secret pattern in messages, fields, nested
+ *   values and errors, in both formats
+ * - Sensitive field names and known secret environment values
+ */
+
+import assert from 'assert';
+import { TestRunner } from '../utils/test-helpers.js';
+import { createLogger, redact, redactString, REDACTED } from '../../lib/logger.js';
+
+const WEATHER_KEY = '0123456789abcdef0123456789abcdef';
+
+/**
+ * Secret values that must never reach log output
+ */
+const SECRETS = [
+  'sk-1234567890abcdef1234567890abcdef12345678',
+  'sk-proj-AbCdEfGhIjKlMnOp1234567890',
+  'sk-svcacct-ZyXwVuTsRqPo0987654321',
+  'org-AbC123xyz789',
+  'eyJhbGciOiJIUzI1NiJ9.payload.signature',
+  WEATHER_KEY,
+  'hunter2-password',
+  'dXNlcjpzM2NyZXQ='
+];
+
+/**
+ * The same secrets as they typically appear in real log lines
+ */
+const LEAKY_TEXT = [
+  `OPENAI_API_KEY=${SECRETS[0]}`,
+  `Using key ${SECRETS[1]} for project`,
+  `service account ${SECRETS[2]}`,
+  `OpenAI-Organization: ${SECRETS[3]}`,
+  `Authorization: Bearer ${SECRETS[4]}`,
+  `curl -H "authorization: basic ${SECRETS[7]}"`,
+  `retrying with Bearer ${SECRETS[4]}`,
+  `WeatherAPI URL: http://api.weatherapi.com/v1/current.json?key=${WEATHER_KEY}&q=London`,
+  `https://example.com/login?user=bob&password=${SECRETS[6]}`
+];
+
+const ENV = { OPENAI_API_KEY: SECRETS[0], OPENAI_ORG_ID: SECRETS[3], WEATHER_API_KEY: WEATHER_KEY };
+
+/**
+ * Logger that collects output lines instead of printing them
+ */
+function captureLogger(options = {}) {
+  const lines = [];
+  const log = createLogger('test', { env: ENV, write: (level, line) => lines.push({ level, line }), ...options });
+  return { log, lines, output: () => lines.map(entry => entry.line).join('\n') };
+}
+
+function assertNoSecrets(output) {
+  for (const secret of SECRETS) {
+    assert(!output.includes(secret), `Output leaked secret "${secret.substring(0, 6)}...": ${output}`);
+  }
+}
+
+/**
+ * Test suite for logger.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Levels - messages below the configured level are dropped', () => {
+    const { log, lines } = captureLogger({ level: 'warn' });
+
+    log.debug('debug');
+    log.info('info');
+    log.warn('warn');
+    log.error('error');
+
+    assert.deepStrictEqual(lines.map(entry => entry.level), ['warn', 'error'], 'Only warn and error should be written');
+  });
+
+  runner.test('Levels - unknown level is rejected', () => {
+    assert.throws(() => createLogger('test', { level: 'loud' }), /Unknown log level/);
+  });
+
+  runner.test('Pretty format - console-style message with trailing fields', () => {
+    const { log, lines } = captureLogger();
+
+    log.info('Agent:', 'Hello there', { model: 'gpt-4o-mini', tokens: 42 });
+
+    assert(lines[0].line === 'Agent: Hello there model=gpt-4o-mini tokens=42', `Unexpected line: ${lines[0].line}`);
+  });
+
+  runner.test('JSON format - one object per line with module and child bindings', () => {
+    const { log, lines } = captureLogger({ format: 'json' });
+
+    log.child({ requestId: 'req_1' }).warn('Slow response', { responseTime: 1200 });
+    const entry = JSON.parse(lines[0].line);
+
+    assert(entry.level === 'warn', 'Should record the level');
+    assert(entry.module === 'test', 'Should record the module');
+    assert(entry.msg === 'Slow response', 'Should record the message');
+    assert(entry.requestId === 'req_1', 'Should include child bindings');
+    assert(entry.responseTime === 1200, 'Should include fields');
+    assert(!isNaN(Date.parse(entry.time)), 'Should include a timestamp');
+  });
+
+  runner.test('Redaction - every known secret pattern is removed from strings', () => {
+    for (const text of LEAKY_TEXT) {
+      const redacted = redactString(text, {});
+      assertNoSecrets(redacted);
+      assert(redacted.includes(REDACTED), `Should mark the redaction in: ${redacted}`);
+    }
+  });
+
+  runner.test('Redaction - no secret reaches output in any position or format', () => {
+    for (const format of ['pretty', 'json']) {
+      const { log, output } = captureLogger({ format, level: 'debug' });
+
+      for (const text of LEAKY_TEXT) {
+        log.info(text);
+        log.debug('Request', { url: text });
+        log.warn('Nested', { request: { headers: [text], note: text } });
+        log.error('Failed:', new Error(text));
+        log.error('Failed', { error: new Error(text) });
+      }
+
+      log.info('Config', {
+        apiKey: SECRETS[0],
+        organization: SECRETS[3],
+        authorization: `Bearer ${SECRETS[4]}`,
+        password: SECRETS[6],
+        raw: WEATHER_KEY
+      });
+      log.info('Raw values:', SECRETS[0], SECRETS[3], WEATHER_KEY);
+
+      assertNoSecrets(output());
+    }
+  });
+
+  runner.test('Redaction - sensitive field names are masked, usage fields are kept', () => {
+    const result = redact({
+      apiKey: 'anything',
+      Authorization: 'anything',
+      usage: { prompt_tokens: 10, total_tokens: 20 },
+      totalTokens: 30
+    }, {});
+
+    assert(result.apiKey === REDACTED, 'apiKey should be masked');
+    assert(result.Authorization === REDACTED, 'Authorization should be masked');
+    assert(result.usage.prompt_tokens === 10, 'Token counts are not secrets');
+    assert(result.totalTokens === 30, 'Token totals are not secrets');
+
+    for (const format of ['pretty', 'json']) {
+      const { log, lines } = captureLogger({ format });
+      log.info({ password: 'hunter2', api_key: 'plainsecret' });
+      log.info('Config:', { nested: { secret: 'plainsecret' } }, 'and', [{ access_token: 'hunter2' }]);
+      const output = lines.map(({ line }) => line).join('\n');
+      assert(!output.includes('hunter2') && !output.includes('plainsecret'), `Objects in the message should be masked (${format}):\n${output}`);
+      assert(output.includes(REDACTED), `The masked fields should still show (${format})`);
+    }
+  });
+
+  runner.test('Redaction - ordinary text is left alone', () => {
+    const text = 'Task: summarise the sk- prefix docs; cost $0.0012 for 42 tokens';
+
+    assert(redactString(text, {}) === text, 'Should not change text without secrets');
+
+    const prose = [
+      'Module 2: Basic Chatbot Development',
+      'Explain basic arithmetic, then basic algebra',
+      'The bearer of this letter is a friend',
+      'Bearer tokens and Basic authentication are covered in chapter 3'
+    ];
+    for (const line of prose) {
+      assert(redactString(line, {}) === line, `Should not change "${line}"`);
+    }
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,183 @@
+/**
+ * Tests for lib/model-comparison.js
+ *
+ * Tests cover:
+ * - Every prompt runs on every model with repeats, through the tracker
+ * - exact, regex, json-schema and llm-judge graders
+ * - Custom graders and prompt set validation
+ * - Mean/p95 latency, token, cost and quality matrix
+ * - Failed calls are reported instead of stopping the run
+ * - The shipped prompt set validates
+ */
+
+import assert from 'assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TestRunner, TestAssert, TestEnv } from '../utils/test-helpers.js';
+import {
+  PromptSetError,
+  compareModels,
+  formatComparison,
+  loadPromptSet,
+  parseComparisonArgs,
+  qualityByPrompt,
+  registerGrader,
+  summarizeComparison,
+  validateJsonSchema
+} from '../../lib/model-comparison.js';
+import { percentile } from '../../lib/stats.js';
+import { CostTracker } from '../../lib/cost-tracker.js';
+
+const RULES = [
+  { match: '^Criteria:', reply: '{"score": 8, "reason": "Clear and correct."}' },
+  { match: 'capital of France', reply: 'Paris' },
+  { match: 'JSON', reply: '```json\n{"city": "Tokyo", "population": 14000000}\n```' }
+];
+
+const PROMPT_SET = {
+  name: 'test',
+  system: 'Answer briefly.',
+  prompts: [
+    {
+      id: 'capital',
+      prompt: 'What is the capital of France?',
+      graders: [{ type: 'exact', expected: 'paris' }, { type: 'regex', pattern: '^Lyon$' }]
+    },
+    {
+      id: 'json',
+      prompt: 'Describe Tokyo as JSON.',
+      graders: [{ type: 'json-schema', schema: { type: 'object', required: ['city', 'population'], properties: { population: { type: 'integer', minimum: 1 } } } }]
+    },
+    {
+      id: 'explain',
+      prompt: 'Explain recursion.',
+      graders: [{ type: 'llm-judge', criteria: 'Accurate' }]
+    }
+  ]
+};
+
+/**
+ * Test suite for model-comparison.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Runs - every prompt on every model, with repeats', async () => {
+    const client = TestEnv.createStandInClient({ standIn: { rules: RULES } });
+    const tracker = new CostTracker({ client, ledger: null });
+    const seen = [];
+
+    const results = await compareModels(PROMPT_SET, ['gpt-4o-mini', 'gpt-4o'], 2, { client, tracker, onResult: (result) => seen.push(result) });
+
+    assert(results.length === 2 * 3 * 2, `Expected 12 results, got ${results.length}`);
+    assert(seen.length === results.length, 'Should report each result as it completes');
+    assert(results.every(result => !result.error && result.usage.total_tokens > 0), 'Every call should succeed');
+    // 12 compared calls plus 4 judge calls
+    assert(tracker.conversationCount === 16, `Should track every call, got ${tracker.conversationCount}`);
+    assert(tracker.sessions.some(session => session.description === 'Judge: explain'), 'Judge calls should be tracked');
+  });
+
+  runner.test('Graders - exact, regex, json-schema and llm-judge', async () => {
+    const client = TestEnv.createStandInClient({ standIn: { rules: RULES } });
+    const results = await compareModels(PROMPT_SET, ['gpt-4o-mini'], 1, { client, tracker: new CostTracker({ client, ledger: null }) });
+    const byPrompt = Object.fromEntries(results.map(result => [result.promptId, result]));
+
+    assert.deepStrictEqual(byPrompt.capital.scores.map(score => score.score), [1, 0], 'Exact ignores case; the regex should fail');
+    TestAssert.approximately(byPrompt.capital.quality, 0.5);
+    assert(byPrompt.json.quality === 1, `Fenced JSON should validate: ${byPrompt.json.scores[0].reason}`);
+    TestAssert.approximately(byPrompt.explain.quality, 0.8);
+    assert(byPrompt.explain.scores[0].reason === 'Clear and correct.', 'Should keep the judge reason');
+  });
+
+  runner.test('JSON Schema - reports each problem', () => {
+    const schema = {
+      type: 'object',
+      required: ['name', 'tags'],
+      properties: { name: { type: 'string', minLength: 2 }, tags: { type: 'array', items: { enum: ['a', 'b'] } } },
+      additionalProperties: false
+    };
+
+    assert.deepStrictEqual(validateJsonSchema({ name: 'ok', tags: ['a'] }, schema), []);
+    const problems = validateJsonSchema({ name: 'x', tags: ['c'], extra: 1 }, schema);
+    assert(problems.length === 3, `Expected three problems: ${problems.join('; ')}`);
+    assert(validateJsonSchema(1.5, { type: 'integer' }).length === 1, 'Should check integers');
+  });
+
+  runner.test('Matrix - latency percentiles, tokens, cost and quality per model', () => {
+    const result = (model, latencyMs, quality, cost) => ({
+      model, promptId: 'p', repeat: 1, latencyMs, quality, cost,
+      usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 }
+    });
+    const results = [
+      ...[100, 200, 300, 400].map((latency, index) => result('fast', latency, index % 2, 0.001)),
+      result('slow', 1000, 1, 0.01),
+      { model: 'slow', promptId: 'p', repeat: 2, latencyMs: 5, error: 'Rate limited' }
+    ];
+
+    const [fast, slow] = summarizeComparison(results);
+    assert(fast.runs === 4 && fast.errors === 0, 'Should count runs');
+    TestAssert.approximately(fast.latency.mean, 250);
+    TestAssert.approximately(fast.latency.p95, percentile([100, 200, 300, 400], 95));
+    TestAssert.approximately(fast.quality, 0.5);
+    TestAssert.approximately(fast.cost.total, 0.004);
+    assert(slow.errors === 1 && slow.latency.mean === 1000, 'Failed calls should not count towards latency');
+    assert(qualityByPrompt(results).p.slow === 1, 'Should break quality down by prompt');
+
+    const table = formatComparison([fast, slow], { markdown: true }).split('\n');
+    assert(table[0].startsWith('| Model') && table.length === 4, 'Should render a Markdown table');
+  });
+
+  runner.test('Errors - failed calls are kept as results', async () => {
+    const client = TestEnv.createStandInClient({ standIn: { rules: RULES } });
+    const results = await compareModels(PROMPT_SET, ['not-a-model'], 1, { client, tracker: new CostTracker({ client, ledger: null }) });
+
+    assert(results.length === 3 && results.every(result => result.error), 'Every call should fail without stopping the run');
+    assert(summarizeComparison(results)[0].quality === null, 'Failed models have no quality score');
+
+    // A judge that fails does not make the graded reply a failure
+    const judged = await compareModels(PROMPT_SET, ['gpt-4o-mini'], 1, { client, tracker: new CostTracker({ client, ledger: null }), judgeModel: 'not-a-model' });
+    const explain = judged.find(result => result.promptId === 'explain');
+    assert(!explain.error && explain.cost > 0, 'The reply is kept with its cost');
+    assert(explain.scores[0].score === 0 && explain.scores[0].error && /^grader failed: /.test(explain.scores[0].reason), `The grader's failure is its reason: ${explain.scores[0].reason}`);
+    const [row] = summarizeComparison(judged);
+    assert(row.errors === 0, 'The model made no errors');
+    TestAssert.approximately(row.cost.total, judged.reduce((sum, result) => sum + result.cost, 0), 1e-12, 'Every reply counts towards the cost');
+  });
+
+  runner.test('Prompt sets - validation, custom graders and the shipped set', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'prompt-set-'));
+    try {
+      const path = join(dir, 'set.json');
+      writeFileSync(path, JSON.stringify({ name: 'x', prompts: [{ id: 'a', prompt: 'Hi', graders: [{ type: 'length' }] }] }));
+      assert.throws(() => loadPromptSet(path), (error) => error instanceof PromptSetError && /unknown grader "length"/.test(error.message));
+
+      registerGrader('length', (spec) => async (output) => ({ score: output.length <= (spec.max || 10) ? 1 : 0, reason: 'length' }));
+      assert(loadPromptSet(path).prompts[0].graders[0].type === 'length', 'Registered graders should be accepted');
+
+      writeFileSync(path, JSON.stringify({ name: 'x', prompts: [] }));
+      assert.throws(() => loadPromptSet(path), /at least one prompt/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+
+    const shipped = loadPromptSet();
+    assert(shipped.prompts.length > 0, 'The shipped prompt set should load');
+    assert.deepStrictEqual(parseComparisonArgs(['--models', 'gpt-4o-mini, gpt-4o', '--repeats=3']), { models: ['gpt-4o-mini', 'gpt-4o'], repeats: 3 });
+    assert.throws(() => parseComparisonArgs(['--repeats', '0']), /positive integer/);
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
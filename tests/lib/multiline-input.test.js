@@ -0,0 +1,83 @@
+/**
+ * Tests for lib/multiline-input.js
+ *
+ * Tests cover:
+ * - Single lines, and lines continued with \
+ * - Paste mode between """ lines
+ * - Code fences held open until they close
+ * - Dropping a message part way
+ */
+
+import assert from 'assert';
+import { TestRunner } from '../utils/test-helpers.js';
+import { createInputCollector } from '../../lib/multiline-input.js';
+
+/**
+ * Push lines into a collector, returning the messages it completed
+ */
+function collect(input, lines) {
+  const messages = [];
+  for (const line of lines) {
+    const { done, text } = input.push(line);
+    if (done) messages.push(text);
+  }
+  return messages;
+}
+
+/**
+ * Test suite for multiline-input.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Lines - one per message, or continued with \\', () => {
+    const input = createInputCollector();
+    assert.deepStrictEqual(input.push('Hello'), { done: true, text: 'Hello' });
+    assert(!input.pending);
+
+    assert.deepStrictEqual(input.push('First line\\'), { done: false });
+    assert(input.pending, 'A continued line waits for more');
+    assert.deepStrictEqual(collect(input, ['second \\', 'third']), ['First line\nsecond \nthird']);
+    assert(!input.pending);
+  });
+
+  runner.test('Paste mode - everything between """ lines', () => {
+    const input = createInputCollector();
+    const messages = collect(input, ['"""', 'def f():', '', '    return 1 \\', '  """  ', 'After']);
+    assert.deepStrictEqual(messages, ['def f():\n\n    return 1 \\', 'After'], 'Blank lines and backslashes are kept as pasted');
+
+    assert.deepStrictEqual(collect(input, ['Say """ hi']), ['Say """ hi'], 'Quotes inside a line are text');
+    assert.deepStrictEqual(collect(input, ['"""', '"""']), [''], 'An empty paste is an empty message');
+  });
+
+  runner.test('Code fences - held open until closed', () => {
+    const input = createInputCollector();
+    const messages = collect(input, ['Why does this fail?', 'Look:', '```js', 'const a = 1; \\', '~~~', '```', 'Thanks']);
+    assert.deepStrictEqual(messages, ['Why does this fail?', 'Look:', '```js\nconst a = 1; \\\n~~~\n```', 'Thanks'], 'Only a matching fence closes the block');
+
+    assert.deepStrictEqual(collect(input, ['Review this:\\', '````', '```', '````']), ['Review this:\n````\n```\n````'], 'A shorter fence does not close a longer one');
+  });
+
+  runner.test('Reset - drops a message part way', () => {
+    const input = createInputCollector();
+    collect(input, ['"""', 'half a paste']);
+    assert(input.pending);
+    input.reset();
+    assert(!input.pending, 'Nothing is waiting after a reset');
+    assert.deepStrictEqual(input.push('"""'), { done: false }, 'A new paste can start');
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,144 @@
+/**
+ * Tests for lib/openai-client.js
+ *
+ * Tests cover:
+ * - Reading configuration from environment variables
+ * - Validation of key format, organization, base URL, timeout and retries
+ * - Fail-fast client creation with OpenAIConfigError
+ * - Overrides taking precedence over the environment
+ */
+
+import assert from 'assert';
+import { OpenAI } from 'openai';
+import { TestRunner } from '../utils/test-helpers.js';
+import {
+  CLIENT_DEFAULTS,
+  OpenAIConfigError,
+  loadClientConfig,
+  validateClientConfig,
+  resolveClientConfig,
+  createOpenAIClient
+} from '../../lib/openai-client.js';
+
+const VALID_KEY = 'sk-test1234567890abcdef1234567890abcdef';
+
+/**
+ * Test suite for openai-client.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Config loading - defaults when only the key is set', () => {
+    const clientConfig = loadClientConfig({ OPENAI_API_KEY: VALID_KEY });
+
+    assert(clientConfig.apiKey === VALID_KEY, 'Should read the API key');
+    assert(clientConfig.organization === undefined, 'Organization should be optional');
+    assert(clientConfig.baseURL === undefined, 'Base URL should be optional');
+    assert(clientConfig.timeout === CLIENT_DEFAULTS.timeout, 'Should use default timeout');
+    assert(clientConfig.maxRetries === CLIENT_DEFAULTS.maxRetries, 'Should use default retries');
+    assert(clientConfig.defaultModel === CLIENT_DEFAULTS.defaultModel, 'Should use default model');
+  });
+
+  runner.test('Config loading - reads every supported variable', () => {
+    const clientConfig = loadClientConfig({
+      OPENAI_API_KEY: ` ${VALID_KEY} `,
+      OPENAI_ORG_ID: 'org-abc123',
+      OPENAI_BASE_URL: 'http://localhost:8080/v1',
+      OPENAI_TIMEOUT_MS: '5000',
+      OPENAI_MAX_RETRIES: '0',
+      OPENAI_MODEL: 'gpt-4o'
+    });
+
+    assert(clientConfig.apiKey === VALID_KEY, 'Should trim the API key');
+    assert(clientConfig.organization === 'org-abc123', 'Should read organization');
+    assert(clientConfig.baseURL === 'http://localhost:8080/v1', 'Should read base URL');
+    assert(clientConfig.timeout === 5000, 'Should parse timeout as integer');
+    assert(clientConfig.maxRetries === 0, 'Should allow zero retries');
+    assert(clientConfig.defaultModel === 'gpt-4o', 'Should read default model');
+  });
+
+  runner.test('Validation - valid configuration has no problems', () => {
+    const problems = validateClientConfig(loadClientConfig({
+      OPENAI_API_KEY: VALID_KEY,
+      OPENAI_ORG_ID: 'org-abc123',
+      OPENAI_BASE_URL: 'https://api.openai.com/v1'
+    }));
+
+    assert.deepStrictEqual(problems, [], 'Valid configuration should have no problems');
+  });
+
+  runner.test('Validation - reports every problem at once', () => {
+    const problems = validateClientConfig(loadClientConfig({
+      OPENAI_API_KEY: 'not-a-key',
+      OPENAI_ORG_ID: 'my-org',
+      OPENAI_BASE_URL: 'ftp://example.com',
+      OPENAI_TIMEOUT_MS: 'soon',
+      OPENAI_MAX_RETRIES: '-1'
+    }));
+
+    assert(problems.length === 5, `Should report 5 problems, got ${problems.length}`);
+    assert(problems.some(p => p.includes('OPENAI_API_KEY')), 'Should report key format');
+    assert(problems.some(p => p.includes('OPENAI_ORG_ID')), 'Should report organization');
+    assert(problems.some(p => p.includes('OPENAI_BASE_URL')), 'Should report base URL');
+    assert(problems.some(p => p.includes('OPENAI_TIMEOUT_MS')), 'Should report timeout');
+    assert(problems.some(p => p.includes('OPENAI_MAX_RETRIES')), 'Should report retries');
+  });
+
+  runner.test('Validation - missing API key', () => {
+    const problems = validateClientConfig(loadClientConfig({}));
+
+    assert(problems.length === 1, 'Should report only the missing key');
+    assert(problems[0].includes('not set'), 'Should explain that the key is missing');
+  });
+
+  runner.test('Client creation - fails fast with OpenAIConfigError', () => {
+    assert.throws(() => {
+      createOpenAIClient({}, { OPENAI_API_KEY: 'invalid-key' });
+    }, (error) => {
+      assert(error instanceof OpenAIConfigError, 'Should throw OpenAIConfigError');
+      assert(Array.isArray(error.problems), 'Error should carry the problem list');
+      assert(error.message.includes('OPENAI_API_KEY'), 'Message should name the variable');
+      return true;
+    });
+  });
+
+  runner.test('Client creation - applies settings to the OpenAI client', () => {
+    const client = createOpenAIClient({}, {
+      OPENAI_API_KEY: VALID_KEY,
+      OPENAI_ORG_ID: 'org-abc123',
+      OPENAI_BASE_URL: 'http://localhost:8080/v1',
+      OPENAI_TIMEOUT_MS: '1234',
+      OPENAI_MAX_RETRIES: '5'
+    });
+
+    assert(client instanceof OpenAI, 'Should create OpenAI client instance');
+    assert(client.organization === 'org-abc123', 'Should set organization header');
+    assert(client.baseURL === 'http://localhost:8080/v1', 'Should set base URL');
+    assert(client.timeout === 1234, 'Should set timeout');
+    assert(client.maxRetries === 5, 'Should set max retries');
+  });
+
+  runner.test('Client creation - overrides take precedence over environment', () => {
+    const resolved = resolveClientConfig(
+      { timeout: 999, defaultModel: 'gpt-4o' },
+      { OPENAI_API_KEY: VALID_KEY, OPENAI_TIMEOUT_MS: '5000' }
+    );
+
+    assert(resolved.timeout === 999, 'Override should win over environment');
+    assert(resolved.defaultModel === 'gpt-4o', 'Override should set default model');
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,158 @@
+/**
+ * Tests for lib/pricing-catalog.js
+ *
+ * Tests cover:
+ * - The shipped data/pricing.json validates
+ * - Cached input, reasoning, audio and image token rates
+ * - Batch API discounts
+ * - Effective dates (historical usage priced at the rate of the day)
+ * - Dated model snapshots and unknown models
+ * - Catalog validation errors
+ */
+
+import assert from 'assert';
+import { TestRunner, TestAssert } from '../utils/test-helpers.js';
+import {
+  DEFAULT_PRICING_PATH,
+  PricingCatalog,
+  PricingCatalogError,
+  normalizeUsage
+} from '../../lib/pricing-catalog.js';
+
+const CATALOG = {
+  version: 'test',
+  batchDiscount: 0.5,
+  models: {
+    'chat-model': [
+      { effectiveFrom: '2024-01-01', input: 4, output: 12 },
+      { effectiveFrom: '2025-01-01', input: 2, cachedInput: 1, output: 8, reasoning: 10 }
+    ],
+    'voice-model': [
+      { effectiveFrom: '2024-01-01', input: 2, output: 10, audioInput: 40, audioOutput: 80, batchDiscount: 0 }
+    ],
+    'image-model': [
+      { effectiveFrom: '2024-01-01', input: 5, output: 40, imageInput: 10 }
+    ]
+  }
+};
+
+/**
+ * Test suite for pricing-catalog.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+  const catalog = new PricingCatalog(CATALOG);
+
+  runner.test('Catalog file - data/pricing.json validates', () => {
+    const shipped = PricingCatalog.load(DEFAULT_PRICING_PATH);
+
+    assert(shipped.version, 'Should carry a version');
+    for (const model of ['gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo', 'gpt-4.1']) {
+      assert(shipped.rates(model), `Should price ${model}`);
+    }
+  });
+
+  runner.test('Usage - categories are split out of prompt and completion tokens', () => {
+    const tokens = normalizeUsage({
+      prompt_tokens: 1000,
+      completion_tokens: 500,
+      prompt_tokens_details: { cached_tokens: 400, audio_tokens: 100 },
+      completion_tokens_details: { reasoning_tokens: 200, audio_tokens: 50 }
+    });
+
+    assert.deepStrictEqual(tokens, {
+      input: 500, cachedInput: 400, audioInput: 100, imageInput: 0,
+      output: 250, reasoning: 200, audioOutput: 50, imageOutput: 0
+    });
+
+    const responsesStyle = normalizeUsage({ input_tokens: 30, output_tokens: 20, input_tokens_details: { image_tokens: 10 } });
+    assert(responsesStyle.input === 20 && responsesStyle.imageInput === 10 && responsesStyle.output === 20, 'Should read Responses-style usage');
+  });
+
+  runner.test('Pricing - cached input and reasoning tokens use their own rates', () => {
+    const usage = {
+      prompt_tokens: 1_000_000,
+      completion_tokens: 1_000_000,
+      prompt_tokens_details: { cached_tokens: 500_000 },
+      completion_tokens_details: { reasoning_tokens: 500_000 }
+    };
+    const costs = catalog.price(usage, 'chat-model', { date: '2025-06-01' });
+
+    TestAssert.approximately(costs.breakdown.input, 1.0);
+    TestAssert.approximately(costs.breakdown.cachedInput, 0.5);
+    TestAssert.approximately(costs.breakdown.output, 4.0);
+    TestAssert.approximately(costs.breakdown.reasoning, 5.0);
+    TestAssert.approximately(costs.total, 10.5);
+    assert(costs.priced === true, 'Should be priced');
+  });
+
+  runner.test('Pricing - audio and image tokens', () => {
+    const audio = catalog.price({
+      prompt_tokens: 1_000_000,
+      completion_tokens: 1_000_000,
+      prompt_tokens_details: { audio_tokens: 1_000_000 },
+      completion_tokens_details: { audio_tokens: 1_000_000 }
+    }, 'voice-model');
+    const image = catalog.price({ input_tokens: 1_000_000, output_tokens: 0, input_tokens_details: { image_tokens: 1_000_000 } }, 'image-model');
+
+    TestAssert.approximately(audio.inputCost, 40);
+    TestAssert.approximately(audio.outputCost, 80);
+    TestAssert.approximately(image.total, 10);
+  });
+
+  runner.test('Pricing - Batch API discount, with per-model override', () => {
+    const usage = { prompt_tokens: 1_000_000, completion_tokens: 0 };
+
+    TestAssert.approximately(catalog.price(usage, 'chat-model', { date: '2025-06-01', batch: true }).total, 1.0);
+    TestAssert.approximately(catalog.price(usage, 'voice-model', { batch: true }).total, 2.0);
+  });
+
+  runner.test('Effective dates - historical usage is priced at the rate of the day', () => {
+    const usage = { prompt_tokens: 1_000_000, completion_tokens: 1_000_000 };
+
+    TestAssert.approximately(catalog.price(usage, 'chat-model', { date: '2024-06-01T12:00:00Z' }).total, 16);
+    TestAssert.approximately(catalog.price(usage, 'chat-model', { date: new Date('2025-01-01') }).total, 10);
+    TestAssert.approximately(catalog.price(usage, 'chat-model', { date: '2023-01-01' }).total, 16, 0.000001, 'Dates before the first entry use the earliest rates');
+    assert(catalog.rates('chat-model', '2024-12-31').effectiveFrom === '2024-01-01', 'Should report which rates applied');
+  });
+
+  runner.test('Models - dated snapshots resolve, unknown models cost zero', () => {
+    assert(catalog.resolveModel('chat-model-2025-02-01') === 'chat-model', 'Should price snapshots as their base model');
+    assert(catalog.resolveModel('chat') === null, 'Should not match partial names');
+    for (const variant of ['chat-model-pro', 'chat-model-search-preview', 'chat-model-0125', 'other-model-2025-02-01']) {
+      assert(catalog.resolveModel(variant) === null, `${variant} is not priced as another model`);
+    }
+    assert(catalog.price({ prompt_tokens: 100, completion_tokens: 100 }, 'chat-model-pro').priced === false, 'Unknown variants are reported, not priced at the base rate');
+
+    const costs = catalog.price({ prompt_tokens: 100, completion_tokens: 100 }, 'mystery-model');
+    assert(costs.priced === false && costs.total === 0, 'Unknown models should not throw');
+  });
+
+  runner.test('Validation - bad catalogs list every problem', () => {
+    assert.throws(() => new PricingCatalog({
+      version: 'bad',
+      models: { 'a': [{ effectiveFrom: 'yesterday', input: -1, output: 1 }], 'b': [] }
+    }), (error) => {
+      assert(error instanceof PricingCatalogError, 'Should raise PricingCatalogError');
+      const text = error.problems.join('\n');
+      assert(text.includes('effectiveFrom') && text.includes('input') && text.includes('models.b'), `Should report each problem: ${text}`);
+      return true;
+    });
+
+    assert.throws(() => PricingCatalog.load('/does/not/exist.json'), /not found/);
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,229 @@
+/**
+ * Tests for lib/project-config.js
+ *
+ * Tests cover:
+ * - The shipped config file validates and defines every profile
+ * - Module settings resolution (module entry, profile defaults, built-ins)
+ * - Environment and CLI overrides and their precedence
+ * - Validation errors for bad files, overrides and profile names
+ * - Personas from the prompt library and their precedence over system prompts
+ * - Chat Completions and Agents SDK parameter helpers
+ */
+
+import assert from 'assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TestRunner } from '../utils/test-helpers.js';
+import {
+  DEFAULT_CONFIG_PATH,
+  MODULE_DEFAULTS,
+  ProjectConfigError,
+  agentModelOptions,
+  completionOptions,
+  loadProjectConfig,
+  parseConfigArgs,
+  readConfigFile,
+  resolveModuleSettings
+} from '../../lib/project-config.js';
+import { PromptLibrary, parsePromptTemplate } from '../../lib/prompt-library.js';
+
+/**
+ * Modules that read their settings from the config file
+ */
+const MODULES = ['setup', 'chatbot', 'weather', 'costDemo', 'persistentAssistant', 'fileAnalysis', 'agent', 'multiAgent'];
+
+const SAMPLE_CONFIG = {
+  defaultProfile: 'dev',
+  profiles: {
+    dev: {
+      defaults: { temperature: 0.5 },
+      modules: { chatbot: { model: 'gpt-4o-mini', maxTokens: 100, systemPrompt: 'Be brief.' } }
+    },
+    quality: {
+      modules: { chatbot: { model: 'gpt-4o' } }
+    }
+  }
+};
+
+/**
+ * Write a config object to a temporary file and run fn with its path
+ */
+function withConfigFile(config, fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'project-config-'));
+  const path = join(dir, 'config.json');
+  writeFileSync(path, typeof config === 'string' ? config : JSON.stringify(config));
+
+  try {
+    return fn(path);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Assert that fn throws a ProjectConfigError mentioning the given text
+ */
+function assertConfigError(fn, text) {
+  assert.throws(fn, (error) => {
+    assert(error instanceof ProjectConfigError, `Expected ProjectConfigError, got ${error.name}`);
+    assert(error.message.includes(text), `Expected "${text}" in: ${error.message}`);
+    return true;
+  });
+}
+
+/**
+ * Test suite for project-config.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Config file - shipped profiles validate and cover every module', () => {
+    const file = readConfigFile(DEFAULT_CONFIG_PATH);
+
+    for (const profile of ['dev', 'cheap', 'quality']) {
+      assert(file.profiles[profile], `Should define the ${profile} profile`);
+      for (const module of MODULES) {
+        const settings = resolveModuleSettings(module, { env: {}, argv: ['--profile', profile] });
+        assert(settings.model, `${profile}.${module} should have a model`);
+        assert(settings.systemPrompt, `${profile}.${module} should have a system prompt`);
+      }
+    }
+  });
+
+  runner.test('Resolution - module entry over profile defaults over built-ins', () => {
+    withConfigFile(SAMPLE_CONFIG, (path) => {
+      const chatbot = resolveModuleSettings('chatbot', { path, env: {}, argv: [] });
+      const other = resolveModuleSettings('weather', { path, env: {}, argv: [] });
+
+      assert(chatbot.profile === 'dev', 'Should use the default profile');
+      assert(chatbot.model === 'gpt-4o-mini' && chatbot.maxTokens === 100, 'Should use the module entry');
+      assert(chatbot.systemPrompt === 'Be brief.', 'Should use the module system prompt');
+      assert(other.temperature === 0.5, 'Should fall back to profile defaults');
+      assert(other.model === MODULE_DEFAULTS.model, 'Should fall back to built-in defaults');
+    });
+  });
+
+  runner.test('Overrides - CLI flags beat environment variables, which beat the file', () => {
+    withConfigFile(SAMPLE_CONFIG, (path) => {
+      const env = { OPENAI_PROFILE: 'quality', OPENAI_TEMPERATURE: '0.2', OPENAI_MAX_TOKENS: '64' };
+
+      const fromEnv = resolveModuleSettings('chatbot', { path, env, argv: [] });
+      assert(fromEnv.profile === 'quality' && fromEnv.model === 'gpt-4o', 'OPENAI_PROFILE should select the profile');
+      assert(fromEnv.temperature === 0.2 && fromEnv.maxTokens === 64, 'Env values should be parsed as numbers');
+
+      const fromCli = resolveModuleSettings('chatbot', { path, env, argv: ['--profile=dev', '--max-tokens', '32', '--model', 'gpt-4.1'] });
+      assert(fromCli.profile === 'dev', '--profile should beat OPENAI_PROFILE');
+      assert(fromCli.maxTokens === 32, '--max-tokens should beat OPENAI_MAX_TOKENS');
+      assert(fromCli.model === 'gpt-4.1', '--model should beat the module entry');
+      assert(fromCli.temperature === 0.2, 'Env overrides without a flag should still apply');
+    });
+  });
+
+  runner.test('CLI parsing - config flags are separated from script arguments', () => {
+    const { overrides, args } = parseConfigArgs(['New York', '--profile', 'cheap', '--temperature=0', '--verbose']);
+
+    assert.deepStrictEqual(overrides, { profile: 'cheap', temperature: 0 }, 'Should collect config flags');
+    assert.deepStrictEqual(args, ['New York', '--verbose'], 'Should leave other arguments alone');
+  });
+
+  runner.test('Validation - every problem in the file is reported', () => {
+    const broken = {
+      defaultProfile: 'missing',
+      profiles: { dev: { modules: { chatbot: { model: '', temperature: 3, maxTokens: 1.5, colour: 'blue' } } } }
+    };
+
+    withConfigFile(broken, (path) => {
+      assert.throws(() => readConfigFile(path), (error) => {
+        assert(error instanceof ProjectConfigError, 'Should raise ProjectConfigError');
+        const text = error.problems.join('\n');
+        for (const field of ['model', 'temperature', 'maxTokens', 'colour', 'defaultProfile']) {
+          assert(text.includes(field), `Should report ${field}: ${text}`);
+        }
+        return true;
+      });
+    });
+
+    const badContext = { defaultProfile: 'dev', profiles: { dev: { modules: { chatbot: { context: { strategy: 'forever', maxTokens: 0 } } } } } };
+    withConfigFile(badContext, (path) => {
+      assertConfigError(() => readConfigFile(path), 'chatbot.context.strategy');
+      assertConfigError(() => readConfigFile(path), 'chatbot.context.maxTokens');
+    });
+
+    withConfigFile('{ not json', (path) => assertConfigError(() => readConfigFile(path), 'not valid JSON'));
+    assertConfigError(() => readConfigFile('/does/not/exist.json'), 'not found');
+  });
+
+  runner.test('Validation - bad overrides and unknown profiles are rejected', () => {
+    withConfigFile(SAMPLE_CONFIG, (path) => {
+      assertConfigError(() => loadProjectConfig({ path, env: { OPENAI_TEMPERATURE: 'warm' }, argv: [] }), 'environment temperature');
+      assertConfigError(() => loadProjectConfig({ path, env: {}, argv: ['--max-tokens', '-5'] }), 'command line maxTokens');
+      assertConfigError(() => loadProjectConfig({ path, env: {}, argv: ['--profile', 'turbo'] }), 'Available profiles: dev, quality');
+    });
+  });
+
+  runner.test('Personas - rendered from the prompt library, highest precedence wins', () => {
+    const prompts = new PromptLibrary([
+      parsePromptTemplate('---\nname: helpful-assistant\n---\nYou are a helpful assistant.'),
+      parsePromptTemplate('---\nname: guide\nversion: 1\nvariables:\n  city:\n  tone: calm\n---\nYou guide visitors around {{city}} in a {{tone}} way.'),
+      parsePromptTemplate('---\nname: guide\nversion: 2\nvariables:\n  city:\n---\nShow {{city}}.')
+    ]);
+    const personaConfig = {
+      defaultProfile: 'dev',
+      profiles: {
+        dev: {
+          defaults: { personaVariables: { city: 'Oslo', tone: 'lively' } },
+          modules: {
+            chatbot: { persona: 'guide@1', personaVariables: { tone: 'quiet' } },
+            weather: { systemPrompt: 'Be brief.' }
+          }
+        }
+      }
+    };
+
+    withConfigFile(personaConfig, (path) => {
+      const resolve = (module, env = {}, argv = []) => resolveModuleSettings(module, { path, env, argv, prompts });
+
+      const chatbot = resolve('chatbot');
+      assert(chatbot.persona === 'guide@1' && chatbot.systemPrompt === 'You guide visitors around Oslo in a quiet way.', 'Should render the persona with merged variables');
+      assert(resolve('costDemo').systemPrompt === 'You are a helpful assistant.', 'The built-in persona is the default');
+      assert(resolve('weather').persona === undefined, 'A module\'s system prompt replaces the default persona');
+
+      assert(resolve('weather', { OPENAI_PERSONA: 'guide' }).systemPrompt === 'Show Oslo.', 'OPENAI_PERSONA beats the module\'s system prompt');
+      assert(resolve('chatbot', { OPENAI_PERSONA: 'guide' }, ['--system-prompt', 'Just answer.']).systemPrompt === 'Just answer.', '--system-prompt beats OPENAI_PERSONA');
+      assert(resolve('chatbot', { OPENAI_SYSTEM_PROMPT: 'Just answer.' }, ['--persona=guide@2']).systemPrompt === 'Show Oslo.', '--persona beats OPENAI_SYSTEM_PROMPT');
+
+      assertConfigError(() => resolve('chatbot', {}, ['--persona', 'pirate']), 'chatbot persona: Unknown prompt template "pirate"');
+      assertConfigError(() => resolve('chatbot', {}, ['--persona', 'guide', '--system-prompt', 'Hi']), 'command line: set --system-prompt or --persona, not both');
+    });
+
+    withConfigFile({ defaultProfile: 'dev', profiles: { dev: { modules: { chatbot: { persona: 'guide' } } } } }, (path) => {
+      assertConfigError(() => resolveModuleSettings('chatbot', { path, env: {}, argv: [], prompts }), 'guide@2 needs {{city}}');
+    });
+    withConfigFile({ defaultProfile: 'dev', profiles: { dev: { modules: { chatbot: { persona: 'guide', systemPrompt: 'Hi' } } } } }, (path) => {
+      assertConfigError(() => readConfigFile(path), 'profiles.dev.modules.chatbot: set systemPrompt or persona, not both');
+    });
+  });
+
+  runner.test('Helpers - settings map to API parameters', () => {
+    const settings = { model: 'gpt-4o-mini', temperature: 0.3, maxTokens: 50, systemPrompt: 'x' };
+
+    assert.deepStrictEqual(completionOptions(settings), { model: 'gpt-4o-mini', temperature: 0.3, max_tokens: 50 });
+    assert.deepStrictEqual(completionOptions({ model: 'gpt-4o' }), { model: 'gpt-4o' }, 'Should omit unset values');
+    assert.deepStrictEqual(agentModelOptions(settings), { model: 'gpt-4o-mini', modelSettings: { temperature: 0.3, maxTokens: 50 } });
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
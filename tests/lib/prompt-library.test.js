@@ -0,0 +1,165 @@
+/**
+ * Tests for lib/prompt-library.js
+ *
+ * Tests cover:
+ * - Front-matter parsing and its errors
+ * - {{variable}} interpolation, defaults and missing variables
+ * - {{> name}} includes and versions
+ * - Loading a directory and validating every template
+ * - The shipped templates
+ */
+
+import assert from 'assert';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TestRunner } from '../utils/test-helpers.js';
+import { DEFAULT_PROMPTS_DIR, PromptLibrary, PromptLibraryError, parsePromptArgs, parsePromptTemplate, parseTemplateRef } from '../../lib/prompt-library.js';
+
+const WEATHER = `---
+name: weather
+version: 2
+description: Answers weather questions
+variables:
+  city:
+  units: Celsius
+---
+You are a weather assistant for {{city}}. Give temperatures in {{ units }}.
+{{> style}}
+`;
+
+const STYLE = `---
+name: style
+variables:
+  tone: friendly
+---
+Keep a {{tone}} tone.`;
+
+/**
+ * A library of templates given as file texts
+ */
+function library(...texts) {
+  return new PromptLibrary(texts.map((text, index) => parsePromptTemplate(text, `template-${index}.md`)));
+}
+
+/**
+ * Assert that fn throws a PromptLibraryError mentioning the given text
+ */
+function assertLibraryError(fn, text) {
+  assert.throws(fn, (error) => {
+    assert(error instanceof PromptLibraryError, `Expected PromptLibraryError, got ${error.name}`);
+    assert(error.message.includes(text), `Expected "${text}" in: ${error.message}`);
+    return true;
+  });
+}
+
+/**
+ * Test suite for prompt-library.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Front-matter - metadata, variables and the body', () => {
+    const template = parsePromptTemplate(WEATHER, 'weather.md');
+    assert(template.name === 'weather' && template.version === 2 && template.description === 'Answers weather questions');
+    assert.deepStrictEqual(template.variables, { city: null, units: 'Celsius' }, 'A variable without a value is required');
+    assert(template.body.startsWith('You are') && template.body.endsWith('{{> style}}'), 'The body is trimmed');
+    assert(parsePromptTemplate('---\nname: plain\n---\nHi').version === 1, 'Version defaults to 1');
+
+    assertLibraryError(() => parsePromptTemplate('Hi', 'a.md'), 'a.md: must start with --- front-matter');
+    assertLibraryError(() => parsePromptTemplate('---\nname: open\nHi', 'b.md'), 'never closed');
+    assertLibraryError(() => parsePromptTemplate('---\nname: Bad Name\n---\nHi', 'c.md'), 'c.md: name: must be lowercase');
+    assertLibraryError(() => parsePromptTemplate('---\nname: x\nauthor: me\n---\nHi', 'd.md'), 'Unrecognized key');
+    assertLibraryError(() => parsePromptTemplate('---\nname: x\n  city: Oslo\n---\nHi', 'e.md'), 'indented but not under a section');
+  });
+
+  runner.test('Rendering - variables, defaults and includes', () => {
+    const prompts = library(WEATHER, STYLE);
+
+    assert(prompts.render('weather', { city: 'Oslo' }) === 'You are a weather assistant for Oslo. Give temperatures in Celsius.\nKeep a friendly tone.');
+    assert(prompts.render('weather', { city: 'Austin', units: 'Fahrenheit', tone: 'formal' }).endsWith('Fahrenheit.\nKeep a formal tone.'), 'Values beat defaults, includes get them too');
+    assert.deepStrictEqual(prompts.variables('weather'), { city: null, units: 'Celsius', tone: 'friendly' });
+
+    assert.deepStrictEqual(prompts.missingVariables('weather'), ['city']);
+    assertLibraryError(() => prompts.render('weather'), 'weather@2 needs {{city}}');
+    assertLibraryError(() => prompts.render('forecast'), 'Unknown prompt template "forecast". Templates: style, weather');
+  });
+
+  runner.test('Versions - the newest by default, or pinned with @', () => {
+    const prompts = library(WEATHER, STYLE, '---\nname: weather\nversion: 1\n---\nYou are a weather assistant.');
+
+    assert.deepStrictEqual(parseTemplateRef('weather@1'), { name: 'weather', version: 1 });
+    assert(prompts.get('weather').version === 2, 'A bare name is the newest version');
+    assert(prompts.render('weather@1') === 'You are a weather assistant.', 'Should render the pinned version');
+    assertLibraryError(() => prompts.get('weather@3'), 'weather has no version 3. Versions: 1, 2');
+    assertLibraryError(() => prompts.add(parsePromptTemplate(WEATHER, 'copy.md')), 'copy.md: weather@2 is already defined in template-0.md');
+
+    const [listed] = prompts.list().filter(template => template.name === 'weather');
+    assert.deepStrictEqual(listed.versions, [1, 2], 'Should list every version');
+  });
+
+  runner.test('Validation - includes, cycles and undeclared variables', () => {
+    const prompts = library(
+      '---\nname: a\n---\nSee {{> b}} and {{> missing}}.',
+      '---\nname: b\n---\nBack to {{> c}}',
+      '---\nname: c\n---\n{{> b}}',
+      '---\nname: d\nvariables:\n  unused: x\n---\nHello {{who}}'
+    );
+    const problems = prompts.validate();
+    const text = problems.join('\n');
+
+    assert(text.includes('template-0.md: includes unknown template "missing"'), text);
+    assert(text.includes('b@1 → c@1 → b@1: a template includes itself'), text);
+    assert(text.includes('template-3.md: uses {{who}} but does not declare it'), text);
+    assert(text.includes('template-3.md: declares unused but never uses it'), text);
+    assertLibraryError(() => prompts.render('d'), 'needs {{who}}');
+    assert(library(WEATHER, STYLE).validate().length === 0, 'A sound library has no problems');
+  });
+
+  runner.test('Loading - a directory of templates', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'prompt-library-'));
+    try {
+      mkdirSync(join(dir, 'partials'));
+      writeFileSync(join(dir, 'weather.md'), WEATHER);
+      writeFileSync(join(dir, 'partials', 'style.md'), STYLE);
+      writeFileSync(join(dir, 'notes.txt'), 'Not a template');
+
+      const prompts = PromptLibrary.load(dir);
+      assert.deepStrictEqual(prompts.list().map(template => template.name), ['style', 'weather'], 'Should load templates in subdirectories');
+      assert(prompts.get('style').source === join('partials', 'style.md'), 'Should remember the file');
+
+      writeFileSync(join(dir, 'broken.md'), '---\nname: Broken\n---\nHi');
+      writeFileSync(join(dir, 'other.md'), 'No front-matter');
+      assert.throws(() => PromptLibrary.load(dir), (error) => error.problems.length === 2, 'Every broken file is reported');
+      assertLibraryError(() => PromptLibrary.load(join(dir, 'nowhere')), 'Prompt directory not found');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+
+    assert.deepStrictEqual(parsePromptArgs(['show', 'weather', '--var', 'city=Oslo', '--var=units=K']), { command: 'show', ref: 'weather', values: { city: 'Oslo', units: 'K' } });
+    assertLibraryError(() => parsePromptArgs(['show']), 'show needs a template name');
+    assertLibraryError(() => parsePromptArgs(['--var', 'city']), '--var needs name=value');
+  });
+
+  runner.test('Shipped templates - load and validate', () => {
+    const prompts = PromptLibrary.load(DEFAULT_PROMPTS_DIR);
+    assert.deepStrictEqual(prompts.validate(), [], 'The shipped templates should have no problems');
+    assert(prompts.render('helpful-assistant') === 'You are a helpful assistant.');
+    assert(prompts.render('coordinator').includes('- For math problems'), 'The coordinator includes its routes');
+    assert(prompts.render('document-analyst', { tone: 'warm' }).endsWith('maintain a warm tone.'));
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,108 @@
+/**
+ * Tests for lib/retry.js
+ *
+ * Tests cover:
+ * - Which failures are worth retrying
+ * - Retry-After headers and exponential backoff
+ * - withRetries: retrying, giving up, and stopping while waiting
+ */
+
+import assert from 'assert';
+import { APIConnectionError, APIConnectionTimeoutError, APIError, APIUserAbortError } from 'openai';
+import { TestRunner } from '../utils/test-helpers.js';
+import { RETRY_DEFAULTS, backoffDelay, isRetryableError, retryAfter, withRetries } from '../../lib/retry.js';
+
+/**
+ * An API error as the openai client raises it
+ */
+function apiError(status, { code, headers = {} } = {}) {
+  return APIError.generate(status, { error: { message: `Failed with ${status}`, code } }, undefined, new Headers(headers));
+}
+
+/**
+ * Test suite for retry.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Retryable errors - rate limits, server errors and dropped connections', () => {
+    for (const error of [apiError(429), apiError(500), apiError(503), apiError(408), new APIConnectionError({ message: 'Connection error.' }), new APIConnectionTimeoutError()]) {
+      assert(isRetryableError(error), `${error.constructor.name} ${error.status ?? ''} should be retried`);
+    }
+    assert(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), 'A reset connection is retried');
+    assert(isRetryableError(new TypeError('terminated')), 'A stream cut off part way is retried');
+
+    for (const error of [apiError(400), apiError(401), apiError(404), apiError(429, { code: 'insufficient_quota' }), new APIUserAbortError(), new Error('Budget exceeded')]) {
+      assert(!isRetryableError(error), `${error.constructor.name} ${error.status ?? ''} should fail straight away`);
+    }
+  });
+
+  runner.test('Backoff - Retry-After wins, otherwise the wait doubles', () => {
+    assert(retryAfter(apiError(429, { headers: { 'retry-after': '7' } })) === 7000, 'Should read seconds');
+    assert(retryAfter(apiError(429, { headers: { 'retry-after-ms': '250', 'retry-after': '7' } })) === 250, 'Should prefer milliseconds');
+    const date = retryAfter(apiError(429, { headers: { 'retry-after': new Date(Date.now() + 5000).toUTCString() } }));
+    assert(date > 3000 && date <= 5000, `Should read a date, got ${date}`);
+    assert(retryAfter(apiError(500)) === null && retryAfter(null) === null, 'No header, no wait asked for');
+
+    const noJitter = { random: () => 0 };
+    assert.deepStrictEqual([1, 2, 3, 4].map(attempt => backoffDelay(attempt, noJitter)), [1000, 2000, 4000, 8000]);
+    assert(backoffDelay(10, noJitter) === RETRY_DEFAULTS.maxDelay, 'Never waits longer than maxDelay');
+    assert(backoffDelay(1, { random: () => 1 }) === 750, 'Jitter takes up to a quarter off');
+    assert(backoffDelay(1, { error: apiError(429, { headers: { 'retry-after': '120' } }), maxDelay: 5000 }) === 5000, 'Retry-After is capped too');
+  });
+
+  runner.test('withRetries - retries until it succeeds or gives up', async () => {
+    const waits = [];
+    const wait = async (delay) => waits.push(delay);
+    const retried = [];
+
+    let calls = 0;
+    const result = await withRetries(async (attempt) => {
+      calls += 1;
+      if (attempt < 2) throw apiError(503);
+      return 'done';
+    }, { wait, random: () => 0, onRetry: (info) => retried.push([info.attempt, info.retries, info.delay, info.error.status]) });
+    assert(result === 'done' && calls === 3, 'Should succeed on the third call');
+    assert.deepStrictEqual(retried, [[1, 3, 1000, 503], [2, 3, 2000, 503]], 'onRetry is told about each retry');
+    assert.deepStrictEqual(waits, [1000, 2000]);
+
+    calls = 0;
+    await assert.rejects(withRetries(async () => {
+      calls += 1;
+      throw apiError(500);
+    }, { retries: 2, wait }), (error) => error.status === 500);
+    assert(calls === 3, 'Gives up after the retries');
+
+    calls = 0;
+    await assert.rejects(withRetries(async () => {
+      calls += 1;
+      throw apiError(400);
+    }, { wait }), (error) => error.status === 400);
+    assert(calls === 1, 'A bad request is not retried');
+  });
+
+  runner.test('withRetries - stopping ends the wait', async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+    const retrying = withRetries(async () => {
+      throw apiError(503);
+    }, { baseDelay: 10_000, signal: controller.signal, onRetry: () => setTimeout(() => controller.abort(), 10) });
+
+    await assert.rejects(retrying, (error) => error?.name === 'AbortError');
+    assert(Date.now() - started < 5000, 'Should not wait out the backoff');
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,85 @@
+/**
+ * Tests for lib/slash-commands.js
+ *
+ * Tests cover:
+ * - Parsing commands, keywords and ordinary text
+ * - Running commands with the loop's context
+ * - Unknown commands, with a suggestion
+ * - Registering, replacing and listing commands
+ */
+
+import assert from 'assert';
+import { TestRunner } from '../utils/test-helpers.js';
+import { CommandError, CommandRegistry } from '../../lib/slash-commands.js';
+
+/**
+ * Test suite for slash-commands.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Parsing - commands, keywords and ordinary text', () => {
+    const registry = new CommandRegistry();
+    registry.register({ name: 'exit', keywords: ['exit', 'Bye'], run: () => ({ exit: true }) });
+
+    assert.deepStrictEqual(registry.parse('/Model  gpt-4o  mini '), { name: 'model', args: 'gpt-4o  mini' });
+    assert.deepStrictEqual(registry.parse('  bye '), { name: 'exit', args: '' }, 'Keywords match the whole line in any case');
+    assert.deepStrictEqual(registry.parse('/'), { name: '', args: '' });
+    assert(registry.parse('Say bye to the user') === null, 'Ordinary text is not a command');
+    assert(registry.parse('//etc/hosts is a file') === null, 'A doubled slash is ordinary text');
+  });
+
+  runner.test('Running - commands get their arguments and the loop context', async () => {
+    const registry = new CommandRegistry();
+    const seen = [];
+    registry.register({ name: 'echo', aliases: ['say'], run: (args, context) => { seen.push([args, context.who, context.registry]); } });
+    registry.register({ name: 'exit', keywords: ['quit'], run: () => ({ exit: true }) });
+
+    assert.deepStrictEqual(await registry.execute('hello there'), { handled: false });
+    assert.deepStrictEqual(await registry.execute('/say hi', { who: 'tester' }), { handled: true, command: 'echo', exit: false });
+    assert.deepStrictEqual(seen, [['hi', 'tester', registry]], 'Should pass the arguments, the context and the registry');
+    assert((await registry.execute('QUIT')).exit, 'A command can end the loop');
+  });
+
+  runner.test('Unknown commands - raise CommandError with a suggestion', async () => {
+    const registry = new CommandRegistry();
+    registry.register({ name: 'retry', run: () => {} });
+
+    await assert.rejects(registry.execute('/rety'), (error) => error instanceof CommandError && /Unknown command \/rety\. Did you mean \/retry\?/.test(error.message));
+    await assert.rejects(registry.execute('/weather'), (error) => !error.message.includes('Did you mean') && error.message.includes('/help'));
+  });
+
+  runner.test('Registry - help, duplicates and removing commands', async () => {
+    const registry = new CommandRegistry();
+    registry.register({ name: 'export', usage: '[md|json] [path]', description: 'Write the transcript', run: () => {} });
+    registry.register({ name: 'exit', aliases: ['quit'], keywords: ['bye'], description: 'Leave', run: () => {} });
+
+    assert.throws(() => registry.register({ name: 'leave', aliases: ['quit'], run: () => {} }), /\/quit is already registered/);
+    assert.throws(() => registry.register({ name: 'Bad name', run: () => {} }), /Invalid command name/);
+    assert.throws(() => registry.register({ name: 'nothing' }), /needs a run function/);
+
+    const printed = [];
+    await registry.execute('/help', { print: (text) => printed.push(text) });
+    const lines = printed[0].split('\n');
+    assert(lines.some(line => /\/export \[md\|json\] \[path\]\s+Write the transcript/.test(line)), 'Help shows the usage and description');
+    assert(lines.some(line => line.includes('(also: /quit, bye)')), 'Help shows aliases and keywords');
+    assert.deepStrictEqual(registry.list().map(command => command.name), ['exit', 'export', 'help'], 'Commands are listed by name');
+
+    assert(registry.unregister('exit') && !registry.unregister('exit'), 'Should remove a command once');
+    assert(registry.parse('bye') === null && registry.get('quit') === null, 'Aliases and keywords go with it');
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
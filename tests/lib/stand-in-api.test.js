@@ -0,0 +1,272 @@
+/**
+ * Tests for lib/stand-in-api.js and lib/stand-in-server.js
+ *
+ * Tests cover:
+ * - Chat completions with realistic usage blocks
+ * - Streamed chat completions: word-by-word chunks, tool calls, final usage chunk
+ * - Tool and legacy function calling round trips
+ * - Scripted rules
+ * - Assistants threads, messages and runs with createAndPoll
+ * - File uploads
+ * - Error responses (unknown model, missing key)
+ * - Serving the stand-in over HTTP
+ */
+
+import assert from 'assert';
+import { TestRunner, TestAssert, TestEnv } from '../utils/test-helpers.js';
+import { createOpenAIClient } from '../../lib/openai-client.js';
+import { StandInAPI, OFFLINE_API_KEY, createStandInFetch, respond } from '../../lib/stand-in-api.js';
+import { startStandInServer } from '../../lib/stand-in-server.js';
+
+const WEATHER_TOOL = {
+  type: 'function',
+  function: {
+    name: 'get_weather',
+    description: 'Get the current weather for a city',
+    parameters: {
+      type: 'object',
+      properties: { city: { type: 'string', description: 'City name' } },
+      required: ['city']
+    }
+  }
+};
+
+/**
+ * Test suite for the offline stand-in
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Chat completion - returns a reply with a realistic usage block', async () => {
+    const client = TestEnv.createStandInClient();
+    const completion = await client.chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [
+        { role: 'system', content: 'You are a helpful assistant.' },
+        { role: 'user', content: 'Say hello world!' }
+      ]
+    });
+
+    assert(completion.object === 'chat.completion', 'Should be a chat completion');
+    assert(completion.choices[0].message.content === 'Hello world', 'Should follow the "say" rule');
+    assert(completion.choices[0].finish_reason === 'stop', 'Should finish normally');
+    TestAssert.isValidUsage(completion.usage);
+    assert(completion.usage.prompt_tokens > 10, 'Prompt tokens should include message overhead');
+    assert(completion.usage.prompt_tokens_details.cached_tokens === 0, 'Should include token details');
+  });
+
+  runner.test('Chat completion - max_tokens truncates with finish_reason length', async () => {
+    const client = TestEnv.createStandInClient();
+    const completion = await client.chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [{ role: 'user', content: 'Explain machine learning in simple terms for beginners please.' }],
+      max_tokens: 3
+    });
+
+    assert(completion.choices[0].finish_reason === 'length', 'Should report truncation');
+    assert(completion.usage.completion_tokens <= 3, 'Completion tokens should respect max_tokens');
+  });
+
+  runner.test('Tool calling - calls the matching tool then answers from its result', async () => {
+    const client = TestEnv.createStandInClient();
+    const messages = [{ role: 'user', content: 'What is the weather in New York?' }];
+
+    const first = await client.chat.completions.create({ model: 'gpt-4o', messages, tools: [WEATHER_TOOL] });
+    const call = first.choices[0].message.tool_calls[0];
+
+    assert(first.choices[0].finish_reason === 'tool_calls', 'Should request a tool call');
+    assert(call.function.name === 'get_weather', 'Should pick the weather tool');
+    assert.deepStrictEqual(JSON.parse(call.function.arguments), { city: 'New York' }, 'Should extract the city');
+
+    messages.push(first.choices[0].message);
+    messages.push({ role: 'tool', tool_call_id: call.id, content: 'Sunny, 25°C' });
+
+    const second = await client.chat.completions.create({ model: 'gpt-4o', messages, tools: [WEATHER_TOOL] });
+    assert(second.choices[0].finish_reason === 'stop', 'Should answer after the tool result');
+    assert(second.choices[0].message.content.includes('Sunny, 25°C'), 'Should use the tool result');
+  });
+
+  runner.test('Tool calling - legacy functions return function_call', async () => {
+    const client = TestEnv.createStandInClient();
+    const completion = await client.chat.completions.create({
+      model: 'gpt-4o',
+      messages: [{ role: 'user', content: 'What is the weather in London?' }],
+      functions: [WEATHER_TOOL.function],
+      function_call: 'auto'
+    });
+
+    const choice = completion.choices[0];
+    assert(choice.finish_reason === 'function_call', 'Should use the legacy finish reason');
+    assert(JSON.parse(choice.message.function_call.arguments).city === 'London', 'Should extract the city');
+  });
+
+  runner.test('Tool calling - unrelated questions get a plain reply', () => {
+    const result = respond({
+      messages: [{ role: 'user', content: 'What time is it?' }],
+      functions: [WEATHER_TOOL.function]
+    });
+
+    assert(result.text, 'Should reply with text');
+    assert(!result.toolCall, 'Should not call an unrelated tool');
+  });
+
+  runner.test('Scripted rules - override the default responder', async () => {
+    const client = TestEnv.createStandInClient({
+      standIn: {
+        rules: [
+          { match: 'order #\\d+', reply: 'Your order has shipped.' },
+          { match: 'forecast', toolCall: { name: 'get_weather', arguments: { city: 'Paris' } } }
+        ]
+      }
+    });
+
+    const reply = await client.chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [{ role: 'user', content: 'Where is order #12345?' }]
+    });
+    assert(reply.choices[0].message.content === 'Your order has shipped.', 'Should use the scripted reply');
+
+    const toolCall = await client.chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [{ role: 'user', content: 'Any forecast?' }],
+      tools: [WEATHER_TOOL]
+    });
+    const args = JSON.parse(toolCall.choices[0].message.tool_calls[0].function.arguments);
+    assert(args.city === 'Paris', 'Should use the scripted tool arguments');
+  });
+
+  runner.test('Errors - unknown model returns 404', async () => {
+    const client = TestEnv.createStandInClient();
+
+    await assert.rejects(
+      client.chat.completions.create({ model: 'invalid-model-name', messages: [{ role: 'user', content: 'test' }] }),
+      (error) => error.status === 404 && error.message.includes('model')
+    );
+  });
+
+  runner.test('Errors - missing API key returns 401', async () => {
+    const standIn = new StandInAPI();
+    const response = await standIn.handle(new Request('http://stand-in/v1/models'));
+
+    assert(response.status === 401, 'Should reject requests without a key');
+  });
+
+  runner.test('Assistants - threads keep context across runs', async () => {
+    const client = TestEnv.createStandInClient();
+
+    const assistant = await client.beta.assistants.create({ name: 'Test', model: 'gpt-4o-mini', instructions: 'Be brief.' });
+    const thread = await client.beta.threads.create();
+
+    await client.beta.threads.messages.create(thread.id, { role: 'user', content: 'My name is Alice.' });
+    let run = await client.beta.threads.runs.createAndPoll(thread.id, { assistant_id: assistant.id });
+    assert(run.status === 'completed', 'First run should complete');
+    TestAssert.isValidUsage(run.usage);
+
+    await client.beta.threads.messages.create(thread.id, { role: 'user', content: 'What was my name again?' });
+    run = await client.beta.threads.runs.createAndPoll(thread.id, { assistant_id: assistant.id });
+
+    const messages = await client.beta.threads.messages.list(thread.id);
+    assert(messages.data.length === 4, 'Thread should hold both turns');
+    assert(messages.data[0].role === 'assistant', 'Newest message should come first');
+    assert(messages.data[0].content[0].text.value === 'Your name is Alice.', 'Should remember the name');
+
+    const deleted = await client.beta.assistants.delete(assistant.id);
+    assert(deleted.deleted === true, 'Should delete the assistant');
+  });
+
+  runner.test('Files - upload returns a file object', async () => {
+    const client = TestEnv.createStandInClient();
+    const file = await client.files.create({
+      file: new File(['Month,Revenue\nJanuary,45000'], 'sales.csv', { type: 'text/csv' }),
+      purpose: 'assistants'
+    });
+
+    assert(file.id.startsWith('file-'), 'Should return a file ID');
+    assert(file.filename === 'sales.csv', 'Should keep the filename');
+    assert(file.bytes > 0, 'Should record the size');
+
+    const retrieved = await client.files.retrieve(file.id);
+    assert(retrieved.id === file.id, 'Should retrieve the uploaded file');
+  });
+
+  runner.test('Streaming - content word by word, then the usage chunk', async () => {
+    const client = TestEnv.createStandInClient();
+    const request = { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Tell me about the ocean tides.' }] };
+
+    const expected = await client.chat.completions.create(request);
+    const chunks = [];
+    for await (const chunk of await client.chat.completions.create({ ...request, stream: true, stream_options: { include_usage: true } })) {
+      chunks.push(chunk);
+    }
+
+    const pieces = chunks.map(chunk => chunk.choices[0]?.delta?.content).filter(Boolean);
+    assert(pieces.length > 3 && pieces.join('') === expected.choices[0].message.content, 'Should stream the same reply in pieces');
+    assert(chunks.every(chunk => chunk.object === 'chat.completion.chunk'), 'Every event is a chunk');
+    assert(chunks.at(-2).choices[0].finish_reason === 'stop', 'The finish reason comes before the usage');
+    assert(chunks.at(-1).choices.length === 0, 'The usage chunk has no choices');
+    assert.deepStrictEqual(chunks.at(-1).usage, expected.usage, 'Should report the same usage');
+
+    let withoutUsage = 0;
+    for await (const chunk of await client.chat.completions.create({ ...request, stream: true })) {
+      withoutUsage += chunk.usage ? 1 : 0;
+    }
+    assert(withoutUsage === 0, 'Usage is only sent when include_usage is set');
+  });
+
+  runner.test('Streaming - tool calls arrive in one delta', async () => {
+    const client = TestEnv.createStandInClient();
+    const stream = await client.chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [{ role: 'user', content: 'What is the weather in Tokyo?' }],
+      tools: [WEATHER_TOOL],
+      stream: true
+    });
+
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    const [call] = chunks.find(chunk => chunk.choices[0]?.delta?.tool_calls).choices[0].delta.tool_calls;
+    assert(call.index === 0 && call.function.name === 'get_weather', 'Should stream the tool call');
+    assert(JSON.parse(call.function.arguments).city === 'Tokyo', 'Should carry the arguments');
+    assert(chunks.at(-1).choices[0].finish_reason === 'tool_calls', 'Should finish with tool_calls');
+  });
+
+  runner.test('HTTP server - serves the stand-in through OPENAI_BASE_URL', async () => {
+    const standInServer = await startStandInServer({ port: 0 });
+
+    try {
+      const client = createOpenAIClient(
+        { apiKey: OFFLINE_API_KEY, baseURL: standInServer.baseURL, maxRetries: 0 },
+        {}
+      );
+      const completion = await client.chat.completions.create({
+        model: 'gpt-4o-mini',
+        messages: [{ role: 'user', content: 'Say hi' }]
+      });
+
+      assert(completion.choices[0].message.content === 'Hi', 'Should answer over HTTP');
+      TestAssert.isValidUsage(completion.usage);
+
+      let streamed = '';
+      for await (const chunk of await client.chat.completions.create({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Say hi' }], stream: true })) {
+        streamed += chunk.choices[0]?.delta?.content || '';
+      }
+      assert(streamed === 'Hi', 'Should stream over HTTP');
+    } finally {
+      await standInServer.close();
+    }
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,127 @@
+/**
+ * Tests for lib/terminal-markdown.js
+ *
+ * Tests cover:
+ * - Headings, lists, task boxes, quotes and tables
+ * - Fenced code blocks and their syntax highlighting
+ * - Inline styles, with and without color, and NO_COLOR
+ * - Streaming: the same result as a whole render, whatever the pieces
+ */
+
+import assert from 'assert';
+import { TestRunner } from '../utils/test-helpers.js';
+import { codeLanguage, createMarkdownStream, highlightCode, renderInline, renderMarkdown, useColor, visibleLength } from '../../lib/terminal-markdown.js';
+
+const REPLY = `# Tides
+
+Tides are **caused** by the *moon*, see [NOAA](https://noaa.gov).
+
+| Body | Pull |
+|:-----|-----:|
+| Moon | 2.2 |
+| Sun | 1 |
+
+- first
+  - nested \`x\`
+- [ ] todo
+
+> A quote
+
+\`\`\`js
+const answer = 42; // the answer
+\`\`\`
+Done with snake_case_names.`;
+
+/**
+ * Stream text into a Markdown stream in pieces of `size` characters
+ */
+function streamed(text, size, options = {}) {
+  let output = '';
+  const stream = createMarkdownStream({ width: 80, ...options, write: (piece) => { output += piece; } });
+  for (let index = 0; index < text.length; index += size) stream.write(text.slice(index, index + size));
+  stream.end();
+  return output;
+}
+
+/**
+ * Test suite for terminal-markdown.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Blocks - headings, lists, quotes and tables', () => {
+    assert(renderMarkdown('# Title\n\n## Part\nText', { color: false }) === 'Title\n═════\n\nPart\n────\nText', 'Top headings are underlined');
+    assert(renderMarkdown('- one\n  - two\n- [x] done\n- [ ] todo\n3. three\n> quoted', { color: false }) === '• one\n  ◦ two\n• ☑ done\n• ☐ todo\n3. three\n│ quoted');
+    assert(renderMarkdown('---', { color: false }) === '─'.repeat(40), 'A rule');
+
+    const table = renderMarkdown('| A | B |\n|---|--:|\n| x | 10 |\n| yy | 2 |', { color: false });
+    assert(table === '┌────┬────┐\n│ A  │  B │\n├────┼────┤\n│ x  │ 10 │\n│ yy │  2 │\n└────┴────┘', `Should draw the table:\n${table}`);
+    assert(renderMarkdown('| not | a table |', { color: false }) === '| not | a table |', 'A row without a separator stays as it is');
+  });
+
+  runner.test('Code - fenced blocks and highlighting', () => {
+    assert(renderMarkdown('```py\ndef f(): return 1\n```', { color: false }) === `── py ${'─'.repeat(34)}\n  def f(): return 1\n${'─'.repeat(40)}`);
+    assert(renderMarkdown('```js\nconst a = 1;', { color: false }).endsWith('  const a = 1;\n' + '─'.repeat(40)), 'An unclosed block is closed at the end');
+    assert(renderMarkdown('```\n**not bold**\n```', { color: false }).includes('  **not bold**'), 'Code is not Markdown');
+
+    assert(codeLanguage('ts') === 'js' && codeLanguage('bash') === 'shell' && codeLanguage('cobol') === 'text');
+    const python = highlightCode('def f(): return 1 # hi', 'python', { color: true });
+    assert(python.includes('\x1b[35mdef\x1b[39m') && python.includes('\x1b[90m# hi\x1b[39m'), 'Keywords and comments are colored');
+    assert(visibleLength(python) === 'def f(): return 1 # hi'.length, 'Colors do not change the text');
+    assert(highlightCode('def f()', 'python', { color: false }) === 'def f()');
+
+    // A block comment goes on over the next line
+    const state = {};
+    highlightCode('a(); /* open', 'js', { color: true, state });
+    assert(highlightCode('still */ b();', 'js', { color: true, state }).startsWith('\x1b[90mstill */\x1b[39m'));
+  });
+
+  runner.test('Inline - styles with and without color, NO_COLOR', () => {
+    const text = '**b** _i_ `c` [x](http://y) ~~s~~ \\*';
+    assert(renderInline(text, { color: false }) === 'b i `c` x (http://y) ~~s~~ *', 'Without color the markers that mean something stay');
+    assert(renderInline(text, { color: true }) === '\x1b[1mb\x1b[22m \x1b[3mi\x1b[23m \x1b[36mc\x1b[39m \x1b[4mx\x1b[24m (\x1b[34mhttp://y\x1b[39m) \x1b[9ms\x1b[29m *');
+    assert(renderInline('snake_case_name and 5 * 3', { color: false }) === 'snake_case_name and 5 * 3', 'Underscores in words and lone stars are text');
+
+    assert(useColor({}, { isTTY: true }) === true);
+    assert(useColor({ NO_COLOR: '1' }, { isTTY: true }) === false, 'NO_COLOR turns colors off');
+    assert(useColor({}, { isTTY: false }) === false, 'No colors when not on a terminal');
+  });
+
+  runner.test('Streaming - the same as a whole render, in any pieces', () => {
+    const whole = `${renderMarkdown(REPLY, { color: false })}\n`;
+    const colored = `${renderMarkdown(REPLY, { color: true })}\n`;
+    for (const size of [1, 3, 7, REPLY.length]) {
+      assert(streamed(REPLY, size, { color: false }) === whole, `Pieces of ${size} should match the whole render`);
+      // Styles may be split where the pieces were, the text shown is the same
+      assert(visibleLength(streamed(REPLY, size, { color: true })) === visibleLength(colored), `Pieces of ${size} should show the same in color`);
+    }
+
+    // Words appear as they arrive, a table only once it is complete
+    const pieces = [];
+    const stream = createMarkdownStream({ color: false, write: (piece) => pieces.push(piece) });
+    stream.write('Hello there, ');
+    assert(pieces.join('') === 'Hello there, ', 'Text is written straight away');
+    stream.write('\n| A |\n|---|\n| 1 ');
+    assert(!pieces.join('').includes('┌'), 'A table waits for its end');
+    stream.write('|');
+    stream.end();
+    assert(pieces.join('').includes('│ 1 │'), 'The table is drawn at the end');
+
+    assert(renderMarkdown('## Hi', { color: false, inline: true }) === '\nHi\n──', 'After a label, a block starts on its own line');
+    assert(renderMarkdown('Hi', { color: false, inline: true }) === 'Hi', 'Text follows the label');
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,111 @@
+/**
+ * Tests for lib/token-counter.js
+ *
+ * Tests cover:
+ * - Estimates against prompt_tokens recorded from the real API
+ * - Message, name and reply overhead
+ * - Tool and legacy function schema overhead
+ * - Text edge cases (empty, numbers, non-Latin scripts, content parts)
+ */
+
+import assert from 'assert';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { TestRunner } from '../utils/test-helpers.js';
+import {
+  TOKEN_ESTIMATE_MARGIN,
+  countChatTokens,
+  countMessageTokens,
+  countTextTokens,
+  countToolTokens
+} from '../../lib/token-counter.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Requests with the prompt_tokens the API reported for them, per model
+ */
+const { samples } = JSON.parse(readFileSync(join(__dirname, '..', 'fixtures', 'token-usage.json'), 'utf-8'));
+
+/**
+ * Test suite for token-counter.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Recorded usage - estimates land within the margin of real prompt_tokens', () => {
+    for (const sample of samples) {
+      for (const [model, actual] of Object.entries(sample.promptTokens)) {
+        const estimate = countChatTokens(sample.messages, model, { tools: sample.tools });
+        const error = Math.abs(estimate - actual) / actual;
+
+        assert(error <= TOKEN_ESTIMATE_MARGIN,
+          `${sample.name} (${model}): estimated ${estimate}, API reported ${actual} (${(error * 100).toFixed(1)}% off)`);
+      }
+    }
+  });
+
+  runner.test('Message overhead - role, name and reply primer are counted', () => {
+    const plain = countMessageTokens({ role: 'user', content: 'Hello' });
+    const named = countMessageTokens({ role: 'user', name: 'alice', content: 'Hello' });
+
+    assert(plain === 3 + 1 + 1, `Expected 5 tokens for a one-word message, got ${plain}`);
+    assert(named === plain + 2, 'A name should add its tokens plus one');
+    assert(countChatTokens([{ role: 'user', content: 'Hello' }], 'gpt-4o-mini') === plain + 3, 'Should prime the reply');
+  });
+
+  runner.test('Tool schemas - add overhead per function, property and enum', () => {
+    const tool = {
+      type: 'function',
+      function: {
+        name: 'get_weather',
+        description: 'Get the current weather for a city',
+        parameters: { type: 'object', properties: { city: { type: 'string', description: 'City name' } } }
+      }
+    };
+    const withEnum = structuredClone(tool);
+    withEnum.function.parameters.properties.unit = { type: 'string', enum: ['celsius', 'fahrenheit'] };
+
+    const base = countToolTokens([tool], 'gpt-4o-mini');
+    assert(base > 0, 'Tools should cost tokens');
+    assert(countToolTokens([withEnum], 'gpt-4o-mini') > base, 'Extra properties and enums should cost more');
+    assert(countToolTokens([tool.function], 'gpt-4o-mini') === base, 'Legacy functions should count like tools');
+    assert(countToolTokens([tool], 'gpt-3.5-turbo') > base, 'Older models have a larger function header');
+    assert(countToolTokens([], 'gpt-4o-mini') === 0, 'No tools should cost nothing');
+  });
+
+  runner.test('Tool calls - assistant tool call arguments are counted', () => {
+    const message = {
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+    };
+
+    assert(countMessageTokens(message) > countMessageTokens({ role: 'assistant', content: null }), 'Should count tool call arguments');
+  });
+
+  runner.test('Text - empty, numbers, non-Latin scripts and content parts', () => {
+    assert(countTextTokens('') === 0 && countTextTokens(null) === 0, 'Empty text has no tokens');
+    assert(countTextTokens('1234567') === 3, 'Numbers split into groups of up to three digits');
+    assert(countTextTokens('こんにちは') === 5, 'Each CJK character is roughly one token');
+    assert(countTextTokens('You are a helpful assistant.') === 6, 'Common English words are one token each');
+
+    const parts = countMessageTokens({ role: 'user', content: [{ type: 'text', text: 'Hello there' }] });
+    assert(parts === countMessageTokens({ role: 'user', content: 'Hello there' }), 'Content parts count like plain text');
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,107 @@
+/**
+ * Tests for lib/tool-registry.js
+ *
+ * Tests cover:
+ * - Registering, listing and selecting tools
+ * - Tool definitions in the Chat Completions format
+ * - Running tools: arguments checked, failures reported rather than thrown
+ */
+
+import assert from 'assert';
+import { z } from 'zod';
+import { TestRunner } from '../utils/test-helpers.js';
+import { ToolError, ToolRegistry, describeToolCall } from '../../lib/tool-registry.js';
+
+const ECHO = {
+  name: 'echo',
+  description: 'Repeat some text',
+  parameters: z.object({ text: z.string().describe('The text to repeat'), times: z.number().int().min(1) }),
+  run: ({ text, times }) => Array(times).fill(text).join(' ')
+};
+
+/**
+ * A tool call as it comes back in a reply
+ */
+function toolCall(name, args, id = 'call_1') {
+  return { id, type: 'function', function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) } };
+}
+
+/**
+ * Test suite for tool-registry.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Registry - register, list and select tools', () => {
+    const registry = new ToolRegistry([ECHO]);
+    registry.register({ ...ECHO, name: 'add', run: () => 0 });
+    assert.deepStrictEqual(registry.list().map(tool => tool.name), ['add', 'echo'], 'Tools are listed by name');
+    assert(registry.has('echo') && registry.get('missing') === null);
+
+    assert.throws(() => registry.register(ECHO), /already registered/);
+    assert.throws(() => registry.register({ ...ECHO, name: 'two words' }), /Invalid tool name/);
+    assert.throws(() => registry.register({ ...ECHO, name: 'plain', parameters: { text: 'string' } }), /needs zod parameters/);
+    assert.throws(() => registry.register({ ...ECHO, name: 'idle', run: undefined }), /needs a run function/);
+
+    assert.deepStrictEqual(registry.select('all'), ['add', 'echo']);
+    assert.deepStrictEqual(registry.select(['echo', 'echo']), ['echo'], 'Names are only selected once');
+    assert.throws(() => registry.select(['echo', 'nope']), (error) => error instanceof ToolError && error.message === 'Unknown tool nope. Tools: add, echo');
+
+    assert(registry.unregister('add') && !registry.has('add'));
+  });
+
+  runner.test('Definitions - the Chat Completions tools parameter', () => {
+    const [definition] = new ToolRegistry([ECHO]).definitions();
+    assert(definition.type === 'function' && definition.function.name === 'echo' && definition.function.description === 'Repeat some text');
+    assert(definition.function.strict === true, 'Definitions are strict');
+    assert.deepStrictEqual(definition.function.parameters.required, ['text', 'times']);
+    assert(definition.function.parameters.properties.text.description === 'The text to repeat');
+    assert.throws(() => new ToolRegistry([ECHO]).definitions(['nope']), ToolError);
+
+    assert(describeToolCall({ name: 'echo', arguments: '{"text":"hi"}' }) === 'echo({"text":"hi"})');
+    assert(describeToolCall({ name: 'echo', arguments: { text: 'hi' } }) === 'echo({"text":"hi"})', 'Parsed arguments read the same');
+  });
+
+  runner.test('Calls - arguments checked, failures reported', async () => {
+    const registry = new ToolRegistry([
+      ECHO,
+      { name: 'lookup', parameters: z.object({}), run: (_args, { user }) => ({ user, found: true }) },
+      { name: 'broken', parameters: z.object({}), run: async () => { throw new Error('The service is down'); } }
+    ]);
+
+    assert(await registry.run('echo', { text: 'hi', times: 2 }) === 'hi hi');
+    await assert.rejects(registry.run('echo', { text: 'hi', times: 0 }), /Bad arguments for echo: times: /);
+    await assert.rejects(registry.run('nope'), (error) => error instanceof ToolError && /Unknown tool "nope"/.test(error.message));
+
+    assert.deepStrictEqual(await registry.call(toolCall('echo', { text: 'hi', times: 3 })), {
+      id: 'call_1', name: 'echo', arguments: '{"text":"hi","times":3}', output: 'hi hi hi', error: false
+    });
+    assert((await registry.call(toolCall('lookup', {}), { user: 'ana' })).output === '{"user":"ana","found":true}', 'Objects are sent as JSON, and tools get the context');
+
+    const failures = [
+      [toolCall('broken', {}), 'Error: The service is down'],
+      [toolCall('echo', '{"text": '), 'Error: The arguments for echo are not valid JSON'],
+      [toolCall('echo', { text: 'hi' }), /^Error: Bad arguments for echo: times: /],
+      [toolCall('nope', {}), 'Error: Unknown tool "nope"']
+    ];
+    for (const [call, output] of failures) {
+      const result = await registry.call(call);
+      assert(result.error, `${call.function.name} should fail`);
+      assert(output instanceof RegExp ? output.test(result.output) : result.output === output, `Unexpected output: ${result.output}`);
+    }
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,93 @@
+/**
+ * Tests for lib/tools.js
+ *
+ * Tests cover:
+ * - The calculator: precedence, functions, and input it refuses
+ * - Weather (mock data without a key), facts and the current time
+ * - The shared registry holds the built-in tools
+ */
+
+import assert from 'assert';
+import { TestRunner } from '../utils/test-helpers.js';
+import { ToolError } from '../../lib/tool-registry.js';
+import { BUILTIN_TOOLS, calculate, createToolRegistry, getToolRegistry } from '../../lib/tools.js';
+
+/**
+ * Test suite for tools.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('Calculator - precedence, functions and refused input', () => {
+    const cases = [
+      ['2 + 3 * 4', 14],
+      ['(2 + 3) * 4', 20],
+      ['-2 ^ 2', -4],
+      ['2 ^ 3 ^ 2', 512],
+      ['2 ** -1', 0.5],
+      ['17 % 5', 2],
+      ['sqrt(16) + max(1, 7, 3)', 11],
+      ['round(pi * 100) / 100', 3.14],
+      ['log(1000) + ln(e)', 4],
+      ['.5 + 1.5e2', 150.5]
+    ];
+    for (const [expression, expected] of cases) {
+      const value = calculate(expression);
+      assert(Math.abs(value - expected) < 1e-9, `${expression} should be ${expected}, got ${value}`);
+    }
+
+    const refused = [
+      ['process.exit(1)', /Cannot read "\.exit\(1\)"/],
+      ['alert(1)', /Unknown function or name "alert"/],
+      ['(1 + 2', /Expected "\)"/],
+      ['2 +', /ends too soon/],
+      ['1 2', /Unexpected "2"/],
+      ['1 / 0', /has no finite value/]
+    ];
+    for (const [expression, message] of refused) {
+      assert.throws(() => calculate(expression), (error) => error instanceof ToolError && message.test(error.message), `${expression} should be refused`);
+    }
+  });
+
+  runner.test('Weather, facts and time', async () => {
+    const registry = createToolRegistry();
+    const saved = process.env.WEATHER_API_KEY;
+    delete process.env.WEATHER_API_KEY;
+    try {
+      assert(await registry.run('get_weather', { city: 'Oslo' }) === 'Weather in Oslo: partly cloudy, 15°C (mock data)', 'Mock data without a key');
+    } finally {
+      if (saved !== undefined) process.env.WEATHER_API_KEY = saved;
+    }
+
+    assert(await registry.run('calculate', { expression: '6 * 7' }) === 'The result of 6 * 7 is 42');
+    assert((await registry.run('get_interesting_fact', { topic: 'Space' })).includes('A day on Venus'), 'Topics are matched in any case');
+    assert((await registry.run('get_interesting_fact', { topic: 'knitting' })).includes('Honey never spoils'), 'Other topics get the default fact');
+
+    const now = new Date('2026-03-14T15:09:26Z');
+    const tokyo = await registry.run('get_current_time', { timezone: 'Asia/Tokyo' }, { now });
+    assert(tokyo.startsWith('It is Sunday, March 15, 2026 at 12:09:26 AM') && tokyo.endsWith(' in Asia/Tokyo'), `Unexpected time: ${tokyo}`);
+    assert((await registry.run('get_current_time', { timezone: 'local' }, { now })).startsWith('It is '), 'The local time has no zone');
+    await assert.rejects(registry.run('get_current_time', { timezone: 'Mars/Olympus' }), /Unknown time zone "Mars\/Olympus"/);
+  });
+
+  runner.test('Registry - the built-in tools, shared', () => {
+    assert.deepStrictEqual(getToolRegistry().list().map(tool => tool.name), ['calculate', 'get_current_time', 'get_interesting_fact', 'get_weather']);
+    assert(getToolRegistry() === getToolRegistry(), 'The shared registry is made once');
+    assert(createToolRegistry() !== getToolRegistry() && BUILTIN_TOOLS.length === 4);
+    assert(getToolRegistry().definitions().every(definition => definition.function.description), 'Every tool describes itself');
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,168 @@
+/**
+ * Tests for lib/usage-export.js
+ *
+ * Tests cover:
+ * - RFC 4180 CSV quoting of commas, quotes and line breaks
+ * - Every format imports back into a CostTracker with the same totals
+ * - Cached and reasoning tokens survive a round trip
+ * - The HTML report is self-contained and has both charts
+ * - Markdown cell escaping
+ * - Cost rounding
+ * - The format registry and file extensions
+ */
+
+import assert from 'assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TestRunner, TestAssert } from '../utils/test-helpers.js';
+import {
+  UsageImportError,
+  exportFormats,
+  exportSessions,
+  formatForPath,
+  importSessions,
+  parseCSV,
+  registerExportFormat,
+  roundCost
+} from '../../lib/usage-export.js';
+import { CostTracker } from '../../lib/cost-tracker.js';
+
+/**
+ * Tracker with awkward descriptions and detailed usage
+ */
+function createTracker() {
+  const tracker = new CostTracker({ ledger: null });
+
+  tracker.recordUsage({
+    model: 'gpt-4o-mini',
+    description: 'Order "#12345", status | shipping',
+    usage: {
+      prompt_tokens: 1200,
+      completion_tokens: 300,
+      total_tokens: 1500,
+      prompt_tokens_details: { cached_tokens: 1024 }
+    },
+    responseTime: 420,
+    timestamp: '2025-06-01T10:00:00.000Z',
+    response: 'Your order shipped.'
+  });
+  tracker.recordUsage({
+    model: 'o4-mini',
+    description: 'Multi-line\nreasoning </script> task',
+    usage: {
+      prompt_tokens: 200,
+      completion_tokens: 900,
+      total_tokens: 1100,
+      completion_tokens_details: { reasoning_tokens: 640 }
+    },
+    responseTime: 2100,
+    timestamp: '2025-06-02T09:30:00.000Z',
+    response: 'Done.'
+  });
+
+  return tracker;
+}
+
+/**
+ * Test suite for usage-export.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+
+  runner.test('CSV - quotes, commas and line breaks follow RFC 4180', () => {
+    const csv = createTracker().exportToCSV();
+
+    assert(csv.includes('"Order ""#12345"", status | shipping"'), 'Quotes inside fields should be doubled');
+    assert(csv.includes('"Multi-line\nreasoning </script> task"'), 'Line breaks should stay inside a quoted field');
+    assert(csv.split('\r\n')[0].includes('CachedInputTokens,ReasoningTokens'), 'Should include cached and reasoning tokens');
+
+    const rows = parseCSV(csv);
+    assert(rows.length === 3, `Should parse a header and two rows, got ${rows.length}`);
+    assert(rows[1][2] === 'Order "#12345", status | shipping', `Should unescape the description: ${rows[1][2]}`);
+    assert.throws(() => parseCSV('a,"b\n'), UsageImportError);
+  });
+
+  runner.test('Round trip - every format imports back with the same totals', () => {
+    const tracker = createTracker();
+
+    for (const format of ['csv', 'json', 'ndjson', 'markdown', 'html']) {
+      const restored = CostTracker.fromExport(tracker.export(format), format);
+
+      assert(restored.conversationCount === 2, `${format}: should restore both sessions`);
+      assert(restored.totalTokens === tracker.totalTokens, `${format}: should restore the tokens`);
+      TestAssert.approximately(restored.totalCost, tracker.totalCost, 1e-9, `${format}: should restore the cost`);
+      assert(restored.sessions[0].usage.prompt_tokens_details.cached_tokens === 1024, `${format}: should keep cached tokens`);
+      assert(restored.sessions[1].usage.completion_tokens_details.reasoning_tokens === 640, `${format}: should keep reasoning tokens`);
+      assert(restored.sessions[0].description === tracker.sessions[0].description, `${format}: should keep the description`);
+    }
+  });
+
+  runner.test('HTML - self-contained report with charts', () => {
+    const html = createTracker().export('html');
+
+    assert(html.startsWith('<!DOCTYPE html>'), 'Should be a full document');
+    assert(!/(src|href)="https?:/.test(html), 'Should not load anything from the network');
+    assert(html.includes('aria-label="Cumulative cost over time"'), 'Should chart cost over time');
+    assert(html.includes('aria-label="Cost by model"'), 'Should chart cost by model');
+    assert(html.includes('reasoning &lt;/script&gt; task'), 'Should escape table cells');
+    assert((html.match(/<\/script>/g) || []).length === 1, 'Embedded data should not close its script tag early');
+  });
+
+  runner.test('Markdown - pipes are escaped and line breaks flattened', () => {
+    const markdown = exportSessions(createTracker().sessions, 'markdown');
+
+    assert(markdown.includes('Order "#12345", status \\| shipping'), 'Pipes inside cells should be escaped');
+    assert(markdown.includes('Multi-line reasoning'), 'Line breaks should not split a row');
+    assert.throws(() => importSessions('# Nothing here', 'markdown'), /No Markdown table/);
+  });
+
+  runner.test('Costs - rounded as the reports show them', () => {
+    assert(roundCost(0.1 + 0.2) === 0.3, 'Float noise is dropped');
+    assert(roundCost(0.0000123456) === 0.000012 && roundCost(12.3456) === 12.35, 'Six decimals below $1, cents above');
+  });
+
+  runner.test('Registry - custom formats, extensions and unknown formats', () => {
+    registerExportFormat('tsv', {
+      extensions: ['.tsv'],
+      export: (sessions) => sessions.map(session => `${session.model}\t${session.costs.total}`).join('\n')
+    });
+
+    assert(exportFormats().includes('tsv'), 'Should list registered formats');
+    assert(createTracker().export('tsv').startsWith('gpt-4o-mini\t'), 'Should use the registered exporter');
+    assert.throws(() => importSessions('', 'tsv'), /cannot be imported/);
+    assert(formatForPath('report.HTML') === 'html' && formatForPath('usage.jsonl') === 'ndjson', 'Should map extensions');
+    assert.throws(() => formatForPath('usage.xlsx'), /No export format/);
+    assert.throws(() => exportSessions([], 'yaml'), /Unknown export format/);
+    assert.throws(() => importSessions('Model,Description\nx,y', 'csv'), /Missing columns/);
+  });
+
+  runner.test('Import - CostTracker.importFile picks the format from the extension', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'usage-export-'));
+    try {
+      const tracker = createTracker();
+      const path = join(dir, 'usage.ndjson');
+      writeFileSync(path, tracker.export('ndjson'));
+
+      const restored = CostTracker.importFile(path);
+      assert(restored.sessions[1].response === 'Done.', 'NDJSON should keep replies');
+      assert(restored.ledger === null, 'Imports should not be written to the ledger again');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  return await runner.run();
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
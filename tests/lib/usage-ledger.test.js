@@ -0,0 +1,132 @@
+/**
+ * Tests for lib/usage-ledger.js
+ *
+ * Tests cover:
+ * - CostTracker appends every recorded call with its module
+ * - The ledger survives new instances (process restarts) and is append-only
+ * - Queries by date range, model, module and description
+ * - Reports over the full history
+ * - Stand-in traffic and unreadable lines are skipped
+ * - The query CLI's flags
+ */
+
+import assert from 'assert';
+import { mkdtempSync, rmSync, appendFileSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TestRunner, TestAssert, MockData } from '../utils/test-helpers.js';
+import { UsageLedger, parseLedgerArgs } from '../../lib/usage-ledger.js';
+import { CostTracker, summarizeByModel } from '../../lib/cost-tracker.js';
+import { createOpenAIClient } from '../../lib/openai-client.js';
+import { StandInAPI, OFFLINE_API_KEY, createStandInFetch } from '../../lib/stand-in-api.js';
+
+/**
+ * Record a few calls from two modules over two days
+ */
+function recordHistory(ledger) {
+  const chatbot = new CostTracker({ ledger, module: 'chatbot' });
+  chatbot.recordUsage({ model: 'gpt-4o-mini', description: 'Support chat', usage: MockData.mockUsage('gpt-4o-mini'), timestamp: '2025-06-01T10:00:00.000Z' });
+  chatbot.recordUsage({ model: 'gpt-4o', description: 'Refund question', usage: MockData.mockUsage('gpt-4o'), timestamp: '2025-06-02T10:00:00.000Z' });
+
+  const demo = new CostTracker({ ledger, module: 'costDemo' });
+  demo.recordUsage({ model: 'gpt-4o-mini', description: 'Technical support', usage: MockData.mockUsage('gpt-4o-mini'), timestamp: '2025-06-02T12:00:00.000Z' });
+
+  return [...chatbot.sessions, ...demo.sessions];
+}
+
+/**
+ * Test suite for usage-ledger.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+  const dir = mkdtempSync(join(tmpdir(), 'usage-ledger-'));
+  let files = 0;
+  const newLedger = () => new UsageLedger(join(dir, `ledger-${++files}.jsonl`));
+
+  runner.test('Recording - every tracked call is appended with its module', () => {
+    const ledger = newLedger();
+    const sessions = recordHistory(ledger);
+    const entries = new UsageLedger(ledger.path).entries();
+
+    assert(entries.length === 3, `Should persist every call, got ${entries.length}`);
+    assert.deepStrictEqual(entries.map(entry => entry.module), ['chatbot', 'chatbot', 'costDemo']);
+    TestAssert.approximately(entries[1].costs.total, sessions[1].costs.total);
+    assert(entries.every(entry => entry.id && entry.usage.total_tokens > 0), 'Entries should carry an id and usage');
+    assert(!('response' in entries[0]), 'Replies should not be stored');
+  });
+
+  runner.test('Append-only - new runs add lines after the existing ones', () => {
+    const ledger = newLedger();
+    recordHistory(ledger);
+    const before = readFileSync(ledger.path, 'utf-8');
+
+    recordHistory(new UsageLedger(ledger.path));
+    const after = readFileSync(ledger.path, 'utf-8');
+
+    assert(after.startsWith(before), 'Earlier lines should be left untouched');
+    assert(ledger.entries().length === 6, 'Should hold both runs');
+  });
+
+  runner.test('Queries - date range, model, module and description', () => {
+    const ledger = newLedger();
+    recordHistory(ledger);
+
+    assert(ledger.query({ from: '2025-06-02T00:00:00Z' }).length === 2, 'Should filter by start');
+    assert(ledger.query({ to: '2025-06-01T23:59:59Z' }).length === 1, 'Should filter by end');
+    assert(ledger.query({ from: '2025-06-03' }).length === 0, 'Dates after the history match nothing');
+    assert(ledger.query({ model: 'gpt-4o-mini' }).length === 2, 'Should filter by model');
+    assert(ledger.query({ module: 'costDemo' }).length === 1, 'Should filter by module');
+    assert(ledger.query({ description: 'SUPPORT' }).length === 2, 'Description matches ignore case');
+    assert(ledger.query({ module: 'chatbot', model: 'gpt-4o' }).length === 1, 'Filters combine');
+    assert.throws(() => ledger.query({ from: 'last week' }), /Invalid date/);
+  });
+
+  runner.test('Reports - history becomes a tracker with the per-model breakdown', () => {
+    const ledger = newLedger();
+    const sessions = recordHistory(ledger);
+    const tracker = CostTracker.fromLedger(ledger.entries());
+
+    assert(tracker.conversationCount === 3, 'Should load every entry');
+    TestAssert.approximately(tracker.totalCost, sessions.reduce((sum, session) => sum + session.costs.total, 0));
+    assert(summarizeByModel(tracker.sessions)['gpt-4o-mini'].count === 2, 'Should group history by model');
+    assert(tracker.ledger === null, 'Loading history should not write it again');
+  });
+
+  runner.test('Skipped - stand-in traffic and unreadable lines', async () => {
+    const ledger = newLedger();
+    const client = createOpenAIClient({ apiKey: OFFLINE_API_KEY, maxRetries: 0, fetch: createStandInFetch(new StandInAPI()) }, {});
+    const tracker = new CostTracker({ client, ledger });
+
+    tracker.recordUsage({ model: 'gpt-4o-mini', usage: MockData.mockUsage('gpt-4o-mini') });
+    assert(ledger.entries().length === 0, 'Stand-in calls cost nothing and are not written');
+
+    recordHistory(ledger);
+    appendFileSync(ledger.path, '{"truncated":\n');
+    assert(ledger.entries().length === 3, 'Should skip lines that cannot be parsed');
+  });
+
+  runner.test('CLI - flags become filters', () => {
+    assert.deepStrictEqual(
+      parseLedgerArgs(['--from', '2025-06-01', '--model=gpt-4o', '--module', 'chatbot', '--description', 'refund']),
+      { from: '2025-06-01', model: 'gpt-4o', module: 'chatbot', description: 'refund' }
+    );
+    assert.throws(() => parseLedgerArgs(['--colour', 'blue']), /Unknown option/);
+    assert.throws(() => parseLedgerArgs(['--model']), /needs a value/);
+  });
+
+  const results = await runner.run();
+  rmSync(dir, { recursive: true, force: true });
+  return results;
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,155 @@
+/**
+ * Tests for lib/usage-middleware.js
+ *
+ * Tests cover:
+ * - Chat completions are recorded with the client's module and call tags
+ * - Assistants runs are recorded once, when their usage arrives
+ * - Agent turns are tagged with the agent's name across handoffs
+ * - CostTracker calls are written once, with the tracker's description
+ * - Stand-in traffic reaches the run file but never the ledger
+ * - Per-module summaries
+ */
+
+import assert from 'assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Agent, OpenAIProvider, Runner } from '@openai/agents';
+import { TestRunner, TestAssert, TestEnv } from '../utils/test-helpers.js';
+import {
+  UsageRecorder,
+  formatUsageByModule,
+  summarizeByModule,
+  usageFromResponse,
+  withUsageTags
+} from '../../lib/usage-middleware.js';
+import { UsageLedger } from '../../lib/usage-ledger.js';
+import { CostTracker } from '../../lib/cost-tracker.js';
+import { tagAgentUsage } from '../../lib/agents-client.js';
+
+const MESSAGES = [{ role: 'user', content: 'Say hello world!' }];
+
+/**
+ * Test suite for usage-middleware.js
+ */
+export async function runTests(config = {}) {
+  const runner = new TestRunner();
+  const dir = mkdtempSync(join(tmpdir(), 'usage-middleware-'));
+
+  runner.test('Chat completions - recorded with the module and call tags', async () => {
+    const client = TestEnv.createStandInClient({ module: 'chatbot' });
+
+    const completion = await client.chat.completions.create({ model: 'gpt-4o-mini', messages: MESSAGES });
+    await withUsageTags({ description: 'Greeting' }, () => client.chat.completions.create({ model: 'gpt-4o', messages: MESSAGES }));
+
+    const [first, second] = client.usageRecorder.entries;
+    assert(client.usageRecorder.entries.length === 2, 'Should record every call');
+    assert(first.module === 'chatbot' && first.api === 'chat.completions' && first.description === 'Chat completion', 'Should tag the module and API');
+    assert.deepStrictEqual(first.usage, completion.usage, 'Should keep the reply\'s usage');
+    assert(first.responseId === completion.id && first.costs.total > 0, 'Should price the call');
+    assert(second.description === 'Greeting' && second.model === 'gpt-4o', 'withUsageTags should describe the call');
+  });
+
+  runner.test('Assistants - each run is recorded once', async () => {
+    const client = TestEnv.createStandInClient({ module: 'persistentAssistant' });
+
+    const assistant = await client.beta.assistants.create({ name: 'Test', model: 'gpt-4o-mini', instructions: 'Be brief.' });
+    const thread = await client.beta.threads.create();
+    await client.beta.threads.messages.create(thread.id, { role: 'user', content: 'My name is Alice.' });
+    const result = await client.beta.threads.runs.createAndPoll(thread.id, { assistant_id: assistant.id });
+    await client.beta.threads.runs.retrieve(result.id, { thread_id: thread.id });
+
+    const runs = client.usageRecorder.entries.filter(entry => entry.api === 'assistants.runs');
+    assert(runs.length === 1, `Polling and retrieving should not record a run twice, got ${runs.length}`);
+    assert.deepStrictEqual(runs[0].usage, result.usage, 'Should record run.usage');
+    assert(client.usageRecorder.entries.length === 1, 'Assistant, thread and message calls carry no usage');
+  });
+
+  runner.test('Agents - turns are tagged with the agent, across handoffs', async () => {
+    const client = TestEnv.createStandInClient({ module: 'multiAgent' });
+    // A runner of its own: the default provider keeps the first client it was given
+    const runner = new Runner({ modelProvider: new OpenAIProvider({ openAIClient: client, useResponses: false }), tracingDisabled: true });
+
+    const specialist = new Agent({ name: 'Specialist', instructions: 'Answer briefly.', model: 'gpt-4o-mini' });
+    const coordinator = Agent.create({ name: 'Coordinator', instructions: 'Hand off to the specialist.', model: 'gpt-4o-mini', handoffs: [specialist] });
+    tagAgentUsage(coordinator);
+    tagAgentUsage(coordinator);
+
+    await runner.run(coordinator, 'Say hello world!');
+    const agents = client.usageRecorder.entries.map(entry => entry.agent);
+
+    assert(agents.length > 0 && agents.every(Boolean), 'Every turn should name its agent');
+    assert(agents[0] === 'Coordinator', 'The first turn belongs to the coordinator');
+    assert(client.usageRecorder.entries.every(entry => entry.module === 'multiAgent' && entry.description === `Agent: ${entry.agent}`), 'Should keep the module');
+  });
+
+  runner.test('CostTracker - calls are recorded once with the tracker\'s tags', async () => {
+    const ledger = new UsageLedger(join(dir, 'tracker.jsonl'));
+    // A real-looking key, so the tracker would write to its ledger if the middleware had not
+    const client = TestEnv.createStandInClient({ apiKey: 'sk-test-usage-middleware-key', budget: null, usage: new UsageRecorder({ module: 'other', ledger }) });
+    const tracker = new CostTracker({ client, module: 'costDemo', ledger });
+
+    await tracker.trackConversation(MESSAGES, 'gpt-4o-mini', 'Support chat');
+
+    const entries = ledger.entries();
+    assert(entries.length === 1, `The middleware and tracker should not both write, got ${entries.length}`);
+    assert(entries[0].module === 'costDemo' && entries[0].description === 'Support chat', 'Should use the tracker\'s module and description');
+    TestAssert.approximately(entries[0].costs.total, tracker.totalCost);
+  });
+
+  runner.test('Persistence - stand-in calls reach the run file but not the ledger', async () => {
+    const runFile = join(dir, 'run.jsonl');
+    const client = TestEnv.createStandInClient({ module: 'setup' }, { OPENAI_USAGE_RUN_FILE: runFile });
+
+    await client.chat.completions.create({ model: 'gpt-4o-mini', messages: MESSAGES });
+
+    assert(client.usageRecorder.ledger === null, 'Stand-in clients should not write to the ledger');
+    assert(new UsageLedger(runFile).entries()[0].module === 'setup', 'The run file should receive every call');
+    assert(TestEnv.createStandInClient({ usage: null }).usageRecorder === null, 'usage: null should turn recording off');
+
+    const recorder = new UsageRecorder({ module: 'x' });
+    const seen = [];
+    const stop = recorder.onRecord(entry => seen.push(entry));
+    recorder.record({ object: 'thread.run', id: 'run_1', model: 'gpt-4o-mini', usage: null });
+    recorder.record({ object: 'thread.run', id: 'run_1', model: 'gpt-4o-mini', usage: { prompt_tokens: 5, completion_tokens: 5, total_tokens: 10 } });
+    stop();
+    recorder.record({ object: 'chat.completion', id: 'c', model: 'gpt-4o-mini', usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 } });
+    assert(seen.length === 1 && recorder.entries.length === 2, 'Listeners should see records until stopped');
+    assert(usageFromResponse({ object: 'list', model: 'x', usage: {} }) === null, 'Other objects carry no usage');
+  });
+
+  runner.test('Summaries - calls, tokens and cost per module', () => {
+    const entry = (module, api, tokens, cost) => ({ module, api, usage: { total_tokens: tokens }, costs: { total: cost } });
+    const entries = [
+      entry('agent', 'chat.completions', 100, 0.002),
+      entry('agent', 'chat.completions', 50, 0.001),
+      entry('persistentAssistant', 'assistants.runs', 300, 0.0005),
+      { module: 'costDemo', usage: { total_tokens: 10 }, costs: { total: 0.0001 } }
+    ];
+
+    const [agent, assistant, tracked] = summarizeByModule(entries);
+    assert(agent.module === 'agent' && agent.calls === 2 && agent.tokens === 150, 'Should group calls by module and API');
+    TestAssert.approximately(agent.cost, 0.003);
+    assert(assistant.api === 'assistants.runs' && tracked.api === 'tracked', 'Entries written by CostTracker count as tracked');
+
+    const table = formatUsageByModule(entries).split('\n');
+    assert(table.length === 6 && table[5].startsWith('Total'), 'Should end with a total row');
+    assert(table[5].includes('$0.003600'), `Should total the cost: ${table[5]}`);
+  });
+
+  const results = await runner.run();
+  rmSync(dir, { recursive: true, force: true });
+  return results;
+}
+
+// Allow running this test file directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests({ verbose: true })
+    .then(results => {
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
@@ -10,12 +10,14 @@
  *   node tests/run-tests.js --unit-only     # Run only unit tests
  *   node tests/run-tests.js --integration-only # Run only integration tests
  *   node tests/run-tests.js --verbose       # Run with verbose output
+ *   node tests/run-tests.js --offline       # Run integration tests against the local stand-in
  */
 
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readdir, stat } from 'fs/promises';
 import 'dotenv/config';
+import { OFFLINE_API_KEY } from '../lib/stand-in-api.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -27,9 +29,16 @@ const config = {
   unitOnly: process.argv.includes('--unit-only'),
   integrationOnly: process.argv.includes('--integration-only'),
   verbose: process.argv.includes('--verbose'),
-  testDir: join(__dirname, 'foundations')
+  offline: process.argv.includes('--offline') || ['1', 'true'].includes(process.env.OPENAI_OFFLINE),
+  testDir: __dirname
 };
 
+// Offline mode: every shared client answers from the in-process stand-in
+if (config.offline) {
+  process.env.OPENAI_OFFLINE = '1';
+  process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || OFFLINE_API_KEY;
+}
+
 /**
  * Color console output
  */
@@ -123,6 +132,7 @@ async function runAllTests() {
   console.log(`   Mode: ${config.unitOnly ? 'Unit tests only' : 
                        config.integrationOnly ? 'Integration tests only' : 'All tests'}`);
   console.log(`   Verbose: ${config.verbose}`);
+  console.log(`   Offline stand-in: ${config.offline ? '✅' : '❌'}`);
   console.log(`   API Key available: ${process.env.OPENAI_API_KEY ? '✅' : '❌'}`);
   console.log(`   Organization ID available: ${process.env.OPENAI_ORG_ID ? '✅' : '❌'}`);
   
@@ -182,10 +192,12 @@ function showUsage() {
   console.log('  --unit-only         Run only unit tests (no API calls)');
   console.log('  --integration-only  Run only integration tests (requires API key)');
   console.log('  --verbose           Show detailed error information');
+  console.log('  --offline           Answer API calls from the local stand-in (no network)');
   console.log('  --help              Show this help message');
   console.log('\nEnvironment Variables:');
   console.log('  OPENAI_API_KEY      Required for integration tests');
   console.log('  OPENAI_ORG_ID       Optional organization ID');
+  console.log('  OPENAI_OFFLINE      Set to 1 to use the local stand-in');
   console.log('  NO_COLOR            Disable colored output');
 }
 
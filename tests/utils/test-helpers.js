@@ -6,7 +6,8 @@
  */
 
 import assert from 'assert';
-import { OpenAI } from 'openai';
+import { createOpenAIClient, isValidApiKeyFormat } from '../../lib/openai-client.js';
+import { StandInAPI, OFFLINE_API_KEY, createStandInFetch } from '../../lib/stand-in-api.js';
 
 /**
  * Environment validation helpers
@@ -30,9 +31,7 @@ export class TestEnv {
    * Validate API key format (basic validation)
    */
   static isValidApiKeyFormat(apiKey) {
-    if (!apiKey || typeof apiKey !== 'string') return false;
-    // OpenAI API keys typically start with 'sk-' and are 51+ characters
-    return apiKey.startsWith('sk-') && apiKey.length >= 20;
+    return isValidApiKeyFormat(apiKey);
   }
 
   /**
@@ -47,17 +46,26 @@ export class TestEnv {
   }
 
   /**
-   * Create a test OpenAI client with validation
+   * Create a test OpenAI client with validation (uses the shared client factory)
    */
   static createTestClient() {
     if (!this.hasApiKey()) {
       throw new Error('No API key available for testing');
     }
     
-    return new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      organization: process.env.OPENAI_ORG_ID || undefined
-    });
+    return createOpenAIClient();
+  }
+
+  /**
+   * Create a client answered by the offline stand-in, without retries.
+   * `standIn` holds StandInAPI options (rules, streamDelay); other overrides
+   * (module, budget, fetch...) go to the shared client factory
+   */
+  static createStandInClient({ standIn = {}, ...overrides } = {}, env = {}) {
+    return createOpenAIClient(
+      { apiKey: OFFLINE_API_KEY, maxRetries: 0, fetch: createStandInFetch(new StandInAPI(standIn)), ...overrides },
+      env
+    );
   }
 }
 
@@ -235,31 +243,3 @@ export class TestRunner {
     return this.results;
   }
 }
-
-/**
- * Pricing data for cost calculations (matches token-cost-demo.js)
- */
-export const PRICING = {
-  'gpt-4o-mini': { input: 0.150, output: 0.600 },
-  'gpt-4o': { input: 2.50, output: 10.00 },
-  'gpt-3.5-turbo': { input: 0.50, output: 1.50 }
-};
-
-/**
- * Calculate expected cost for testing
- */
-export function calculateExpectedCost(usage, model) {
-  if (!PRICING[model]) {
-    throw new Error(`Unknown model: ${model}`);
-  }
-  
-  const pricing = PRICING[model];
-  const inputCost = (usage.prompt_tokens / 1_000_000) * pricing.input;
-  const outputCost = (usage.completion_tokens / 1_000_000) * pricing.output;
-  
-  return {
-    inputCost,
-    outputCost,
-    totalCost: inputCost + outputCost
-  };
-}
\ No newline at end of file